@@ -0,0 +1,410 @@
+/**
+ * ConversionServer - Local HTTP API around the conversion pipeline
+ *
+ *   POST   /jobs                   upload a file (multipart "file" field or raw body), returns a job id
+ *   GET    /jobs                   list jobs
+ *   GET    /jobs/:id               job status with per-step progress
+ *   GET    /jobs/:id/output.csv    generated GoHub CSV
+ *   GET    /jobs/:id/results       full pipeline results as JSON
+ *   GET    /jobs/:id/report.html   human-readable run report
+ *   DELETE /jobs/:id               forget a finished job and its files
+ *   GET    /health                 liveness and AI mode
+ *
+ * Finished jobs are forgotten, files included, once they are older than jobTtl or when more than
+ * maxJobs are kept (oldest first), so a long-running server does not fill memory and disk.
+ *
+ * Optional overrides: productType and brand, as multipart fields or query parameters.
+ */
+
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import CsvConverterAI from '../index.js';
+import ProductTypeDetector from '../services/ProductTypeDetector.js';
+import CsvReader from '../utils/CsvReader.js';
+import { defaultLogger } from '../utils/Logger.js';
+import MultipartParser from '../utils/MultipartParser.js';
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+class ConversionServer {
+    static DEFAULT_JOB_TTL = 60 * 60 * 1000;
+    static DEFAULT_MAX_JOBS = 100;
+
+    // Expired jobs are looked for at least this often
+    static PRUNE_INTERVAL = 60 * 1000;
+
+    /**
+     * @param {Object} options - Server options
+     * @param {number} [options.concurrency] - Jobs converted at the same time
+     * @param {number} [options.maxUploadBytes] - Largest accepted upload
+     * @param {string} [options.workDir] - Folder holding uploads and outputs of each job
+     * @param {Object} [options.ai] - BatchAIEnhancer options (simulate, baseUrl, model)
+     * @param {Object} [options.convertOptions] - Options passed to processFile for every job (plugins, pluginBaseDir)
+     * @param {number} [options.jobTtl] - Milliseconds a finished job is kept (default: one hour)
+     * @param {number} [options.maxJobs] - Finished jobs kept at most, the oldest are forgotten first (default: 100)
+     * @param {Logger} [options.logger] - Logger for the server and every job
+     */
+    constructor(options = {}) {
+        this.concurrency = Math.max(1, options.concurrency || 1);
+        this.maxUploadBytes = options.maxUploadBytes || 50 * 1024 * 1024;
+        this.workDir = options.workDir || path.join(os.tmpdir(), 'csv-converter-jobs');
+        this.ai = options.ai || {};
+        this.convertOptions = options.convertOptions || {};
+        this.jobTtl = options.jobTtl || ConversionServer.DEFAULT_JOB_TTL;
+        this.maxJobs = options.maxJobs || ConversionServer.DEFAULT_MAX_JOBS;
+        this.logger = options.logger || defaultLogger;
+
+        this.jobs = new Map();
+        this.pruneTimer = null;
+        this.queue = [];
+        this.running = 0;
+        this.server = http.createServer((req, res) => this._handle(req, res));
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<Object>} Bound address
+     */
+    listen(port = 3000, host = '127.0.0.1') {
+        fs.mkdirSync(this.workDir, { recursive: true });
+
+        // unref: the timer alone must not keep the process alive
+        this.pruneTimer = setInterval(() => this._pruneJobs(), Math.min(this.jobTtl, ConversionServer.PRUNE_INTERVAL));
+        this.pruneTimer.unref();
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                const address = this.server.address();
+                this.logger.info(`🌐 Conversion API listening on http://${address.address}:${address.port}`);
+                resolve(address);
+            });
+        });
+    }
+
+    /**
+     * Stop accepting connections
+     */
+    close() {
+        clearInterval(this.pruneTimer);
+        this.pruneTimer = null;
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    async _handle(req, res) {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const parts = url.pathname.split('/').filter(Boolean);
+
+            if (req.method === 'GET' && url.pathname === '/health') {
+                return this._sendJson(res, 200, {
+                    status: 'ok',
+                    aiMode: this.ai.simulate ? 'simulation' : (this.ai.baseUrl ? 'local-provider' : 'environment'),
+                    queued: this.queue.length,
+                    running: this.running
+                });
+            }
+
+            if (parts[0] !== 'jobs' || parts.length > 3) {
+                throw new HttpError(404, 'Not found');
+            }
+
+            if (parts.length === 1) {
+                if (req.method === 'POST') return await this._createJob(req, res, url);
+                if (req.method === 'GET') {
+                    return this._sendJson(res, 200, { jobs: [...this.jobs.values()].map(job => this._serializeJob(job)) });
+                }
+                throw new HttpError(405, 'Method not allowed');
+            }
+
+            const job = this.jobs.get(parts[1]);
+            if (!job) throw new HttpError(404, `Job not found: ${parts[1]}`);
+
+            if (parts.length === 2) {
+                if (req.method === 'GET') return this._sendJson(res, 200, this._serializeJob(job));
+                if (req.method === 'DELETE') return this._deleteJob(res, job);
+                throw new HttpError(405, 'Method not allowed');
+            }
+
+            if (req.method !== 'GET') throw new HttpError(405, 'Method not allowed');
+
+            if (parts[2] === 'output.csv') return this._sendOutput(res, job);
+            if (parts[2] === 'report.html') return this._sendReport(res, job);
+            if (parts[2] === 'results') {
+                if (!job.results) throw new HttpError(409, `Job is ${job.status}, results are not available yet`);
+                return this._sendJson(res, 200, job.results);
+            }
+
+            throw new HttpError(404, 'Not found');
+        } catch (error) {
+            const status = error instanceof HttpError ? error.status : 500;
+            if (status === 500) this.logger.error(`❌ API error: ${error.message}`);
+            this._sendJson(res, status, { error: error.message });
+        }
+    }
+
+    async _createJob(req, res, url) {
+        const body = await this._readBody(req);
+        const contentType = req.headers['content-type'] || '';
+        const boundary = MultipartParser.getBoundary(contentType);
+        if (!boundary && MultipartParser.isMultipart(contentType)) {
+            throw new HttpError(400, 'Malformed multipart body: no boundary in the Content-Type header');
+        }
+
+        let fileName;
+        let data;
+        let fields = {};
+
+        if (boundary) {
+            let parsed;
+            try {
+                parsed = MultipartParser.parse(body, boundary);
+            } catch (error) {
+                // The body is the client's fault, not the server's
+                throw new HttpError(400, error.message);
+            }
+            const file = parsed.files.find(f => f.fieldName === 'file') || parsed.files[0];
+            if (!file) throw new HttpError(400, 'No file found in the multipart body (expected a "file" field)');
+
+            fileName = file.fileName;
+            data = file.data;
+            fields = parsed.fields;
+        } else {
+            // Raw body: the format is read from the content, a name or format only labels the job
+            const format = url.searchParams.get('format');
+            fileName = url.searchParams.get('fileName') || req.headers['x-file-name'] || (format ? `upload.${format}` : null);
+            data = body;
+        }
+
+        fileName = path.basename(fileName || 'upload');
+        if (data.length === 0) throw new HttpError(400, 'Uploaded file is empty');
+        // The reader decides from the content what it can parse
+        try {
+            CsvReader.detectFormat(data, fileName, this.logger);
+        } catch (error) {
+            throw new HttpError(415, `${fileName}: ${error.message}`);
+        }
+
+        const productType = (fields.productType || url.searchParams.get('productType') || '').toUpperCase() || undefined;
+        if (productType && (!ProductTypeDetector.PRODUCT_TYPES[productType] || productType === 'UNKNOWN')) {
+            throw new HttpError(400, `Unknown product type: ${productType}`);
+        }
+        const brand = fields.brand || url.searchParams.get('brand') || undefined;
+
+        const id = randomUUID();
+        const jobDir = path.join(this.workDir, id);
+        fs.mkdirSync(jobDir, { recursive: true });
+        const inputPath = path.join(jobDir, fileName);
+        fs.writeFileSync(inputPath, data);
+
+        const job = {
+            id,
+            status: 'queued',
+            fileName,
+            productType: productType || null,
+            brand: brand || null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            currentStage: null,
+            progress: null,
+            steps: Object.fromEntries(CsvConverterAI.STAGES.map(stage => [stage, 'pending'])),
+            errors: [],
+            inputPath,
+            jobDir,
+            outputPath: null,
+            results: null
+        };
+
+        this.jobs.set(id, job);
+        this.queue.push(job);
+        this.logger.info(`📥 Job ${id} queued (${fileName})`, { job: id });
+        this._drainQueue();
+
+        this._sendJson(res, 202, this._serializeJob(job));
+    }
+
+    _drainQueue() {
+        while (this.running < this.concurrency && this.queue.length > 0) {
+            const job = this.queue.shift();
+            this.running++;
+            this._runJob(job).finally(() => {
+                this.running--;
+                this._drainQueue();
+            });
+        }
+    }
+
+    async _runJob(job) {
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+
+        const converter = new CsvConverterAI({ logger: this.logger.child({ job: job.id }) });
+        converter.on('stage:start', ({ stage }) => {
+            job.currentStage = stage;
+            job.steps[stage] = 'running';
+        });
+        converter.on('stage:end', ({ stage, success }) => {
+            job.currentStage = null;
+            job.steps[stage] = success ? 'done' : 'failed';
+        });
+        converter.on('progress', event => {
+            if (event.type === 'rows' || event.type === 'ai') {
+                job.progress = { stage: event.stage, completed: event.completed, total: event.total, tokensUsed: event.tokensUsed || 0 };
+            }
+        });
+
+        try {
+            const results = await converter.processFile(job.inputPath, {
+                ...this.convertOptions,
+                productType: job.productType || undefined,
+                brand: job.brand || undefined,
+                outDir: path.join(job.jobDir, 'output'),
+                ai: { ...this.convertOptions.ai, ...this.ai }
+            });
+
+            job.results = results;
+            job.errors = [...results.errors];
+            job.productType = results.productType || job.productType;
+            job.brand = results.brand || job.brand;
+            job.outputPath = results.steps.output && results.steps.output.filePath ? results.steps.output.filePath : null;
+            job.status = results.success ? 'succeeded' : 'failed';
+        } catch (error) {
+            job.errors.push(error.message);
+            job.status = 'failed';
+        }
+
+        job.finishedAt = new Date().toISOString();
+        this.logger.info(`${job.status === 'succeeded' ? '✅' : '❌'} Job ${job.id} ${job.status}`, { job: job.id });
+        this._pruneJobs();
+    }
+
+    /**
+     * Forget finished jobs older than jobTtl, then the oldest ones beyond maxJobs
+     */
+    _pruneJobs(now = Date.now()) {
+        const finished = [...this.jobs.values()]
+            .filter(job => job.finishedAt)
+            .sort((a, b) => Date.parse(a.finishedAt) - Date.parse(b.finishedAt));
+
+        finished.forEach((job, index) => {
+            const expired = now - Date.parse(job.finishedAt) > this.jobTtl;
+            if (expired || finished.length - index > this.maxJobs) {
+                this._removeJob(job);
+                this.logger.debug(`🧹 Job ${job.id} forgotten (${expired ? 'expired' : 'too many jobs'})`, { job: job.id });
+            }
+        });
+    }
+
+    _removeJob(job) {
+        fs.rmSync(job.jobDir, { recursive: true, force: true });
+        this.jobs.delete(job.id);
+    }
+
+    _serializeJob(job) {
+        const { detection, mapping, transformation } = job.results ? job.results.steps : {};
+
+        return {
+            id: job.id,
+            status: job.status,
+            fileName: job.fileName,
+            productType: job.productType,
+            brand: job.brand,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            currentStage: job.currentStage,
+            progress: job.progress,
+            steps: job.steps,
+            errors: job.errors,
+            summary: job.results && job.results.success ? {
+                confidence: detection.confidence,
+                mapped: mapping.mappingStats.mapped,
+                totalTargets: mapping.mappingStats.totalTargets,
+                transformedRows: transformation.stats.successfulTransforms,
+                failedRows: transformation.stats.failedTransforms,
+                tokensUsed: job.results.stats.tokensUsed,
+                totalTime: job.results.stats.totalTime
+            } : null,
+            links: {
+                self: `/jobs/${job.id}`,
+                output: job.outputPath ? `/jobs/${job.id}/output.csv` : null,
+                results: job.results ? `/jobs/${job.id}/results` : null,
+                report: job.results && job.results.report ? `/jobs/${job.id}/report.html` : null
+            }
+        };
+    }
+
+    _sendOutput(res, job) {
+        if (!job.outputPath || !fs.existsSync(job.outputPath)) {
+            throw new HttpError(409, job.status === 'succeeded'
+                ? 'Job produced no output file'
+                : `Job is ${job.status}, output is not available`);
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${path.basename(job.outputPath)}"`
+        });
+        fs.createReadStream(job.outputPath).pipe(res);
+    }
+
+    _sendReport(res, job) {
+        const report = job.results && job.results.report;
+        if (!report || !fs.existsSync(report.htmlPath)) {
+            throw new HttpError(409, `Job is ${job.status}, report is not available`);
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        fs.createReadStream(report.htmlPath).pipe(res);
+    }
+
+    _deleteJob(res, job) {
+        if (job.status === 'queued' || job.status === 'running') {
+            throw new HttpError(409, `Job is ${job.status}, it can only be deleted once finished`);
+        }
+
+        this._removeJob(job);
+        res.writeHead(204);
+        res.end();
+    }
+
+    _readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            let tooLarge = false;
+
+            req.on('data', chunk => {
+                if (tooLarge) return; // keep draining so the 413 response can be sent
+
+                size += chunk.length;
+                if (size > this.maxUploadBytes) {
+                    tooLarge = true;
+                    chunks.length = 0;
+                    reject(new HttpError(413, `Upload exceeds ${this.maxUploadBytes} bytes`));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(Buffer.concat(chunks)));
+            req.on('error', reject);
+        });
+    }
+
+    _sendJson(res, status, payload) {
+        if (res.headersSent) return;
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(payload, null, 2));
+    }
+}
+
+export default ConversionServer;
@@ -0,0 +1,792 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface for CSV Converter AI
+ * Usage: csv-converter convert <file> [--out <dir>] [--type FRAME] [--brand Ocean] [--dry-run] [--rows 20]
+ *        csv-converter convert <workbook.xlsx> [--sheet <name|n> | --all-sheets [--combine] | --list-sheets]
+ *        csv-converter batch <folder|glob...> [--out <dir>] [--concurrency 4]
+ *        csv-converter watch <folder> [--interval 5] [--once]
+ *        csv-converter serve [--port 3000] [--host 127.0.0.1] [--job-ttl 60] [--max-jobs 100] [--simulate]
+ *        csv-converter train <labeled folder> [--model product-type-model.json]
+ *        csv-converter evaluate <labeled folder> [--model product-type-model.json]
+ */
+
+import { realpathSync } from 'fs';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import ConversionServer from './api/ConversionServer.js';
+import CsvConverterAI from './index.js';
+import BatchConverter from './services/BatchConverter.js';
+import DataProfiler from './services/DataProfiler.js';
+import FolderWatcher from './services/FolderWatcher.js';
+import ProductTypeDetector from './services/ProductTypeDetector.js';
+import TrainingSet from './services/TrainingSet.js';
+import TypeClassifier from './services/TypeClassifier.js';
+import ConfigLoader from './utils/ConfigLoader.js';
+import CsvReader from './utils/CsvReader.js';
+import Logger from './utils/Logger.js';
+import ProgressBar from './utils/ProgressBar.js';
+import { EXIT_CODES, getExitCode } from './utils/exitCodes.js';
+
+const HELP = `Usage: csv-converter <command> [options]
+
+Commands:
+  convert <file>          Run the complete pipeline on a supplier file
+  batch <folder|glob...>  Convert every supported file and write a consolidated summary
+  watch <folder>          Convert files dropped in <folder>/inbox, move them to processed/ or failed/
+  serve                   Start the local HTTP API (upload, poll job, download GoHub CSV)
+  train <folder>          Train a product type model on labeled supplier files (labels.json or type sub-folders)
+  evaluate <folder>       Print the product type confusion matrix of labeled supplier files
+
+Supported files: Excel (.xlsx, .xls), OpenDocument (.ods), CSV, TSV, JSON, NDJSON and XML feeds.
+The format is detected from the content, whatever the extension.
+
+Options for convert and batch:
+  --out <dir>             Directory for the GoHub CSV files and batch summary (default: current directory)
+  --type <productType>    Force the product type (${Object.keys(ProductTypeDetector.PRODUCT_TYPES).filter(t => t !== 'UNKNOWN').join(', ')})
+  --brand <name>          Force the brand of every row (default: detected from a brand column, the file
+                          and sheet names and the descriptions, matched against the brand registry)
+  --rows <n>              Only process the first N rows
+  --delimiter <char>      CSV delimiter: comma, semicolon, tab, pipe or a character (default: detected)
+  --encoding <name>       CSV encoding: utf-8, utf-16le, utf-16be, windows-1252/latin1 (default: detected)
+  --sheet <name|n>        Excel sheet to convert, by name or position (default: first sheet with a table)
+  --stream                Read the file in chunks and append them to the output as they are converted (large catalogs)
+  --chunk-size <n>        Rows per chunk with --stream (default: ${CsvReader.STREAM_CHUNK_SIZE})
+  --reference-column <c>  Column every kept row must fill (default: guessed, the first column as a last resort)
+  --row-filter <mode>     strict: drop rows without reference (default), lenient: keep them, only drop empty rows
+  --model <path>          Product type model written by train, consulted next to the keywords
+                          (default: "typeModel" of the config file)
+  --dry-run               Run every step without writing the output file or run report
+  --no-report             Do not write the JSON/HTML run report next to the GoHub CSV
+  --no-rejected           Do not write the rows dropped while reading to <output>.rejected.csv
+  --no-progress           convert: no progress bar (it is only drawn on an interactive terminal)
+  --min-confidence <n>    Minimum detection confidence before exiting with code ${EXIT_CODES.LOW_CONFIDENCE} (default: 60)
+  --min-coverage <n>      Minimum mapped percentage of schema fields before exiting with code ${EXIT_CODES.MAPPING_UNACCEPTABLE} (default: 60)
+  -h, --help              Show this help
+
+AI options (all commands):
+  --simulate              Never call the AI provider (offline simulation mode)
+  --ai-url <url>          OpenAI-compatible endpoint, e.g. a local provider (default: OPENAI_BASE_URL or OpenAI)
+  --ai-model <name>       Model name (default: OPENAI_MODEL or gpt-3.5-turbo-0125)
+  --ai-fallback           convert, batch, watch: ask the AI provider for the product type when detection
+                          confidence is below 60% (with --simulate a local stub answers)
+  --config <path>         Config file with plugins, brands, detection weights and model (default: ./csv-converter.config.json)
+
+Logging options (all commands):
+  --log-level <level>     debug, info, warn, error or silent (default: info)
+  --log-format <format>   text or json (one JSON object per line, with stage, file and row fields)
+  -q, --quiet             Only print warnings and errors
+
+Options for convert only:
+  --list-sheets           List the sheets of an Excel workbook and exit
+  --all-sheets            Convert every sheet with a table as its own dataset (product type detected per sheet)
+  --combine               With --all-sheets: one output per product type instead of one per sheet
+  --row-types             Classify every row and convert each product type against its own schema, one output per type
+
+Options for batch:
+  --concurrency <n>       Number of files converted at the same time (default: 1)
+  --recursive             Include files in sub-folders of folder inputs
+
+Options for watch (plus --type, --brand, --rows, --min-confidence, --min-coverage):
+  --interval <seconds>    Inbox polling interval (default: 5)
+  --once                  Process the current inbox content and exit
+
+Options for train and evaluate:
+  --model <path>          train: model file to write (default: ./${TypeClassifier.DEFAULT_FILE})
+                          evaluate: model to test (default: leave-one-out, each example against a model trained on the others)
+
+Options for serve:
+  --port <n>              Port to listen on (default: 3000)
+  --host <address>        Address to bind (default: 127.0.0.1)
+  --concurrency <n>       Jobs converted at the same time (default: 1)
+  --job-ttl <minutes>     Minutes a finished job and its files are kept (default: 60)
+  --max-jobs <n>          Finished jobs kept at most, oldest forgotten first (default: 100)
+
+Exit codes:
+  ${EXIT_CODES.SUCCESS}  success
+  ${EXIT_CODES.PIPELINE_ERROR}  pipeline error (unreadable file, unexpected failure)
+  ${EXIT_CODES.USAGE_ERROR}  invalid command line
+  ${EXIT_CODES.LOW_CONFIDENCE}  product type detection confidence below --min-confidence
+  ${EXIT_CODES.MAPPING_UNACCEPTABLE}  column mapping coverage or confidence is not acceptable
+  ${EXIT_CODES.TRANSFORM_FAILURES}  one or more rows failed to transform
+  ${EXIT_CODES.BATCH_INCOMPLETE}  batch: one or more files failed or have warnings (see the summary)
+`;
+
+// Options that take a value, with the key they are stored under
+const VALUE_OPTIONS = {
+    '--out': 'outDir',
+    '--type': 'productType',
+    '--brand': 'brand',
+    '--rows': 'maxRows',
+    '--delimiter': 'delimiter',
+    '--encoding': 'encoding',
+    '--sheet': 'sheet',
+    '--reference-column': 'referenceColumn',
+    '--row-filter': 'rowFilter',
+    '--chunk-size': 'chunkSize',
+    '--min-confidence': 'minConfidence',
+    '--min-coverage': 'minCoverage',
+    '--concurrency': 'concurrency',
+    '--interval': 'interval',
+    '--port': 'port',
+    '--host': 'host',
+    '--job-ttl': 'jobTtl',
+    '--max-jobs': 'maxJobs',
+    '--ai-url': 'aiUrl',
+    '--ai-model': 'aiModel',
+    '--config': 'configPath',
+    '--model': 'modelPath',
+    '--log-level': 'logLevel',
+    '--log-format': 'logFormat'
+};
+
+// Options that are plain switches
+const FLAG_OPTIONS = {
+    '--dry-run': 'dryRun',
+    '--stream': 'stream',
+    '--list-sheets': 'listSheets',
+    '--all-sheets': 'allSheets',
+    '--combine': 'combine',
+    '--row-types': 'rowTypes',
+    '--no-report': 'noReport',
+    '--no-rejected': 'noRejected',
+    '--no-progress': 'noProgress',
+    '--recursive': 'recursive',
+    '--once': 'once',
+    '--simulate': 'simulate',
+    '--ai-fallback': 'aiFallback',
+    '--quiet': 'quiet',
+    '-q': 'quiet',
+    '--help': 'help',
+    '-h': 'help'
+};
+
+class UsageError extends Error {}
+
+/**
+ * Parse command-line arguments into a command, positionals and options
+ * @param {Array} argv - Arguments without the node binary and script path
+ * @returns {Object} Parsed arguments
+ */
+export function parseArgs(argv) {
+    const parsed = { command: null, positionals: [], options: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [name, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+
+        if (VALUE_OPTIONS[name]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) {
+                throw new UsageError(`Missing value for ${name}`);
+            }
+            parsed.options[VALUE_OPTIONS[name]] = value;
+        } else if (FLAG_OPTIONS[name]) {
+            parsed.options[FLAG_OPTIONS[name]] = true;
+        } else if (arg.startsWith('-')) {
+            throw new UsageError(`Unknown option: ${arg}`);
+        } else if (!parsed.command) {
+            parsed.command = arg;
+        } else {
+            parsed.positionals.push(arg);
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Parse a numeric option, falling back to a default when it is not set
+ */
+function parseNumberOption(value, name, defaultValue) {
+    if (value === undefined) return defaultValue;
+
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+        throw new UsageError(`${name} must be a number, got "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Parse a positive integer option ("5abc" and "2.5" are refused), falling back to a default when it is not set
+ */
+function parseIntegerOption(value, name, defaultValue) {
+    if (value === undefined) return defaultValue;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number <= 0) {
+        throw new UsageError(`${name} must be a positive integer, got "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Convert AI command-line options into BatchAIEnhancer options
+ */
+function buildAiOptions(options) {
+    return {
+        simulate: !!options.simulate,
+        baseUrl: options.aiUrl,
+        model: options.aiModel
+    };
+}
+
+/**
+ * Plugins, brand registry, detection weights and product type model from the config file
+ * (none keeps the pipeline defaults); --model takes precedence over the config model
+ */
+function buildConfigOptions(options) {
+    const config = options.config || {};
+    const modelPath = options.modelPath || (config.typeModel !== undefined ? resolve(config.baseDir, config.typeModel) : null);
+    return {
+        ...(config.plugins !== undefined ? { plugins: config.plugins, pluginBaseDir: config.baseDir } : {}),
+        ...(config.brands !== undefined ? { brands: config.brands } : {}),
+        ...(config.detectionWeights !== undefined ? { detectionWeights: config.detectionWeights } : {}),
+        ...(modelPath ? { typeModel: loadTypeModel(modelPath) } : {})
+    };
+}
+
+function loadTypeModel(modelPath) {
+    try {
+        return TypeClassifier.load(modelPath);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+/**
+ * Validate and convert raw convert options into processFile options
+ */
+function buildConvertOptions(options) {
+    const convertOptions = {
+        outDir: options.outDir,
+        brand: options.brand,
+        dryRun: !!options.dryRun,
+        report: !options.noReport,
+        rejected: !options.noRejected,
+        stream: !!options.stream,
+        sheet: options.sheet,
+        referenceColumn: options.referenceColumn,
+        ai: buildAiOptions(options),
+        aiFallback: !!options.aiFallback,
+        logger: options.logger,
+        ...buildConfigOptions(options)
+    };
+
+    if (options.productType) {
+        const productType = options.productType.toUpperCase();
+        if (!ProductTypeDetector.PRODUCT_TYPES[productType] || productType === 'UNKNOWN') {
+            throw new UsageError(`Unknown product type: ${options.productType}`);
+        }
+        convertOptions.productType = productType;
+    }
+
+    if (options.delimiter !== undefined) {
+        const named = { comma: ',', semicolon: ';', tab: '\t', '\\t': '\t', pipe: '|' };
+        const delimiter = named[options.delimiter.toLowerCase()] || options.delimiter;
+        if (delimiter.length !== 1) {
+            throw new UsageError(`--delimiter must be a single character or comma, semicolon, tab, pipe, got "${options.delimiter}"`);
+        }
+        convertOptions.delimiter = delimiter;
+    }
+
+    if (options.encoding !== undefined) {
+        try {
+            convertOptions.encoding = CsvReader.normalizeEncoding(options.encoding);
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+
+    if (options.rowFilter !== undefined) {
+        const rowFilter = options.rowFilter.toLowerCase();
+        if (!CsvReader.ROW_FILTERS.includes(rowFilter)) {
+            throw new UsageError(`--row-filter must be ${CsvReader.ROW_FILTERS.join(' or ')}, got "${options.rowFilter}"`);
+        }
+        convertOptions.rowFilter = rowFilter;
+    }
+
+    if (options.maxRows !== undefined) {
+        convertOptions.maxRows = parseIntegerOption(options.maxRows, '--rows');
+    }
+
+    if (options.chunkSize !== undefined) {
+        if (!options.stream) {
+            throw new UsageError('--chunk-size only applies with --stream');
+        }
+        convertOptions.chunkSize = parseIntegerOption(options.chunkSize, '--chunk-size');
+    }
+
+    return convertOptions;
+}
+
+/**
+ * Print a short summary of a pipeline result
+ */
+function printSummary(result, exitCode, logger) {
+    if (!result.success) {
+        logger.error(`\n💥 PIPELINE FAILED!\n   Errors: ${result.errors.join(', ')}`, { errors: result.errors, exitCode });
+        return;
+    }
+
+    const { detection, mapping, transformation, output } = result.steps;
+
+    logger.info([
+        '\n🎉 PIPELINE SUCCESS!',
+        `   - Product type: ${result.productType} (${detection.confidence}% detection confidence)`,
+        `   - Brand: ${result.brand}${result.brandDetection ? ` (${result.brandDetection.confidence}% confidence${result.brandDetection.source ? `, from ${result.brandDetection.source}` : ''})` : ''}`,
+        `   - Mapping: ${mapping.mappingStats.mapped}/${mapping.mappingStats.totalTargets} fields (${mapping.mappingStats.avgConfidence}% avg confidence)`,
+        `   - Transformed: ${transformation.stats.successfulTransforms}/${transformation.stats.totalRows} rows`,
+        `   - Processing time: ${Math.round(result.stats.totalTime / 1000)}s`,
+        output.dryRun
+            ? `   - Output: none (dry run, ${output.rowCount} rows)`
+            : `   - Output: ${output.filePath} (${output.rowCount} rows)`
+    ].join('\n'), {
+        productType: result.productType,
+        brand: result.brand,
+        confidence: detection.confidence,
+        mapped: mapping.mappingStats.mapped,
+        transformedRows: transformation.stats.successfulTransforms,
+        outputFile: output.filePath || null,
+        exitCode
+    });
+
+    if (exitCode === EXIT_CODES.LOW_CONFIDENCE) {
+        logger.warn('⚠️  Detection confidence is too low, check the product type or use --type');
+    } else if (exitCode === EXIT_CODES.MAPPING_UNACCEPTABLE) {
+        logger.warn('⚠️  Column mapping is not acceptable, check the unmapped columns');
+    } else if (exitCode === EXIT_CODES.TRANSFORM_FAILURES) {
+        logger.warn(`⚠️  ${transformation.stats.failedTransforms} rows failed to transform`);
+    }
+}
+
+/**
+ * Run a conversion, then clear the progress bar (even when the run throws) so what follows prints on a clean line
+ * @param {ProgressBar} [progressBar] - Bar drawn during the run
+ * @param {Function} task - Async conversion
+ */
+async function withProgressBar(progressBar, task) {
+    try {
+        return await task();
+    } finally {
+        if (progressBar) {
+            progressBar.done();
+        }
+    }
+}
+
+async function runConvert(positionals, options) {
+    if (positionals.length !== 1) {
+        throw new UsageError('convert expects exactly one file');
+    }
+
+    const filePath = positionals[0];
+    if ((options.sheet !== undefined || options.allSheets || options.listSheets) && !CsvReader.isWorkbook(filePath)) {
+        throw new UsageError('--sheet, --all-sheets and --list-sheets need a workbook (.xlsx, .xls or .ods content)');
+    }
+    if (options.sheet !== undefined && options.allSheets) {
+        throw new UsageError('--sheet and --all-sheets cannot be combined');
+    }
+    if (options.combine && !options.allSheets) {
+        throw new UsageError('--combine only applies with --all-sheets');
+    }
+    if (options.combine && options.stream) {
+        throw new UsageError('--combine needs the rows in memory, it cannot be used with --stream');
+    }
+
+    if (options.rowTypes && (options.stream || options.allSheets || options.productType)) {
+        throw new UsageError('--row-types cannot be combined with --stream, --all-sheets or --type');
+    }
+
+    if (options.listSheets) {
+        return listSheets(filePath, options.logger);
+    }
+
+    const convertOptions = buildConvertOptions(options);
+    const minConfidence = parseNumberOption(options.minConfidence, '--min-confidence', 60);
+    const minCoverage = parseNumberOption(options.minCoverage, '--min-coverage', 60);
+
+    const converter = new CsvConverterAI({ logger: options.logger });
+    if (options.progressBar) {
+        options.progressBar.attach(converter);
+    }
+
+    if (options.allSheets) {
+        const workbook = await withProgressBar(options.progressBar, () => converter.processSheets(filePath, { ...convertOptions, combine: !!options.combine }));
+        return printSheetsSummary(workbook, { minConfidence, minCoverage, productTypeForced: !!convertOptions.productType }, options.logger);
+    }
+
+    if (options.rowTypes) {
+        const catalog = await withProgressBar(options.progressBar, () => converter.processRowTypes(filePath, convertOptions));
+        return printRowTypesSummary(catalog, { minConfidence, minCoverage }, options.logger);
+    }
+
+    const result = await withProgressBar(options.progressBar, () => converter.processFile(filePath, convertOptions));
+
+    const exitCode = getExitCode(result, { minConfidence, minCoverage, productTypeForced: !!convertOptions.productType });
+    printSummary(result, exitCode, options.logger);
+    return exitCode;
+}
+
+/**
+ * Print the sheets of a workbook, marking the ones --all-sheets would skip
+ */
+function listSheets(filePath, logger) {
+    let sheets;
+    try {
+        sheets = CsvReader.listSheets(filePath);
+    } catch (error) {
+        logger.error(`❌ Cannot read ${filePath}: ${error.message}`);
+        return EXIT_CODES.PIPELINE_ERROR;
+    }
+
+    logger.info(`📑 ${sheets.length} sheets in ${filePath}`);
+    sheets.forEach(sheet => {
+        logger.info(`   ${sheet.position}. ${sheet.name}: ${sheet.columns} columns, ${sheet.rows} rows${sheet.hasData ? '' : ' (no table, skipped by --all-sheets)'}`, sheet);
+    });
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Print the summary of every sheet and the outputs written
+ * @returns {number} Exit code: pipeline error if a sheet failed, otherwise the first sheet warning
+ */
+function printSheetsSummary(workbook, thresholds, logger) {
+    const exitCodes = workbook.sheets.map(({ sheetName, results }) => {
+        const exitCode = getExitCode(results, thresholds);
+        logger.section(`\n📑 Sheet "${sheetName}"`);
+        printSummary(results, exitCode, logger.child({ sheet: sheetName }));
+        return exitCode;
+    });
+
+    if (workbook.outputs.length > 0) {
+        logger.info('\n📁 Outputs:');
+        workbook.outputs.forEach(output => {
+            logger.info(`   - ${output.productType}: ${output.filePath} (${output.rowCount} rows from ${output.sheets.join(', ')})`, output);
+        });
+    }
+
+    if (exitCodes.includes(EXIT_CODES.PIPELINE_ERROR)) return EXIT_CODES.PIPELINE_ERROR;
+    return exitCodes.find(code => code !== EXIT_CODES.SUCCESS) || EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Print the summary of every product type group of a mixed catalog and the outputs written
+ * (the detection confidence of a group is the average confidence of its rows)
+ * @returns {number} Exit code: pipeline error if a group failed, otherwise the first group warning
+ */
+function printRowTypesSummary(catalog, thresholds, logger) {
+    const fromFileType = catalog.rowTypes.filter(tag => tag.source === 'file').length;
+    logger.info(`\n🧩 ${catalog.rowTypes.length} rows classified, ${fromFileType} without evidence of their own took the file type (${catalog.detection.productType})`);
+
+    const exitCodes = catalog.groups.map(({ productType, rowCount, results }) => {
+        const exitCode = getExitCode(results, thresholds);
+        logger.section(`\n🧩 ${productType} (${rowCount} rows)`);
+        printSummary(results, exitCode, logger.child({ productType }));
+        return exitCode;
+    });
+
+    if (catalog.outputs.length > 0) {
+        logger.info('\n📁 Outputs:');
+        catalog.outputs.forEach(output => {
+            logger.info(`   - ${output.productType}: ${output.filePath} (${output.rowCount} rows)`, output);
+        });
+    }
+
+    if (exitCodes.includes(EXIT_CODES.PIPELINE_ERROR)) return EXIT_CODES.PIPELINE_ERROR;
+    return exitCodes.find(code => code !== EXIT_CODES.SUCCESS) || EXIT_CODES.SUCCESS;
+}
+
+async function runBatch(positionals, options) {
+    if (positionals.length === 0) {
+        throw new UsageError('batch expects at least one folder, glob or file');
+    }
+
+    const concurrency = parseIntegerOption(options.concurrency, '--concurrency', 1);
+
+    const batch = new BatchConverter({
+        concurrency,
+        recursive: !!options.recursive,
+        convertOptions: buildConvertOptions(options),
+        thresholds: {
+            minConfidence: parseNumberOption(options.minConfidence, '--min-confidence', 60),
+            minCoverage: parseNumberOption(options.minCoverage, '--min-coverage', 60)
+        },
+        logger: options.logger
+    });
+
+    const summary = await batch.run(positionals);
+    const { jsonPath } = BatchConverter.writeSummary(summary, options.outDir, options.logger);
+
+    options.logger.info('\n📊 BATCH SUMMARY');
+    summary.files.forEach(entry => {
+        const icon = entry.status === 'success' ? '✅' : entry.status === 'warning' ? '⚠️ ' : '❌';
+        options.logger.info(`${icon} ${entry.fileName}: ${entry.productType || '-'} / ${entry.brand || '-'} ` +
+            `(${entry.confidence}% confidence, ${entry.mappingCoverage}% coverage, ${entry.rowsIn} → ${entry.rowsOut} rows)` +
+            (entry.errors.length > 0 ? ` - ${entry.errors.join(', ')}` : ''), { file: entry.fileName, status: entry.status });
+    });
+    options.logger.info(`   Summary: ${jsonPath}`);
+
+    if (summary.totals.files === 0) {
+        options.logger.warn(`⚠️  No supported files found (${CsvReader.supportedExtensions().join(', ')})`);
+        return EXIT_CODES.BATCH_INCOMPLETE;
+    }
+    return summary.totals.succeeded === summary.totals.files ? EXIT_CODES.SUCCESS : EXIT_CODES.BATCH_INCOMPLETE;
+}
+
+async function runWatch(positionals, options) {
+    if (positionals.length !== 1) {
+        throw new UsageError('watch expects exactly one folder');
+    }
+    if (options.outDir || options.dryRun) {
+        throw new UsageError('watch writes outputs next to each processed file, --out and --dry-run are not supported');
+    }
+
+    const interval = parseNumberOption(options.interval, '--interval', 5);
+    if (interval <= 0) {
+        throw new UsageError(`--interval must be positive, got "${options.interval}"`);
+    }
+
+    const watcher = new FolderWatcher(positionals[0], {
+        interval: interval * 1000,
+        convertOptions: buildConvertOptions(options),
+        thresholds: {
+            minConfidence: parseNumberOption(options.minConfidence, '--min-confidence', 60),
+            minCoverage: parseNumberOption(options.minCoverage, '--min-coverage', 60)
+        },
+        logger: options.logger
+    });
+
+    if (options.once) {
+        const reports = await watcher.runOnce();
+        options.logger.info(`\n📊 ${reports.length} files handled`);
+        return reports.some(report => report.status === 'failed') ? EXIT_CODES.BATCH_INCOMPLETE : EXIT_CODES.SUCCESS;
+    }
+
+    await watcher.start();
+
+    // Keep running until interrupted, then let the current file finish
+    await new Promise(resolve => {
+        const shutdown = () => {
+            options.logger.info('\n⏹️  Stopping watcher after the current file...');
+            watcher.stop().then(resolve);
+        };
+        process.once('SIGINT', shutdown);
+        process.once('SIGTERM', shutdown);
+    });
+
+    return EXIT_CODES.SUCCESS;
+}
+
+async function runServe(positionals, options) {
+    if (positionals.length > 0) {
+        throw new UsageError('serve takes no positional arguments');
+    }
+
+    const port = Number(options.port || '3000');
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new UsageError(`--port must be a valid port, got "${options.port}"`);
+    }
+    const concurrency = parseIntegerOption(options.concurrency, '--concurrency', 1);
+
+    const jobTtl = parseNumberOption(options.jobTtl, '--job-ttl', 60);
+    if (jobTtl <= 0) {
+        throw new UsageError(`--job-ttl must be positive, got "${options.jobTtl}"`);
+    }
+    const maxJobs = parseIntegerOption(options.maxJobs, '--max-jobs', 100);
+
+    const server = new ConversionServer({
+        concurrency,
+        jobTtl: jobTtl * 60 * 1000,
+        maxJobs,
+        ai: buildAiOptions(options),
+        convertOptions: buildConfigOptions(options),
+        logger: options.logger
+    });
+    await server.listen(port, options.host || '127.0.0.1');
+
+    await new Promise(resolve => {
+        const shutdown = () => {
+            options.logger.info('\n⏹️  Stopping server...');
+            server.close().then(resolve);
+        };
+        process.once('SIGINT', shutdown);
+        process.once('SIGTERM', shutdown);
+    });
+
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Read a labeled folder for train and evaluate
+ * @returns {Promise<Array|null>} Examples, null when the folder holds no labeled file
+ */
+async function loadExamples(positionals, command, logger) {
+    if (positionals.length !== 1) {
+        throw new UsageError(`${command} expects exactly one folder`);
+    }
+
+    let trainingSet;
+    try {
+        trainingSet = await TrainingSet.load(positionals[0], { logger });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    if (trainingSet.examples.length === 0) {
+        logger.error(`❌ No labeled files in ${positionals[0]}: add a ${TrainingSet.LABELS_FILE} or put the files in folders named after their product type`);
+        return null;
+    }
+    return trainingSet.examples;
+}
+
+async function runTrain(positionals, options) {
+    const examples = await loadExamples(positionals, 'train', options.logger);
+    if (!examples) return EXIT_CODES.PIPELINE_ERROR;
+
+    const model = TypeClassifier.train(examples);
+    const modelPath = options.modelPath || TypeClassifier.DEFAULT_FILE;
+    TypeClassifier.save(model, modelPath);
+
+    options.logger.info(`🧠 Model trained on ${model.examples} examples (${Object.entries(model.classes).map(([type, { examples: count }]) => `${type} ${count}`).join(', ')}), ${model.vocabularySize} tokens`, {
+        examples: model.examples,
+        vocabularySize: model.vocabularySize
+    });
+    options.logger.info(`   Saved: ${modelPath}`);
+    if (Object.keys(model.classes).length < 2) {
+        options.logger.warn('⚠️  Only one product type in the training set, the model always predicts it');
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Confusion matrices of the model and of the full detection (keywords + model) on a labeled folder,
+ * with the accuracy of the keywords alone for comparison
+ */
+async function runEvaluate(positionals, options) {
+    const examples = await loadExamples(positionals, 'evaluate', options.logger);
+    if (!examples) return EXIT_CODES.PIPELINE_ERROR;
+
+    const silent = new Logger({ level: 'silent' });
+    const weights = options.config ? options.config.detectionWeights : undefined;
+    // Same inputs as the detection stage of the pipeline
+    const detect = (example, model) => ProductTypeDetector.detect(example.headers, example.rows.slice(0, 5), silent, {
+        profile: DataProfiler.profile(example.headers, example.rows, {}, silent),
+        valueRows: example.rows.slice(0, CsvConverterAI.VALUE_SAMPLE_ROWS),
+        weights,
+        model
+    }).productType;
+
+    let modelResult;
+    let combinedResult;
+    let method;
+    if (options.modelPath) {
+        const model = loadTypeModel(options.modelPath);
+        modelResult = TypeClassifier.evaluate(examples, example => TypeClassifier.predict(model, example.headers, example.rows).productType);
+        combinedResult = TypeClassifier.evaluate(examples, example => detect(example, model));
+        method = options.modelPath;
+    } else {
+        modelResult = TypeClassifier.crossValidate(examples);
+        combinedResult = TypeClassifier.crossValidate(examples, detect);
+        method = 'leave-one-out';
+    }
+    const keywordResult = TypeClassifier.evaluate(examples, example => detect(example, null));
+
+    printConfusionMatrix(`🧠 Model (${method})`, modelResult, options.logger);
+    printConfusionMatrix('🎯 Detection, keywords + model', combinedResult, options.logger);
+    options.logger.info(`\n📊 Accuracy on ${examples.length} examples: keywords ${keywordResult.accuracy}%, model ${modelResult.accuracy}%, keywords + model ${combinedResult.accuracy}%`, {
+        examples: examples.length,
+        keywords: keywordResult.accuracy,
+        model: modelResult.accuracy,
+        combined: combinedResult.accuracy
+    });
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Print a confusion matrix (labeled types down, predicted types across) and the misclassified examples
+ */
+function printConfusionMatrix(title, result, logger) {
+    const corner = 'labeled \\ predicted';
+    const firstWidth = Math.max(corner.length, ...result.labels.map(label => label.length)) + 2;
+    const width = Math.max(...result.labels.map(label => label.length)) + 2;
+    const line = (first, cells) => `   ${String(first).padEnd(firstWidth)}${cells.map(text => String(text).padStart(width)).join('')}`;
+
+    logger.section(`\n${title}: ${result.correct}/${result.total} correct (${result.accuracy}%)`);
+    logger.info(line(corner, result.labels));
+    result.labels.forEach(actual => {
+        const row = result.matrix[actual] || {};
+        logger.info(line(actual, result.labels.map(predicted => row[predicted] || 0)));
+    });
+    result.errors.forEach(error => {
+        logger.info(`   ❌ ${error.name}: labeled ${error.actual}, predicted ${error.predicted}`, error);
+    });
+}
+
+const COMMANDS = {
+    convert: runConvert,
+    batch: runBatch,
+    watch: runWatch,
+    serve: runServe,
+    train: runTrain,
+    evaluate: runEvaluate
+};
+
+/**
+ * Run the CLI and return the exit code
+ * @param {Array} argv - Arguments without the node binary and script path
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv) {
+    try {
+        const { command, positionals, options } = parseArgs(argv);
+
+        if (options.help || !command) {
+            console.log(HELP);
+            return options.help ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE_ERROR;
+        }
+
+        const run = COMMANDS[command];
+        if (!run) {
+            throw new UsageError(`Unknown command: ${command}`);
+        }
+        if (command !== 'convert' && (options.listSheets || options.allSheets || options.combine)) {
+            throw new UsageError('--list-sheets, --all-sheets and --combine only apply to convert');
+        }
+
+        // The progress bar needs a terminal and plain text logs it can print around
+        if (command === 'convert' && !options.noProgress && options.logFormat !== 'json' && ProgressBar.isSupported()) {
+            options.progressBar = new ProgressBar();
+        }
+
+        try {
+            options.logger = new Logger({
+                level: options.logLevel,
+                format: options.logFormat,
+                quiet: !!options.quiet,
+                stream: options.progressBar ? options.progressBar.wrapStream(process.stdout) : undefined,
+                errorStream: options.progressBar ? options.progressBar.wrapStream(process.stderr) : undefined
+            });
+            options.config = ConfigLoader.load(options.configPath, options.logger);
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+
+        return await run(positionals, options);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`❌ ${error.message}\n`);
+            console.error(HELP);
+            return EXIT_CODES.USAGE_ERROR;
+        }
+        console.error('❌ Unexpected error:', error.message);
+        return EXIT_CODES.PIPELINE_ERROR;
+    }
+}
+
+// Run if this file is executed directly (also through the npm bin symlink)
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
@@ -0,0 +1,23 @@
+/**
+ * Brand Registry Configuration
+ * Known brands with the spellings suppliers use for them (aliases and usual misspellings)
+ * Extend or override it with "brands" in csv-converter.config.json
+ */
+
+export const DEFAULT_BRANDS = [
+    { name: 'Ocean', aliases: ['Ocean Glasses', 'Ocean Sunglasses', 'Oceans'] },
+    { name: 'Nike', aliases: ['Nike Vision'] },
+    { name: 'Adidas', aliases: ['Adidas Originals', 'Adidas Sport', 'Addidas', 'Adiddas'] },
+    { name: 'Ray-Ban', aliases: ['RayBan', 'Ray Ban', 'Rayban', 'Rai-Ban'] },
+    { name: 'Oakley', aliases: ['Oakly', 'Oackley'] },
+    { name: 'Persol', aliases: [] },
+    { name: 'Vogue Eyewear', aliases: ['Vogue'] },
+    { name: 'Carrera', aliases: ['Carrerra'] },
+    { name: 'Polaroid', aliases: ['Polaroid Eyewear'] },
+    { name: 'Guess', aliases: [] },
+    { name: 'Tommy Hilfiger', aliases: ['Tommy', 'Hilfiger'] },
+    { name: 'Police', aliases: [] }
+];
+
+// Columns holding the brand of each row (compared without spaces, accents or punctuation)
+export const BRAND_COLUMNS = ['brand', 'brandname', 'marque', 'marca', 'marke', 'manufacturer', 'fabricant', 'label'];
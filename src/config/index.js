@@ -22,6 +22,12 @@ import {
   headerMatchesField
 } from './mappingPatterns.js';
 
+// Import plugin defaults
+import { DEFAULT_PLUGINS } from './plugins.js';
+
+// Import brand registry
+import { BRAND_COLUMNS, DEFAULT_BRANDS } from './brands.js';
+
 // Export schemas
 export {
   GOHUB_SCHEMAS, getSchema, getSchemaKeys,
@@ -35,6 +41,12 @@ export {
     headerMatchesField
   };
 
+// Export plugin defaults
+export { DEFAULT_PLUGINS };
+
+// Export brand registry
+export { BRAND_COLUMNS, DEFAULT_BRANDS };
+
 // Re-export everything as a single config object for convenience
 export const CONFIG = {
     schemas: {
@@ -51,5 +63,12 @@ export const CONFIG = {
         headerMatchesField,
         findBestMatchingField,
         getAllFieldKeys
+    },
+    plugins: {
+        DEFAULT_PLUGINS
+    },
+    brands: {
+        DEFAULT_BRANDS,
+        BRAND_COLUMNS
     }
 }; 
\ No newline at end of file
@@ -0,0 +1,6 @@
+/**
+ * Plugins Configuration
+ * Plugins enabled when neither the caller nor the config file lists any
+ */
+
+export const DEFAULT_PLUGINS = ['ocean-glasses-rules'];
@@ -3,191 +3,1103 @@
  * Complete Pipeline: Detection → Mapping → Cleaning → AI Enhancement → GoHub Transformation → CSV Output
  */
 
-import { writeFileSync } from 'fs';
-import { GOHUB_SCHEMAS } from './config/index.js';
+import { EventEmitter } from 'events';
+import { appendFileSync, existsSync, mkdirSync, writeFileSync } from 'fs';
+import { basename, join, parse } from 'path';
+import { DEFAULT_PLUGINS, GOHUB_SCHEMAS } from './config/index.js';
+import PluginManager from './plugins/PluginManager.js';
 import BatchAIEnhancer from './services/BatchAIEnhancer.js';
+import BrandDetector from './services/BrandDetector.js';
 import ColumnMapper from './services/ColumnMapper.js';
 import DataCleaner from './services/DataCleaner.js';
+import DataProfiler from './services/DataProfiler.js';
 import GoHubTransformer from './services/GoHubTransformer.js';
 import ProductTypeDetector from './services/ProductTypeDetector.js';
+import ReportWriter from './services/ReportWriter.js';
 import CsvReader from './utils/CsvReader.js';
+import { defaultLogger } from './utils/Logger.js';
 
-class CsvConverterAI {
-    constructor() {
-        console.log('🚀 CSV Converter AI - Complete Pipeline v2.0');
+/**
+ * Pipeline runner
+ * Emits 'stage:start' ({ stage }) and 'stage:end' ({ stage, success, error? }) for each step:
+ * reading, detection, mapping, cleaning, enhancement, transformation, output (plus plugin stages)
+ *
+ * Also emits 'progress' for long runs:
+ *   { type: 'stage', stage, status: 'started'|'finished', index, totalStages }
+ *   { type: 'rows', stage: 'cleaning', completed, total }
+ *   { type: 'ai', stage: 'enhancement', status: 'sent'|'completed', completed, total, fieldType, items, tokensUsed }
+ *   { type: 'chunk', chunk, rows } after each chunk in streaming mode (rows processed so far)
+ */
+class CsvConverterAI extends EventEmitter {
+    static STAGES = ['reading', 'profiling', 'detection', 'mapping', 'cleaning', 'enhancement', 'transformation', 'output'];
+
+    // Rows searched for value patterns (sphere ranges, frame sizes) during product type detection
+    static VALUE_SAMPLE_ROWS = 50;
+
+    // Sample rows sent to the AI provider when detection falls back to it
+    static AI_FALLBACK_ROWS = 5;
+
+    /**
+     * @param {Object} options - Default services, each can also be overridden per call
+     * @param {Object} [options.profiler] - Column profiler (profile)
+     * @param {Object} [options.detector] - Product type detector (detect, detectRows, isConfidenceAcceptable)
+     * @param {Object} [options.brandDetector] - Brand detector (detect, buildRegistry, rowBrand)
+     * @param {Object} [options.mapper] - Column mapper (mapColumns)
+     * @param {Object} [options.cleaner] - Data cleaner (cleanBatch, optionally fillImageLinks)
+     * @param {Object} [options.enhancer] - AI enhancer instance (enhanceBatch), a new BatchAIEnhancer per run otherwise
+     * @param {Object} [options.transformer] - GoHub transformer (transformToGoHub)
+     * @param {Logger} [options.logger] - Logger handed to every service (defaults to the console logger)
+     */
+    constructor(options = {}) {
+        super();
+        this.services = this._pickServices(options);
+        this.logger = options.logger || defaultLogger;
+        this.logger.debug('🚀 CSV Converter AI - Complete Pipeline v2.0');
+    }
+
+    /**
+     * Run the complete pipeline on a single file
+     * @param {string} filePath - Path to the supplier file
+     * @param {Object} options - Run options
+     * @param {string} [options.productType] - Force the product type instead of using the detected one
+     * @param {string} [options.brand] - Force the brand of every row instead of detecting it
+     * @param {Array} [options.brands] - Brand registry entries added to DEFAULT_BRANDS ("Acme" or { name, aliases })
+     * @param {Object} [options.detectionWeights] - Overrides of ProductTypeDetector.WEIGHTS (header, data, value patterns)
+     * @param {Object} [options.typeModel] - Product type model (TypeClassifier.load) used next to the keyword scores
+     * @param {boolean} [options.aiFallback] - Ask the AI provider for the product type when detection confidence is not acceptable
+     * @param {string} [options.outDir] - Directory for the generated CSV (defaults to the current directory)
+     * @param {boolean} [options.dryRun] - Run every step but do not write the output file
+     * @param {number} [options.maxRows] - Only process the first N rows
+     * @param {Object} [options.ai] - BatchAIEnhancer options (simulate, baseUrl, model)
+     * @param {Array} [options.plugins] - Plugins (objects, built-in names or module paths), DEFAULT_PLUGINS otherwise
+     * @param {string} [options.pluginBaseDir] - Folder relative plugin paths are resolved from
+     * @param {Logger} [options.logger] - Logger for this run (entries get stage and file fields)
+     * @param {boolean} [options.report] - Write the JSON/HTML run report next to the output (default: true)
+     * @param {string} [options.delimiter] - CSV delimiter, detected otherwise
+     * @param {string} [options.encoding] - CSV encoding, detected otherwise
+     * @param {boolean} [options.stream] - Read the file in chunks and append each converted chunk to the output
+     * (detection and mapping use the leading sample); for very large catalogs
+     * @param {number} [options.chunkSize] - Rows per chunk in streaming mode
+     * @param {number} [options.sampleSize] - Rows used for detection and mapping in streaming mode
+     * @param {string|number} [options.sheet] - Excel sheet name or 1-based position (the name goes in the output file name)
+     * @param {string} [options.referenceColumn] - Column every kept row must fill, guessed otherwise
+     * @param {string} [options.rowFilter] - 'strict' (default) drops rows without reference, 'lenient' keeps them
+     * @param {boolean} [options.rejected] - Write the rows dropped while reading to <output>.rejected.csv (default: true)
+     * @returns {Object} Results with per-step details
+     */
+    async processFile(filePath, options = {}) {
+        const readOptions = this._readOptions(options);
+        const readData = options.stream
+            ? logger => CsvReader.openStream(filePath, { ...readOptions, chunkSize: options.chunkSize, sampleSize: options.sampleSize, logger })
+            : logger => CsvReader.readFile(filePath, { ...readOptions, logger });
+        const run = await this._runPipeline(readData, {
+            ...options,
+            fileName: basename(filePath),
+            writeOutput: !options.dryRun
+        });
+        return run.results;
     }
 
-    async processFile(filePath) {
-        console.log('🚀 COMPLETE PIPELINE PROCESSING\n');
-        console.log('📋 Steps: Detection → Mapping → Cleaning → AI Enhancement → CSV Output\n');
+    /**
+     * Convert every sheet of an Excel workbook as its own dataset, with product type detection per sheet
+     * Sheets without a table (cover pages, notes) are skipped.
+     * @param {string} filePath - Path to the .xlsx/.xls file
+     * @param {Object} options - Same options as processFile, plus the one below
+     * @param {boolean} [options.combine] - One output per product type instead of one per sheet
+     * @returns {Object} { success, sheets: [{ sheetName, results }], outputs: [{ productType, filePath, rowCount, sheets }], errors }
+     */
+    async processSheets(filePath, options = {}) {
+        const logger = options.logger || this.logger;
+        const sheets = CsvReader.listSheets(filePath);
+        const dataSheets = sheets.filter(sheet => sheet.hasData);
 
-        const startTime = Date.now();
-        const results = {
-            success: false,
-            steps: {},
-            errors: [],
-            stats: {}
+        sheets.filter(sheet => !sheet.hasData).forEach(sheet => {
+            logger.info(`⏭️  Skipping sheet "${sheet.name}" (no table found)`, { sheet: sheet.name });
+        });
+        if (dataSheets.length === 0) {
+            throw new Error(`No sheet with data in ${basename(filePath)}`);
+        }
+        logger.info(`📑 Converting ${dataSheets.length} sheets: ${dataSheets.map(sheet => sheet.name).join(', ')}`);
+
+        const runs = [];
+        for (const sheet of dataSheets) {
+            const readOptions = { ...this._readOptions(options), sheet: sheet.name };
+            const run = await this._runPipeline(sheetLogger => CsvReader.readFile(filePath, { ...readOptions, logger: sheetLogger }), {
+                ...options,
+                sheet: sheet.name,
+                logger: logger.child({ sheet: sheet.name }),
+                fileName: basename(filePath),
+                writeOutput: !options.dryRun && !options.combine,
+                report: options.combine ? false : options.report
+            });
+            runs.push({ sheetName: sheet.name, ...run });
+        }
+
+        const outputs = options.combine && !options.dryRun
+            ? this._writeCombinedOutputs(runs, basename(filePath), options, logger)
+            : runs.filter(run => run.results.steps.output && run.results.steps.output.filePath).map(run => ({
+                productType: run.results.productType,
+                filePath: run.results.steps.output.filePath,
+                rowCount: run.results.steps.output.rowCount,
+                sheets: [run.sheetName]
+            }));
+
+        return {
+            success: runs.every(run => run.results.success),
+            sheets: runs.map(run => ({ sheetName: run.sheetName, results: run.results })),
+            outputs,
+            errors: runs.flatMap(run => run.results.errors.map(error => `${run.sheetName}: ${error}`))
         };
+    }
 
-        try {
-            // ============================================
-            // STEP 1: CSV READING
-            // ============================================
-            console.log('📂 STEP 1: Reading CSV');
-            console.log('='.repeat(50));
-
-            const csvData = await CsvReader.readFile(filePath);
-            
-            console.log(`✅ File loaded: ${csvData.fileName} (${csvData.totalRows} rows, ${csvData.headers.length} columns)`);
-
-            results.steps.reading = {
-                success: true,
-                fileName: csvData.fileName,
-                headers: csvData.headers.length,
-                rows: csvData.totalRows
-            };
+    /**
+     * Convert a catalog mixing product types: every row is classified on its own, then each product type
+     * goes through mapping, cleaning and transformation against its own schema and gets its own output
+     * @param {string} filePath - Path to the supplier file
+     * @param {Object} options - Same options as processFile (productType and stream do not apply)
+     * @returns {Object} { success, detection, rowTypes, groups: [{ productType, rowCount, results }], outputs: [{ productType, filePath, rowCount }], errors }
+     */
+    async processRowTypes(filePath, options = {}) {
+        const logger = options.logger || this.logger;
+        const fileName = basename(filePath);
+        const { profiler, detector, enhancer } = this._pickServices(options);
 
-            // ============================================
-            // STEP 2: PRODUCT TYPE DETECTION
-            // ============================================
-            console.log('\n🎯 STEP 2: Product type detection');
-            console.log('='.repeat(50));
+        const data = await CsvReader.readFile(filePath, { ...this._readOptions(options), logger });
+        const rows = options.maxRows ? data.rows.slice(0, options.maxRows) : data.rows;
+        if (rows.length === 0) {
+            throw new Error(`No rows to convert in ${fileName}`);
+        }
 
-            const sampleRows = CsvReader.getSampleRows(csvData, 5);
-            const detectionResult = ProductTypeDetector.detect(csvData.headers, sampleRows);
+        // The file type is what rows without keywords of their own fall back to
+        const profile = profiler.profile(data.headers, rows, { originalHeaders: data.originalHeaders }, logger);
+        let detection = detector.detect(data.headers, CsvReader.getSampleRows(data, 5), logger, {
+            profile,
+            valueRows: rows.slice(0, CsvConverterAI.VALUE_SAMPLE_ROWS),
+            weights: options.detectionWeights,
+            model: options.typeModel
+        });
+        if (options.aiFallback && !detector.isConfidenceAcceptable(detection)) {
+            detection = await this._aiDetectionFallback(detection, { headers: data.headers, rows }, {
+                detector,
+                enhancer: enhancer || new BatchAIEnhancer({ ...options.ai, logger })
+            }, options, logger);
+        }
+        const rowTypes = detector.detectRows(rows, { fileDetection: detection, profile, weights: options.detectionWeights });
 
-            console.log(`✅ Type detected: ${detectionResult.productType} (${detectionResult.confidence}% confidence)`);
+        const groups = new Map();
+        rows.forEach((row, index) => {
+            const { productType } = rowTypes[index];
+            if (!groups.has(productType)) groups.set(productType, []);
+            groups.get(productType).push(index);
+        });
+        const rowCounts = Object.fromEntries([...groups].map(([productType, indexes]) => [productType, indexes.length]));
+        logger.info(`🧩 Row types: ${Object.entries(rowCounts).map(([productType, count]) => `${productType} ${count}`).join(', ')} (file type: ${detection.productType})`, {
+            rowTypes: rowCounts
+        });
 
-            results.steps.detection = detectionResult;
+        const runs = [];
+        for (const [productType, indexes] of groups) {
+            const groupRows = indexes.map(index => rows[index]);
+            const tags = indexes.map(index => rowTypes[index]);
+            const fromFileType = tags.filter(tag => tag.source === 'file').length;
+            const confidence = Math.round(tags.reduce((sum, tag) => sum + tag.confidence, 0) / tags.length);
+            const run = await this._runPipeline(() => ({
+                ...data,
+                rows: groupRows,
+                totalRows: groupRows.length,
+                // Rows dropped while reading are written once, with the first group
+                rejectedRows: runs.length === 0 ? data.rejectedRows : []
+            }), {
+                ...options,
+                productType: undefined,
+                maxRows: undefined,
+                logger: logger.child({ productType }),
+                fileName,
+                writeOutput: !options.dryRun,
+                rowGroup: {
+                    productType,
+                    rowCount: groupRows.length,
+                    totalRows: rows.length,
+                    fromFileType,
+                    averageConfidence: confidence,
+                    // Stands for product type detection in the group run (scores are rows per type)
+                    detection: {
+                        productType,
+                        confidence,
+                        matchedKeywords: [...new Set(tags.flatMap(tag => tag.matchedKeywords))],
+                        allScores: rowCounts,
+                        reasoning: `${groupRows.length - fromFileType} rows classified as ${productType} from their values` +
+                            (fromFileType > 0 ? `, ${fromFileType} without evidence of their own took the file type` : ''),
+                        // The AI answer on the file type (and its tokens) goes with the first group
+                        ai: runs.length === 0 ? detection.ai || null : null
+                    }
+                }
+            });
+            runs.push({ productType, rowCount: groupRows.length, ...run });
+        }
 
-            if (!ProductTypeDetector.isConfidenceAcceptable(detectionResult)) {
-                console.log('⚠️  WARNING: Low confidence for detection');
-            }
+        return {
+            success: runs.every(run => run.results.success),
+            detection,
+            rowTypes: rows.map((row, index) => ({ line: CsvReader.getSourceLine(row) ?? index + 1, ...rowTypes[index] })),
+            groups: runs.map(run => ({ productType: run.productType, rowCount: run.rowCount, results: run.results })),
+            outputs: runs
+                .filter(run => run.results.steps.output && run.results.steps.output.filePath)
+                .map(run => ({ productType: run.productType, filePath: run.results.steps.output.filePath, rowCount: run.results.steps.output.rowCount })),
+            errors: runs.flatMap(run => run.results.errors.map(error => `${run.productType}: ${error}`))
+        };
+    }
 
-            // Detect brand from filename
-            const brand = ProductTypeDetector.detectBrand(csvData.fileName);
-            console.log(`🔍 Brand detected: ${brand}`);
+    /**
+     * Reader options picked from run options
+     */
+    _readOptions(options) {
+        return {
+            delimiter: options.delimiter,
+            encoding: options.encoding,
+            sheet: options.sheet,
+            referenceColumn: options.referenceColumn,
+            rowFilter: options.rowFilter
+        };
+    }
 
-            // ============================================
-            // STEP 3: COLUMN MAPPING
-            // ============================================
-            console.log('\n🗺️  STEP 3: Column mapping');
-            console.log('='.repeat(50));
+    /**
+     * Write one GoHub CSV per product type from the sheets converted in memory,
+     * then the run report of each sheet next to its combined output
+     */
+    _writeCombinedOutputs(runs, fileName, options, logger) {
+        const groups = new Map();
+        runs.filter(run => run.results.success).forEach(run => {
+            const { productType } = run.results;
+            if (!groups.has(productType)) groups.set(productType, []);
+            groups.get(productType).push(run);
+        });
 
-            const mappingResult = ColumnMapper.mapColumns(csvData.headers, detectionResult.productType);
+        const outputs = [];
+        groups.forEach((groupRuns, productType) => {
+            const rows = groupRuns.flatMap(run => run.transformedRows);
+            const output = this.generateGoHubCSV(rows, productType, groupRuns[0].results.brand, options.outDir, logger);
+            logger.info(`🧩 ${productType}: ${rows.length} rows from ${groupRuns.map(run => `"${run.sheetName}"`).join(', ')}`, { productType, rows: rows.length });
 
-            const coverage = Math.round((Object.keys(mappingResult.mapping).length / mappingResult.mappingStats.totalTargets) * 100);
-            console.log(`✅ Mapping completed: ${coverage}% coverage (${Object.keys(mappingResult.mapping).length}/${mappingResult.mappingStats.totalTargets} fields)`);
+            groupRuns.forEach(run => {
+                run.results.steps.output = { ...output, rowCount: run.transformedRows.length, combinedRowCount: output.rowCount };
+            });
+            if (output.filePath) {
+                outputs.push({ productType, filePath: output.filePath, rowCount: output.rowCount, sheets: groupRuns.map(run => run.sheetName) });
+            }
+        });
 
-            results.steps.mapping = mappingResult;
+        runs.forEach(run => {
+            const { output } = run.results.steps;
+            const baseName = output && output.fileName
+                ? `${parse(output.fileName).name}.${this._slug(run.sheetName)}`
+                : ReportWriter.baseNameFor(null, this._sheetFileName(fileName, run.sheetName));
+            this._writeRunFiles(run.results, run.rejectedRows, baseName, options, logger);
+        });
 
-            // ============================================
-            // STEP 4: DATA CLEANING
-            // ============================================
-            console.log('\n🧹 STEP 4: Data cleaning');
-            console.log('='.repeat(50));
+        return outputs;
+    }
 
-            const testRows = csvData.rows;
-            console.log(`📊 Processing ${testRows.length} rows...`);
+    /**
+     * Convert rows already in memory, without touching the disk unless asked to
+     * @param {Array} rows - Row objects keyed by header, or arrays in header order
+     * @param {Array} headers - Original column headers
+     * @param {Object} options - Same options as processFile, plus the ones below
+     * @param {string} [options.fileName] - Name used for brand detection and reports
+     * @param {boolean} [options.writeOutput] - Also write the GoHub CSV (to options.outDir or the current directory)
+     * @returns {Object} { success, transformedRows, rejectedRows, csv, results, errors }
+     */
+    async convertRows(rows, headers, options = {}) {
+        const run = await this._runPipeline(logger => CsvReader.fromRows(headers, rows, { ...options, logger }), {
+            ...options,
+            fileName: options.fileName || 'in-memory',
+            writeOutput: !!(options.writeOutput || options.outDir)
+        });
+        return this._toConversion(run);
+    }
 
-            const cleaningResult = DataCleaner.cleanBatch(testRows, mappingResult.mapping, GOHUB_SCHEMAS);
+    /**
+     * Convert a file held in memory (upload, object storage download, ...)
+     * @param {Buffer} buffer - File content
+     * @param {string} [format] - Expected format ('xlsx', 'ods', 'csv', 'json'...), the content is sniffed anyway
+     * @param {Object} options - Same options as convertRows
+     * @returns {Object} { success, transformedRows, rejectedRows, csv, results, errors }
+     */
+    async convertBuffer(buffer, format, options = {}) {
+        const run = await this._runPipeline(logger => CsvReader.readBuffer(buffer, format, { ...options, logger }), {
+            ...options,
+            fileName: options.fileName || `upload.${String(format || '').toLowerCase().replace(/^\./, '')}`,
+            writeOutput: !!(options.writeOutput || options.outDir)
+        });
+        return this._toConversion(run);
+    }
 
-            const aiPercentage = Math.round((cleaningResult.stats.needsAI / cleaningResult.stats.totalFields) * 100);
-            console.log(`✅ Cleaning completed: ${aiPercentage}% of fields need AI enhancement`);
+    _toConversion({ results, transformedRows, rejectedRows, csv }) {
+        return {
+            success: results.success,
+            transformedRows,
+            rejectedRows,
+            csv,
+            results,
+            errors: results.errors
+        };
+    }
 
-            results.steps.cleaning = cleaningResult;
+    /**
+     * Services for one run: per-call options win over the constructor defaults
+     */
+    _pickServices(options = {}) {
+        const defaults = this.services || {
+            profiler: DataProfiler,
+            detector: ProductTypeDetector,
+            brandDetector: BrandDetector,
+            mapper: ColumnMapper,
+            cleaner: DataCleaner,
+            enhancer: null,
+            transformer: GoHubTransformer
+        };
 
-            // ============================================
-            // STEP 5: BATCH AI ENHANCEMENT
-            // ============================================
-            console.log('\n🚀 STEP 5: Batch AI Enhancement');
-            console.log('='.repeat(50));
+        return {
+            profiler: options.profiler || defaults.profiler,
+            detector: options.detector || defaults.detector,
+            brandDetector: options.brandDetector || defaults.brandDetector,
+            mapper: options.mapper || defaults.mapper,
+            cleaner: options.cleaner || defaults.cleaner,
+            enhancer: options.enhancer || defaults.enhancer,
+            transformer: options.transformer || defaults.transformer
+        };
+    }
+
+    /**
+     * Run every stage, with plugin hooks around each of them
+     * @param {Function} readData - Async function (logger) returning CsvReader-shaped data
+     * @param {Object} options - Run options (see processFile), writeOutput decides if the CSV is written
+     * @returns {Object} { results, transformedRows, csv }
+     */
+    async _runPipeline(readData, options = {}) {
+        const runLogger = (options.logger || this.logger).child({ file: options.fileName });
 
-            const batchEnhancer = new BatchAIEnhancer();
-            const enhancementResult = await batchEnhancer.enhanceBatch(cleaningResult.cleanedRows, detectionResult.productType, cleaningResult.stats);
+        runLogger.info('🚀 COMPLETE PIPELINE PROCESSING');
+        runLogger.debug('📋 Steps: Detection → Mapping → Cleaning → AI Enhancement → CSV Output');
 
+        const startTime = Date.now();
+        const results = {
+            success: false,
+            ...(options.rowGroup ? { rowGroup: options.rowGroup } : {}),
+            steps: {},
+            errors: [],
+            stats: {}
+        };
 
-            results.steps.enhancement = enhancementResult;
+        // Shared state handed to every stage and plugin hook
+        // (context.logger is bound to the running stage)
+        const context = {
+            options,
+            logger: runLogger,
+            services: this._pickServices(options),
+            readData,
+            results,
+            csvData: null,
+            detection: null,
+            productType: null,
+            brand: null,
+            brandDetection: null,
+            mapping: null,
+            rows: [],
+            cleaning: null,
+            enhancement: null,
+            transformation: null,
+            output: null,
+            csv: ''
+        };
 
-            // ============================================
-            // STEP 6: GOHUB TRANSFORMATION
-            // ============================================
-            console.log('\n🔄 STEP 6: GoHub transformation');
-            console.log('='.repeat(50));
+        let currentStage = null;
+        let rowCount = 0;
 
-            const transformResult = GoHubTransformer.transformToGoHub(
-                enhancementResult.enhancedRows,
-                detectionResult.productType,
-                brand
+        try {
+            const plugins = await PluginManager.load(
+                options.plugins !== undefined ? options.plugins : DEFAULT_PLUGINS,
+                options.pluginBaseDir
             );
+            if (plugins.names.length > 0) {
+                runLogger.info(`🔌 Plugins: ${plugins.names.join(', ')}`, { plugins: plugins.names });
+            }
+            results.plugins = plugins.names;
 
-            console.log(`✅ GoHub transformation completed: ${transformResult.stats.successfulTransforms}/${transformResult.stats.totalRows} rows transformed`);
+            const stages = plugins.buildStages([
+                { name: 'reading', run: ctx => this._readingStage(ctx) },
+                { name: 'profiling', run: ctx => this._profilingStage(ctx) },
+                { name: 'detection', run: ctx => this._detectionStage(ctx) },
+                { name: 'mapping', run: ctx => this._mappingStage(ctx) },
+                { name: 'cleaning', run: ctx => this._cleaningStage(ctx) },
+                { name: 'enhancement', run: ctx => this._enhancementStage(ctx) },
+                { name: 'transformation', run: ctx => this._transformationStage(ctx) },
+                { name: 'output', run: ctx => this._outputStage(ctx) }
+            ]);
 
-            results.steps.transformation = transformResult;
-            
-            // ============================================
-            // OUTPUT GENERATION
-            // ============================================
-            console.log('\n📄 Generating output files...');
-            console.log('='.repeat(50));
-            const outputResult = this.generateGoHubCSV(transformResult.transformedRows, detectionResult.productType, brand);
+            const runStage = async (stage, index, stageLogger = runLogger, events = true) => {
+                currentStage = stage.name;
+                context.logger = stageLogger.child({ stage: stage.name });
+                if (events) {
+                    this.emit('stage:start', { stage: stage.name });
+                    this.emit('progress', { type: 'stage', stage: stage.name, status: 'started', index, totalStages: stages.length });
+                }
 
-            results.steps.output = outputResult;
+                await plugins.runHooks('before', stage.name, context);
+                if (stage.plugin) {
+                    context.logger.section(`\n🔌 STAGE ${stage.name} (${stage.plugin})`);
+                }
+                await stage.run(context);
+                await plugins.runHooks('after', stage.name, context);
+            };
+            const endStage = (stage, index) => {
+                this.emit('stage:end', { stage: stage.name, success: true });
+                this.emit('progress', { type: 'stage', stage: stage.name, status: 'finished', index, totalStages: stages.length });
+            };
+
+            // Stages after mapping work on rows, once per chunk in streaming mode
+            const firstRowStage = stages.findIndex(stage => stage.name === 'mapping') + 1;
+
+            for (const [index, stage] of stages.slice(0, firstRowStage).entries()) {
+                await runStage(stage, index);
+                this._recordStep(context, stage.name);
+                endStage(stage, index);
+            }
+
+            if (context.csvData.chunks) {
+                await this._runChunks(context, stages, firstRowStage, runStage, endStage, runLogger);
+                rowCount = results.steps.output.rowCount;
+            } else {
+                const { csvData } = context;
+                context.rows = options.maxRows ? csvData.rows.slice(0, options.maxRows) : csvData.rows;
+                rowCount = context.rows.length;
+
+                for (const [offset, stage] of stages.slice(firstRowStage).entries()) {
+                    await runStage(stage, firstRowStage + offset);
+                    this._recordStep(context, stage.name);
+                    endStage(stage, firstRowStage + offset);
+                }
+            }
+            currentStage = null;
+            context.logger = runLogger;
 
             // ============================================
             // COMPLETION
             // ============================================
             const totalTime = Date.now() - startTime;
 
-            console.log('\n🎉 PIPELINE COMPLETED SUCCESSFULLY');
-            console.log('='.repeat(50));
-            console.log(`⏱️  Total time: ${Math.round(totalTime / 1000)}s`);
-            console.log(`📊 Rows processed: ${csvData.totalRows}`);
+            runLogger.section('\n🎉 PIPELINE COMPLETED SUCCESSFULLY');
+            runLogger.info(`⏱️  Total time: ${Math.round(totalTime / 1000)}s, 📊 rows processed: ${rowCount}`, {
+                totalTime,
+                rows: rowCount
+            });
 
+            // The AI fallback of the detection step spends tokens of the same provider
+            const detectionAI = results.steps.detection && results.steps.detection.ai;
             results.success = true;
             results.stats = {
                 totalTime,
-                tokensUsed: enhancementResult.stats.tokensUsed
+                tokensUsed: (results.steps.enhancement.stats.tokensUsed || 0) + (detectionAI ? detectionAI.tokensUsed || 0 : 0)
             };
 
-            return results;
-
         } catch (error) {
-            console.error('\n❌ PIPELINE ERROR:', error.message);
+            runLogger.error(`❌ PIPELINE ERROR: ${error.message}`, { stage: currentStage });
+
+            if (currentStage) {
+                this.emit('stage:end', { stage: currentStage, success: false, error: error.message });
+            }
 
             results.success = false;
             results.errors.push(error.message);
-            return results;
         }
+
+        const rejectedRows = context.csvData ? context.csvData.rejectedRows || [] : [];
+
+        // Rejected rows and run report next to the output, for failed runs too
+        if (options.writeOutput) {
+            const fileName = options.sheet !== undefined ? this._sheetFileName(options.fileName, options.sheet) : options.fileName;
+            const baseName = ReportWriter.baseNameFor(results.steps.output, fileName);
+            this._writeRunFiles(results, rejectedRows, baseName, options, runLogger, context.rejectedSpool);
+        }
+
+        return {
+            results,
+            transformedRows: context.transformation ? context.transformation.transformedRows : [],
+            rejectedRows,
+            csv: context.csv
+        };
+    }
+
+    /**
+     * Write the rejected rows file and the run report of a run
+     * @param {Object} [rejectedSpool] - Rejected rows a streaming run already appended to a file ({ filePath, rowCount })
+     */
+    _writeRunFiles(results, rejectedRows, baseName, options, logger, rejectedSpool = null) {
+        const outDir = options.outDir || '.';
+
+        if (rejectedSpool) {
+            try {
+                results.rejected = ReportWriter.moveRejectedRows(rejectedSpool, outDir, baseName, logger);
+            } catch (error) {
+                logger.error(`❌ Error saving rejected rows: ${error.message}`);
+            }
+        } else if (options.rejected !== false && rejectedRows.length > 0 && results.steps.reading) {
+            try {
+                results.rejected = ReportWriter.writeRejectedRows(rejectedRows, results.steps.reading, outDir, baseName, logger);
+            } catch (error) {
+                logger.error(`❌ Error saving rejected rows: ${error.message}`);
+            }
+        }
+
+        if (options.report !== false) {
+            try {
+                results.report = ReportWriter.write(results, outDir, baseName, logger);
+            } catch (error) {
+                logger.error(`❌ Error saving run report: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Copy what a built-in stage left in the context into results.steps
+     * (after the plugin hooks, so their changes are reported)
+     */
+    _recordStep(context, stageName) {
+        const { results } = context;
+
+        switch (stageName) {
+            case 'reading':
+                results.steps.reading = {
+                    success: true,
+                    fileName: context.csvData.fileName,
+                    format: context.csvData.format || null,
+                    headers: context.csvData.headers.length,
+                    rows: context.csvData.totalRows,
+                    originalHeaders: context.csvData.originalHeaders,
+                    headerMapping: context.csvData.headerMapping,
+                    headerCollisions: context.csvData.headerCollisions || [],
+                    encoding: context.csvData.encoding || null,
+                    delimiter: context.csvData.delimiter || null,
+                    sheetName: context.csvData.sheetName || null,
+                    headerRow: context.csvData.headerRow || null,
+                    cleaningStats: context.csvData.cleaningStats
+                };
+                break;
+            case 'profiling':
+                results.steps.profiling = context.profile;
+                break;
+            case 'detection':
+                results.steps.detection = context.detection;
+                results.productType = context.productType;
+                results.brand = context.brand;
+                results.brandDetection = context.brandDetection;
+                break;
+            case 'mapping':
+                results.steps.mapping = context.mapping;
+                break;
+            case 'cleaning':
+                results.steps.cleaning = context.cleaning;
+                break;
+            case 'enhancement':
+                results.steps.enhancement = context.enhancement;
+                break;
+            case 'transformation':
+                results.steps.transformation = context.transformation;
+                break;
+            case 'output':
+                results.steps.output = context.output;
+                break;
+        }
+    }
+
+    /**
+     * Streaming mode: run the row stages on every chunk and sum their results
+     * Only the first chunk logs at info level, later ones report a single progress line.
+     */
+    async _runChunks(context, stages, firstRowStage, runStage, endStage, runLogger) {
+        const { options, results } = context;
+        const rowStages = stages.slice(firstRowStage);
+        const chunkLevel = runLogger.level === 'info' ? 'warn' : runLogger.level;
+        const totals = { cleaning: {}, enhancement: {}, transformation: { failures: [] } };
+
+        let chunkNumber = 0;
+        let rowsRead = 0;
+
+        for await (let chunk of context.csvData.chunks()) {
+            if (options.maxRows) {
+                if (rowsRead >= options.maxRows) break;
+                chunk = chunk.slice(0, options.maxRows - rowsRead);
+            }
+            chunkNumber++;
+
+            const chunkLogger = runLogger.child({ chunk: chunkNumber }, chunkNumber > 1 ? { level: chunkLevel } : {});
+            context.rows = chunk;
+
+            for (const [offset, stage] of rowStages.entries()) {
+                await runStage(stage, firstRowStage + offset, chunkLogger, chunkNumber === 1);
+            }
+
+            // Failed rows are numbered within their chunk
+            const { failures = [], ...transformationStats } = context.transformation.stats;
+            this._sumStats(totals.cleaning, context.cleaning.stats);
+            this._sumStats(totals.enhancement, context.enhancement.stats);
+            this._sumStats(totals.transformation, transformationStats);
+            totals.transformation.failures.push(...failures.map(failure => ({ ...failure, row: rowsRead + failure.row })));
+
+            rowsRead += chunk.length;
+            this._spoolRejectedRows(context);
+            runLogger.info(`📦 Chunk ${chunkNumber}: ${chunk.length} rows converted (${rowsRead} so far)`, {
+                chunk: chunkNumber,
+                rows: rowsRead
+            });
+            this.emit('progress', { type: 'chunk', chunk: chunkNumber, rows: rowsRead });
+        }
+
+        if (chunkNumber === 0) {
+            throw new Error('No rows to convert');
+        }
+
+        if (context.output.rowCount === 0 && options.writeOutput) {
+            runLogger.warn('⚠️ No data to export');
+        }
+
+        // Per-row details are not kept in streaming mode, only the summed stats
+        context.rows = [];
+        results.steps.reading.rows = context.csvData.cleaningStats.cleanedRows;
+        results.steps.cleaning = { stats: totals.cleaning };
+        results.steps.enhancement = { stats: totals.enhancement };
+        results.steps.transformation = { productType: context.productType, stats: totals.transformation, chunks: chunkNumber };
+        results.steps.output = context.output;
+
+        rowStages.forEach((stage, offset) => endStage(stage, firstRowStage + offset));
+    }
+
+    /**
+     * Append the rows rejected while reading the last chunk to a file next to the output, renamed with
+     * the run files at the end (the output name is only known once a chunk was written)
+     */
+    _spoolRejectedRows(context) {
+        const { options, results } = context;
+        const rejectedRows = context.csvData.takeRejectedRows();
+        if (rejectedRows.length === 0 || !options.writeOutput || options.rejected === false) return;
+
+        if (!context.rejectedSpool) {
+            context.rejectedSpool = { filePath: join(options.outDir || '.', `.rejected-${process.pid}-${Date.now()}.csv.part`), rowCount: 0 };
+        }
+        ReportWriter.appendRejectedRows(rejectedRows, results.steps.reading, context.rejectedSpool.filePath);
+        context.rejectedSpool.rowCount += rejectedRows.length;
+    }
+
+    _sumStats(total, stats) {
+        Object.entries(stats).forEach(([key, value]) => {
+            if (typeof value === 'number') {
+                total[key] = (total[key] || 0) + value;
+            }
+        });
+    }
+
+    // ============================================
+    // STEP 1: CSV READING
+    // ============================================
+    async _readingStage(context) {
+        const { logger } = context;
+
+        logger.section('📂 STEP 1: Reading CSV');
+
+        context.csvData = await context.readData(logger);
+        const { csvData } = context;
+
+        logger.info(`✅ File ${csvData.chunks ? 'opened' : 'loaded'}: ${csvData.fileName} (${csvData.totalRows} ${csvData.chunks ? 'sample ' : ''}rows, ${csvData.headers.length} columns)`, {
+            rows: csvData.totalRows,
+            columns: csvData.headers.length
+        });
+    }
+
+    // ============================================
+    // COLUMN PROFILING
+    // ============================================
+    _profilingStage(context) {
+        const { csvData, logger } = context;
+
+        logger.section('\n📊 Column profiling');
+
+        const profile = context.services.profiler.profile(csvData.headers, csvData.rows, {
+            originalHeaders: csvData.originalHeaders,
+            lineOf: row => CsvReader.getSourceLine(row),
+            sampled: !!csvData.chunks
+        }, logger);
+
+        const typed = profile.columns.filter(column => column.type !== 'text' && column.type !== 'empty');
+        const outliers = profile.columns.reduce((sum, column) => sum + column.outlierCount, 0);
+        logger.info(`✅ ${profile.columns.length} columns profiled over ${profile.rowCount} ${profile.sampled ? 'sample ' : ''}rows: ${typed.map(column => `${column.originalHeader} (${column.type})`).join(', ') || 'free text only'}`);
+        if (outliers > 0) {
+            logger.info(`   🔎 ${outliers} values stand out from their column (see the run report)`);
+        }
+
+        context.profile = profile;
+    }
+
+    /**
+     * Second opinion of the AI provider when the detection confidence is not acceptable (aiFallback option)
+     * @param {Object} detection - detect() result
+     * @param {Object} data - { headers, rows }
+     * @param {Object} services - { detector, enhancer }
+     * @param {Object} options - Run options (detectionWeights)
+     * @param {Logger} logger - Logger
+     * @returns {Promise<Object>} Detection merged with the answer, unchanged when there is no usable answer
+     */
+    async _aiDetectionFallback(detection, data, services, options, logger) {
+        const { detector, enhancer } = services;
+        if (typeof enhancer.classifyProductType !== 'function') {
+            logger.warn('⚠️  The AI enhancer cannot classify product types, keeping the keyword detection');
+            return detection;
+        }
+
+        logger.info(`🤖 Detection confidence is ${detection.confidence}%, asking the AI provider for the product type`);
+        const answer = await enhancer.classifyProductType(data.headers, data.rows.slice(0, CsvConverterAI.AI_FALLBACK_ROWS), detector.TYPE_DESCRIPTIONS);
+        if (!answer) {
+            logger.warn('⚠️  No usable AI answer, keeping the keyword detection');
+            return detection;
+        }
+
+        const merged = detector.mergeAIAnswer(detection, answer, { weights: options.detectionWeights });
+        logger.info(`🤖 AI answer${answer.source === 'simulation' ? ' (simulated)' : ''}: ${answer.productType}, ${answer.rationale} (${answer.tokensUsed || 0} tokens)`);
+        logger.info(`✅ Type after AI fallback: ${merged.productType} (${merged.confidence}% confidence)`, { ai: answer });
+        return merged;
+    }
+
+    // ============================================
+    // STEP 2: PRODUCT TYPE DETECTION
+    // ============================================
+    async _detectionStage(context) {
+        const { csvData, options, logger } = context;
+        const { detector } = context.services;
+
+        logger.section('\n🎯 STEP 2: Product type detection');
+
+        const sampleRows = CsvReader.getSampleRows(csvData, 5);
+        let detectionResult = options.rowGroup
+            ? options.rowGroup.detection
+            : detector.detect(csvData.headers, sampleRows, logger, {
+                profile: context.profile,
+                valueRows: CsvReader.getSampleRows(csvData, CsvConverterAI.VALUE_SAMPLE_ROWS),
+                weights: options.detectionWeights,
+                model: options.typeModel
+            });
+
+        logger.info(`✅ Type detected: ${detectionResult.productType} (${detectionResult.confidence}% confidence)`);
+        if (detectionResult.model) {
+            logger.info(`🧠 Trained model: ${detectionResult.model.productType} (${detectionResult.model.confidence}%), keywords: ${detectionResult.keywordDetection.productType} (${detectionResult.keywordDetection.confidence}%), decided by ${detectionResult.source}`);
+        }
+
+        // A forced type makes a second opinion pointless; row groups come with their detection
+        if (options.aiFallback && !options.productType && !options.rowGroup && !detector.isConfidenceAcceptable(detectionResult)) {
+            // Created here, the enhancement stage reuses it (one cache and token count per run)
+            if (!context.enhancer) {
+                const onProgress = progress => this.emit('progress', { type: 'ai', stage: 'enhancement', ...progress });
+                context.enhancer = context.services.enhancer || new BatchAIEnhancer({ ...options.ai, logger, onProgress });
+            }
+            detectionResult = await this._aiDetectionFallback(detectionResult, csvData, { detector, enhancer: context.enhancer }, options, logger);
+        }
+
+        if (!detector.isConfidenceAcceptable(detectionResult)) {
+            logger.warn('⚠️  WARNING: Low confidence for detection', { confidence: detectionResult.confidence });
+        }
+
+        const productType = options.productType || detectionResult.productType;
+        if (options.rowGroup) {
+            logger.info(`🧩 Rows classified as ${productType}: ${options.rowGroup.rowCount}/${options.rowGroup.totalRows}`);
+        } else if (options.productType) {
+            logger.info(`📌 Product type forced to ${productType}`);
+        }
+
+        // Brand from a brand column, the file and sheet names and the descriptions
+        const { brandDetector } = context.services;
+        const brandDetection = options.brand ? null : brandDetector.detect({
+            fileName: csvData.fileName,
+            sheetName: csvData.sheetName,
+            headers: csvData.headers,
+            rows: csvData.rows
+        }, { brands: options.brands }, logger);
+
+        let brand = options.brand;
+        if (options.brand) {
+            logger.info(`🔍 Brand forced: ${brand}`);
+        } else if (brandDetection.multiBrand) {
+            brand = brandDetector.MULTI_BRAND;
+            logger.info(`🔍 Brand detected per row from "${brandDetection.column}" (mostly ${brandDetection.brand})`);
+        } else {
+            brand = brandDetection.brand;
+            logger.info(`🔍 Brand detected: ${brand} (${brandDetection.confidence}% confidence${brandDetection.source ? `, from ${brandDetection.source}` : ''})`);
+            if (brandDetection.confidence < 60) {
+                logger.warn('⚠️  Brand uncertain: set it with --brand or add it to the brand registry', { confidence: brandDetection.confidence });
+            }
+        }
+
+        context.detection = detectionResult;
+        context.productType = productType;
+        context.brand = brand;
+        context.brandDetection = brandDetection;
+    }
+
+    // ============================================
+    // STEP 3: COLUMN MAPPING
+    // ============================================
+    _mappingStage(context) {
+        const { logger } = context;
+
+        logger.section('\n🗺️  STEP 3: Column mapping');
+
+        const mappingResult = context.services.mapper.mapColumns(context.csvData.headers, context.productType, logger, {
+            profile: context.profile,
+            brandColumn: context.brandDetection ? context.brandDetection.column : null,
+            originalHeaders: context.csvData.originalHeaders
+        });
+
+        const coverage = Math.round((Object.keys(mappingResult.mapping).length / mappingResult.mappingStats.totalTargets) * 100);
+        logger.info(`✅ Mapping completed: ${coverage}% coverage (${Object.keys(mappingResult.mapping).length}/${mappingResult.mappingStats.totalTargets} fields)`);
+
+        context.mapping = mappingResult;
+    }
+
+    // ============================================
+    // STEP 4: DATA CLEANING
+    // ============================================
+    _cleaningStage(context) {
+        const { logger } = context;
+
+        logger.section('\n🧹 STEP 4: Data cleaning');
+
+        logger.info(`📊 Processing ${context.rows.length} rows...`);
+
+        const cleaningResult = context.services.cleaner.cleanBatch(
+            context.rows,
+            context.mapping.mapping,
+            GOHUB_SCHEMAS,
+            logger,
+            progress => this.emit('progress', { type: 'rows', stage: 'cleaning', ...progress })
+        );
+
+        // Excel cells showing "click here" with the image URL behind it (cleaners without fillImageLinks get the built-in one)
+        const { cleaner } = context.services;
+        const fillImageLinks = typeof cleaner.fillImageLinks === 'function'
+            ? cleaner.fillImageLinks.bind(cleaner)
+            : DataCleaner.fillImageLinks.bind(DataCleaner);
+        const imageLinks = fillImageLinks(cleaningResult.cleanedRows, context.rows.map(row => CsvReader.getCellInfo(row)));
+        if (imageLinks > 0) {
+            logger.info(`🔗 ${imageLinks} image fields filled from cell hyperlinks`, { imageLinks });
+        }
+        cleaningResult.stats.imageLinks = imageLinks;
+
+        const aiPercentage = Math.round((cleaningResult.stats.needsAI / cleaningResult.stats.totalFields) * 100);
+        logger.info(`✅ Cleaning completed: ${aiPercentage}% of fields need AI enhancement`);
+
+        context.cleaning = cleaningResult;
+    }
+
+    // ============================================
+    // STEP 5: BATCH AI ENHANCEMENT
+    // ============================================
+    async _enhancementStage(context) {
+        const { logger } = context;
+
+        logger.section('\n🚀 STEP 5: Batch AI Enhancement');
+
+        const onProgress = progress => this.emit('progress', { type: 'ai', stage: 'enhancement', ...progress });
+        // One enhancer per run, so streamed chunks share its cache
+        if (!context.enhancer) {
+            context.enhancer = context.services.enhancer || new BatchAIEnhancer({ ...context.options.ai, logger, onProgress });
+        } else if (!context.services.enhancer) {
+            context.enhancer.logger = logger;
+        }
+        context.enhancement = await context.enhancer.enhanceBatch(context.cleaning.cleanedRows, context.cleaning.stats);
+    }
+
+    // ============================================
+    // STEP 6: GOHUB TRANSFORMATION
+    // ============================================
+    _transformationStage(context) {
+        const { logger } = context;
+
+        logger.section('\n🔄 STEP 6: GoHub transformation');
+
+        // Multi-brand files take the brand of each row from the brand column
+        const { brandDetector } = context.services;
+        let { brand } = context;
+        if (context.brandDetection && brand === brandDetector.MULTI_BRAND) {
+            const registry = brandDetector.buildRegistry(context.options.brands);
+            const fallback = context.brandDetection.brand;
+            brand = row => brandDetector.rowBrand(row.brand ? row.brand.value : '', registry, fallback);
+        }
+
+        const transformResult = context.services.transformer.transformToGoHub(
+            context.enhancement.enhancedRows,
+            context.productType,
+            brand,
+            logger
+        );
+
+        logger.info(`✅ GoHub transformation completed: ${transformResult.stats.successfulTransforms}/${transformResult.stats.totalRows} rows transformed`);
+
+        context.transformation = transformResult;
     }
 
+    // ============================================
+    // OUTPUT GENERATION
+    // ============================================
+    _outputStage(context) {
+        const { options, productType, brand, logger } = context;
 
+        logger.section('\n📄 Generating output files...');
+
+        const { transformedRows } = context.transformation;
+        if (context.csvData.chunks) {
+            this._appendOutput(context);
+            return;
+        }
+        context.csv = this.buildGoHubCSV(transformedRows, productType);
+
+        if (options.writeOutput) {
+            context.output = this.generateGoHubCSV(transformedRows, productType, brand, options.outDir, logger, options.sheet !== undefined ? context.csvData.sheetName : null);
+        } else {
+            logger.info(options.dryRun ? '🧪 Dry run: output file not written' : '📝 CSV generated in memory');
+            context.output = { fileName: '', rowCount: transformedRows.length, columnCount: 0, dryRun: !!options.dryRun };
+        }
+    }
 
     /**
      * Generate GoHub CSV output file with standard GoHub columns
+     * @param {Array} transformedRows - Rows from GoHubTransformer
+     * @param {string} productType - Product type used for the schema
+     * @param {string} brand - Brand used in the file name
+     * @param {string} [outDir] - Output directory (defaults to the current directory)
+     * @param {Logger} [logger] - Logger (defaults to the converter logger)
+     * @param {string} [sheetName] - Excel sheet, added to the file name
      */
-    generateGoHubCSV(transformedRows, productType, brand) {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
-        const fileName = `output-gohub-${brand.toLowerCase()}-${productType.toLowerCase()}-${timestamp}.csv`;
+    generateGoHubCSV(transformedRows, productType, brand, outDir = '.', logger = this.logger, sheetName = null) {
+        const fileName = this._outputFileName(brand, productType, sheetName);
 
         if (transformedRows.length === 0) {
-            console.log('⚠️ No data to export');
+            logger.warn('⚠️ No data to export');
             return { fileName: '', rowCount: 0, columnCount: 0 };
         }
 
         // Get GoHub schema for the product type
         const schema = GOHUB_SCHEMAS[productType];
         if (!schema) {
-            console.log('⚠️ No schema found for product type:', productType);
+            logger.warn(`⚠️ No schema found for product type: ${productType}`);
             return { fileName: '', rowCount: 0, columnCount: 0 };
         }
 
+        const csvContent = this.buildGoHubCSV(transformedRows, productType);
+        const columnCount = Object.keys(schema).length;
+
+        // Write to file
+        try {
+            if (!existsSync(outDir)) {
+                mkdirSync(outDir, { recursive: true });
+            }
+            const filePath = this._uniqueFilePath(outDir, fileName);
+            writeFileSync(filePath, csvContent, 'utf8');
+            logger.info(`📁 File saved: ${filePath}`, { outputFile: filePath });
+
+            return {
+                fileName: basename(filePath),
+                rowCount: transformedRows.length,
+                columnCount,
+                filePath
+            };
+        } catch (error) {
+            logger.error(`❌ Error saving file: ${error.message}`);
+            return {
+                fileName: '',
+                rowCount: 0,
+                columnCount: 0,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Streaming mode: append the rows of the current chunk to the output file
+     * (created with its header by the first chunk that has rows)
+     */
+    _appendOutput(context) {
+        const { options, productType, brand, logger } = context;
+        const { transformedRows } = context.transformation;
+
+        context.output = context.output || { fileName: '', rowCount: 0, columnCount: 0 };
+        const { output } = context;
+
+        if (!options.writeOutput) {
+            output.rowCount += transformedRows.length;
+            output.dryRun = !!options.dryRun;
+            if (options.dryRun) logger.info('🧪 Dry run: output file not written');
+            return;
+        }
+
+        const schema = GOHUB_SCHEMAS[productType];
+        if (!schema) {
+            logger.warn(`⚠️ No schema found for product type: ${productType}`);
+            return;
+        }
+        if (transformedRows.length === 0 || output.error) return;
+
+        try {
+            if (!output.filePath) {
+                const outDir = options.outDir || '.';
+                if (!existsSync(outDir)) {
+                    mkdirSync(outDir, { recursive: true });
+                }
+                const sheetName = options.sheet !== undefined ? context.csvData.sheetName : null;
+                const filePath = this._uniqueFilePath(outDir, this._outputFileName(brand, productType, sheetName));
+                writeFileSync(filePath, this.buildGoHubCSV([], productType), 'utf8');
+                logger.info(`📁 Streaming output to: ${filePath}`, { outputFile: filePath });
+
+                Object.assign(output, { fileName: basename(filePath), columnCount: Object.keys(schema).length, filePath });
+            }
+
+            appendFileSync(output.filePath, this.buildGoHubCSV(transformedRows, productType, false), 'utf8');
+            output.rowCount += transformedRows.length;
+        } catch (error) {
+            logger.error(`❌ Error saving file: ${error.message}`);
+            output.error = error.message;
+        }
+    }
+
+    _outputFileName(brand, productType, sheetName = null) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
+        const sheet = sheetName ? `-${this._slug(sheetName)}` : '';
+        // Brands come from the supplier data or --brand: keep path separators out of the file name
+        const brandStem = String(brand).toLowerCase().replace(/[^\w.-]+/g, '_');
+        return `output-gohub-${brandStem}-${productType.toLowerCase()}${sheet}-${timestamp}.csv`;
+    }
+
+    _sheetFileName(fileName, sheet) {
+        return `${parse(fileName || 'input').name}-${this._slug(sheet)}`;
+    }
+
+    _slug(value) {
+        return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'sheet';
+    }
+
+    /**
+     * Build the GoHub CSV content in memory, columns in schema order
+     * @param {Array} transformedRows - Rows from GoHubTransformer
+     * @param {string} productType - Product type used for the schema
+     * @param {boolean} [includeHeader] - Start with the header line (default: true)
+     * @returns {string} CSV content ('' when the product type has no schema)
+     */
+    buildGoHubCSV(transformedRows, productType, includeHeader = true) {
+        const schema = GOHUB_SCHEMAS[productType];
+        if (!schema) return '';
+
         // Use schema keys for column order (these match the transformed data keys)
         const gohubColumnOrder = Object.keys(schema);
 
         // Create CSV content with GoHub headers
         const columnHeaders = gohubColumnOrder.map(col => schema[col]);
-        let csvContent = columnHeaders.join(',') + '\n';
+        let csvContent = includeHeader ? columnHeaders.join(',') + '\n' : '';
 
         transformedRows.forEach(row => {
             const rowValues = gohubColumnOrder.map(col => {
@@ -201,51 +1113,38 @@ class CsvConverterAI {
             csvContent += rowValues.join(',') + '\n';
         });
 
-        // Write to file
-        try {
-            writeFileSync(fileName, csvContent, 'utf8');
-            console.log(`📁 File saved: ${fileName}`);
-
-            return {
-                fileName,
-                rowCount: transformedRows.length,
-                columnCount: gohubColumnOrder.length,
-                filePath: fileName
-            };
-        } catch (error) {
-            console.error('❌ Error saving file:', error.message);
-            return {
-                fileName: '',
-                rowCount: 0,
-                columnCount: 0,
-                error: error.message
-            };
-        }
+        return csvContent;
     }
 
+    /**
+     * Avoid overwriting an output written in the same second (batch runs)
+     */
+    _uniqueFilePath(outDir, fileName) {
+        let filePath = join(outDir, fileName);
+        let suffix = 2;
 
+        while (existsSync(filePath)) {
+            filePath = join(outDir, fileName.replace(/\.csv$/, `-${suffix}.csv`));
+            suffix++;
+        }
 
+        return filePath;
+    }
 }
 
-// Complete pipeline execution
-async function demo() {
-    const converter = new CsvConverterAI();
-    const result = await converter.processFile('./OCEAN PRICES 2025 - mini.xlsx');
-    
-    if (result.success) {
-        console.log('\n🎉 PIPELINE SUCCESS!');
-        console.log(`   - Product type: ${result.steps.detection.productType}`);
-        console.log(`   - Processing time: ${Math.round(result.stats.totalTime / 1000)}s`);
-        console.log(`   - Output: ${result.steps.output.fileName} (${result.steps.output.rowCount} rows)`);
-    } else {
-        console.log('\n💥 PIPELINE FAILED!');
-        console.log(`   Errors: ${result.errors.join(', ')}`);
-    }
+/**
+ * Convert in-memory rows with a one-off converter (see CsvConverterAI.convertRows)
+ */
+export async function convertRows(rows, headers, options = {}) {
+    return new CsvConverterAI(options).convertRows(rows, headers, options);
 }
 
-// Run demo if this file is executed directly
-if (process.argv[1].endsWith('index.js')) {
-    demo();
+/**
+ * Convert an in-memory file with a one-off converter (see CsvConverterAI.convertBuffer)
+ */
+export async function convertBuffer(buffer, format, options = {}) {
+    return new CsvConverterAI(options).convertBuffer(buffer, format, options);
 }
 
-export default CsvConverterAI; 
\ No newline at end of file
+export { CsvConverterAI };
+export default CsvConverterAI;
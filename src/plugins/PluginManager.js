@@ -0,0 +1,170 @@
+/**
+ * PluginManager - Loads plugins and runs their hooks around pipeline stages
+ *
+ * A plugin is an object (or a function returning one, called with its config options):
+ *   {
+ *     name: 'my-supplier-fixes',
+ *     before: { cleaning(context) { ... } },      // runs before the stage
+ *     after:  { detection(context) { ... } },     // runs after the stage
+ *     stages: [{ name: 'validation', before: 'output', run(context) { ... } }]
+ *   }
+ *
+ * Hooks receive the shared pipeline context (csvData, detection, productType, brand, mapping,
+ * rows, cleaning, enhancement, transformation, output, results, options) and may modify it.
+ * Stage keys accept the short names too: read, detect, map, clean, enhance, transform, output.
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { BUILTIN_PLUGINS } from './index.js';
+
+class PluginManager {
+    static STAGE_ALIASES = {
+        read: 'reading',
+        profile: 'profiling',
+        detect: 'detection',
+        map: 'mapping',
+        clean: 'cleaning',
+        enhance: 'enhancement',
+        transform: 'transformation',
+        output: 'output'
+    };
+
+    /**
+     * @param {Array} plugins - Resolved plugin objects
+     */
+    constructor(plugins = []) {
+        this.plugins = plugins;
+    }
+
+    /**
+     * Resolve plugin specs into plugin objects
+     * @param {Array} specs - Plugin objects, built-in names, module paths or { plugin, options } entries
+     * @param {string} [baseDir] - Folder relative module paths are resolved from (the config file folder)
+     * @returns {Promise<PluginManager>} Manager holding the resolved plugins
+     */
+    static async load(specs = [], baseDir = process.cwd()) {
+        const plugins = [];
+
+        for (const spec of specs) {
+            plugins.push(await this._resolve(spec, baseDir));
+        }
+
+        return new PluginManager(plugins);
+    }
+
+    static async _resolve(spec, baseDir) {
+        let entry = spec;
+        let options = {};
+
+        if (spec && typeof spec === 'object' && spec.plugin) {
+            entry = spec.plugin;
+            options = spec.options || {};
+        }
+
+        if (typeof entry === 'string') {
+            if (BUILTIN_PLUGINS[entry]) {
+                entry = BUILTIN_PLUGINS[entry];
+            } else {
+                const modulePath = path.resolve(baseDir, entry);
+                try {
+                    const module = await import(pathToFileURL(modulePath).href);
+                    entry = module.default || module;
+                } catch (error) {
+                    throw new Error(`Cannot load plugin "${spec.plugin || spec}": ${error.message}`);
+                }
+            }
+        }
+
+        const plugin = typeof entry === 'function' ? entry(options) : entry;
+        return this._normalize(plugin, spec);
+    }
+
+    /**
+     * Validate a plugin and rewrite stage aliases to stage names
+     */
+    static _normalize(plugin, spec) {
+        if (!plugin || typeof plugin !== 'object') {
+            throw new Error(`Invalid plugin: ${typeof spec === 'string' ? spec : JSON.stringify(spec)}`);
+        }
+
+        const name = plugin.name || 'anonymous-plugin';
+        const normalizeHooks = (hooks = {}) => Object.fromEntries(
+            Object.entries(hooks).map(([stage, hook]) => {
+                if (typeof hook !== 'function') {
+                    throw new Error(`Plugin "${name}": hook for "${stage}" must be a function`);
+                }
+                return [this.STAGE_ALIASES[stage] || stage, hook];
+            })
+        );
+
+        const stages = (plugin.stages || []).map(stage => {
+            if (!stage.name || typeof stage.run !== 'function') {
+                throw new Error(`Plugin "${name}": custom stages need a name and a run function`);
+            }
+            if (!stage.before && !stage.after) {
+                throw new Error(`Plugin "${name}": stage "${stage.name}" needs a "before" or "after" position`);
+            }
+            return {
+                ...stage,
+                before: stage.before ? this.STAGE_ALIASES[stage.before] || stage.before : undefined,
+                after: stage.after ? this.STAGE_ALIASES[stage.after] || stage.after : undefined,
+                plugin: name
+            };
+        });
+
+        return {
+            name,
+            before: normalizeHooks(plugin.before),
+            after: normalizeHooks(plugin.after),
+            stages
+        };
+    }
+
+    /**
+     * Insert the custom stages of every plugin into the built-in stage list
+     * @param {Array} stages - Built-in stages ({ name, run })
+     * @returns {Array} Ordered stages
+     */
+    buildStages(stages) {
+        const ordered = [...stages];
+
+        this.plugins.forEach(plugin => {
+            plugin.stages.forEach(stage => {
+                const anchor = stage.before || stage.after;
+                const index = ordered.findIndex(existing => existing.name === anchor);
+                if (index === -1) {
+                    throw new Error(`Plugin "${plugin.name}": unknown stage "${anchor}" for custom stage "${stage.name}"`);
+                }
+                ordered.splice(stage.before ? index : index + 1, 0, stage);
+            });
+        });
+
+        return ordered;
+    }
+
+    /**
+     * Run the hooks registered for a stage, in plugin order
+     * @param {string} when - 'before' or 'after'
+     * @param {string} stageName - Stage name
+     * @param {Object} context - Pipeline context
+     */
+    async runHooks(when, stageName, context) {
+        for (const plugin of this.plugins) {
+            const hook = plugin[when][stageName];
+            if (hook) {
+                try {
+                    await hook(context);
+                } catch (error) {
+                    throw new Error(`Plugin "${plugin.name}" failed in ${when}:${stageName}: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    get names() {
+        return this.plugins.map(plugin => plugin.name);
+    }
+}
+
+export default PluginManager;
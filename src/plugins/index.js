@@ -0,0 +1,11 @@
+/**
+ * Built-in plugins, referenced by name in the config file
+ */
+
+import oceanGlassesRules from './oceanGlassesRules.js';
+import requiredFieldsValidation from './requiredFieldsValidation.js';
+
+export const BUILTIN_PLUGINS = {
+    'ocean-glasses-rules': oceanGlassesRules,
+    'required-fields-validation': requiredFieldsValidation
+};
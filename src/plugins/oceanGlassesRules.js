@@ -0,0 +1,85 @@
+/**
+ * Ocean Glasses rules - supplier-specific fixes applied after cleaning
+ * Resolves frame colors and acetate compositions locally so they skip the AI step
+ */
+
+const COLOR_PATTERNS = {
+    'shiny black': { baseColor: 'Black', description: 'Shiny Black' },
+    'matte black': { baseColor: 'Black', description: 'Matte Black' },
+    'demy brown': { baseColor: 'Brown', description: 'Demy Brown' },
+    'black and brown': { baseColor: 'Brown', description: 'Black and Brown' },
+    'clear': { baseColor: 'Clear', description: 'Clear' },
+    'transparent': { baseColor: 'Clear', description: 'Transparent' }
+};
+
+/**
+ * Ocean Glasses specific rules - extracted from AI enhancer
+ * @param {string} fieldName - Field name (mapped GoHub key or normalized header)
+ * @param {any} value - Cleaned value
+ * @returns {Object|null} Partial clean result or null when no rule applies
+ */
+export function applyOceanGlassesRules(fieldName, value) {
+    if (!value || typeof value !== 'string') return null;
+    
+    const fieldLower = fieldName.toLowerCase();
+    
+    // Extract Color (base) from FRAME COLOR
+    if (fieldLower.includes('color')) {
+        for (const [pattern, extracted] of Object.entries(COLOR_PATTERNS)) {
+            if (value.toLowerCase().includes(pattern)) {
+                return {
+                    value: extracted.baseColor,
+                    confidence: 95,
+                    colorDescription: extracted.description
+                };
+            }
+        }
+    }        
+
+    // Material patterns
+    if (fieldLower.includes('composition') || fieldLower.includes('material')) {
+        if (value.includes('100%Acetate')) {
+            return {
+                value: 'Acetate',
+                confidence: 95
+            };
+        }
+    }
+
+    return null;
+}
+
+export default {
+    name: 'ocean-glasses-rules',
+    after: {
+        /**
+         * Apply rules to fields still waiting for AI, to avoid AI processing when possible
+         */
+        cleaning(context) {
+            const { cleanedRows, stats } = context.cleaning;
+            let applied = 0;
+
+            cleanedRows.forEach(row => {
+                Object.entries(row).forEach(([fieldName, cleanResult]) => {
+                    if (!cleanResult || !cleanResult.needsAI) return;
+
+                    const ruled = applyOceanGlassesRules(fieldName, cleanResult.value);
+                    if (!ruled) return;
+
+                    row[fieldName] = {
+                        ...cleanResult,
+                        ...ruled,
+                        enhanced: true,
+                        needsAI: false,
+                        source: 'ocean-rule'
+                    };
+                    stats.needsAI--;
+                    stats.ruled++;
+                    applied++;
+                });
+            });
+
+            context.logger.info(`   🎯 Ocean Glasses rules applied: ${applied}`, { applied });
+        }
+    }
+};
@@ -0,0 +1,48 @@
+/**
+ * Required fields validation - adds a "validation" stage before output
+ * Rows missing a required GoHub field are reported, and dropped when options.dropInvalid is set
+ */
+
+const DEFAULT_REQUIRED_FIELDS = ['sku', 'price'];
+
+/**
+ * @param {Object} options - Plugin options from the config file
+ * @param {Array} [options.fields] - Required GoHub keys (default: sku, price)
+ * @param {boolean} [options.dropInvalid] - Remove invalid rows from the output
+ */
+export default function requiredFieldsValidation(options = {}) {
+    const requiredFields = options.fields || DEFAULT_REQUIRED_FIELDS;
+
+    return {
+        name: 'required-fields-validation',
+        stages: [{
+            name: 'validation',
+            before: 'output',
+            run(context) {
+                const { transformedRows } = context.transformation;
+                const invalidRows = [];
+
+                transformedRows.forEach((row, index) => {
+                    const missing = requiredFields.filter(field =>
+                        field in row && (row[field] === '' || row[field] === null || row[field] === undefined));
+                    if (missing.length > 0) {
+                        invalidRows.push({ row: index + 1, sku: row.sku || '', missing });
+                    }
+                });
+
+                if (options.dropInvalid && invalidRows.length > 0) {
+                    const invalidIndexes = new Set(invalidRows.map(invalid => invalid.row - 1));
+                    context.transformation.transformedRows = transformedRows.filter((row, index) => !invalidIndexes.has(index));
+                }
+
+                context.results.steps.validation = {
+                    requiredFields,
+                    invalidRows,
+                    dropped: options.dropInvalid ? invalidRows.length : 0
+                };
+
+                context.logger.info(`✅ Validation: ${transformedRows.length - invalidRows.length}/${transformedRows.length} rows have ${requiredFields.join(', ')}`);
+            }
+        }]
+    };
+}
@@ -3,23 +3,46 @@
  */
 
 import dotenv from 'dotenv';
-dotenv.config();
+import { defaultLogger } from '../utils/Logger.js';
+dotenv.config({ quiet: true });
 
 class BatchAIEnhancer {
-    constructor() {
+    /**
+     * @param {Object} options - Provider options (default to the environment)
+     * @param {boolean} [options.simulate] - Never call the provider, even with an API key
+     * @param {string} [options.apiKey] - API key (OPENAI_API_KEY)
+     * @param {string} [options.baseUrl] - OpenAI-compatible endpoint, e.g. a local provider (OPENAI_BASE_URL)
+     * @param {string} [options.model] - Model name (OPENAI_MODEL)
+     * @param {Logger} [options.logger] - Logger
+     * @param {Function} [options.onProgress] - Called with { status, completed, total, fieldType, items, tokensUsed }
+     *                                          when an AI batch is sent and when it completes
+     */
+    constructor(options = {}) {
         this.cache = new Map();
         this.patterns = new Map(); // Cache for recurring patterns
         this.tokenUsage = { total: 0, calls: 0 };
-        this.apiKey = process.env.OPENAI_API_KEY;
+        this.logger = options.logger || defaultLogger;
+        this.onProgress = options.onProgress || null;
+        this.progress = { completed: 0, total: 0 };
+        this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.model = options.model || process.env.OPENAI_MODEL || 'gpt-3.5-turbo-0125';
+        this.isLocalProvider = !!(options.baseUrl || process.env.OPENAI_BASE_URL);
+
+        // Local OpenAI-compatible providers usually need no key
+        this.apiKey = options.simulate ? null : (options.apiKey || process.env.OPENAI_API_KEY || (this.isLocalProvider ? 'local' : null));
 
-        console.log(this.apiKey ? '✅ OpenAI API key loaded' : '⚠️ No API key - simulation mode');
+        if (!this.apiKey) {
+            this.logger.info('⚠️ No API key - simulation mode');
+        } else {
+            this.logger.info(this.isLocalProvider ? `✅ Using AI provider at ${this.baseUrl}` : '✅ OpenAI API key loaded');
+        }
     }
 
     /**
      * 🚀 BATCH PROCESSING - Processes multiple similar fields together
      */
     async enhanceBatch(cleanedRows, cleaningStats = {}) {
-        console.log(`🚀 BATCH AI enhancing ${cleanedRows.length} rows (ULTRA-OPTIMIZED)`);
+        this.logger.info(`🚀 BATCH AI enhancing ${cleanedRows.length} rows (ULTRA-OPTIMIZED)`);
 
         const stats = {
             totalFields: 0,
@@ -33,7 +56,13 @@ class BatchAIEnhancer {
 
         // STEP 1: Group similar fields for batch processing
         const fieldGroups = this._groupSimilarFields(cleanedRows);
-        console.log(`📊 Field groups:`, Object.keys(fieldGroups).map(k => `${k}(${fieldGroups[k].length})`));
+        this.logger.debug(`📊 Field groups: ${Object.keys(fieldGroups).map(k => `${k}(${fieldGroups[k].length})`).join(', ')}`);
+
+        // Planned AI calls, so progress can be reported as "n out of total"
+        this.progress = {
+            completed: 0,
+            total: this._countPlannedCalls(fieldGroups, cleanedRows) + Math.ceil(this._collectSizeRows(cleanedRows).length / 8)
+        };
 
         // STEP 2: Process each field type with unified batch processing
         for (const [fieldType, items] of Object.entries(fieldGroups)) {
@@ -52,6 +81,73 @@ class BatchAIEnhancer {
         };
     }
 
+    /**
+     * 🎯 Product type of a file, constrained to the given types (detection fallback)
+     * Without an API key a deterministic local stub answers instead: the type named most often in the
+     * headers and sample values, UNKNOWN when none is.
+     * @param {Array} headers - Column names
+     * @param {Array} sampleRows - A few row objects
+     * @param {Object} types - Allowed answers, { TYPE: description }
+     * @returns {Promise<Object|null>} { productType, rationale, source: 'ai'|'simulation', tokensUsed }, null when the answer is unusable
+     */
+    async classifyProductType(headers, sampleRows, types) {
+        if (!this.apiKey) {
+            return this._simulateProductType(headers, sampleRows, types);
+        }
+
+        try {
+            const response = await this._callOpenAI(this._buildTypePrompt(headers, sampleRows, types));
+            const answer = this._parseTypeAnswer(response.choices[0].message.content, types);
+            return { ...answer, source: 'ai', tokensUsed: response.usage?.total_tokens || 0 };
+        } catch (error) {
+            this.logger.error(`❌ Product type classification failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    _buildTypePrompt(headers, sampleRows, types) {
+        const value = text => String(text ?? '').trim().substring(0, 60);
+        return `Classify this eyewear supplier file as exactly one product type.
+Product types:
+${Object.entries(types).map(([type, description]) => `- ${type}: ${description}`).join('\n')}
+Columns: ${headers.map(value).join(' | ')}
+Sample rows:
+${sampleRows.map((row, i) => `${i + 1}. ${headers.map(header => `${value(header)}=${value(row[header])}`).join('; ')}`).join('\n')}
+Return JSON: {"productType": one of ${Object.keys(types).map(type => `"${type}"`).join(', ')}, "rationale": "one short sentence"}`;
+    }
+
+    _parseTypeAnswer(content, types) {
+        const parsed = JSON.parse(String(content).replace(/```json\s*/g, '').replace(/```\s*/g, '').trim());
+        const productType = String(parsed.productType || '').trim().toUpperCase();
+        if (!types[productType]) {
+            throw new Error(`answer "${parsed.productType}" is not one of ${Object.keys(types).join(', ')}`);
+        }
+        return { productType, rationale: String(parsed.rationale || '').trim().substring(0, 200) || 'no rationale given' };
+    }
+
+    _simulateProductType(headers, sampleRows, types) {
+        let text = ` ${[...headers, ...sampleRows.flatMap(row => Object.values(row))].join(' ').toLowerCase()} `;
+        const counts = {};
+
+        // Longest names first, so "contact lens" is not also counted as "lens"
+        Object.keys(types)
+            .filter(type => type !== 'UNKNOWN')
+            .sort((a, b) => b.length - a.length)
+            .forEach(type => {
+                const pattern = new RegExp(`\\b${type.toLowerCase().replace(/_/g, '[ _-]?')}(?:es|s)?\\b`, 'g');
+                counts[type] = (text.match(pattern) || []).length;
+                text = text.replace(pattern, ' ');
+            });
+
+        const [best] = Object.entries(counts).filter(([, count]) => count > 0).sort((a, b) => b[1] - a[1]);
+        return {
+            productType: best ? best[0] : 'UNKNOWN',
+            rationale: best ? `Simulated answer: "${best[0].toLowerCase()}" named ${best[1]} times` : 'Simulated answer: no product type named',
+            source: 'simulation',
+            tokensUsed: 0
+        };
+    }
+
 
 
 
@@ -68,24 +164,30 @@ class BatchAIEnhancer {
 
         if (needsAI.length > 8) {
             // Large batch: split into chunks
-            console.log(`📦 Large batch detected (${needsAI.length}), splitting into chunks of 8`);
+            const chunkCount = Math.ceil(needsAI.length / 8);
+            this.logger.debug(`📦 Large batch detected (${needsAI.length}), splitting into ${chunkCount} chunks of 8`);
 
             for (let i = 0; i < needsAI.length; i += 8) {
                 const chunk = needsAI.slice(i, i + 8);
-                console.log(`🔥 Processing chunk ${Math.floor(i / 8) + 1}: ${chunk.length} items`);
+                this.logger.debug(`🔥 Processing chunk ${Math.floor(i / 8) + 1}/${chunkCount}: ${chunk.length} items`);
 
+                this._reportProgress('sent', fieldType, chunk.length, stats);
                 const chunkResults = await this._processBatch(fieldType, chunk);
                 this._applyBatchResults(chunk, chunkResults, rows, stats);
+                this._reportProgress('completed', fieldType, chunk.length, stats);
             }
         } else if (needsAI.length >= 3) {
             // Normal batch (3-8 items)
-            console.log(`🔥 Batch processing ${needsAI.length} ${fieldType} fields`);
+            this.logger.debug(`🔥 Batch processing ${needsAI.length} ${fieldType} fields`);
 
+            this._reportProgress('sent', fieldType, needsAI.length, stats);
             const batchResults = await this._processBatch(fieldType, needsAI);
             this._applyBatchResults(needsAI, batchResults, rows, stats);
+            this._reportProgress('completed', fieldType, needsAI.length, stats);
         } else {
             // Individual processing for remaining cases
             for (const item of needsAI) {
+                this._reportProgress('sent', fieldType, 1, stats);
                 const result = await this._enhanceIndividual(item);
                 rows[item.rowIndex][item.fieldName] = {
                     ...rows[item.rowIndex][item.fieldName],
@@ -95,10 +197,43 @@ class BatchAIEnhancer {
 
                 stats.aiEnhanced++;
                 stats.tokensUsed += result.tokensUsed || 80;
+                this._reportProgress('completed', fieldType, 1, stats);
             }
         }
     }
 
+    /**
+     * Number of AI calls _processFieldGroup will make (chunks of 8, one batch for 3-8 items, one call per item below)
+     */
+    _countPlannedCalls(fieldGroups, rows) {
+        return Object.values(fieldGroups).reduce((total, items) => {
+            const needsAI = items.filter(item => rows[item.rowIndex][item.fieldName].needsAI).length;
+            if (needsAI > 8) return total + Math.ceil(needsAI / 8);
+            if (needsAI >= 3) return total + 1;
+            return total + needsAI;
+        }, 0);
+    }
+
+    /**
+     * Report an AI call to the onProgress listener
+     * @param {string} status - 'sent' or 'completed'
+     */
+    _reportProgress(status, fieldType, items, stats) {
+        if (status === 'completed') {
+            this.progress.completed++;
+        }
+        if (!this.onProgress) return;
+
+        this.onProgress({
+            status,
+            completed: this.progress.completed,
+            total: Math.max(this.progress.total, this.progress.completed),
+            fieldType,
+            items,
+            tokensUsed: stats.tokensUsed
+        });
+    }
+
     /**
      * 📊 Apply batch results to enhanced rows
      */
@@ -242,7 +377,7 @@ class BatchAIEnhancer {
             return this._parseBatchResponse(response, items);
 
         } catch (error) {
-            console.error(`❌ Batch failed for ${fieldType}:`, error.message);
+            this.logger.error(`❌ Batch failed for ${fieldType}: ${error.message}`);
 
             // Fallback: simulation
             return items.map(item => ({
@@ -337,7 +472,7 @@ Return JSON array: [{cleanedValue,confidence}] where:
 
                 // Case 2: AI returned more results than expected (like your case)
                 if (parsed.length > items.length) {
-                    console.log(`⚠️ AI returned ${parsed.length} results for ${items.length} items, taking first ${items.length}`);
+                    this.logger.warn(`⚠️ AI returned ${parsed.length} results for ${items.length} items, taking first ${items.length}`);
                     return parsed.slice(0, items.length).map((result) => ({
                         value: this._expandAbbreviatedResult(result),
                         confidence: 80, // Slightly lower confidence
@@ -349,7 +484,7 @@ Return JSON array: [{cleanedValue,confidence}] where:
 
                 // Case 3: AI returned fewer results than expected
                 if (parsed.length < items.length) {
-                    console.log(`⚠️ AI returned ${parsed.length} results for ${items.length} items, padding with fallbacks`);
+                    this.logger.warn(`⚠️ AI returned ${parsed.length} results for ${items.length} items, padding with fallbacks`);
                     const results = parsed.map((result) => ({
                         value: this._expandAbbreviatedResult(result),
                         confidence: 80,
@@ -372,8 +507,9 @@ Return JSON array: [{cleanedValue,confidence}] where:
                 }
             }
         } catch (error) {
-            console.error('❌ Parse batch response failed:', error.message);
-            console.error('❌ Raw content:', response.choices[0].message.content.substring(0, 200));
+            this.logger.error(`❌ Parse batch response failed: ${error.message}`, {
+                rawContent: response.choices[0].message.content.substring(0, 200)
+            });
         }
 
         // Final fallback
@@ -460,14 +596,14 @@ Return JSON array: [{cleanedValue,confidence}] where:
 
         this.tokenUsage.calls++;
 
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
             method: 'POST',
             headers: {
                 'Authorization': `Bearer ${this.apiKey}`,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                model: "gpt-3.5-turbo-0125", // Latest model with better performance
+                model: this.model,
                 messages: [
                     {
                         role: "system",
@@ -510,18 +646,18 @@ Return JSON array: [{cleanedValue,confidence}] where:
      * 🔬 Process SIZE analysis for frame specifications (simplified)
      */
     async _processSizeAnalysis(enhancedRows, stats) {
-        console.log('🔬 Analyzing SIZE data for frame specifications...');
+        this.logger.debug('🔬 Analyzing SIZE data for frame specifications...');
 
         const sizeRowsWithData = this._collectSizeRows(enhancedRows);
 
         if (sizeRowsWithData.length === 0) {
-            console.log('   ⚠️ No size data found for frame specs analysis');
+            this.logger.debug('   ⚠️ No size data found for frame specs analysis');
             return;
         }
 
-        console.log(`   📊 Found ${sizeRowsWithData.length} rows with size data`);
+        this.logger.debug(`   📊 Found ${sizeRowsWithData.length} rows with size data`);
         await this._processSizeBatches(sizeRowsWithData, enhancedRows, stats);
-        console.log(`   ✅ Size analysis completed for ${sizeRowsWithData.length} rows`);
+        this.logger.debug(`   ✅ Size analysis completed for ${sizeRowsWithData.length} rows`);
     }
 
     /**
@@ -553,6 +689,7 @@ Return JSON array: [{cleanedValue,confidence}] where:
     async _processSizeBatches(sizeRowsWithData, enhancedRows, stats) {
         for (let i = 0; i < sizeRowsWithData.length; i += 8) {
             const batch = sizeRowsWithData.slice(i, i + 8);
+            this._reportProgress('sent', 'size', batch.length, stats);
 
             try {
                 const prompt = this._buildSizeAnalysisPrompt(batch);
@@ -561,11 +698,13 @@ Return JSON array: [{cleanedValue,confidence}] where:
 
                 this._applySizeResults(batch, results, enhancedRows, stats);
                 stats.tokensUsed += response.usage?.total_tokens || 150;
-                console.log(`   🤖 Analyzed batch ${Math.floor(i / 8) + 1}: ${batch.length} items`);
+                this.logger.debug(`   🤖 Analyzed batch ${Math.floor(i / 8) + 1}: ${batch.length} items`);
 
             } catch (error) {
-                console.error(`   ❌ Size analysis failed for batch ${Math.floor(i / 8) + 1}:`, error.message);
+                this.logger.error(`   ❌ Size analysis failed for batch ${Math.floor(i / 8) + 1}: ${error.message}`);
             }
+
+            this._reportProgress('completed', 'size', batch.length, stats);
         }
     }
 
@@ -642,7 +781,7 @@ Use ratio L/H for shape. std vals: ft=f,fs=rec,rt=f,ht=std`;
                 }));
             }
         } catch (error) {
-            console.error('❌ Parse size analysis response failed:', error.message);
+            this.logger.error(`❌ Parse size analysis response failed: ${error.message}`);
         }
 
         // Fallback: generate default values
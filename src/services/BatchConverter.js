@@ -0,0 +1,197 @@
+/**
+ * BatchConverter - Runs the complete pipeline over many supplier files
+ * One failing file never aborts the batch; every file ends up in the summary
+ */
+
+import { existsSync, mkdirSync, writeFileSync } from 'fs';
+import { basename, join } from 'path';
+import CsvConverterAI from '../index.js';
+import FileCollector from '../utils/FileCollector.js';
+import { EXIT_CODES, getExitCode } from '../utils/exitCodes.js';
+import { defaultLogger } from '../utils/Logger.js';
+
+class BatchConverter {
+    /**
+     * @param {Object} options - Batch options
+     * @param {number} [options.concurrency] - Number of files processed at the same time
+     * @param {boolean} [options.recursive] - Walk sub-folders of folder inputs
+     * @param {Object} [options.convertOptions] - Options passed to processFile for every file
+     * @param {Object} [options.thresholds] - minConfidence / minCoverage used to grade each file
+     * @param {Logger} [options.logger] - Logger for the batch and every conversion
+     */
+    constructor(options = {}) {
+        this.concurrency = Math.max(1, options.concurrency || 1);
+        this.recursive = !!options.recursive;
+        this.convertOptions = options.convertOptions || {};
+        this.thresholds = options.thresholds || {};
+        this.logger = options.logger || defaultLogger;
+    }
+
+    /**
+     * Convert every supported file matched by the inputs
+     * @param {Array|string} inputs - Folders, glob patterns or file paths
+     * @returns {Object} Batch summary with one entry per file
+     */
+    async run(inputs) {
+        const startTime = Date.now();
+        const files = FileCollector.collect(inputs, { recursive: this.recursive });
+
+        this.logger.info(`📦 BATCH: ${files.length} files found (concurrency: ${this.concurrency})`);
+
+        const entries = new Array(files.length);
+        let nextIndex = 0;
+
+        // Simple worker pool: each worker picks the next file until none are left
+        const worker = async () => {
+            while (nextIndex < files.length) {
+                const index = nextIndex++;
+                entries[index] = await this._convertOne(files[index], index, files.length);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, files.length) }, worker));
+
+        const summary = {
+            startedAt: new Date(startTime).toISOString(),
+            totalTime: Date.now() - startTime,
+            totals: this._computeTotals(entries),
+            files: entries
+        };
+
+        this.logger.info(`\n📦 BATCH COMPLETED: ${summary.totals.succeeded}/${summary.totals.files} files converted cleanly, ${summary.totals.failed} failed`, {
+            totals: summary.totals
+        });
+
+        return summary;
+    }
+
+    /**
+     * Convert one file and reduce its results to a summary entry
+     */
+    async _convertOne(filePath, index, total) {
+        this.logger.info(`\n📄 [${index + 1}/${total}] ${filePath}`);
+
+        const entry = {
+            file: filePath,
+            fileName: basename(filePath),
+            status: 'failed',
+            exitCode: EXIT_CODES.PIPELINE_ERROR,
+            productType: null,
+            brand: null,
+            confidence: 0,
+            mappingCoverage: 0,
+            mappingConfidence: 0,
+            rowsIn: 0,
+            rowsOut: 0,
+            tokensUsed: 0,
+            outputFile: null,
+            errors: []
+        };
+
+        try {
+            const converter = new CsvConverterAI({ logger: this.logger });
+            const result = await converter.processFile(filePath, this.convertOptions);
+            Object.assign(entry, BatchConverter.summarizeResult(result, {
+                ...this.thresholds,
+                productTypeForced: !!this.convertOptions.productType
+            }));
+        } catch (error) {
+            entry.errors.push(error.message);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Reduce a processFile result to the fields reported per file
+     * @param {Object} result - Result returned by CsvConverterAI.processFile
+     * @param {Object} options - Thresholds passed to getExitCode
+     * @returns {Object} Summary fields (status, exitCode, type, brand, coverage, rows, tokens, errors)
+     */
+    static summarizeResult(result, options = {}) {
+        const { reading, detection, mapping, output } = result.steps;
+        const summary = {
+            productType: result.productType || null,
+            brand: result.brand || null,
+            confidence: detection ? detection.confidence : 0,
+            mappingCoverage: 0,
+            mappingConfidence: 0,
+            rowsIn: reading ? reading.rows : 0,
+            rowsOut: output ? output.rowCount : 0,
+            tokensUsed: result.stats.tokensUsed || 0,
+            outputFile: output && output.filePath ? output.filePath : null,
+            errors: [...result.errors]
+        };
+
+        if (mapping && mapping.mappingStats.totalTargets > 0) {
+            summary.mappingCoverage = Math.round((mapping.mappingStats.mapped / mapping.mappingStats.totalTargets) * 100);
+            summary.mappingConfidence = mapping.mappingStats.avgConfidence;
+        }
+        if (output && output.error) summary.errors.push(output.error);
+
+        summary.exitCode = getExitCode(result, options);
+        summary.status = this._statusFor(summary.exitCode);
+
+        return summary;
+    }
+
+    static _statusFor(exitCode) {
+        if (exitCode === EXIT_CODES.SUCCESS) return 'success';
+        if (exitCode === EXIT_CODES.PIPELINE_ERROR) return 'failed';
+        return 'warning';
+    }
+
+    _computeTotals(entries) {
+        return {
+            files: entries.length,
+            succeeded: entries.filter(e => e.status === 'success').length,
+            warnings: entries.filter(e => e.status === 'warning').length,
+            failed: entries.filter(e => e.status === 'failed').length,
+            rowsIn: entries.reduce((sum, e) => sum + e.rowsIn, 0),
+            rowsOut: entries.reduce((sum, e) => sum + e.rowsOut, 0),
+            tokensUsed: entries.reduce((sum, e) => sum + e.tokensUsed, 0)
+        };
+    }
+
+    /**
+     * Write the consolidated summary as JSON and CSV
+     * @param {Object} summary - Summary returned by run()
+     * @param {string} [outDir] - Output directory (defaults to the current directory)
+     * @param {Logger} [logger] - Logger
+     * @returns {Object} Paths of the written files
+     */
+    static writeSummary(summary, outDir = '.', logger = defaultLogger) {
+        if (!existsSync(outDir)) {
+            mkdirSync(outDir, { recursive: true });
+        }
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
+        const jsonPath = join(outDir, `batch-summary-${timestamp}.json`);
+        const csvPath = join(outDir, `batch-summary-${timestamp}.csv`);
+
+        const columns = [
+            'fileName', 'status', 'exitCode', 'productType', 'brand', 'confidence',
+            'mappingCoverage', 'mappingConfidence', 'rowsIn', 'rowsOut', 'tokensUsed', 'outputFile', 'errors'
+        ];
+        const lines = [columns.join(',')];
+        summary.files.forEach(entry => {
+            lines.push(columns.map(col => this._escapeCsv(
+                col === 'errors' ? entry.errors.join(' | ') : entry[col]
+            )).join(','));
+        });
+
+        writeFileSync(jsonPath, JSON.stringify(summary, null, 2), 'utf8');
+        writeFileSync(csvPath, lines.join('\n') + '\n', 'utf8');
+        logger.info(`📁 Batch summary saved: ${jsonPath}`);
+
+        return { jsonPath, csvPath };
+    }
+
+    static _escapeCsv(value) {
+        const stringValue = value === null || value === undefined ? '' : String(value);
+        const escaped = stringValue.replace(/"/g, '""');
+        return /[",\n]/.test(escaped) ? `"${escaped}"` : escaped;
+    }
+}
+
+export default BatchConverter;
@@ -0,0 +1,303 @@
+/**
+ * BrandDetector - Finds the brand of a supplier file, or of each row when a file mixes brands
+ *
+ * Evidence comes from a brand column, the file name, the sheet name and brands repeated across the
+ * descriptions, each matched against the brand registry (DEFAULT_BRANDS plus the config file entries).
+ * A brand column decides the brand of every row, other sources the brand of the whole file.
+ */
+
+import { BRAND_COLUMNS, DEFAULT_BRANDS } from '../config/index.js';
+import { defaultLogger } from '../utils/Logger.js';
+import { foldAccents } from '../utils/textNormalization.js';
+
+class BrandDetector {
+    // Brand of a file whose brand column holds several brands (used in the output file name)
+    static MULTI_BRAND = 'Multibrand';
+
+    static UNKNOWN = 'Unknown';
+
+    // Confidence of each source when it names a registered brand
+    static SOURCE_CONFIDENCE = {
+        column: 90,
+        fileName: 80,
+        sheetName: 70,
+        descriptions: 65
+    };
+
+    // A brand column value missing from the registry is still a brand, with less confidence
+    static UNREGISTERED_COLUMN_CONFIDENCE = 70;
+
+    // A first word shared by most descriptions ("ACME Aviator", "ACME Round"), when no registered brand is found
+    static REPEATED_TOKEN_CONFIDENCE = 45;
+
+    // Share of the description rows a brand must appear in
+    static MIN_DESCRIPTION_SHARE = 0.3;
+    static MIN_REPEATED_TOKEN_SHARE = 0.5;
+
+    // Each further source agreeing on a brand adds this much confidence
+    static AGREEMENT_BONUS = 5;
+
+    // Columns searched for brands repeated in the text (normalized header contains one of these)
+    static DESCRIPTION_COLUMNS = ['description', 'designation', 'title', 'libelle', 'productname', 'name', 'model'];
+
+    // First words of descriptions that are not brands
+    static COMMON_WORDS = [
+        'the', 'new', 'frame', 'frames', 'glasses', 'sunglasses', 'sunglass', 'eyeglasses', 'optical', 'lens', 'lenses',
+        'monture', 'lunettes', 'gafas', 'montura', 'occhiali', 'brille', 'metal', 'acetate', 'women', 'men', 'kids', 'unisex'
+    ];
+
+    /**
+     * Build the brand registry: the default brands, with config entries added or replacing the brand of the same name
+     * @param {Array} [entries] - Brands from the config file: "Acme" or { name: "Acme", aliases: ["Acme Eyewear", "Acmee"] }
+     * @returns {Array} [{ name, aliases, keys }] (keys: normalized name and aliases)
+     */
+    static buildRegistry(entries = []) {
+        const brands = new Map();
+        [...DEFAULT_BRANDS, ...entries].forEach(entry => {
+            const { name, aliases = [] } = typeof entry === 'string' ? { name: entry } : entry;
+            if (!name || typeof name !== 'string') {
+                throw new Error(`Invalid brand registry entry: ${JSON.stringify(entry)}`);
+            }
+            brands.set(this._key(name), { name, aliases });
+        });
+
+        return [...brands.values()].map(brand => ({
+            ...brand,
+            keys: [...new Set([brand.name, ...brand.aliases].map(alias => this._words(alias)).filter(Boolean))]
+        }));
+    }
+
+    /**
+     * Registered brand named by a whole value ("RAYBAN", "Ray Ban", "Oakly"), one-letter typos included
+     * @param {string} value - Cell value
+     * @param {Array} registry - Result of buildRegistry
+     * @returns {string|null} Brand name
+     */
+    static resolve(value, registry) {
+        const words = this._words(value);
+        if (!words) return null;
+
+        const compact = words.replace(/ /g, '');
+        const exact = registry.find(brand => brand.keys.some(key => key === words || key.replace(/ /g, '') === compact));
+        if (exact) return exact.name;
+
+        // Misspellings not listed as aliases: one edit away from a name of 5 letters or more
+        const close = registry.find(brand => brand.keys.some(key => {
+            const keyCompact = key.replace(/ /g, '');
+            return keyCompact.length >= 5 && this._editDistance(keyCompact, compact) <= 1;
+        }));
+        return close ? close.name : null;
+    }
+
+    /**
+     * Registered brands mentioned in a text (file name, sheet name, description), longest names first
+     * @param {string} text - Free text
+     * @param {Array} registry - Result of buildRegistry
+     * @returns {Array} Brand names
+     */
+    static findInText(text, registry) {
+        const padded = ` ${this._words(text)} `;
+        if (padded.trim() === '') return [];
+
+        return registry
+            .map(brand => ({ brand, key: brand.keys.filter(key => padded.includes(` ${key} `)).sort((a, b) => b.length - a.length)[0] }))
+            .filter(match => match.key)
+            .sort((a, b) => b.key.length - a.key.length)
+            .map(match => match.brand.name);
+    }
+
+    /**
+     * Detect the brand of a dataset
+     * @param {Object} source - What to look at
+     * @param {string} [source.fileName] - File name
+     * @param {string} [source.sheetName] - Sheet name
+     * @param {Array} [source.headers] - Normalized headers
+     * @param {Array} [source.rows] - Row objects (a sample is enough)
+     * @param {Object} [options] - Detection options
+     * @param {Array} [options.brands] - Extra registry entries (see buildRegistry)
+     * @param {Logger} [logger] - Logger
+     * @returns {Object} { brand, confidence, source, column, multiBrand, rowBrands, evidence: [{ source, brand, confidence, detail }] }
+     */
+    static detect(source, options = {}, logger = defaultLogger) {
+        const registry = this.buildRegistry(options.brands);
+        const headers = source.headers || [];
+        const rows = source.rows || [];
+        const evidence = [];
+
+        const column = headers.find(header => BRAND_COLUMNS.includes(this._key(header))) || null;
+        const rowBrands = column ? this._columnBrands(rows, column, registry) : null;
+        if (rowBrands) {
+            const [top] = Object.entries(rowBrands.counts).sort((a, b) => b[1] - a[1]);
+            if (top) {
+                evidence.push({
+                    source: 'column',
+                    brand: top[0],
+                    confidence: rowBrands.registered.has(top[0]) ? this.SOURCE_CONFIDENCE.column : this.UNREGISTERED_COLUMN_CONFIDENCE,
+                    detail: `${top[1]}/${rowBrands.filled} rows of "${column}"`
+                });
+            }
+        }
+
+        [['fileName', source.fileName], ['sheetName', source.sheetName]].forEach(([name, text]) => {
+            const [brand] = text ? this.findInText(text, registry) : [];
+            if (brand) {
+                evidence.push({ source: name, brand, confidence: this.SOURCE_CONFIDENCE[name], detail: text });
+            }
+        });
+
+        const fromDescriptions = this._descriptionBrand(headers, rows, registry);
+        if (fromDescriptions) evidence.push(fromDescriptions);
+
+        const result = this._combine(evidence);
+        const brands = rowBrands ? Object.keys(rowBrands.counts) : [];
+        const detection = {
+            brand: result.brand,
+            confidence: result.confidence,
+            source: result.source,
+            column,
+            multiBrand: brands.length > 1,
+            rowBrands: rowBrands ? rowBrands.counts : null,
+            evidence
+        };
+
+        if (detection.multiBrand) {
+            logger.info(`🏷️  Several brands in "${column}": ${Object.entries(rowBrands.counts).map(([brand, count]) => `${brand} (${count})`).join(', ')}`);
+        }
+        logger.debug(`🏷️  Brand evidence: ${evidence.map(item => `${item.brand} from ${item.source} (${item.confidence}%)`).join(', ') || 'none'}`, { evidence });
+
+        return detection;
+    }
+
+    /**
+     * Brand of a row whose brand column was mapped to the brand field, for multi-brand files
+     * @param {string} value - Brand column value
+     * @param {Array} registry - Result of buildRegistry
+     * @param {string} fallback - Brand of rows with an empty brand cell
+     * @returns {string} Registered name, the value as written otherwise
+     */
+    static rowBrand(value, registry, fallback) {
+        const text = value === null || value === undefined ? '' : String(value).trim();
+        if (!text) return fallback;
+        return this.resolve(text, registry) || text;
+    }
+
+    static _columnBrands(rows, column, registry) {
+        const counts = {};
+        const registered = new Set();
+        let filled = 0;
+
+        rows.forEach(row => {
+            const value = row[column] === null || row[column] === undefined ? '' : String(row[column]).trim();
+            if (!value) return;
+            filled++;
+
+            const brand = this.resolve(value, registry);
+            if (brand) registered.add(brand);
+            // Unregistered values are grouped case-insensitively under their first spelling
+            const name = brand || Object.keys(counts).find(existing => this._key(existing) === this._key(value)) || value;
+            counts[name] = (counts[name] || 0) + 1;
+        });
+
+        return filled > 0 ? { counts, registered, filled } : null;
+    }
+
+    /**
+     * A registered brand found in many descriptions, or else a first word most descriptions share
+     */
+    static _descriptionBrand(headers, rows, registry) {
+        const columns = headers.filter(header => this.DESCRIPTION_COLUMNS.some(name => this._key(header).includes(name)));
+        const texts = rows
+            .map(row => columns.map(header => row[header]).filter(Boolean).join(' '))
+            .filter(Boolean);
+        if (texts.length === 0) return null;
+
+        const counts = {};
+        texts.forEach(text => {
+            this.findInText(text, registry).forEach(brand => {
+                counts[brand] = (counts[brand] || 0) + 1;
+            });
+        });
+        const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        if (top && top[1] >= Math.max(2, this.MIN_DESCRIPTION_SHARE * texts.length)) {
+            return { source: 'descriptions', brand: top[0], confidence: this.SOURCE_CONFIDENCE.descriptions, detail: `${top[1]}/${texts.length} descriptions` };
+        }
+
+        if (texts.length < 3) return null;
+        const firstWords = {};
+        texts.forEach(text => {
+            const [word] = String(text).trim().split(/\s+/);
+            if (/^\p{L}{3,}$/u.test(word) && !this.COMMON_WORDS.includes(this._key(word))) {
+                const key = word.toLowerCase();
+                firstWords[key] = firstWords[key] || { word, count: 0 };
+                firstWords[key].count++;
+            }
+        });
+        const repeated = Object.values(firstWords).sort((a, b) => b.count - a.count)[0];
+        if (repeated && repeated.count >= this.MIN_REPEATED_TOKEN_SHARE * texts.length) {
+            return {
+                source: 'descriptions',
+                brand: this._titleCase(repeated.word),
+                confidence: this.REPEATED_TOKEN_CONFIDENCE,
+                detail: `"${repeated.word}" starts ${repeated.count}/${texts.length} descriptions`
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Brand with the most confident evidence, plus a bonus for every other source agreeing
+     */
+    static _combine(evidence) {
+        const byBrand = new Map();
+        evidence.forEach(item => {
+            if (!byBrand.has(item.brand)) byBrand.set(item.brand, []);
+            byBrand.get(item.brand).push(item);
+        });
+
+        let best = { brand: this.UNKNOWN, confidence: 0, source: null };
+        byBrand.forEach((items, brand) => {
+            const strongest = items.reduce((top, item) => item.confidence > top.confidence ? item : top);
+            const confidence = Math.min(99, strongest.confidence + this.AGREEMENT_BONUS * (items.length - 1));
+            if (confidence > best.confidence) {
+                best = { brand, confidence, source: items.map(item => item.source).join('+') };
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Lowercase words without accents or punctuation: "Ray-Ban®" gives "ray ban"
+     */
+    static _words(text) {
+        return foldAccents(String(text || ''))
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    static _key(text) {
+        return this._words(text).replace(/ /g, '');
+    }
+
+    static _titleCase(word) {
+        return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+    }
+
+    static _editDistance(a, b) {
+        if (Math.abs(a.length - b.length) > 1) return 2;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+}
+
+export default BrandDetector;
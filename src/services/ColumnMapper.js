@@ -2,9 +2,84 @@
  * ColumnMapper - Maps input columns to GoHub standard schema
  */
 
-import { getSchemaValues, MAPPING_PATTERNS } from '../config/index.js';
+import { getSchemaValues, hasField, MAPPING_PATTERNS } from '../config/index.js';
+import { defaultLogger } from '../utils/Logger.js';
+import { foldAccents } from '../utils/textNormalization.js';
 
 class ColumnMapper {
+    // Column value types (DataProfiler) a field accepts; fields not listed take any column
+    static FIELD_VALUE_TYPES = {
+        upc: ['ean', 'number'],
+        price: ['price', 'number'],
+        recommendedPrice: ['price', 'number'],
+        weight: ['number', 'price'],
+        image1: ['url'],
+        size: ['dimension', 'number'],
+        bridgeWidth: ['number'],
+        templeLength: ['number'],
+        lensHeight: ['number'],
+        quantity: ['number'],
+        processingDays: ['number']
+    };
+
+    // Fields an unmapped column goes to when its values leave no doubt
+    static VALUE_TYPE_FIELDS = {
+        ean: 'upc',
+        url: 'image1',
+        dimension: 'size'
+    };
+
+    // Lowest similarity between a header and a pattern for the header to be a candidate of the field
+    static MIN_SIMILARITY = 0.6;
+
+    // Added to a partial match for the share of the header words found across all the patterns of the
+    // field, so "Photo URL" goes to image1 (photo, url) rather than photochromic (photo)
+    static COVERAGE_BONUS = 0.04;
+
+    // Candidate fields listed per header in the mapping result
+    static MAX_ALTERNATIVES = 3;
+
+    // Header words expanded before matching ("Desc", "Qty", "BC")
+    static ABBREVIATIONS = {
+        desc: 'description',
+        descr: 'description',
+        ref: 'reference',
+        qty: 'quantity',
+        dia: 'diameter',
+        diam: 'diameter',
+        col: 'color',
+        clr: 'color',
+        colour: 'color',
+        img: 'image',
+        pic: 'image',
+        picture: 'image',
+        brg: 'bridge',
+        wt: 'weight',
+        mat: 'material',
+        matl: 'material',
+        mfr: 'manufacturer',
+        mfg: 'manufacturer',
+        manuf: 'manufacturer',
+        cat: 'category',
+        coll: 'collection',
+        hgt: 'height',
+        wdth: 'width',
+        no: 'number',
+        nr: 'number',
+        num: 'number',
+        cust: 'customs',
+        sph: 'sphere',
+        cyl: 'cylinder',
+        idx: 'index',
+        bc: 'base curve',
+        gtin: 'ean'
+    };
+
+    // Words besides the patterns that split run-together headers ("FRAMECOLOR", "LENSWIDTH")
+    static EXTRA_WORDS = [
+        'frame', 'lens', 'product', 'item', 'article', 'retail', 'wholesale', 'purchase', 'sale', 'net', 'gross', 'unit',
+        'list', 'number', 'short', 'long', 'main', 'sub', 'group', 'family', 'range', 'min', 'max', 'stock', 'date'
+    ];
 
     /**
      * Normalize string for better matching by removing spaces, special chars and converting to lowercase
@@ -12,7 +87,7 @@ class ColumnMapper {
      * @returns {string} Normalized string
      */
     static _normalizeForMatching(str) {
-        return str
+        return foldAccents(str)
             .toLowerCase()
             .replace(/\s+/g, '')           // Remove all spaces
             .replace(/[_-]/g, '')          // Remove underscores and hyphens
@@ -20,97 +95,290 @@ class ColumnMapper {
     }
 
     /**
-     * Find the best matching GoHub field for a CSV header
-     * @param {string} csvHeader - CSV header to match
-     * @returns {string|null} GoHub field key or null if no match
+     * How much a header looks like a pattern (0-1), word by word rather than by substring, so "bridge"
+     * no longer matches "id" and "photo" only matches whole words
+     * - 1: same letters once separators are removed ("Lens-Width" and lens_width)
+     * - 0.7 to 0.95: every word of one is in the other ("Retail price EUR" and retail_price), more for closer lengths
+     * - below: share of common words (Dice), or letters one edit away per 10 for long typos ("Descripton")
+     * Words are expanded from ABBREVIATIONS first, and words of 5 letters or more may differ by one edit.
+     * @param {Array} headerWords - Result of _words() for the header
+     * @param {Array} patternWords - Result of _words() for the pattern
+     * @returns {number} Similarity
      */
-    static _findBestMatchingField(csvHeader) {
-        // Normalize the CSV header
-        const normalizedHeader = this._normalizeForMatching(csvHeader);
-        
-        // First, try exact matches (highest priority)
-        for (const [goHubKey, patterns] of Object.entries(MAPPING_PATTERNS)) {
-            for (const pattern of patterns) {
-                const normalizedPattern = this._normalizeForMatching(pattern);
-                if (normalizedHeader === normalizedPattern) {
-                    return goHubKey;
+    static similarity(headerWords, patternWords) {
+        if (headerWords.length === 0 || patternWords.length === 0) return 0;
+
+        const headerCompact = headerWords.join('');
+        const patternCompact = patternWords.join('');
+        if (headerCompact === patternCompact) return 1;
+
+        const common = patternWords.filter(word => headerWords.some(other => this._sameWord(word, other))).length;
+        const lengthRatio = Math.min(headerCompact.length, patternCompact.length) / Math.max(headerCompact.length, patternCompact.length);
+        if (common === patternWords.length || common === headerWords.length) {
+            return 0.7 + 0.25 * lengthRatio;
+        }
+
+        const dice = (2 * common) / (headerWords.length + patternWords.length);
+        const typo = Math.min(headerCompact.length, patternCompact.length) >= 5
+            ? 1 - this._editDistance(headerCompact, patternCompact) / Math.max(headerCompact.length, patternCompact.length)
+            : 0;
+        return Math.max(0.9 * dice, typo >= 0.8 ? 0.9 * typo : 0);
+    }
+
+    /**
+     * Candidate fields of a header, best first
+     * @param {Array} words - Result of _words() for the header
+     * @returns {Array} [{ field, score, pattern }] with a score of MIN_SIMILARITY or more
+     */
+    static _candidates(words) {
+        return this._patternIndex()
+            .map(({ field, patterns }) => {
+                const best = patterns.reduce((top, pattern) => {
+                    const score = this.similarity(words, pattern.words);
+                    return score > top.score ? { field, score, pattern: pattern.text } : top;
+                }, { field, score: 0, pattern: null });
+                if (best.score > 0 && best.score < 1) {
+                    const covered = words.filter(word => patterns.some(pattern => pattern.words.some(other => this._sameWord(word, other)))).length;
+                    best.score = Math.min(0.99, best.score + this.COVERAGE_BONUS * (covered / words.length));
                 }
-            }
+                return best;
+            })
+            .filter(candidate => candidate.score >= this.MIN_SIMILARITY)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Words of MAPPING_PATTERNS, plus the field names themselves ("colorDescription"), computed once
+     */
+    static _patternIndex() {
+        if (!this._patterns) {
+            this._patterns = Object.entries(MAPPING_PATTERNS).map(([field, patterns]) => ({
+                field,
+                patterns: [...new Set([...patterns, field])].map(text => ({ text, words: this._words(text) }))
+            }));
         }
-        
-        // Then, try contains matches (lower priority)
-        for (const [goHubKey, patterns] of Object.entries(MAPPING_PATTERNS)) {
-            for (const pattern of patterns) {
-                const normalizedPattern = this._normalizeForMatching(pattern);
-                if (normalizedHeader.includes(normalizedPattern) || 
-                    normalizedPattern.includes(normalizedHeader)) {
-                    return goHubKey;
+        return this._patterns;
+    }
+
+    /**
+     * Words of a header or pattern, abbreviations expanded: "Frame Colour Desc." gives frame, color, description
+     * Runs of letters without separators ("LENSWIDTH", normalized headers) are split into known words when they can be.
+     */
+    static _words(text) {
+        return foldAccents(String(text || ''))
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean)
+            .flatMap(chunk => this._segment(chunk))
+            .flatMap(word => (this.ABBREVIATIONS[word] || word).split(' '));
+    }
+
+    /**
+     * Split a run of letters into the fewest known words ("retailprice" → retail, price), unchanged otherwise
+     */
+    static _segment(chunk) {
+        const vocabulary = this._vocabulary();
+        if (vocabulary.has(chunk) || chunk.length > 40) return [chunk];
+
+        // best[i]: fewest words covering chunk.slice(0, i)
+        const best = [[]];
+        for (let end = 1; end <= chunk.length; end++) {
+            for (let start = 0; start < end; start++) {
+                const word = chunk.slice(start, end);
+                if (best[start] && vocabulary.has(word) && (!best[end] || best[start].length + 1 < best[end].length)) {
+                    best[end] = [...best[start], word];
                 }
             }
         }
-        
-        return null; // No match found
+        return best[chunk.length] || [chunk];
+    }
+
+    static _vocabulary() {
+        if (!this._knownWords) {
+            const words = [...Object.keys(MAPPING_PATTERNS), ...Object.values(MAPPING_PATTERNS).flat()]
+                .flatMap(text => foldAccents(text).replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z0-9]+/));
+            // Shorter words would cut runs at random, only abbreviations (no, bc) are kept
+            const expansions = Object.values(this.ABBREVIATIONS).flatMap(expansion => expansion.split(' '));
+            this._knownWords = new Set([...words, ...Object.keys(this.ABBREVIATIONS), ...expansions, ...this.EXTRA_WORDS]
+                .filter(word => word.length >= 3 || this.ABBREVIATIONS[word]));
+        }
+        return this._knownWords;
+    }
+
+    static _sameWord(a, b) {
+        if (a === b) return true;
+        return a.length >= 5 && b.length >= 5 && this._editDistance(a, b) <= 1;
+    }
+
+    static _editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            previous = current;
+        }
+        return previous[b.length];
     }
 
     /**
-     * Check if two strings match after normalization
-     * @param {string} str1 - First string
-     * @param {string} str2 - Second string
-     * @returns {boolean} True if they match
+     * Assignment maximizing the total score (Hungarian algorithm), each header to at most one field
+     * and each field to at most one header
+     * @param {Array} scores - scores[header][field], 0 where the pair is not allowed
+     * @returns {Array} Field index of each header, -1 when it gets none
      */
-    static _isNormalizedMatch(str1, str2) {
-        const norm1 = this._normalizeForMatching(str1);
-        const norm2 = this._normalizeForMatching(str2);
-        
-        // Check for exact match or contains relationship
-        return norm1 === norm2 || 
-               norm1.includes(norm2) || 
-               norm2.includes(norm1);
+    static _assign(scores) {
+        const rows = scores.length;
+        const columns = rows > 0 ? scores[0].length : 0;
+        const size = Math.max(rows, columns);
+        if (size === 0) return [];
+
+        // Square cost matrix; padding rows and columns cost as much as leaving a header unmapped
+        const cost = Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) =>
+            i < rows && j < columns ? 1 - scores[i][j] : 1));
+
+        // Potentials and matching of the O(n³) shortest augmenting path version (1-based, 0 is a sentinel)
+        const u = new Array(size + 1).fill(0);
+        const v = new Array(size + 1).fill(0);
+        const match = new Array(size + 1).fill(0);
+        const way = new Array(size + 1).fill(0);
+
+        for (let i = 1; i <= size; i++) {
+            match[0] = i;
+            let column = 0;
+            const minimum = new Array(size + 1).fill(Infinity);
+            const used = new Array(size + 1).fill(false);
+            do {
+                used[column] = true;
+                const row = match[column];
+                let delta = Infinity;
+                let next = 0;
+                for (let j = 1; j <= size; j++) {
+                    if (used[j]) continue;
+                    const reduced = cost[row - 1][j - 1] - u[row] - v[j];
+                    if (reduced < minimum[j]) {
+                        minimum[j] = reduced;
+                        way[j] = column;
+                    }
+                    if (minimum[j] < delta) {
+                        delta = minimum[j];
+                        next = j;
+                    }
+                }
+                for (let j = 0; j <= size; j++) {
+                    if (used[j]) {
+                        u[match[j]] += delta;
+                        v[j] -= delta;
+                    } else {
+                        minimum[j] -= delta;
+                    }
+                }
+                column = next;
+            } while (match[column] !== 0);
+            do {
+                const previous = way[column];
+                match[column] = match[previous];
+                column = previous;
+            } while (column !== 0);
+        }
+
+        const assignment = new Array(rows).fill(-1);
+        for (let j = 1; j <= size; j++) {
+            const row = match[j] - 1;
+            if (row < rows && j - 1 < columns && scores[row][j - 1] > 0) {
+                assignment[row] = j - 1;
+            }
+        }
+        return assignment;
     }
 
     /**
      * Map input columns to GoHub schema
      * @param {Array} inputHeaders - Pre-normalized headers from CsvReader
      * @param {string} productType - Detected product type
-     * @returns {Object} Mapping result
+     * @param {Logger} [logger] - Logger
+     * @param {Object} [options] - Mapping options
+     * @param {Object} [options.profile] - DataProfiler result: a column whose values do not fit a field
+     * is not mapped to it, and EAN, URL and size columns with unknown names are mapped from their values
+     * @param {string} [options.brandColumn] - Column BrandDetector found the brands in, mapped to brand when nothing else is
+     * @param {Array} [options.originalHeaders] - Supplier column names aligned with inputHeaders, whose word
+     * boundaries help matching (normalized headers are split into known words otherwise)
+     * @returns {Object} Mapping result, with alternatives: { header: [{ field, confidence }] } the best candidate fields of each header
      */
-    static mapColumns(inputHeaders, productType) {
-        console.log(`🗺️  Mapping columns for product type: ${productType}`);
-        console.log(`📋 Input headers (${inputHeaders.length}):`, inputHeaders);
-        console.log(`🔄 Headers are already normalized from CsvReader`);
-        
+    static mapColumns(inputHeaders, productType, logger = defaultLogger, options = {}) {
+        const columnTypes = new Map((options.profile ? options.profile.columns : [])
+            .map(column => [column.header, column.type]));
+        logger.debug(`🗺️  Mapping columns for product type: ${productType}`);
+        logger.debug(`📋 Input headers (${inputHeaders.length}): ${inputHeaders.join(', ')}`, { headers: inputHeaders });
+
         const targetSchema = getSchemaValues(productType) || [];
-        console.log(`🎯 Target schema (${targetSchema.length} fields):`, targetSchema.slice(0, 5), '...');
+        logger.debug(`🎯 Target schema (${targetSchema.length} fields): ${targetSchema.slice(0, 5).join(', ')}...`);
         
         const mapping = {};
         const confidence = {};
         const unmapped = [...inputHeaders];
         const unmatched = [...targetSchema];
+        const valueMapped = [];
         
-        // Step 1: Direct pattern matching - start from CSV headers to find GoHub keys
-        inputHeaders.forEach(header => {
-            // Find the best matching GoHub field for this CSV header
-            const targetField = this._findBestMatchingField(header);
-            
-            if (targetField && !mapping[targetField] && !Object.values(mapping).includes(header)) {
-                mapping[targetField] = header;
-                confidence[targetField] = this._calculateMappingConfidence(targetField, header, header);
-                
-                // Remove from unmapped lists
-                const unmappedIndex = unmapped.indexOf(header);
-                if (unmappedIndex > -1) unmapped.splice(unmappedIndex, 1);
-                
-                const unmatchedIndex = unmatched.indexOf(targetField);
-                if (unmappedIndex > -1) unmatched.splice(unmappedIndex, 1);
-                
-                console.log(`✅ Mapped: "${header}" → "${targetField}" (confidence: ${confidence[targetField]}%)`);
-            } else if (!targetField) {
-                console.log(`⚠️  No mapping found for: "${header}"`);
+        // Step 1: Score every header against every field, then give each field its best header as a whole
+        const candidates = inputHeaders.map((header, index) => {
+            const words = this._words((options.originalHeaders && options.originalHeaders[index]) || header);
+            return this._candidates(words).filter(candidate => {
+                if (this._fitsValueType(candidate.field, columnTypes.get(header))) return true;
+                logger.debug(`⚠️  "${header}" looks like ${candidate.field} but holds ${columnTypes.get(header)} values, not mapped`, {
+                    header,
+                    targetField: candidate.field,
+                    valueType: columnTypes.get(header)
+                });
+                return false;
+            });
+        });
+
+        const fields = this._patternIndex().map(({ field }) => field);
+        // Ties go to the field listed first in MAPPING_PATTERNS, then to the leftmost header
+        const scores = candidates.map((headerCandidates, headerIndex) => fields.map((field, fieldIndex) => {
+            const candidate = headerCandidates.find(entry => entry.field === field);
+            return candidate ? candidate.score - fieldIndex * 1e-6 - headerIndex * 1e-9 : 0;
+        }));
+
+        this._assign(scores).forEach((fieldIndex, headerIndex) => {
+            const header = inputHeaders[headerIndex];
+            if (fieldIndex === -1) {
+                logger.debug(`⚠️  No mapping found for: "${header}"`, { header });
+                return;
             }
+
+            const targetField = fields[fieldIndex];
+            const { score, pattern } = candidates[headerIndex].find(entry => entry.field === targetField);
+            mapping[targetField] = header;
+            confidence[targetField] = this._confidence(score);
+            unmapped.splice(unmapped.indexOf(header), 1);
+
+            const unmatchedIndex = unmatched.indexOf(targetField);
+            if (unmatchedIndex > -1) unmatched.splice(unmatchedIndex, 1);
+
+            logger.debug(`✅ Mapped: "${header}" → "${targetField}" (pattern "${pattern}", confidence: ${confidence[targetField]}%)`, {
+                header,
+                targetField,
+                confidence: confidence[targetField]
+            });
         });
-        
+
         // Step 2: Handle complex fields (like SIZE containing multiple dimensions)
-        this._handleComplexMappings(mapping, confidence, unmapped, unmatched, inputHeaders, productType);
+        this._handleComplexMappings(mapping, confidence, unmapped, unmatched, inputHeaders, productType, logger);
+
+        // Step 3: Columns left over whose values identify the field
+        this._mapByValueType(mapping, confidence, unmapped, columnTypes, productType, valueMapped, logger);
+
+        // Step 4: Brand column recognized by BrandDetector ("Marque", "Fabricant")
+        if (options.brandColumn && !mapping.brand && unmapped.includes(options.brandColumn)) {
+            mapping.brand = options.brandColumn;
+            confidence.brand = 85;
+            unmapped.splice(unmapped.indexOf(options.brandColumn), 1);
+            logger.debug(`🔧 Brand mapping: "${options.brandColumn}" → brand (confidence: 85%)`);
+        }
         
         const result = {
             productType,
@@ -118,6 +386,11 @@ class ColumnMapper {
             confidence,
             unmappedInputs: unmapped,
             unmatchedTargets: unmatched,
+            valueMapped,
+            alternatives: Object.fromEntries(inputHeaders.map((header, index) => [
+                header,
+                candidates[index].slice(0, this.MAX_ALTERNATIVES).map(({ field, score }) => ({ field, confidence: this._confidence(score) }))
+            ])),
             mappingStats: {
                 totalInputs: inputHeaders.length,
                 totalTargets: targetSchema.length,
@@ -126,9 +399,8 @@ class ColumnMapper {
             }
         };
         
-        console.log(`📊 Mapping completed: ${Object.keys(mapping).length}/${targetSchema.length} fields mapped`);
-        console.log(`📈 Average confidence: ${result.mappingStats.avgConfidence}%`);
-        
+        logger.debug(`📊 Mapping completed: ${Object.keys(mapping).length}/${targetSchema.length} fields mapped, ${result.mappingStats.avgConfidence}% average confidence`);
+
         return result;
     }
 
@@ -136,7 +408,7 @@ class ColumnMapper {
      * Handle complex mappings like SIZE field containing multiple dimensions
      * Works with pre-normalized headers from CsvReader
      */
-    static _handleComplexMappings(mapping, confidence, unmapped, unmatched, normalizedInputHeaders, productType) {
+    static _handleComplexMappings(mapping, confidence, unmapped, unmatched, normalizedInputHeaders, productType, logger = defaultLogger) {
         if (productType === 'FRAME') {
             // Enhanced SIZE field detection - case insensitive, space tolerant
             const sizePatterns = ['size', 'sizes', 'dimension', 'dimensions', 'measurements', 'measure'];
@@ -169,7 +441,7 @@ class ColumnMapper {
                 const unmatchedIndex = unmatched.indexOf('size');
                 if (unmatchedIndex > -1) unmatched.splice(unmappedIndex, 1);
                 
-                console.log(`🔧 Complex mapping: "${sizeField}" → size (DataCleaner will extract dimensions)`);
+                logger.debug(`🔧 Complex mapping: "${sizeField}" → size (DataCleaner will extract dimensions)`);
             }
             
             // Handle CHARACTERISTICS and COMPOSITION fields for frame material
@@ -197,29 +469,44 @@ class ColumnMapper {
                 const unmatchedIndex = unmatched.indexOf('frameMaterial');
                 if (unmatchedIndex > -1) unmatched.splice(unmatchedIndex, 1);
                 
-                console.log(`🔧 Material mapping: "${materialField}" → frameMaterial (confidence: 80%)`);
+                logger.debug(`🔧 Material mapping: "${materialField}" → frameMaterial (confidence: 80%)`);
             }
         }
     }
 
     /**
-     * Calculate confidence for a specific mapping using normalized strings
+     * Whether a column holding values of `valueType` can feed a field (unknown and empty columns can)
      */
-    static _calculateMappingConfidence(targetField, inputHeader, pattern) {
-        const normalizedInput = this._normalizeForMatching(inputHeader);
-        const normalizedPattern = this._normalizeForMatching(pattern);
-        
-        // Exact match after normalization
-        if (normalizedInput === normalizedPattern) return 95;
-        
-        // Contains pattern after normalization
-        if (normalizedInput.includes(normalizedPattern) || normalizedPattern.includes(normalizedInput)) {
-            const similarity = Math.min(normalizedInput.length, normalizedPattern.length) / 
-                             Math.max(normalizedInput.length, normalizedPattern.length);
-            return Math.round(70 + (similarity * 25));
-        }
-        
-        return 60; // Minimum confidence
+    static _fitsValueType(field, valueType) {
+        const accepted = this.FIELD_VALUE_TYPES[field];
+        if (!accepted || !valueType || valueType === 'empty') return true;
+        return accepted.includes(valueType);
+    }
+
+    /**
+     * Map unmapped columns from their value type (EAN codes to upc, URLs to image1, size strings to size)
+     */
+    static _mapByValueType(mapping, confidence, unmapped, columnTypes, productType, valueMapped, logger = defaultLogger) {
+        [...unmapped].forEach(header => {
+            const field = this.VALUE_TYPE_FIELDS[columnTypes.get(header)];
+            if (!field || mapping[field]) return;
+            // size is split into lens width, bridge and temple by DataCleaner
+            if (field === 'size' ? (productType !== 'FRAME' || mapping.lensWidth || mapping.bridgeWidth || mapping.templeLength) : !hasField(productType, field)) return;
+
+            mapping[field] = header;
+            confidence[field] = 65;
+            valueMapped.push(field);
+            unmapped.splice(unmapped.indexOf(header), 1);
+
+            logger.debug(`🔧 Value mapping: "${header}" → ${field} (${columnTypes.get(header)} values, confidence: 65%)`);
+        });
+    }
+
+    /**
+     * Mapping confidence of a similarity: 95 for the same letters, 70 to 95 when the words of one are in the other
+     */
+    static _confidence(score) {
+        return Math.round(Math.min(95, score * 100 - (score < 1 ? 5 : 0)));
     }
 
     /**
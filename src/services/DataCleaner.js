@@ -3,7 +3,12 @@
  * Responsabilité unique : Nettoyage minimal et efficace
  */
 
+import { defaultLogger } from '../utils/Logger.js';
+
 class DataCleaner {
+    // GoHub fields filled from cell hyperlinks, in order
+    static IMAGE_FIELDS = ['image1', 'image2', 'image3'];
+
     /**
      * Clean a single field - MINIMAL approach
      * @param {string} fieldName - Name of the field
@@ -151,88 +156,24 @@ class DataCleaner {
     }
 
     /**
-     * Apply intelligent rules to avoid AI processing when possible
-     */
-    static _applyIntelligentRules(fieldName, cleanResult) {
-        if (!cleanResult.needsAI) return null;
-        
-        // Ocean Glasses specific patterns
-        const oceanPattern = this._applyOceanGlassesRules(fieldName, cleanResult.value);
-        if (oceanPattern) {
-            return {
-                ...cleanResult,
-                ...oceanPattern,
-                enhanced: true,
-                needsAI: false,
-                source: 'ocean-rule'
-            };
-        }
-
-        return null;
-    }
-
-    /**
-     * Ocean Glasses specific rules - extracted from AI enhancer
-     */
-    static _applyOceanGlassesRules(fieldName, value) {
-        if (!value || typeof value !== 'string') return null;
-        
-        const fieldLower = fieldName.toLowerCase();
-        
-        // Extract Color (base) from FRAME COLOR
-        if (fieldLower.includes('color')) {
-            const colorPatterns = {
-                'shiny black': { baseColor: 'Black', description: 'Shiny Black' },
-                'matte black': { baseColor: 'Black', description: 'Matte Black' },
-                'demy brown': { baseColor: 'Brown', description: 'Demy Brown' },
-                'black and brown': { baseColor: 'Brown', description: 'Black and Brown' },
-                'clear': { baseColor: 'Clear', description: 'Clear' },
-                'transparent': { baseColor: 'Clear', description: 'Transparent' }
-            };
-            
-            for (const [pattern, extracted] of Object.entries(colorPatterns)) {
-                if (value.toLowerCase().includes(pattern)) {
-                    return {
-                        value: extracted.baseColor,
-                        confidence: 95,
-                        colorDescription: extracted.description
-                    };
-                }
-            }
-        }        
-
-        // Material patterns
-        if (fieldLower.includes('composition') || fieldLower.includes('material')) {
-            if (value.includes('100%Acetate')) {
-                return {
-                    value: 'Acetate',
-                    confidence: 95
-                };
-            }
-        }
-
-        return null;
-    }
-
-    /**
-     * Clean a batch of rows with intelligent rules application
+     * Clean a batch of rows
      * @param {Array} rows - Raw data rows
      * @param {Object} mapping - Column mapping from ColumnMapper
      * @param {Object} schemas - GoHub schemas for field validation
+     * @param {Logger} [logger] - Logger
+     * @param {Function} [onProgress] - Called with { completed, total } every 100 rows and at the end
      * @returns {Object} Cleaned data with transformed field names
      */
-    static cleanBatch(rows, mapping = {}, schemas = {}) {
-        console.log(`🧹 Cleaning batch of ${rows.length} rows`);
-        console.log(`🗺️  Using mapping: ${Object.keys(mapping).length} fields`);
-        console.log(`📋 Using schemas: ${Object.keys(schemas).length} product types`);
-        
+    static cleanBatch(rows, mapping = {}, schemas = {}, logger = defaultLogger, onProgress = null) {
+        logger.debug(`🧹 Cleaning batch of ${rows.length} rows (${Object.keys(mapping).length} mapped fields, ${Object.keys(schemas).length} product types)`);
+
         const cleanedRows = [];
         const stats = {
             totalFields: 0,
             cleanedFields: 0,
             needsAI: 0,
             extracted: 0,
-            ruled: 0, // Fields handled by intelligent rules
+            ruled: 0, // Fields handled by supplier rule plugins
             transformed: 0 // Fields with transformed names
         };
 
@@ -248,11 +189,8 @@ class DataCleaner {
             Object.entries(row).forEach(([fieldName, rawValue]) => {
                 stats.totalFields++;
                 
-                const cleanResult = this.cleanField(fieldName, rawValue, schemas);
-                
-                // Apply intelligent rules before marking as needing AI
-                const ruledResult = this._applyIntelligentRules(fieldName, cleanResult);
-                const finalResult = ruledResult || cleanResult;
+                // Supplier-specific rules run afterwards as plugins (see src/plugins)
+                const finalResult = this.cleanField(fieldName, rawValue, schemas);
                 
                 // Transform field name using mapping
                 const targetFieldName = reverseMapping[fieldName] || fieldName;
@@ -262,9 +200,7 @@ class DataCleaner {
                 
                 cleanedRow[targetFieldName] = finalResult;
                 
-                if (ruledResult) {
-                    stats.ruled++;
-                } else if (finalResult.needsAI) {
+                if (finalResult.needsAI) {
                     stats.needsAI++;
                 }
                 
@@ -276,19 +212,62 @@ class DataCleaner {
             });
             
             cleanedRows.push(cleanedRow);
+
+            if (onProgress && ((rowIndex + 1) % 100 === 0 || rowIndex === rows.length - 1)) {
+                onProgress({ completed: rowIndex + 1, total: rows.length });
+            }
         });
 
-        console.log(`✅ Ocean Glasses cleaning completed:`, stats);
-        console.log(`   📦 Extractions: ${stats.extracted}`);
-        console.log(`   🎯 Rules applied: ${stats.ruled}`);
-        console.log(`   🔄 Fields transformed: ${stats.transformed}`);
-        console.log(`   🤖 AI needed: ${stats.needsAI}/${stats.totalFields} (${Math.round((stats.needsAI/stats.totalFields)*100)}%)`);
-        
+        logger.debug(`📦 Extractions: ${stats.extracted}, 🔄 fields transformed: ${stats.transformed}, 🤖 AI needed: ${stats.needsAI}/${stats.totalFields}`, { stats });
+
         return {
             cleanedRows,
             stats
         };
     }
+
+    /**
+     * Fill image1, image2 and image3 from the hyperlinks of the source cells
+     * Supplier sheets often show "click here" with the image URL behind it. Links of image-like
+     * columns (image, photo, link, url...) or pointing at an image file fill the image fields that
+     * do not hold a URL yet, in column order.
+     * @param {Array} cleanedRows - Rows returned by cleanBatch (modified in place)
+     * @param {Array} cellInfos - CsvReader.getCellInfo() of each source row, aligned with cleanedRows
+     * @returns {number} Image fields filled
+     */
+    static fillImageLinks(cleanedRows, cellInfos) {
+        const isUrl = value => typeof value === 'string' && /^https?:\/\//i.test(value.trim());
+        let filled = 0;
+
+        cleanedRows.forEach((row, index) => {
+            const info = cellInfos[index];
+            if (!info || info.links.length === 0) return;
+
+            const current = this.IMAGE_FIELDS.map(field => row[field] && row[field].value).filter(isUrl);
+            const urls = [...new Set(info.links.filter(link => this._isImageLink(link)).map(link => link.url))]
+                .filter(url => !current.includes(url));
+
+            this.IMAGE_FIELDS
+                .filter(field => !row[field] || !isUrl(row[field].value))
+                .forEach(field => {
+                    if (urls.length === 0) return;
+                    row[field] = {
+                        value: urls.shift(),
+                        confidence: 100,
+                        needsAI: false,
+                        cleaning: ['Cell hyperlink']
+                    };
+                    filled++;
+                });
+        });
+
+        return filled;
+    }
+
+    static _isImageLink(link) {
+        return /image|imagen|img|photo|foto|picture|pic|link|url/i.test(link.header)
+            || /\.(jpe?g|png|gif|webp|bmp|tiff?)(\?|#|$)/i.test(link.url);
+    }
 }
 
 export default DataCleaner;
\ No newline at end of file
@@ -0,0 +1,251 @@
+/**
+ * DataProfiler - Describes what each column of a supplier file contains
+ *
+ * Every filled cell is classified (EAN, URL, date, dimension string, price, number, free text) and a
+ * column takes the type most of its values share. The profile gives detection and mapping something
+ * to go on when the header names are cryptic, and flags the values that do not fit their column.
+ */
+
+import { defaultLogger } from '../utils/Logger.js';
+
+class DataProfiler {
+    static TYPES = ['empty', 'ean', 'url', 'date', 'dimension', 'price', 'number', 'text'];
+
+    // Share of the filled values a type needs to be the column type, free text otherwise
+    static MIN_TYPE_SHARE = 0.6;
+
+    static MAX_EXAMPLES = 3;
+    static MAX_OUTLIERS = 5;
+
+    // Numbers further than this many interquartile ranges from the middle half are outliers
+    static OUTLIER_FENCE = 3;
+
+    static VALUE_PATTERNS = {
+        url: /^(?:https?:\/\/|www\.)\S+$/i,
+        date: /^(?:\d{4}-\d{2}-\d{2}(?:[ T]\d{2}:\d{2}(?::\d{2})?)?|\d{1,2}[/.]\d{1,2}[/.]\d{4})$/,
+        // 52-18-140, 52□18-140, 52x18, 54/17 145
+        dimension: /^\d{2,3}(?:[.,]\d)?(?:\s*[-x×*□/ ]\s*\d{1,3}(?:[.,]\d)?){1,2}\s*(?:mm)?$/i,
+        price: /^(?:(?:[€$£]|eur|usd|gbp)\s*[+-]?\d[\d\s.,]*|[+-]?\d[\d\s.,]*\s*(?:[€$£]|eur|usd|gbp)|[+-]?\d+(?:[ .,]\d{3})*[.,]\d{2})$/i,
+        number: /^[+-]?(?:\d+|\d{1,3}(?:[ .,]\d{3})+)(?:[.,]\d+)?\s*%?$/
+    };
+
+    /**
+     * Profile every column
+     * @param {Array} headers - Normalized headers (row object keys)
+     * @param {Array} rows - Row objects
+     * @param {Object} [options] - Profiling options
+     * @param {Array} [options.originalHeaders] - Supplier column names, aligned with headers
+     * @param {Function} [options.lineOf] - Source line of a row (row, index), its position otherwise
+     * @param {boolean} [options.sampled] - The rows are a sample of the file (streaming)
+     * @param {Logger} [logger] - Logger
+     * @returns {Object} { rowCount, sampled, completeness, columns: [{ header, originalHeader, type, typeShare, fillRate, filled, distinct, examples, stats, outlierCount, outliers }] }
+     */
+    static profile(headers, rows, options = {}, logger = defaultLogger) {
+        const lineOf = options.lineOf || ((row, index) => index + 1);
+        const lines = rows.map((row, index) => lineOf(row, index) ?? index + 1);
+
+        const originalHeaders = options.originalHeaders || [];
+        const columns = headers.map((header, index) => this._profileColumn(
+            { header, originalHeader: originalHeaders[index] || header },
+            rows.map(row => this._text(row[header])),
+            lines
+        ));
+
+        // Rows with at least 80% of their columns filled, as in CsvReader.getDataQuality
+        const completeRows = rows.filter(row => headers.filter(header => this._text(row[header])).length >= 0.8 * headers.length).length;
+
+        const profile = {
+            rowCount: rows.length,
+            sampled: !!options.sampled,
+            completeness: rows.length > 0 ? Math.round((completeRows / rows.length) * 100) : 0,
+            columns
+        };
+
+        columns.forEach(column => {
+            logger.debug(`📊 ${column.originalHeader}: ${column.type} (${column.fillRate}% filled, ${column.distinct} distinct)`, { column });
+        });
+
+        return profile;
+    }
+
+    /**
+     * Type of a single value
+     * @param {string} value - Cell text
+     * @returns {string} One of TYPES
+     */
+    static classify(value) {
+        const text = this._text(value);
+        if (!text) return 'empty';
+        if (this._isEan(text)) return 'ean';
+
+        const { VALUE_PATTERNS } = this;
+        if (VALUE_PATTERNS.url.test(text)) return 'url';
+        if (VALUE_PATTERNS.date.test(text)) return 'date';
+        if (VALUE_PATTERNS.number.test(text) && !/[.,]\d{2}$/.test(text)) return 'number';
+        if (VALUE_PATTERNS.price.test(text)) return 'price';
+        if (VALUE_PATTERNS.number.test(text)) return 'number';
+        if (VALUE_PATTERNS.dimension.test(text)) return 'dimension';
+        return 'text';
+    }
+
+    /**
+     * Profile entry of a column
+     * @param {Object} profile - Result of profile()
+     * @param {string} header - Normalized header
+     * @returns {Object|null} Column profile
+     */
+    static getColumn(profile, header) {
+        if (!profile) return null;
+        return profile.columns.find(column => column.header === header) || null;
+    }
+
+    static _profileColumn(names, values, lines) {
+        const counts = {};
+        const types = values.map(value => {
+            const type = this.classify(value);
+            counts[type] = (counts[type] || 0) + 1;
+            return type;
+        });
+
+        const filled = values.length - (counts.empty || 0);
+        const { type, share } = this._columnType(counts, filled);
+        const distinct = new Set(values.filter(Boolean));
+
+        const column = {
+            ...names,
+            type,
+            typeShare: share,
+            fillRate: values.length > 0 ? Math.round((filled / values.length) * 100) : 0,
+            filled,
+            distinct: distinct.size,
+            examples: [...distinct].slice(0, this.MAX_EXAMPLES).map(value => value.length > 40 ? `${value.slice(0, 37)}...` : value),
+            stats: null,
+            outlierCount: 0,
+            outliers: []
+        };
+
+        if (type === 'empty') return column;
+
+        // Values of another type: "N/A" in a price column, a name in an EAN column
+        const outliers = [];
+        types.forEach((valueType, index) => {
+            if (valueType !== 'empty' && !this._fitsType(valueType, type)) {
+                outliers.push({ line: lines[index], value: values[index], reason: `${valueType} value in a ${type} column` });
+            }
+        });
+
+        if (type === 'ean') {
+            values.forEach((value, index) => {
+                if (types[index] === 'ean' && !this._hasValidCheckDigit(value)) {
+                    outliers.push({ line: lines[index], value, reason: 'wrong check digit' });
+                }
+            });
+        }
+
+        if (type === 'price' || type === 'number') {
+            const numbers = [];
+            values.forEach((value, index) => {
+                if (types[index] !== 'price' && types[index] !== 'number') return;
+                const number = this._toNumber(value);
+                if (number !== null) numbers.push({ number, index });
+            });
+            column.stats = this._stats(numbers.map(entry => entry.number));
+
+            if (column.stats) {
+                const { q1, q3 } = column.stats;
+                const fence = this.OUTLIER_FENCE * (q3 - q1);
+                numbers.forEach(({ number, index }) => {
+                    if (fence > 0 && (number < q1 - fence || number > q3 + fence)) {
+                        outliers.push({ line: lines[index], value: values[index], reason: number > q3 ? 'unusually high' : 'unusually low' });
+                    }
+                });
+            }
+        }
+
+        column.outlierCount = outliers.length;
+        column.outliers = outliers.sort((a, b) => a.line - b.line).slice(0, this.MAX_OUTLIERS);
+        return column;
+    }
+
+    /**
+     * Most common type among the filled values; prices and plain numbers count together
+     */
+    static _columnType(counts, filled) {
+        if (filled === 0) return { type: 'empty', share: 100 };
+
+        const numeric = (counts.price || 0) + (counts.number || 0);
+        const candidates = Object.entries(counts)
+            .filter(([type]) => type !== 'empty' && type !== 'price' && type !== 'number');
+        candidates.push([(counts.price || 0) >= (counts.number || 0) ? 'price' : 'number', numeric]);
+
+        const [type, count] = candidates.reduce((best, candidate) => candidate[1] > best[1] ? candidate : best);
+        const share = count / filled;
+
+        return share >= this.MIN_TYPE_SHARE
+            ? { type, share: Math.round(share * 100) }
+            : { type: 'text', share: Math.round(((counts.text || 0) / filled) * 100) };
+    }
+
+    static _fitsType(valueType, columnType) {
+        if (columnType === 'text') return true;
+        if (columnType === 'price' || columnType === 'number') return valueType === 'price' || valueType === 'number';
+        return valueType === columnType;
+    }
+
+    /**
+     * GTIN-8/12/13/14 shape (8 digits only with a valid check digit, to leave plain codes alone)
+     */
+    static _isEan(text) {
+        if (!/^\d+$/.test(text)) return false;
+        if (text.length === 8) return this._hasValidCheckDigit(text);
+        return text.length >= 12 && text.length <= 14;
+    }
+
+    static _hasValidCheckDigit(code) {
+        const digits = code.split('').map(Number);
+        const check = digits.pop();
+        const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+        return (10 - (sum % 10)) % 10 === check;
+    }
+
+    /**
+     * Number of a price or number cell: "1.234,50 €" and "1,234.50" both give 1234.5
+     */
+    static _toNumber(value) {
+        let text = value.replace(/[€$£%]|eur|usd|gbp|\s/gi, '');
+        const lastSeparator = Math.max(text.lastIndexOf('.'), text.lastIndexOf(','));
+        if (lastSeparator > -1 && text.length - lastSeparator - 1 !== 3) {
+            // The last separator is the decimal one, the others group thousands
+            text = text.slice(0, lastSeparator).replace(/[.,]/g, '') + '.' + text.slice(lastSeparator + 1);
+        } else {
+            text = text.replace(/[.,]/g, '');
+        }
+        const number = Number(text);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    static _stats(numbers) {
+        if (numbers.length === 0) return null;
+
+        const sorted = [...numbers].sort((a, b) => a - b);
+        const quantile = q => {
+            const position = (sorted.length - 1) * q;
+            const lower = Math.floor(position);
+            return sorted[lower] + (sorted[Math.ceil(position)] - sorted[lower]) * (position - lower);
+        };
+
+        return {
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            median: quantile(0.5),
+            q1: quantile(0.25),
+            q3: quantile(0.75)
+        };
+    }
+
+    static _text(value) {
+        return value === null || value === undefined ? '' : String(value).trim();
+    }
+}
+
+export default DataProfiler;
@@ -0,0 +1,296 @@
+/**
+ * FolderWatcher - Long-running ingestion of supplier files dropped in a shared folder
+ *
+ * Layout under the root folder:
+ *   inbox/       suppliers drop files here
+ *   processed/   one sub-folder per converted file: source, GoHub CSV and report.json
+ *   failed/      one sub-folder per file the pipeline could not convert
+ *   .csv-converter-state.json   content hashes already handled (survives restarts)
+ *
+ * The inbox is polled rather than watched with fs.watch, which is unreliable on network shares.
+ */
+
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import CsvConverterAI from '../index.js';
+import FileCollector from '../utils/FileCollector.js';
+import { defaultLogger } from '../utils/Logger.js';
+import BatchConverter from './BatchConverter.js';
+
+class FolderWatcher {
+    static STATE_FILE = '.csv-converter-state.json';
+
+    /**
+     * @param {string} rootDir - Folder holding inbox/, processed/ and failed/
+     * @param {Object} options - Watch options
+     * @param {number} [options.interval] - Polling interval in milliseconds
+     * @param {Object} [options.convertOptions] - Options passed to processFile for every file
+     * @param {Object} [options.thresholds] - minConfidence / minCoverage used to grade each file
+     * @param {Logger} [options.logger] - Logger for the watcher and every conversion
+     */
+    constructor(rootDir, options = {}) {
+        this.rootDir = rootDir;
+        this.inboxDir = path.join(rootDir, 'inbox');
+        this.processedDir = path.join(rootDir, 'processed');
+        this.failedDir = path.join(rootDir, 'failed');
+        this.statePath = path.join(rootDir, FolderWatcher.STATE_FILE);
+
+        this.interval = options.interval || 5000;
+        this.convertOptions = options.convertOptions || {};
+        this.thresholds = options.thresholds || {};
+        this.logger = options.logger || defaultLogger;
+
+        this.timer = null;
+        this.scanning = null;
+        this.stopping = false;
+        this.pendingSizes = new Map(); // file → size/mtime seen on the previous scan
+        this.state = null;
+    }
+
+    /**
+     * Create the folders, load the state and start polling the inbox
+     */
+    async start() {
+        this._ensureFolders();
+        this.state = this._loadState();
+
+        this.logger.info(`👀 Watching ${this.inboxDir} (every ${Math.round(this.interval / 1000)}s)`);
+        this.logger.info(`📚 ${Object.keys(this.state.files).length} files already handled`);
+
+        await this.scan();
+        this.timer = setInterval(() => this.scan(), this.interval);
+    }
+
+    /**
+     * Stop polling and wait for the file being processed to finish
+     */
+    async stop() {
+        this.stopping = true;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.scanning) {
+            await this.scanning;
+        }
+        this.logger.info('🛑 Watcher stopped');
+    }
+
+    /**
+     * Process every file of the inbox once, without waiting for them to settle
+     * @returns {Array} Processed entries
+     */
+    async runOnce() {
+        this._ensureFolders();
+        this.state = this._loadState();
+
+        const entries = [];
+        for (const filePath of this._listInbox()) {
+            entries.push(await this._handleFile(filePath));
+        }
+        return entries;
+    }
+
+    /**
+     * Scan the inbox and process files whose size has not changed since the previous scan
+     */
+    async scan() {
+        // Never run two scans at the same time (slow AI step vs. short interval)
+        if (this.scanning) return;
+
+        this.scanning = (async () => {
+            try {
+                const inbox = this._listInbox();
+                // Files that left the inbox (moved away, deleted) are no longer waited for
+                [...this.pendingSizes.keys()]
+                    .filter(filePath => !inbox.includes(filePath))
+                    .forEach(filePath => this.pendingSizes.delete(filePath));
+
+                for (const filePath of inbox) {
+                    if (this.stopping) break;
+                    if (this._isSettled(filePath)) {
+                        await this._handleFile(filePath);
+                    }
+                }
+            } catch (error) {
+                this.logger.error(`❌ Watch scan failed: ${error.message}`);
+            }
+        })();
+
+        await this.scanning;
+        this.scanning = null;
+    }
+
+    _listInbox() {
+        return fs.readdirSync(this.inboxDir, { withFileTypes: true })
+            .filter(entry => entry.isFile() && !entry.name.startsWith('.') && !entry.name.startsWith('~$'))
+            .map(entry => path.join(this.inboxDir, entry.name))
+            .sort();
+    }
+
+    /**
+     * A file is settled once two consecutive scans see the same size and mtime,
+     * so files still being copied into the inbox are not picked up half-written
+     */
+    _isSettled(filePath) {
+        const stat = fs.statSync(filePath);
+        const signature = `${stat.size}:${stat.mtimeMs}`;
+        const previous = this.pendingSizes.get(filePath);
+
+        this.pendingSizes.set(filePath, signature);
+        return previous === signature;
+    }
+
+    /**
+     * Convert one inbox file and move it with its outputs
+     */
+    async _handleFile(filePath) {
+        const fileName = path.basename(filePath);
+        this.pendingSizes.delete(filePath);
+
+        const hash = this._hashFile(filePath);
+        const known = this.state.files[hash];
+
+        // A failed file dropped again is a retry, not a duplicate
+        if (known && known.status === 'failed') {
+            this.logger.info(`🔁 ${fileName} failed before as ${known.fileName}, retrying`, { file: fileName });
+        } else if (known) {
+            this.logger.info(`⏭️  ${fileName} already handled as ${known.fileName} (${known.status}), skipping`, { file: fileName });
+            const folder = this._moveToRunFolder(filePath, this.processedDir);
+            const report = {
+                file: fileName,
+                hash,
+                status: 'duplicate',
+                duplicateOf: known,
+                handledAt: new Date().toISOString()
+            };
+            this._writeReport(folder, report);
+            return report;
+        }
+
+        this.logger.info(`\n📥 New file: ${fileName}`, { file: fileName });
+
+        const workDir = fs.mkdtempSync(path.join(this.rootDir, '.work-'));
+        let report;
+
+        if (!FileCollector.isSupported(filePath)) {
+            report = {
+                file: fileName,
+                hash,
+                status: 'failed',
+                errors: [`Unsupported file format: ${path.extname(fileName) || 'no extension'}`]
+            };
+        } else {
+            try {
+                const converter = new CsvConverterAI({ logger: this.logger });
+                const result = await converter.processFile(filePath, { ...this.convertOptions, outDir: workDir });
+                report = {
+                    file: fileName,
+                    hash,
+                    ...BatchConverter.summarizeResult(result, {
+                        ...this.thresholds,
+                        productTypeForced: !!this.convertOptions.productType
+                    }),
+                    detection: result.steps.detection || null,
+                    mapping: result.steps.mapping ? {
+                        mapping: result.steps.mapping.mapping,
+                        confidence: result.steps.mapping.confidence,
+                        unmappedInputs: result.steps.mapping.unmappedInputs,
+                        mappingStats: result.steps.mapping.mappingStats
+                    } : null
+                };
+            } catch (error) {
+                report = { file: fileName, hash, status: 'failed', errors: [error.message] };
+            }
+        }
+
+        report.handledAt = new Date().toISOString();
+
+        const targetDir = report.status === 'failed' ? this.failedDir : this.processedDir;
+        const folder = this._moveToRunFolder(filePath, targetDir);
+
+        // Move generated outputs next to the source
+        fs.readdirSync(workDir).forEach(output => {
+            fs.renameSync(path.join(workDir, output), path.join(folder, output));
+        });
+        fs.rmSync(workDir, { recursive: true, force: true });
+        if (report.outputFile) {
+            report.outputFile = path.join(folder, path.basename(report.outputFile));
+        }
+
+        this._writeReport(folder, report);
+
+        // Record the hash only once the source left the inbox
+        this.state.files[hash] = {
+            fileName,
+            status: report.status,
+            folder: path.relative(this.rootDir, folder),
+            handledAt: report.handledAt
+        };
+        this._saveState();
+
+        this.logger.info(`${report.status === 'failed' ? '❌' : '✅'} ${fileName} → ${path.relative(this.rootDir, folder)}`, {
+            file: fileName,
+            status: report.status
+        });
+        return report;
+    }
+
+    /**
+     * Move a source file into its own timestamped folder
+     */
+    _moveToRunFolder(filePath, targetDir) {
+        const fileName = path.basename(filePath);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
+        const stem = path.parse(fileName).name.replace(/[^\w.-]+/g, '_');
+
+        let folder = path.join(targetDir, `${timestamp}-${stem}`);
+        let suffix = 2;
+        while (fs.existsSync(folder)) {
+            folder = path.join(targetDir, `${timestamp}-${stem}-${suffix++}`);
+        }
+
+        fs.mkdirSync(folder, { recursive: true });
+        fs.renameSync(filePath, path.join(folder, fileName));
+        return folder;
+    }
+
+    _writeReport(folder, report) {
+        fs.writeFileSync(path.join(folder, 'report.json'), JSON.stringify(report, null, 2), 'utf8');
+    }
+
+    _hashFile(filePath) {
+        return createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+    }
+
+    _ensureFolders() {
+        [this.inboxDir, this.processedDir, this.failedDir].forEach(dir => {
+            fs.mkdirSync(dir, { recursive: true });
+        });
+    }
+
+    _loadState() {
+        if (!fs.existsSync(this.statePath)) {
+            return { version: 1, files: {} };
+        }
+
+        try {
+            const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+            return { version: 1, files: {}, ...state };
+        } catch (error) {
+            throw new Error(`Watch state file is corrupted (${this.statePath}): ${error.message}`);
+        }
+    }
+
+    /**
+     * Write the state through a temporary file so a crash never leaves it half-written
+     */
+    _saveState() {
+        const tmpPath = `${this.statePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.state, null, 2), 'utf8');
+        fs.renameSync(tmpPath, this.statePath);
+    }
+}
+
+export default FolderWatcher;
@@ -4,27 +4,33 @@
  */
 
 import { getSchema } from '../config/schemas.js';
+import { defaultLogger } from '../utils/Logger.js';
 
 class GoHubTransformer {
 
     /**
      * Main transformation to GoHub format
+     * @param {Array} enhancedRows - Rows returned by the AI enhancement
+     * @param {string} productType - Product type
+     * @param {string|Function} brand - Brand, or a function giving the brand of a row (multi-brand files)
+     * @param {Logger} [logger] - Logger
      */
-    static transformToGoHub(enhancedRows, productType = 'FRAME', brand = 'Ocean') {
-        console.log(`🔄 GoHubTransformer: Transforming ${enhancedRows.length} rows to GoHub format`);
+    static transformToGoHub(enhancedRows, productType = 'FRAME', brand = 'Ocean', logger = defaultLogger) {
+        logger.debug(`🔄 GoHubTransformer: Transforming ${enhancedRows.length} rows to GoHub format`);
 
         const transformedRows = [];
         const stats = {
             totalRows: enhancedRows.length,
             successfulTransforms: 0,
             failedTransforms: 0,
+            failures: [], // [{ row, sku, error }]
             fieldsProcessed: 0,
             mappingStats: {}
         };
 
         // Get target schema
         const targetSchema = getSchema(productType);
-        console.log(`🎯 GoHub Schema: ${Object.keys(targetSchema).length} target fields`);
+        logger.debug(`🎯 GoHub Schema: ${Object.keys(targetSchema).length} target fields`);
 
         // Analyze mapping for statistics
         const mappingCoverage = this.analyzeMappingCoverage(enhancedRows, targetSchema);
@@ -40,16 +46,21 @@ class GoHubTransformer {
                 // Debug first 3 rows
                 if (index < 3) {
                     const filledFields = Object.keys(transformed).filter(k => transformed[k] && transformed[k] !== '');
-                    console.log(`\n✅ Row ${index + 1} transformed (${filledFields.length} fields filled)`);
+                    logger.debug(`✅ Row ${index + 1} transformed (${filledFields.length} fields filled)`, { row: index + 1 });
                 }
 
             } catch (error) {
-                console.error(`❌ Error row ${index + 1}:`, error.message);
+                logger.warn(`❌ Error row ${index + 1}: ${error.message}`, { row: index + 1 });
                 stats.failedTransforms++;
+                stats.failures.push({
+                    row: index + 1,
+                    sku: row.sku && row.sku.value ? String(row.sku.value) : '',
+                    error: error.message
+                });
             }
         });
 
-        console.log(`✅ GoHub transformation completed: ${stats.successfulTransforms}/${stats.totalRows} success`);
+        logger.debug(`✅ GoHub transformation completed: ${stats.successfulTransforms}/${stats.totalRows} success`);
 
         return {
             transformedRows,
@@ -82,7 +93,7 @@ class GoHubTransformer {
      */
     static mapGoHubFields(transformed, row, targetSchema, productType, brand) {
         // Brand - always defined
-        transformed.brand = brand;
+        transformed.brand = typeof brand === 'function' ? brand(row) : brand;
 
         // Frame category - determine from color (Sunglasses if not Clear, Eyeglasses if Clear)
         if (row.color && row.color.value) {
@@ -251,14 +262,10 @@ class GoHubTransformer {
         // Processing days - empty by default
         transformed.processingDays = '';
 
-        // Image1 - from links field
-        if (row.image1 && row.image1.value) {
-            transformed.image1 = row.image1.value;
-        }
-
-        // Image2 and Image3 - empty by default
-        transformed.image2 = '';
-        transformed.image3 = '';
+        // Images - from the links field or the hyperlinks behind the cells
+        ['image1', 'image2', 'image3'].forEach(field => {
+            transformed[field] = row[field] && row[field].value ? row[field].value : '';
+        });
 
         // Manufacturer model - from manufacturerModel
         if (row.manufacturerModel && row.manufacturerModel.value) {
@@ -3,6 +3,10 @@
  * Responsabilité unique : Classification du type de produit
  */
 
+import { defaultLogger } from '../utils/Logger.js';
+import BrandDetector from './BrandDetector.js';
+import TypeClassifier from './TypeClassifier.js';
+
 class ProductTypeDetector {
     static PRODUCT_TYPES = {
         LENS: 'LENS',
@@ -12,6 +16,15 @@ class ProductTypeDetector {
         UNKNOWN: 'UNKNOWN'
     };
 
+    // What each product type covers, for the AI fallback prompt
+    static TYPE_DESCRIPTIONS = {
+        FRAME: 'optical frames or sunglasses sold without prescription lenses',
+        LENS: 'spectacle lenses (refractive index, sphere/cylinder ranges, coatings)',
+        EYE_GLASSES: 'complete glasses: a frame sold with its lenses fitted',
+        CONTACT_LENS: 'contact lenses (base curve, diameter, water content, replacement schedule)',
+        UNKNOWN: 'none of the above, or not eyewear'
+    };
+
     // Keywords patterns for each product type
     static KEYWORDS = {
         LENS: [
@@ -20,13 +33,13 @@ class ProductTypeDetector {
             'photochromic', 'treatment', 'lens diameter'
         ],
         FRAME: [
-            'frame', 'bridge', 'temple', 'lens width', 'lens height',
+            'frame', 'bridge', 'temple', 'lens width', 'lens height', 'sunglass',
             'frame material', 'frame shape', 'frametype', 'hinge',
             'rim type', 'color description', 'collection'
         ],
         EYE_GLASSES: [
             'frame sku', 'lens sku', 'complete pair', 'pd range',
-            'assembled', 'eyeglasses', 'prescription'
+            'assembled', 'eyeglasses', 'complete glasses', 'prescription'
         ],
         CONTACT_LENS: [
             'contact', 'base curve', 'diameter', 'water content',
@@ -35,14 +48,79 @@ class ProductTypeDetector {
         ]
     };
 
+    // Value shapes that identify a product type even under cryptic headers
+    // (a column counts once when most of its sampled values have the shape)
+    static VALUE_PATTERNS = {
+        // -8.00/+6.00, -4.00 to +4.00
+        sphereRange: {
+            type: 'LENS',
+            label: 'sphere ranges',
+            test: value => /^[+-]?\d{1,2}[.,]\d{2}\s*(?:\/|to|à|~|\.\.|\s-\s)\s*[+-]?\d{1,2}[.,]\d{2}$/i.test(value) && /[+-]/.test(value)
+        },
+        // 1.50, 1.60, 1.67, 1.74
+        refractiveIndex: {
+            type: 'LENS',
+            label: 'refractive indexes',
+            test: value => ['1.5', '1.50', '1.53', '1.56', '1.59', '1.6', '1.60', '1.67', '1.74', '1.76'].includes(value.replace(',', '.'))
+        },
+        // 8.4, 8.6, 8.8
+        baseCurve: {
+            type: 'CONTACT_LENS',
+            label: 'base curves',
+            test: value => /^[89][.,]\d0?$/.test(value) && Number(value.replace(',', '.')) >= 8 && Number(value.replace(',', '.')) <= 9.2
+        },
+        // 52-18-140, 52□18-140, 54/17
+        frameSize: {
+            type: 'FRAME',
+            label: 'frame sizes',
+            test: value => {
+                const match = value.match(/^(\d{2})\s*[-x×□/ ]\s*(\d{2})(?:\s*[-x×□/ ]\s*(\d{3}))?$/i);
+                return !!match && match[1] >= 38 && match[1] <= 65 && match[2] >= 12 && match[2] <= 26 &&
+                    (!match[3] || (match[3] >= 120 && match[3] <= 155));
+            }
+        }
+    };
+
+    // Score added per matching header keyword, per keyword found in a sample row, per column with a
+    // value pattern and for the AI fallback answer; override with the detectionWeights option or config entry
+    static WEIGHTS = {
+        header: 2,
+        data: 1,
+        sphereRange: 3,
+        refractiveIndex: 3,
+        baseCurve: 3,
+        frameSize: 3,
+        ai: 3
+    };
+
+    // Share of a column's filled values a value pattern must match
+    static MIN_PATTERN_SHARE = 0.6;
+
+    // Confidence added when the keyword scores and the trained model (TypeClassifier) agree
+    static MODEL_AGREEMENT_BONUS = 5;
+
+    // Columns whose values never hold product keywords (image URLs often contain "frame" or "lens")
+    static NON_TEXT_TYPES = ['ean', 'url', 'date', 'price', 'number'];
+
+    // Columns whose values are not matched against VALUE_PATTERNS: prices such as 8.90 or 1.50 would pass
+    // for base curves or refractive indexes (plain numbers stay, base curves are written 8.4)
+    static VALUE_PATTERN_SKIPPED_TYPES = ['ean', 'price'];
+
     /**
      * Detect product type from CSV headers and sample data
      * @param {Array} headers - Column headers from CSV
      * @param {Array} sampleRows - First few rows for analysis
+     * @param {Logger} [logger] - Logger
+     * @param {Object} [options] - Detection options
+     * @param {Object} [options.profile] - DataProfiler result: only text columns are searched for keywords
+     * @param {Array} [options.valueRows] - Rows checked for value patterns (sampleRows otherwise)
+     * @param {Object} [options.weights] - Overrides of WEIGHTS
+     * @param {Object} [options.model] - TypeClassifier model consulted next to the keyword scores
      * @returns {Object} Detection result with type and confidence
      */
-    static detect(headers, sampleRows = []) {
-        console.log('🔍 Analyzing headers:', headers);
+    static detect(headers, sampleRows = [], logger = defaultLogger, options = {}) {
+        const weights = this.resolveWeights(options.weights);
+        logger.debug(`🔍 Analyzing headers: ${headers.join(', ')}`);
         
         const scores = {};
         const matchedKeywords = {};
@@ -53,33 +131,23 @@ class ProductTypeDetector {
             matchedKeywords[type] = [];
         });
 
-        // Analyze headers
-        const headerText = headers.join(' ').toLowerCase();
-        
-        Object.entries(this.KEYWORDS).forEach(([type, keywords]) => {
-            keywords.forEach(keyword => {
-                if (headerText.includes(keyword.toLowerCase())) {
-                    scores[type] += 2; // Headers have more weight
-                    matchedKeywords[type].push(keyword);
-                }
-            });
+        // Analyze headers (headers have more weight)
+        this._scoreKeywords(headers.join(' ').toLowerCase(), weights.header, scores, matchedKeywords);
+
+        // Analyze value shapes, column by column
+        const valueEvidence = this._matchValuePatterns(headers, options.valueRows || sampleRows || [],
+            this._nonTextColumns(options.profile, this.VALUE_PATTERN_SKIPPED_TYPES));
+        valueEvidence.forEach(evidence => {
+            scores[evidence.type] += weights[evidence.pattern];
+            matchedKeywords[evidence.type].push(evidence.keyword);
         });
 
-        // Analyze sample data for additional context
+        // Analyze sample data for additional context (data has less weight than headers)
+        const skippedColumns = this._nonTextColumns(options.profile);
+
         if (sampleRows && sampleRows.length > 0) {
             sampleRows.forEach(row => {
-                const rowText = Object.values(row).join(' ').toLowerCase();
-                
-                Object.entries(this.KEYWORDS).forEach(([type, keywords]) => {
-                    keywords.forEach(keyword => {
-                        if (rowText.includes(keyword.toLowerCase())) {
-                            scores[type] += 1; // Data has less weight than headers
-                            if (!matchedKeywords[type].includes(keyword)) {
-                                matchedKeywords[type].push(keyword);
-                            }
-                        }
-                    });
-                });
+                this._scoreKeywords(this._rowText(row, skippedColumns), weights.data, scores, matchedKeywords);
             });
         }
 
@@ -89,20 +157,249 @@ class ProductTypeDetector {
         }, { type: this.PRODUCT_TYPES.UNKNOWN, score: 0 });
 
         // Calculate confidence based on relative score dominance
-        const confidence = this._calculateRelativeConfidence(scores, bestType);
+        const confidence = Math.round(this._calculateRelativeConfidence(scores, bestType));
+
+        const model = options.model
+            ? TypeClassifier.predict(options.model, headers, options.valueRows || sampleRows || [], { profile: options.profile })
+            : null;
+        const decision = model
+            ? this._combineWithModel({ productType: bestType.type, confidence }, model)
+            : { productType: bestType.type, confidence, source: 'keywords' };
 
         const result = {
-            productType: bestType.type,
-            confidence: Math.round(confidence),
-            matchedKeywords: matchedKeywords[bestType.type] || [],
+            productType: decision.productType,
+            confidence: decision.confidence,
+            source: decision.source,
+            matchedKeywords: matchedKeywords[decision.productType] || [],
             allScores: scores,
-            reasoning: this._generateReasoning(bestType.type, bestType.score, matchedKeywords[bestType.type])
+            valueEvidence,
+            reasoning: this._generateReasoning(
+                decision.productType,
+                scores[decision.productType] || 0,
+                matchedKeywords[decision.productType] || [],
+                valueEvidence.filter(evidence => evidence.type === decision.productType).map(evidence => evidence.keyword)
+            )
         };
 
-        console.log('✅ Detection result:', result);
+        if (model) {
+            result.keywordDetection = { productType: bestType.type, confidence };
+            result.model = model;
+            if (!scores[decision.productType]) {
+                result.reasoning = `No keywords for ${decision.productType}, predicted by the trained model`;
+            }
+            result.reasoning += ` (model: ${model.productType} at ${model.confidence}%, keywords: ${bestType.type} at ${confidence}%)`;
+        }
+
+        logger.debug(`✅ Detection result: ${result.reasoning}`, { detection: result });
         return result;
     }
 
+    /**
+     * Classify every row on its own, for catalogs mixing frames, sunglasses and complete eyeglasses
+     * Only the row values count, each cell on its own (a description and a category both saying
+     * "complete glasses" outweigh "single vision" in the description); rows without keywords, or whose
+     * confidence is not acceptable, take the type of the whole file.
+     * Value patterns score a row when its own cell has the shape, in a column whose filled values
+     * mostly have it (a "1.5" quantity in a stock column is not a refractive index).
+     * @param {Array} rows - Row objects
+     * @param {Object} [options] - Classification options
+     * @param {Object} [options.fileDetection] - detect() result for the whole file, UNKNOWN otherwise
+     * @param {Object} [options.profile] - DataProfiler result: only text columns are searched for keywords
+     * @param {Object} [options.weights] - Overrides of WEIGHTS
+     * @returns {Array} One { productType, confidence, matchedKeywords, source: 'row'|'file' } per row
+     */
+    static detectRows(rows, options = {}) {
+        const weights = this.resolveWeights(options.weights);
+        const fileDetection = options.fileDetection || { productType: this.PRODUCT_TYPES.UNKNOWN, confidence: 0 };
+        const skippedColumns = this._nonTextColumns(options.profile);
+        const patternColumns = this._matchValuePatterns(Object.keys(rows[0] || {}), rows,
+            this._nonTextColumns(options.profile, this.VALUE_PATTERN_SKIPPED_TYPES));
+
+        return rows.map(row => {
+            const scores = {};
+            const matchedKeywords = {};
+            Object.keys(this.KEYWORDS).forEach(type => {
+                scores[type] = 0;
+                matchedKeywords[type] = [];
+            });
+            Object.entries(row)
+                .filter(([header]) => !skippedColumns.has(header))
+                .forEach(([, value]) => this._scoreKeywords(String(value).toLowerCase(), weights.data, scores, matchedKeywords));
+
+            patternColumns.forEach(({ pattern, type, label, column }) => {
+                const value = row[column] === null || row[column] === undefined ? '' : String(row[column]).trim();
+                if (value && this.VALUE_PATTERNS[pattern].test(value)) {
+                    scores[type] += weights[pattern];
+                    matchedKeywords[type].push(`${label} in ${column} (${value})`);
+                }
+            });
+
+            const bestType = Object.entries(scores).reduce((best, [type, score]) => {
+                return score > best.score ? { type, score } : best;
+            }, { type: this.PRODUCT_TYPES.UNKNOWN, score: 0 });
+            const confidence = Math.round(this._calculateRelativeConfidence(scores, bestType));
+
+            if (bestType.score === 0 || !this.isConfidenceAcceptable({ confidence })) {
+                return { productType: fileDetection.productType, confidence: fileDetection.confidence, matchedKeywords: [], source: 'file' };
+            }
+            return { productType: bestType.type, confidence, matchedKeywords: matchedKeywords[bestType.type], source: 'row' };
+        });
+    }
+
+    /**
+     * Detection weights with overrides applied
+     * @param {Object} [overrides] - Weights by name (see WEIGHTS)
+     * @returns {Object} Weights
+     */
+    static resolveWeights(overrides = {}) {
+        Object.entries(overrides || {}).forEach(([name, weight]) => {
+            if (!(name in this.WEIGHTS)) {
+                throw new Error(`Unknown detection weight: ${name} (known: ${Object.keys(this.WEIGHTS).join(', ')})`);
+            }
+            if (typeof weight !== 'number' || !(weight >= 0)) {
+                throw new Error(`Detection weight ${name} must be a number of 0 or more, got ${JSON.stringify(weight)}`);
+            }
+        });
+        return { ...this.WEIGHTS, ...overrides };
+    }
+
+    /**
+     * Columns whose sampled values mostly have one of the VALUE_PATTERNS shapes
+     * @returns {Array} [{ pattern, type, label, column, example, share, keyword }]
+     */
+    static _matchValuePatterns(headers, rows, skippedColumns = new Set()) {
+        const evidence = [];
+
+        headers.filter(header => !skippedColumns.has(header)).forEach(header => {
+            const values = rows
+                .map(row => row[header] === null || row[header] === undefined ? '' : String(row[header]).trim())
+                .filter(Boolean);
+            if (values.length === 0) return;
+
+            Object.entries(this.VALUE_PATTERNS).forEach(([pattern, { type, label, test }]) => {
+                const matching = values.filter(value => test(value));
+                const share = matching.length / values.length;
+                if (matching.length >= Math.min(2, values.length) && share >= this.MIN_PATTERN_SHARE) {
+                    evidence.push({
+                        pattern,
+                        type,
+                        label,
+                        column: header,
+                        example: matching[0],
+                        share: Math.round(share * 100),
+                        keyword: `${label} in ${header} (${matching[0]})`
+                    });
+                }
+            });
+        });
+
+        return evidence;
+    }
+
+    /**
+     * Merge the AI fallback answer into a detection: the answered type gets WEIGHTS.ai on top of its
+     * keyword score and the confidence is computed again (a trained model still has its say)
+     * @param {Object} detection - detect() result
+     * @param {Object} answer - { productType, rationale } from BatchAIEnhancer.classifyProductType
+     * @param {Object} [options] - Merge options
+     * @param {Object} [options.weights] - Overrides of WEIGHTS
+     * @returns {Object} Detection result with the answer as `ai`
+     */
+    static mergeAIAnswer(detection, answer, options = {}) {
+        // UNKNOWN adds no evidence, the keywords stand
+        if (!answer || detection.allScores[answer.productType] === undefined) {
+            return { ...detection, ai: answer || null };
+        }
+
+        const weights = this.resolveWeights(options.weights);
+        const scores = { ...detection.allScores, [answer.productType]: detection.allScores[answer.productType] + weights.ai };
+        const bestType = Object.entries(scores).reduce((best, [type, score]) => {
+            return score > best.score ? { type, score } : best;
+        }, { type: this.PRODUCT_TYPES.UNKNOWN, score: 0 });
+        const confidence = Math.round(this._calculateRelativeConfidence(scores, bestType));
+
+        const decision = detection.model
+            ? this._combineWithModel({ productType: bestType.type, confidence }, detection.model)
+            : { productType: bestType.type, confidence, source: 'keywords' };
+        const aiDecided = decision.productType === answer.productType;
+
+        return {
+            ...detection,
+            productType: decision.productType,
+            confidence: decision.confidence,
+            source: aiDecided ? `${decision.source}+ai` : decision.source,
+            // The keywords listed were found for the type detected before the answer
+            matchedKeywords: detection.productType === decision.productType ? detection.matchedKeywords : [],
+            allScores: scores,
+            ai: answer,
+            reasoning: `${detection.productType === this.PRODUCT_TYPES.UNKNOWN ? 'No specific keywords found' : detection.reasoning}; ` +
+                `AI fallback: ${answer.productType} (${answer.rationale})`
+        };
+    }
+
+    /**
+     * Decide between the keyword scores and the model prediction
+     * Agreement adds MODEL_AGREEMENT_BONUS; on disagreement the more confident one wins, losing half
+     * the confidence of the other (keywords win ties); without keyword matches the model decides alone.
+     * @returns {Object} { productType, confidence, source: 'keywords'|'model'|'keywords+model' }
+     */
+    static _combineWithModel(keywords, model) {
+        if (keywords.productType === this.PRODUCT_TYPES.UNKNOWN) {
+            return { productType: model.productType, confidence: model.confidence, source: 'model' };
+        }
+        if (keywords.productType === model.productType) {
+            return {
+                productType: keywords.productType,
+                confidence: Math.min(TypeClassifier.MAX_CONFIDENCE, Math.max(keywords.confidence, model.confidence) + this.MODEL_AGREEMENT_BONUS),
+                source: 'keywords+model'
+            };
+        }
+
+        const [winner, loser, source] = model.confidence > keywords.confidence
+            ? [model, keywords, 'model']
+            : [keywords, model, 'keywords'];
+        return {
+            productType: winner.productType,
+            confidence: Math.max(0, winner.confidence - Math.round(loser.confidence / 2)),
+            source
+        };
+    }
+
+    /**
+     * Add `weight` to every product type for each of its keywords found in `text`
+     */
+    static _scoreKeywords(text, weight, scores, matchedKeywords) {
+        Object.entries(this.KEYWORDS).forEach(([type, keywords]) => {
+            keywords.forEach(keyword => {
+                if (text.includes(keyword.toLowerCase())) {
+                    scores[type] += weight;
+                    if (!matchedKeywords[type].includes(keyword)) {
+                        matchedKeywords[type].push(keyword);
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * Headers of the columns that cannot hold product keywords, from a DataProfiler result
+     * @param {Object} profile - DataProfiler result (none: no column is skipped)
+     * @param {Array} [types] - Column types to skip
+     */
+    static _nonTextColumns(profile, types = this.NON_TEXT_TYPES) {
+        return new Set((profile ? profile.columns : [])
+            .filter(column => types.includes(column.type))
+            .map(column => column.header));
+    }
+
+    static _rowText(row, skippedColumns) {
+        return Object.entries(row)
+            .filter(([header]) => !skippedColumns.has(header))
+            .map(([, value]) => value)
+            .join(' ')
+            .toLowerCase();
+    }
+
     /**
      * Calculate confidence based on score dominance over other types
      * @param {Object} scores - All type scores
@@ -149,12 +446,20 @@ class ProductTypeDetector {
     /**
      * Generate human-readable reasoning for the detection
      */
-    static _generateReasoning(type, score, keywords) {
+    static _generateReasoning(type, score, keywords, patterns = []) {
         if (score === 0) {
             return "No specific keywords found, defaulting to UNKNOWN";
         }
 
-        return `Detected as ${type} based on ${keywords.length} matching keywords: ${keywords.slice(0, 3).join(', ')}${keywords.length > 3 ? '...' : ''}`;
+        // Value patterns are the strongest evidence, list them first
+        const shown = [...patterns, ...keywords.filter(keyword => !patterns.includes(keyword))];
+        const keywordCount = keywords.length - patterns.length;
+        const evidence = [
+            keywordCount > 0 || patterns.length === 0 ? `${keywordCount} matching keywords` : null,
+            patterns.length > 0 ? `${patterns.length} value patterns` : null
+        ].filter(Boolean).join(' and ');
+
+        return `Detected as ${type} based on ${evidence}: ${shown.slice(0, 3).join(', ')}${shown.length > 3 ? '...' : ''}`;
     }
 
     /**
@@ -164,15 +469,16 @@ class ProductTypeDetector {
         return detectionResult.confidence >= minConfidence;
     }
 
-    // detect the brand from our brand list with the file name ( ex: './OCEAN PRICES 2025 - mini.xlsx') 
-    static detectBrand(filePath) {
-        const brand_list = ['Ocean', 'Nike', 'Adidas'];
-
-        const brand = brand_list.find(brand => filePath.split('/').pop().toLowerCase().includes(brand.toLowerCase()));
-        if (brand) {
-            return brand;
-        }
-        return 'Unknown';
+    /**
+     * Registered brand named in a file path (ex: './OCEAN PRICES 2025 - mini.xlsx' gives 'Ocean')
+     * The pipeline uses BrandDetector, which also reads brand columns, sheet names and descriptions.
+     * @param {string} filePath - File path or name
+     * @param {Array} [brands] - Brand registry entries added to DEFAULT_BRANDS
+     * @returns {string} Brand name or 'Unknown'
+     */
+    static detectBrand(filePath, brands = []) {
+        const [brand] = BrandDetector.findInText(filePath.split('/').pop(), BrandDetector.buildRegistry(brands));
+        return brand || BrandDetector.UNKNOWN;
     }
 }
 
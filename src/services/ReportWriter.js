@@ -0,0 +1,404 @@
+/**
+ * ReportWriter - Run report of one conversion, as JSON for automation and HTML for humans
+ * The HTML page is self-contained (inline styles, no scripts) so it can be mailed or archived
+ */
+
+import { appendFileSync, existsSync, mkdirSync, renameSync, writeFileSync } from 'fs';
+import { dirname, join, parse } from 'path';
+import { defaultLogger } from '../utils/Logger.js';
+
+class ReportWriter {
+    /**
+     * Reduce pipeline results to the report content
+     * @param {Object} results - Results returned by CsvConverterAI.processFile
+     * @returns {Object} Report
+     */
+    static buildReport(results) {
+        const { reading, profiling, detection, mapping, cleaning, enhancement, transformation, output } = results.steps;
+        const headerMapping = reading ? reading.headerMapping || {} : {};
+        const originalHeader = header => headerMapping[header] || header;
+
+        return {
+            generatedAt: new Date().toISOString(),
+            file: reading ? reading.fileName : null,
+            format: reading ? reading.format || null : null,
+            sheet: reading ? reading.sheetName || null : null,
+            headerRow: reading ? reading.headerRow || null : null,
+            encoding: reading ? reading.encoding || null : null,
+            delimiter: reading ? reading.delimiter || null : null,
+            success: results.success,
+            errors: results.errors,
+            productType: results.productType || null,
+            rowGroup: results.rowGroup ? {
+                productType: results.rowGroup.productType,
+                rowCount: results.rowGroup.rowCount,
+                totalRows: results.rowGroup.totalRows,
+                fromFileType: results.rowGroup.fromFileType,
+                averageConfidence: results.rowGroup.averageConfidence
+            } : null,
+            brand: results.brand || null,
+            brandDetection: results.brandDetection ? {
+                brand: results.brandDetection.brand,
+                confidence: results.brandDetection.confidence,
+                source: results.brandDetection.source,
+                column: results.brandDetection.column ? originalHeader(results.brandDetection.column) : null,
+                rowBrands: results.brandDetection.rowBrands,
+                evidence: results.brandDetection.evidence
+            } : null,
+            plugins: results.plugins || [],
+            stats: results.stats,
+            profile: profiling ? {
+                rowCount: profiling.rowCount,
+                sampled: profiling.sampled,
+                completeness: profiling.completeness,
+                columns: profiling.columns
+            } : null,
+            detection: detection ? {
+                productType: detection.productType,
+                confidence: detection.confidence,
+                reasoning: detection.reasoning,
+                source: detection.source || 'keywords',
+                model: detection.model ? {
+                    productType: detection.model.productType,
+                    confidence: detection.model.confidence,
+                    probabilities: detection.model.probabilities,
+                    keywords: detection.keywordDetection
+                } : null,
+                ai: detection.ai ? { ...detection.ai, tokensUsed: detection.ai.tokensUsed || 0 } : null,
+                matchedKeywords: detection.matchedKeywords,
+                valuePatterns: (detection.valueEvidence || []).map(evidence => ({
+                    pattern: evidence.label,
+                    productType: evidence.type,
+                    column: originalHeader(evidence.column),
+                    share: evidence.share,
+                    example: evidence.example
+                })),
+                scores: detection.allScores
+            } : null,
+            mapping: mapping ? {
+                columns: Object.entries(mapping.mapping).map(([field, header]) => ({
+                    header: originalHeader(header),
+                    normalizedHeader: header,
+                    field,
+                    confidence: mapping.confidence[field] || 0,
+                    fromValues: (mapping.valueMapped || []).includes(field)
+                })),
+                unmappedInputs: mapping.unmappedInputs.map(originalHeader),
+                unmatchedTargets: mapping.unmatchedTargets,
+                alternatives: Object.fromEntries(Object.entries(mapping.alternatives || {})
+                    .map(([header, candidates]) => [originalHeader(header), candidates])),
+                stats: mapping.mappingStats
+            } : null,
+            columns: reading ? {
+                headers: (reading.originalHeaders || Object.values(headerMapping)).map((header, index) => ({
+                    header,
+                    normalizedHeader: Object.keys(headerMapping)[index] || null
+                })),
+                collisions: reading.headerCollisions || []
+            } : null,
+            rowCleaning: reading && reading.cleaningStats ? {
+                ...reading.cleaningStats,
+                referenceHeader: reading.cleaningStats.referenceColumn ? originalHeader(reading.cleaningStats.referenceColumn) : null
+            } : null,
+            rejectedFile: results.rejected ? results.rejected.filePath : null,
+            fieldCleaning: cleaning ? cleaning.stats : null,
+            ai: enhancement ? enhancement.stats : null,
+            transformation: transformation ? {
+                totalRows: transformation.stats.totalRows,
+                successfulTransforms: transformation.stats.successfulTransforms,
+                failedTransforms: transformation.stats.failedTransforms,
+                failures: transformation.stats.failures || []
+            } : null,
+            output: output ? {
+                filePath: output.filePath || null,
+                rowCount: output.rowCount,
+                columnCount: output.columnCount
+            } : null
+        };
+    }
+
+    /**
+     * Write the JSON and HTML reports
+     * @param {Object} results - Results returned by CsvConverterAI.processFile
+     * @param {string} outDir - Output directory
+     * @param {string} baseName - File name without extension (the GoHub CSV name when there is one)
+     * @param {Logger} [logger] - Logger
+     * @returns {Object} { jsonPath, htmlPath }
+     */
+    static write(results, outDir, baseName, logger = defaultLogger) {
+        if (!existsSync(outDir)) {
+            mkdirSync(outDir, { recursive: true });
+        }
+
+        const report = this.buildReport(results);
+        const jsonPath = join(outDir, `${baseName}.report.json`);
+        const htmlPath = join(outDir, `${baseName}.report.html`);
+
+        writeFileSync(jsonPath, JSON.stringify(report, null, 2), 'utf8');
+        writeFileSync(htmlPath, this.renderHtml(report), 'utf8');
+        logger.info(`📋 Run report saved: ${htmlPath}`, { reportFile: jsonPath });
+
+        return { jsonPath, htmlPath };
+    }
+
+    /**
+     * Write the rows dropped while reading, with their source line and the reason, to <baseName>.rejected.csv
+     * @param {Array} rejectedRows - [{ line, row, reason, values }] from the reader
+     * @param {Object} reading - Reading step result (headerMapping gives the original column names)
+     * @param {string} outDir - Output directory
+     * @param {string} baseName - File name without extension
+     * @param {Logger} [logger] - Logger
+     * @returns {Object} { filePath, rowCount }
+     */
+    static writeRejectedRows(rejectedRows, reading, outDir, baseName, logger = defaultLogger) {
+        if (!existsSync(outDir)) {
+            mkdirSync(outDir, { recursive: true });
+        }
+
+        const filePath = join(outDir, `${baseName}.rejected.csv`);
+        writeFileSync(filePath, this._rejectedCsv(rejectedRows, reading, true), 'utf8');
+        logger.info(`🗂️  ${rejectedRows.length} rejected rows saved: ${filePath}`, { rejectedFile: filePath });
+
+        return { filePath, rowCount: rejectedRows.length };
+    }
+
+    /**
+     * Append rejected rows to a CSV file as chunks are read, the header line first when the file is new
+     * (streaming runs keep no rejected rows in memory)
+     * @param {Array} rejectedRows - [{ line, row, reason, values }] from the reader
+     * @param {Object} reading - Reading step result
+     * @param {string} filePath - File to append to
+     */
+    static appendRejectedRows(rejectedRows, reading, filePath) {
+        const isNew = !existsSync(filePath);
+        if (isNew) {
+            mkdirSync(dirname(filePath), { recursive: true });
+        }
+        appendFileSync(filePath, this._rejectedCsv(rejectedRows, reading, isNew), 'utf8');
+    }
+
+    /**
+     * Give the file filled by appendRejectedRows its final name, <baseName>.rejected.csv
+     * @param {Object} spool - { filePath, rowCount }
+     * @param {string} outDir - Output directory
+     * @param {string} baseName - File name without extension
+     * @param {Logger} [logger] - Logger
+     * @returns {Object} { filePath, rowCount }
+     */
+    static moveRejectedRows(spool, outDir, baseName, logger = defaultLogger) {
+        const filePath = join(outDir, `${baseName}.rejected.csv`);
+        renameSync(spool.filePath, filePath);
+        logger.info(`🗂️  ${spool.rowCount} rejected rows saved: ${filePath}`, { rejectedFile: filePath });
+
+        return { filePath, rowCount: spool.rowCount };
+    }
+
+    static _rejectedCsv(rejectedRows, reading, withHeader) {
+        const headers = Object.keys(reading.headerMapping || {});
+        const lines = [
+            ...(withHeader ? [['Line', 'Reason', ...headers.map(header => reading.headerMapping[header])]] : []),
+            ...rejectedRows.map(rejected => [
+                rejected.line ?? rejected.row,
+                rejected.reason,
+                ...headers.map(header => rejected.values[header] ?? '')
+            ])
+        ];
+        return lines.map(cells => cells.map(cell => this._csvCell(cell)).join(',')).join('\n') + '\n';
+    }
+
+    /**
+     * Base name of the report files for a run
+     * @param {Object} output - Output step result (may be null)
+     * @param {string} fileName - Source file name
+     */
+    static baseNameFor(output, fileName) {
+        if (output && output.fileName) {
+            return parse(output.fileName).name;
+        }
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
+        const stem = parse(fileName || 'input').name.replace(/[^\w.-]+/g, '_');
+        return `report-${stem}-${timestamp}`;
+    }
+
+    /**
+     * Render the report as a standalone HTML page
+     * @param {Object} report - Report from buildReport
+     * @returns {string} HTML
+     */
+    static renderHtml(report) {
+        const e = value => this._escape(value);
+        const sections = [];
+
+        sections.push(`
+<h2>Summary</h2>
+${this._table(['', ''], [
+        ['Status', report.success ? '<span class="ok">Succeeded</span>' : '<span class="ko">Failed</span>'],
+        ['Product type', e(report.productType || '-')],
+        ...(report.rowGroup ? [['Row group', `${report.rowGroup.rowCount}/${report.rowGroup.totalRows} rows classified as ${e(report.rowGroup.productType)} (${report.rowGroup.averageConfidence}% average confidence, ${report.rowGroup.fromFileType} from the file type)`]] : []),
+        ['Brand', e(report.brand || '-')],
+        ...(report.format ? [['Format', e(report.format.toUpperCase())]] : []),
+        ...(report.sheet ? [['Sheet', e(report.sheet)]] : []),
+        ...(report.headerRow ? [['Header row', `${report.headerRow.rowCount === 2 ? `${report.headerRow.row}-${report.headerRow.row + 1}` : report.headerRow.row} (score ${report.headerRow.score})`]] : []),
+        ['CSV encoding / delimiter', report.encoding ? `${e(report.encoding)} / <code>${e(report.delimiter === '\t' ? '\\t' : report.delimiter)}</code>` : '-'],
+        ['Plugins', e(report.plugins.join(', ') || '-')],
+        ['Processing time', report.stats && report.stats.totalTime !== undefined ? `${Math.round(report.stats.totalTime / 1000)}s` : '-'],
+        ['Output', e(report.output && report.output.filePath ? report.output.filePath : 'not written')]
+    ], false)}
+${report.errors.length > 0 ? `<ul class="ko">${report.errors.map(error => `<li>${e(error)}</li>`).join('')}</ul>` : ''}`);
+
+        if (report.profile) {
+            const { profile } = report;
+            sections.push(`
+<h2>Column profile</h2>
+<p>${profile.columns.length} columns over ${profile.rowCount} ${profile.sampled ? 'sample ' : ''}rows, ${profile.completeness}% of the rows at least 80% filled.</p>
+${this._table(['Column', 'Type', 'Filled', 'Distinct', 'Examples', 'Range', 'Outliers'], profile.columns.map(column => [
+        e(column.originalHeader),
+        column.type === 'text' || column.type === 'empty' ? e(column.type) : `${e(column.type)} (${column.typeShare}%)`,
+        `${column.fillRate}%`,
+        column.distinct,
+        column.examples.map(example => `<code>${e(example)}</code>`).join(' '),
+        column.stats ? `${column.stats.min} – ${column.stats.max} (median ${column.stats.median})` : '',
+        column.outliers.map(outlier => `${e(outlier.line)}: <code>${e(outlier.value)}</code> ${e(outlier.reason)}`).join('<br>') +
+            (column.outlierCount > column.outliers.length ? `<br>and ${column.outlierCount - column.outliers.length} more` : '')
+    ]))}`);
+        }
+
+        if (report.detection) {
+            const { detection } = report;
+            sections.push(`
+<h2>Product type detection</h2>
+<p><strong>${e(detection.productType)}</strong> with ${detection.confidence}% confidence. ${e(detection.reasoning)}</p>
+<p>Matched keywords: ${e(detection.matchedKeywords.join(', ') || 'none')}</p>
+${detection.model ? `<p>Trained model: ${e(detection.model.productType)} (${detection.model.confidence}%), keywords: ${e(detection.model.keywords.productType)} (${detection.model.keywords.confidence}%), decided by ${e(detection.source)}.</p>` : ''}
+${detection.ai ? `<p>AI fallback${detection.ai.source === 'simulation' ? ' (simulated)' : ''}: <strong>${e(detection.ai.productType)}</strong>, ${e(detection.ai.rationale)} (${detection.ai.tokensUsed} tokens)</p>` : ''}
+${detection.valuePatterns.length > 0 ? this._table(['Value pattern', 'Product type', 'Column', 'Share', 'Example'], detection.valuePatterns.map(item => [
+        e(item.pattern), e(item.productType), e(item.column), `${item.share}%`, e(item.example)
+    ])) : ''}
+${this._table(['Product type', 'Score'], Object.entries(detection.scores).map(([type, score]) => [e(type), score]))}`);
+        }
+
+        if (report.brandDetection) {
+            const { brandDetection } = report;
+            const sources = { column: 'Brand column', fileName: 'File name', sheetName: 'Sheet name', descriptions: 'Descriptions' };
+            sections.push(`
+<h2>Brand detection</h2>
+<p><strong>${e(report.brand)}</strong>${brandDetection.confidence > 0 ? ` with ${brandDetection.confidence}% confidence` : ': no brand found, set it with --brand or add it to the brand registry'}.</p>
+${brandDetection.evidence.length > 0 ? this._table(['Source', 'Brand', 'Confidence', 'Detail'], brandDetection.evidence.map(item => [
+        e(sources[item.source] || item.source), e(item.brand), `${item.confidence}%`, e(item.detail)
+    ])) : ''}
+${brandDetection.rowBrands && Object.keys(brandDetection.rowBrands).length > 1
+        ? `<h3>Brands per row (column <code>${e(brandDetection.column)}</code>)</h3>
+${this._table(['Brand', 'Rows'], Object.entries(brandDetection.rowBrands).map(([brand, count]) => [e(brand), count]))}`
+        : ''}`);
+        }
+
+        if (report.mapping) {
+            const { mapping } = report;
+            const others = (header, field) => (mapping.alternatives[header] || [])
+                .filter(candidate => candidate.field !== field)
+                .map(candidate => `${e(candidate.field)} (${candidate.confidence}%)`)
+                .join(', ');
+            sections.push(`
+<h2>Column mapping</h2>
+<p>${mapping.stats.mapped}/${mapping.stats.totalTargets} GoHub fields mapped, ${mapping.stats.avgConfidence}% average confidence.</p>
+${this._table(['Source column', 'GoHub field', 'Confidence', 'Other candidates'], mapping.columns.map(column => [
+        e(column.header), e(column.field), `${column.confidence}%${column.fromValues ? ' (from values)' : ''}`, others(column.header, column.field)
+    ]))}
+<h3>Unmapped columns (${mapping.unmappedInputs.length})</h3>
+${mapping.unmappedInputs.length > 0
+        ? this._table(['Source column', 'Candidates (fields already taken)'], mapping.unmappedInputs.map(header => [`<code>${e(header)}</code>`, others(header)]))
+        : '<p>None</p>'}`);
+        }
+
+        if (report.columns && report.columns.collisions.length > 0) {
+            sections.push(`
+<h2>Renamed columns (${report.columns.collisions.length})</h2>
+<p>These supplier columns normalize to the same name and were read under distinct names.</p>
+${this._table(['Supplier columns', 'Read as'], report.columns.collisions.map(collision => [
+        collision.columns.map(column => `<code>${e(column)}</code>`).join(' '),
+        collision.headers.map(header => `<code>${e(header)}</code>`).join(' ')
+    ]))}`);
+        }
+
+        if (report.rowCleaning) {
+            const { rowCleaning } = report;
+            sections.push(`
+<h2>Removed rows (${rowCleaning.removedRows})</h2>
+<p>${rowCleaning.cleanedRows}/${rowCleaning.originalRows} rows kept. Reference column: <code>${e(rowCleaning.referenceHeader || '-')}</code>${rowCleaning.rowFilter ? `, ${e(rowCleaning.rowFilter)} filter` : ''}</p>
+${report.rejectedFile ? `<p>Rejected rows saved to <code>${e(report.rejectedFile)}</code></p>` : ''}
+${(rowCleaning.removed || []).length > 0
+        ? this._table(['Line', 'Reason'], rowCleaning.removed.map(entry => [entry.line ?? entry.row, e(entry.reason)]))
+        : ''}
+${(rowCleaning.removed || []).length < rowCleaning.removedRows ? `<p>Only the first ${rowCleaning.removed.length} are listed.</p>` : ''}`);
+        }
+
+        if (report.ai) {
+            const { ai } = report;
+            sections.push(`
+<h2>AI usage</h2>
+${this._table(['', ''], [
+        ['Fields enhanced by AI', ai.aiEnhanced],
+        ['Fields processed in batches', ai.batched],
+        ['Fields served from cache', ai.cached],
+        ['Fields handled by rules', ai.ruled],
+        ['Tokens used by enhancement', ai.tokensUsed],
+        ...(report.detection && report.detection.ai ? [['Tokens used by the detection fallback', report.detection.ai.tokensUsed]] : [])
+    ], false)}`);
+        }
+
+        if (report.transformation) {
+            const { transformation } = report;
+            sections.push(`
+<h2>Transformation</h2>
+<p>${transformation.successfulTransforms}/${transformation.totalRows} rows transformed, ${transformation.failedTransforms} failed.</p>
+${transformation.failures.length > 0
+        ? this._table(['Row', 'SKU', 'Error'], transformation.failures.map(failure => [failure.row, e(failure.sku), e(failure.error)]))
+        : ''}`);
+        }
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Conversion report - ${e(report.file || 'unknown file')}${report.sheet ? ` (${e(report.sheet)})` : ''}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem auto; max-width: 960px; color: #222; }
+h1 { font-size: 1.4rem; } h2 { font-size: 1.15rem; margin-top: 2rem; border-bottom: 1px solid #ddd; }
+table { border-collapse: collapse; margin: .5rem 0; } th, td { border: 1px solid #ddd; padding: .3rem .6rem; text-align: left; }
+th { background: #f4f4f4; } code { background: #f4f4f4; padding: 0 .2rem; }
+.ok { color: #1a7f37; font-weight: bold; } .ko { color: #c62828; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>Conversion report - ${e(report.file || 'unknown file')}${report.sheet ? ` (${e(report.sheet)})` : ''}</h1>
+<p>Generated ${e(report.generatedAt)}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+    }
+
+    static _table(headers, rows, withHeader = true) {
+        const head = withHeader ? `<tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr>` : '';
+        const body = rows.map(cells => `<tr>${cells.map((cell, index) =>
+            !withHeader && index === 0 ? `<th>${cell}</th>` : `<td>${cell}</td>`
+        ).join('')}</tr>`).join('');
+        return `<table>${head}${body}</table>`;
+    }
+
+    static _csvCell(value) {
+        const text = String(value === null || value === undefined ? '' : value).replace(/"/g, '""');
+        return /[",\n\r]/.test(text) ? `"${text}"` : text;
+    }
+
+    static _escape(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export default ReportWriter;
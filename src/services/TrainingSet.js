@@ -0,0 +1,164 @@
+/**
+ * TrainingSet - Reads a folder of supplier files labeled with their product type
+ *
+ * Labels come from a labels.json file at the root of the folder, keyed by the path of each file
+ * relative to the folder:
+ *
+ * {
+ *   "ocean-frames.xlsx": "FRAME",
+ *   "hoya/stock-lenses.csv": { "type": "LENS", "sheet": "Stock" },
+ *   "mixed-catalog.csv": { "column": "Category", "values": { "Sunglasses": "FRAME", "Complete": "EYE_GLASSES" } }
+ * }
+ *
+ * or, for files missing from labels.json, from a parent folder named after a product type
+ * (FRAME/acme.csv). A "column" entry labels every row: each product type found in the column gives
+ * one example made of its rows, the label column left out.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import ProductTypeDetector from './ProductTypeDetector.js';
+import CsvReader from '../utils/CsvReader.js';
+import FileCollector from '../utils/FileCollector.js';
+import { defaultLogger } from '../utils/Logger.js';
+
+class TrainingSet {
+    static LABELS_FILE = 'labels.json';
+
+    /**
+     * Read every labeled file of a folder (sub-folders included)
+     * @param {string} folder - Folder of labeled supplier files
+     * @param {Object} [options] - Read options
+     * @param {Logger} [options.logger] - Logger (the reader only logs warnings, unless it is at debug level)
+     * @returns {Promise<Object>} { examples: [{ name, productType, headers, rows }], skipped: [{ file, reason }] }
+     */
+    static async load(folder, options = {}) {
+        const logger = options.logger || defaultLogger;
+        if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+            throw new Error(`Training folder not found: ${folder}`);
+        }
+
+        const labels = this._readLabels(folder);
+        const readerLevel = logger.isLevelEnabled('debug') ? 'debug' : 'warn';
+        const examples = [];
+        const skipped = [];
+
+        for (const filePath of FileCollector.collect(folder, { recursive: true })) {
+            const name = path.relative(folder, filePath).split(path.sep).join('/');
+            if (name === this.LABELS_FILE) continue;
+            const label = this._labelFor(name, labels);
+            if (!label) {
+                skipped.push({ file: name, reason: 'no label' });
+                continue;
+            }
+
+            try {
+                const data = await CsvReader.readFile(filePath, { sheet: label.sheet, logger: logger.child({ file: name }, { level: readerLevel }) });
+                const fileExamples = label.type
+                    ? [{ name, productType: label.type, headers: data.headers, rows: data.rows }]
+                    : this._splitByColumn(name, data, label);
+                if (fileExamples.length === 0) {
+                    skipped.push({ file: name, reason: `no row labeled in "${label.column}"` });
+                }
+                examples.push(...fileExamples);
+            } catch (error) {
+                skipped.push({ file: name, reason: error.message });
+            }
+        }
+
+        logger.info(`🏷️  ${examples.length} labeled examples from ${folder} (${this._countByType(examples)})${skipped.length > 0 ? `, ${skipped.length} files skipped` : ''}`);
+        skipped.forEach(entry => logger.warn(`⚠️  Skipped ${entry.file}: ${entry.reason}`, entry));
+
+        return { examples, skipped };
+    }
+
+    static _readLabels(folder) {
+        const labelsPath = path.join(folder, this.LABELS_FILE);
+        if (!fs.existsSync(labelsPath)) return {};
+
+        let labels;
+        try {
+            labels = JSON.parse(fs.readFileSync(labelsPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid ${labelsPath}: ${error.message}`);
+        }
+        if (typeof labels !== 'object' || labels === null || Array.isArray(labels)) {
+            throw new Error(`Invalid ${labelsPath}: expected an object keyed by file name`);
+        }
+
+        return Object.fromEntries(Object.entries(labels).map(([name, entry]) => [name, this._parseLabel(name, entry, labelsPath)]));
+    }
+
+    /**
+     * Normalize a labels.json entry to { type, sheet } or { column, values, sheet }
+     */
+    static _parseLabel(name, entry, labelsPath) {
+        const { type, column, values = {}, sheet } = typeof entry === 'string' ? { type: entry } : entry || {};
+        if (column) {
+            return { column, values, sheet };
+        }
+
+        const productType = this._productType(type);
+        if (!productType) {
+            throw new Error(`Invalid ${labelsPath}: "${name}" needs a product type (${this._knownTypes().join(', ')}) or a label column`);
+        }
+        return { type: productType, sheet };
+    }
+
+    static _labelFor(name, labels) {
+        if (labels[name]) return labels[name];
+
+        const folders = name.split('/').slice(0, -1).reverse();
+        const type = folders.map(folder => this._productType(folder)).find(Boolean);
+        return type ? { type } : null;
+    }
+
+    /**
+     * One example per product type found in the label column
+     */
+    static _splitByColumn(name, data, label) {
+        const index = data.headers.findIndex((header, i) =>
+            header === label.column || (data.originalHeaders && data.originalHeaders[i].toLowerCase() === String(label.column).toLowerCase()));
+        if (index === -1) {
+            throw new Error(`label column "${label.column}" not found`);
+        }
+
+        const column = data.headers[index];
+        const headers = data.headers.filter(header => header !== column);
+        const groups = new Map();
+
+        data.rows.forEach(row => {
+            const value = row[column] === null || row[column] === undefined ? '' : String(row[column]).trim();
+            const type = this._productType(label.values[value] || value);
+            if (!type) return;
+
+            const { [column]: _label, ...values } = row;
+            if (!groups.has(type)) groups.set(type, []);
+            groups.get(type).push(values);
+        });
+
+        return [...groups].map(([productType, rows]) => ({ name: `${name} [${productType}]`, productType, headers, rows }));
+    }
+
+    /**
+     * Known product type for a label ("frame", "CONTACT_LENS", "contact lens"), null otherwise
+     */
+    static _productType(value) {
+        const key = String(value || '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+        return this._knownTypes().includes(key) ? key : null;
+    }
+
+    static _knownTypes() {
+        return Object.keys(ProductTypeDetector.PRODUCT_TYPES).filter(type => type !== 'UNKNOWN');
+    }
+
+    static _countByType(examples) {
+        const counts = {};
+        examples.forEach(example => {
+            counts[example.productType] = (counts[example.productType] || 0) + 1;
+        });
+        return Object.entries(counts).map(([type, count]) => `${type} ${count}`).join(', ') || 'none';
+    }
+}
+
+export default TrainingSet;
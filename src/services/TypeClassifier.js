@@ -0,0 +1,254 @@
+/**
+ * TypeClassifier - Naive Bayes product type model trained on labeled supplier files
+ *
+ * A dataset (a file, or the rows of one product type in a mixed file) becomes a set of tokens:
+ * header words, words of the text values, the value shapes ("52-18-140" gives 99-99-999) and the
+ * column types of the profile. The model counts in how many examples of each product type a token
+ * appears; prediction adds the smoothed log likelihoods of the tokens of the new dataset.
+ * Models are plain JSON, so they can be versioned next to the config file.
+ */
+
+import fs from 'fs';
+import DataProfiler from './DataProfiler.js';
+import Logger from '../utils/Logger.js';
+import { foldAccents } from '../utils/textNormalization.js';
+
+class TypeClassifier {
+    static FORMAT = 'csv-converter-type-model';
+    static VERSION = 1;
+    static DEFAULT_FILE = 'product-type-model.json';
+
+    // Rows of an example turned into tokens (large files add nothing but time)
+    static MAX_ROWS = 200;
+
+    // Values longer than this are descriptions, their shape says nothing
+    static MAX_SHAPE_LENGTH = 20;
+
+    // Posteriors of a naive Bayes model are overconfident, keep the same ceiling as the keyword scorer
+    static MAX_CONFIDENCE = 95;
+
+    /**
+     * Tokens of a dataset, each counted once
+     * @param {Array} headers - Normalized headers (row object keys)
+     * @param {Array} rows - Row objects
+     * @param {Object} [options] - Feature options
+     * @param {Object} [options.profile] - DataProfiler result, computed from the rows otherwise
+     * @returns {Array} Tokens: "h:bridge", "v:sunglasses", "f:99-99-999", "t:ean"
+     */
+    static features(headers, rows, options = {}) {
+        const sample = rows.slice(0, this.MAX_ROWS);
+        const profile = options.profile || DataProfiler.profile(headers, sample, {}, new Logger({ level: 'silent' }));
+        const tokens = new Set();
+
+        headers.forEach(header => this._words(header).forEach(word => tokens.add(`h:${word}`)));
+
+        const textColumns = headers.filter(header => {
+            const column = DataProfiler.getColumn(profile, header);
+            return !column || column.type === 'text' || column.type === 'dimension';
+        });
+        sample.forEach(row => {
+            textColumns.forEach(header => this._words(row[header]).forEach(word => tokens.add(`v:${word}`)));
+            headers.forEach(header => {
+                const shape = this._shape(row[header]);
+                if (shape) tokens.add(`f:${shape}`);
+            });
+        });
+
+        profile.columns.forEach(column => {
+            if (column.type !== 'empty') tokens.add(`t:${column.type}`);
+        });
+
+        return [...tokens];
+    }
+
+    /**
+     * Train a model
+     * @param {Array} examples - [{ productType, headers, rows }] (see TrainingSet.load)
+     * @returns {Object} Model (JSON-serializable)
+     */
+    static train(examples) {
+        if (examples.length === 0) {
+            throw new Error('No labeled examples to train on');
+        }
+        return this._build(examples.map(example => ({ productType: example.productType, tokens: this.features(example.headers, example.rows) })));
+    }
+
+    /**
+     * Most likely product type of a dataset
+     * @param {Object} model - Result of train() or load()
+     * @param {Array} headers - Normalized headers
+     * @param {Array} rows - Row objects
+     * @param {Object} [options] - Feature options (see features)
+     * @returns {Object} { productType, confidence, probabilities: { TYPE: percent }, tokens }
+     */
+    static predict(model, headers, rows, options = {}) {
+        return this._predictTokens(model, this.features(headers, rows, options));
+    }
+
+    /**
+     * Compare predictions with the labels
+     * @param {Array} examples - [{ name, productType, headers, rows }]
+     * @param {Function} predictType - (example, index) => predicted product type
+     * @returns {Object} { total, correct, accuracy, labels, matrix: { actual: { predicted: count } }, errors: [{ name, actual, predicted }] }
+     */
+    static evaluate(examples, predictType) {
+        const matrix = {};
+        const errors = [];
+        let correct = 0;
+
+        examples.forEach((example, index) => {
+            const predicted = predictType(example, index);
+            matrix[example.productType] = matrix[example.productType] || {};
+            matrix[example.productType][predicted] = (matrix[example.productType][predicted] || 0) + 1;
+
+            if (predicted === example.productType) {
+                correct++;
+            } else {
+                errors.push({ name: example.name, actual: example.productType, predicted });
+            }
+        });
+
+        const labels = [...new Set([...Object.keys(matrix), ...Object.values(matrix).flatMap(row => Object.keys(row))])].sort();
+        return {
+            total: examples.length,
+            correct,
+            accuracy: examples.length > 0 ? Math.round((correct / examples.length) * 100) : 0,
+            labels,
+            matrix,
+            errors
+        };
+    }
+
+    /**
+     * Leave-one-out evaluation: each example is predicted with a model trained on all the others
+     * @param {Array} examples - [{ name, productType, headers, rows }]
+     * @param {Function} [predictType] - (example, model) => predicted product type, the model alone by default
+     * @returns {Object} Same as evaluate()
+     */
+    static crossValidate(examples, predictType = (example, model) => this.predict(model, example.headers, example.rows).productType) {
+        const entries = examples.map(example => ({ productType: example.productType, tokens: this.features(example.headers, example.rows) }));
+        return this.evaluate(examples, (example, index) => {
+            const others = entries.filter((_, otherIndex) => otherIndex !== index);
+            return others.length > 0 ? predictType(example, this._build(others)) : 'UNKNOWN';
+        });
+    }
+
+    /**
+     * Write a model to a JSON file
+     */
+    static save(model, filePath) {
+        fs.writeFileSync(filePath, JSON.stringify(model, null, 2));
+    }
+
+    /**
+     * Read a model written by save()
+     * @param {string} filePath - Model file
+     * @returns {Object} Model
+     */
+    static load(filePath) {
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Model file not found: ${filePath}`);
+        }
+
+        let model;
+        try {
+            model = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid model file ${filePath}: ${error.message}`);
+        }
+        if (model.format !== this.FORMAT || !model.classes || !model.counts) {
+            throw new Error(`Invalid model file ${filePath}: not a product type model`);
+        }
+        if (model.version > this.VERSION) {
+            throw new Error(`Model file ${filePath} has version ${model.version}, this converter reads up to ${this.VERSION}`);
+        }
+        return model;
+    }
+
+    /**
+     * Count, per product type, the examples each token appears in
+     * @param {Array} entries - [{ productType, tokens }]
+     */
+    static _build(entries) {
+        const classes = {};
+        const counts = {};
+        const vocabulary = new Set();
+
+        entries.forEach(entry => {
+            const type = entry.productType;
+            classes[type] = classes[type] || { examples: 0, tokens: 0 };
+            counts[type] = counts[type] || {};
+            classes[type].examples++;
+
+            entry.tokens.forEach(token => {
+                counts[type][token] = (counts[type][token] || 0) + 1;
+                classes[type].tokens++;
+                vocabulary.add(token);
+            });
+        });
+
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            trainedAt: new Date().toISOString(),
+            examples: entries.length,
+            vocabularySize: vocabulary.size,
+            classes,
+            counts
+        };
+    }
+
+    /**
+     * Naive Bayes posterior of a token list; tokens the model never saw are ignored
+     */
+    static _predictTokens(model, features) {
+        const tokens = features.filter(token => Object.values(model.counts).some(counts => counts[token]));
+        const types = Object.keys(model.classes);
+        const totalExamples = types.reduce((sum, type) => sum + model.classes[type].examples, 0);
+
+        // Log prior plus Laplace-smoothed log likelihood of every known token
+        const logScores = types.map(type => {
+            const { examples, tokens: tokenCount } = model.classes[type];
+            const denominator = tokenCount + model.vocabularySize;
+            return tokens.reduce(
+                (score, token) => score + Math.log(((model.counts[type][token] || 0) + 1) / denominator),
+                Math.log(examples / totalExamples)
+            );
+        });
+
+        const top = Math.max(...logScores);
+        const exponentials = logScores.map(score => Math.exp(score - top));
+        const total = exponentials.reduce((sum, value) => sum + value, 0);
+        const probabilities = Object.fromEntries(types.map((type, index) => [type, Math.round((exponentials[index] / total) * 100)]));
+
+        const best = types[logScores.indexOf(top)];
+        return {
+            productType: best,
+            confidence: Math.min(this.MAX_CONFIDENCE, probabilities[best]),
+            probabilities,
+            tokens: tokens.length
+        };
+    }
+
+    /**
+     * Lowercase words of two letters or more, numbers left out
+     */
+    static _words(value) {
+        if (value === null || value === undefined) return [];
+        return foldAccents(String(value))
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length >= 2 && !/^\d+$/.test(word));
+    }
+
+    /**
+     * Shape of a short value: digits become 9, runs of letters a ("-8.00/+6.00" gives -9.99/+9.99, "Matte black" a a)
+     */
+    static _shape(value) {
+        const text = value === null || value === undefined ? '' : String(value).trim();
+        if (!text || text.length > this.MAX_SHAPE_LENGTH) return null;
+        return text.replace(/\d/g, '9').replace(/\p{L}+/gu, 'a');
+    }
+}
+
+export default TypeClassifier;
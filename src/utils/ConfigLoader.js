@@ -0,0 +1,65 @@
+/**
+ * ConfigLoader - Reads the optional csv-converter.config.json file
+ *
+ * {
+ *   "plugins": ["ocean-glasses-rules", "./plugins/acme.js", { "plugin": "required-fields-validation", "options": { "dropInvalid": true } }],
+ *   "brands": ["Acme", { "name": "Ray-Ban", "aliases": ["RB", "Rayban"] }],
+ *   "detectionWeights": { "header": 2, "sphereRange": 4 },
+ *   "typeModel": "./models/product-type-model.json"
+ * }
+ *
+ * Relative plugin and model paths are resolved from the folder holding the config file. Brands are added to the
+ * built-in registry (DEFAULT_BRANDS), an entry with the name of a built-in brand replaces it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { defaultLogger } from './Logger.js';
+
+class ConfigLoader {
+    static DEFAULT_FILE = 'csv-converter.config.json';
+
+    /**
+     * Load a config file
+     * @param {string} [configPath] - Explicit path; otherwise ./csv-converter.config.json if it exists
+     * @param {Logger} [logger] - Logger
+     * @returns {Object} Config with baseDir (folder of the file) and configPath (null when none was found)
+     */
+    static load(configPath, logger = defaultLogger) {
+        const resolvedPath = configPath
+            ? path.resolve(configPath)
+            : path.resolve(this.DEFAULT_FILE);
+
+        if (!fs.existsSync(resolvedPath)) {
+            if (configPath) {
+                throw new Error(`Config file not found: ${configPath}`);
+            }
+            return { baseDir: process.cwd(), configPath: null };
+        }
+
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid config file ${resolvedPath}: ${error.message}`);
+        }
+
+        if (config.plugins !== undefined && !Array.isArray(config.plugins)) {
+            throw new Error(`Invalid config file ${resolvedPath}: "plugins" must be an array`);
+        }
+        if (config.brands !== undefined && !Array.isArray(config.brands)) {
+            throw new Error(`Invalid config file ${resolvedPath}: "brands" must be an array`);
+        }
+        if (config.detectionWeights !== undefined && (typeof config.detectionWeights !== 'object' || config.detectionWeights === null || Array.isArray(config.detectionWeights))) {
+            throw new Error(`Invalid config file ${resolvedPath}: "detectionWeights" must be an object`);
+        }
+        if (config.typeModel !== undefined && typeof config.typeModel !== 'string') {
+            throw new Error(`Invalid config file ${resolvedPath}: "typeModel" must be the path of a model file`);
+        }
+
+        logger.info(`⚙️  Config loaded: ${resolvedPath}`);
+        return { ...config, baseDir: path.dirname(resolvedPath), configPath: resolvedPath };
+    }
+}
+
+export default ConfigLoader;
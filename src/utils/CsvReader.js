@@ -1,19 +1,60 @@
 /**
- * CsvReader - Utility for reading Excel/CSV files
- * Handles both .xlsx and .csv formats with advanced cleaning
+ * CsvReader - Utility for reading supplier files
+ * Handles Excel/ODS workbooks, CSV/TSV and JSON, NDJSON and XML feeds with advanced cleaning
+ * The format is sniffed from the content, the extension only breaks ties
  */
 
+import csvParser from 'csv-parser';
 import fs from 'fs';
+import { Transform, pipeline } from 'stream';
 import XLSX from 'xlsx';
+import FeedReader from './FeedReader.js';
+import HeaderDetector from './HeaderDetector.js';
+import Logger, { defaultLogger } from './Logger.js';
+import { foldAccents } from './textNormalization.js';
+
+// Where each row object came from: source line, plus typed cells and hyperlinks for Excel
+// (see CsvReader.getSourceLine and CsvReader.getCellInfo)
+const sourceByRow = new WeakMap();
 
 class CsvReader {
+    static DELIMITERS = [',', ';', '\t', '|'];
+    static ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252'];
+    static STREAM_CHUNK_SIZE = 5000;
+    static STREAM_SAMPLE_SIZE = 200;
+    // Removed rows listed in the cleaning stats of a stream; the rest are only counted
+    static STREAM_MAX_REMOVED = 100;
+    static FORMATS = ['xlsx', 'xls', 'ods', 'csv', 'tsv', 'json', 'ndjson', 'xml'];
+    static WORKBOOK_FORMATS = ['xlsx', 'xls', 'ods'];
+    // strict drops rows without a reference, lenient keeps them (only empty rows are rejected)
+    static ROW_FILTERS = ['strict', 'lenient'];
+    // Headers recognized as the reference column (SKU, ID, REFERENCE, etc.)
+    static REFERENCE_PATTERNS = [
+        /^reference$/i,
+        /^ref$/i,
+        /^sku$/i,
+        /^id$/i,
+        /^product.?id$/i,
+        /^item.?id$/i,
+        /^code$/i,
+        /^product.?code$/i,
+        /^article$/i,
+        /^numero$/i,
+        /^number$/i
+    ];
+    static EXTENSIONS = {
+        xlsx: 'xlsx', xlsm: 'xlsx', xls: 'xls', ods: 'ods',
+        csv: 'csv', tsv: 'tsv', tab: 'tsv',
+        json: 'json', ndjson: 'ndjson', jsonl: 'ndjson', xml: 'xml'
+    };
+
     /**
      * Normalize header for consistency throughout the pipeline
      * @param {string} header - Original header
      * @returns {string} Normalized header
      */
     static _normalizeHeader(header) {
-        return header
+        return foldAccents(header)         // "Référence" → "Reference"
             .toLowerCase()
             .replace(/\s+/g, '')           // Remove all spaces
             .replace(/[_-]/g, '')          // Remove underscores and hyphens
@@ -23,43 +64,465 @@ class CsvReader {
     /**
      * Read Excel or CSV file and return structured data with normalized headers
      * @param {string} filePath - Path to the file
-     * @returns {Object} Parsed data with headers and rows
+     * @param {Object} options - Read options
+     * @param {Logger} [options.logger] - Logger (defaults to the shared console logger)
+     * @param {string} [options.delimiter] - CSV delimiter, detected from the first lines otherwise
+     * @param {string} [options.encoding] - CSV encoding (utf-8, utf-16le, utf-16be, windows-1252), detected otherwise
+     * @param {string|number} [options.sheet] - Excel/ODS sheet name or 1-based position, first sheet with data otherwise
+     * @param {string} [options.referenceColumn] - Column every kept row must fill (original or normalized header), guessed otherwise
+     * @param {string} [options.rowFilter] - 'strict' (default) or 'lenient', see ROW_FILTERS
+     * @returns {Object} Parsed data with headers and rows (and the sniffed format), plus rejectedRows:
+     * [{ line, row, reason, values }] for the rows dropped while cleaning
      */
-    static async readFile(filePath) {
-        console.log('📖 Reading file:', filePath);
-        
+    static async readFile(filePath, options = {}) {
+        const logger = options.logger || defaultLogger;
+        logger.info(`📖 Reading file: ${filePath}`);
+
         try {
-            let result;
-            if (filePath.endsWith('.xlsx') || filePath.endsWith('.xls')) {
-                result = this._readExcel(filePath);
-            } else if (filePath.endsWith('.csv')) {
-                result = this._readCsv(filePath);
-            } else {
-                throw new Error('Unsupported file format. Please use .xlsx, .xls, or .csv');
-            }
+            const buffer = fs.readFileSync(filePath);
+            const fileName = filePath.split('/').pop();
+            const result = await this._readFormat(buffer, this.detectFormat(buffer, fileName, logger), fileName, logger, options);
 
             // Clean the data
-            const cleanedResult = this._cleanData(result);
+            const cleanedResult = this._cleanData(result, logger, options);
             return cleanedResult;
 
         } catch (error) {
-            console.error('❌ Error reading file:', error.message);
+            logger.error(`❌ Error reading file: ${error.message}`);
             throw error;
         }
     }
 
+    /**
+     * Open a file for chunked reading of very large catalogs
+     * Headers and a leading sample are read up front (for detection and mapping), the remaining
+     * rows are only read when chunks() is iterated. CSV files are streamed from disk so memory stays
+     * bounded; workbooks and JSON/XML feeds are still loaded whole, only the later stages run in chunks.
+     * @param {string} filePath - Path to the file
+     * @param {Object} options - Read options (same as readFile, plus the ones below)
+     * @param {number} [options.chunkSize] - Rows per chunk (default: STREAM_CHUNK_SIZE)
+     * @param {number} [options.sampleSize] - Rows read up front (default: STREAM_SAMPLE_SIZE)
+     * @returns {Promise<Object>} Reader data whose rows are the sample, plus chunks() (async iterator of
+     * cleaned row arrays, starting with the sample), cleaningStats updated as chunks are read (only the first
+     * STREAM_MAX_REMOVED removed rows are listed) and takeRejectedRows(), which hands out the rows rejected
+     * since its previous call so they can be written out chunk by chunk
+     */
+    static async openStream(filePath, options = {}) {
+        const logger = options.logger || defaultLogger;
+        const fileName = filePath.split('/').pop();
+        logger.info(`📖 Streaming file: ${filePath}`);
+
+        try {
+            // Format, encoding and delimiter are guessed from the first bytes only
+            const head = this._readHead(filePath, 64 * 1024);
+            const format = this.detectFormat(head, fileName, logger);
+
+            if (format !== 'csv' && format !== 'tsv') {
+                logger.warn(`⚠️  ${format.toUpperCase()} files are loaded in memory, only the conversion runs in chunks`);
+                const result = await this._readFormat(fs.readFileSync(filePath), format, fileName, logger, options);
+
+                return await this._openChunks(result.originalHeaders, (async function* rowsOf() {
+                    yield* result.rows;
+                })(), { fileName, format, sheetName: result.sheetName, headerRow: result.headerRow }, logger, options);
+            }
+
+            const encoding = options.encoding ? this.normalizeEncoding(options.encoding) : this._detectEncoding(head, true);
+            const delimiter = options.delimiter || (format === 'tsv' ? '\t' : this._detectDelimiter(new TextDecoder(encoding).decode(head)));
+            logger.info(`🔤 CSV encoding: ${encoding}${options.encoding ? '' : ' (detected)'}, delimiter: ${this._describeDelimiter(delimiter)}${options.delimiter ? '' : ' (detected)'}`, {
+                encoding,
+                delimiter
+            });
+
+            const records = this._streamRecords(filePath, encoding, delimiter);
+
+            // The header is searched in the first records, like for files read at once
+            const firstRecords = [];
+            while (firstRecords.length < HeaderDetector.SCAN_ROWS) {
+                const next = await records.next();
+                if (next.done) break;
+                firstRecords.push(next.value);
+            }
+            if (!firstRecords.some(record => this._hasData(record))) {
+                throw new Error('CSV file is empty');
+            }
+
+            let split;
+            try {
+                split = this._splitHeader(firstRecords, {}, logger);
+            } catch (error) {
+                await records.return();
+                throw error;
+            }
+
+            const { originalHeaders, columns, rowArrays, bodyStart, headerRow } = split;
+            const { headers, collisions } = this._normalizeHeaders(originalHeaders);
+            this._logCollisions(collisions, logger);
+            const firstLines = this._recordLines(firstRecords);
+            let nextLine = firstLines.next;
+            const rows = (async function* rowsOf() {
+                const toRow = (cells, line) => {
+                    if (!CsvReader._hasData(cells)) return null;
+                    const row = CsvReader._toRowObject(headers, cells);
+                    sourceByRow.set(row, { line });
+                    return row;
+                };
+
+                for (const [index, cells] of rowArrays.entries()) {
+                    const row = toRow(cells, firstLines.lines[bodyStart + index]);
+                    if (row) yield row;
+                }
+                for await (const record of records) {
+                    const line = nextLine;
+                    nextLine += CsvReader._lineSpan(record);
+                    const row = toRow(columns.map(column => record[column.index]), line);
+                    if (row) yield row;
+                }
+            })();
+
+            return await this._openChunks(originalHeaders, rows, { fileName, format, encoding, delimiter, headerRow }, logger, options);
+
+        } catch (error) {
+            logger.error(`❌ Error reading file: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Read a supplier file held in memory
+     * @param {Buffer} buffer - File content
+     * @param {string} [format] - Expected format (see FORMATS) or extension, only used when the content is not conclusive
+     * @param {Object} options - Read options
+     * @param {string} [options.fileName] - Name reported in the result
+     * @param {Logger} [options.logger] - Logger (defaults to the shared console logger)
+     * @param {string} [options.delimiter] - CSV delimiter override
+     * @param {string} [options.encoding] - CSV encoding override
+     * @param {string|number} [options.sheet] - Excel/ODS sheet name or 1-based position
+     * @returns {Object} Parsed data with headers and rows, same shape as readFile
+     */
+    static async readBuffer(buffer, format, options = {}) {
+        const logger = options.logger || defaultLogger;
+        const normalizedFormat = String(format || '').toLowerCase().replace(/^\./, '');
+        const fileName = options.fileName || `upload.${normalizedFormat || 'bin'}`;
+        logger.info(`📖 Reading ${normalizedFormat || 'file'} buffer: ${fileName} (${buffer.length} bytes)`);
+
+        const detected = this.detectFormat(buffer, normalizedFormat ? `.${normalizedFormat}` : fileName, logger);
+        const result = await this._readFormat(buffer, detected, fileName, logger, options);
+        return this._cleanData(result, logger, options);
+    }
+
+    /**
+     * Guess the format of a file from its content
+     * Workbooks are recognized by their signature (ZIP for xlsx/ods, OLE for xls), text by its first
+     * characters: [ or a multi-line { for JSON, one { ... } object per line for NDJSON, < for XML
+     * (Excel 2003 XML is read as xls), anything else as delimited text (TSV when tab-separated).
+     * @param {Buffer} buffer - File content, or its first bytes
+     * @param {string} [fileName] - Name or extension, used when the content is not conclusive (empty file)
+     * @param {Logger} [logger] - Logger, told when the content does not match the extension
+     * @returns {string} One of FORMATS
+     */
+    static detectFormat(buffer, fileName = '', logger = defaultLogger) {
+        const extension = String(fileName).toLowerCase().split('.').pop();
+        const expected = String(fileName).includes('.') ? this.EXTENSIONS[extension] || null : null;
+        const detected = buffer.length > 0 ? this._sniffFormat(buffer) : expected;
+
+        if (!detected) {
+            throw new Error(`Unsupported file format. Please use ${this.supportedExtensions().join(', ')}`);
+        }
+        // CSV and TSV only differ by the delimiter, which is detected anyway
+        const sameFamily = [detected, expected].every(format => format === 'csv' || format === 'tsv');
+        if (expected && detected !== expected && !sameFamily) {
+            logger.info(`🔎 Content looks like ${detected.toUpperCase()}, not .${extension}: reading it as ${detected.toUpperCase()}`, { format: detected });
+        }
+
+        return detected;
+    }
+
+    /**
+     * Whether a file is a workbook (xlsx, xls, ods), decided from its content as readFile does,
+     * from its extension when it cannot be read
+     * @param {string} filePath - Path to the file
+     * @returns {boolean}
+     */
+    static isWorkbook(filePath) {
+        const head = fs.existsSync(filePath) && fs.statSync(filePath).isFile() ? this._readHead(filePath, 64 * 1024) : Buffer.alloc(0);
+        try {
+            return this.WORKBOOK_FORMATS.includes(this.detectFormat(head, filePath, new Logger({ level: 'silent' })));
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * File extensions the reader accepts
+     */
+    static supportedExtensions() {
+        return Object.keys(this.EXTENSIONS).map(extension => `.${extension}`);
+    }
+
+    static _sniffFormat(buffer) {
+        if (buffer[0] === 0x50 && buffer[1] === 0x4B && buffer[2] === 0x03 && buffer[3] === 0x04) {
+            // Both are ZIP packages: OpenDocument has a manifest (and usually a "mimetype" entry first),
+            // Office Open XML a [Content_Types].xml part
+            const entries = buffer.subarray(0, 64 * 1024).toString('latin1');
+            const isOds = /opendocument\.spreadsheet|META-INF\/manifest\.xml/.test(entries) && !entries.includes('[Content_Types].xml');
+            return isOds ? 'ods' : 'xlsx';
+        }
+        if (buffer[0] === 0xD0 && buffer[1] === 0xCF && buffer[2] === 0x11 && buffer[3] === 0xE0) {
+            return 'xls';
+        }
+
+        const text = new TextDecoder(this._detectEncoding(buffer, true)).decode(buffer.subarray(0, 64 * 1024)).replace(/^\uFEFF/, '');
+        const start = text.trimStart();
+
+        if (start.startsWith('<')) {
+            return start.includes('urn:schemas-microsoft-com:office:spreadsheet') ? 'xls' : 'xml';
+        }
+        if (start.startsWith('[')) {
+            return 'json';
+        }
+        if (start.startsWith('{')) {
+            const lines = start.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+            return lines.length > 1 && lines[0].endsWith('}') && lines[1].startsWith('{') ? 'ndjson' : 'json';
+        }
+
+        return this._detectDelimiter(text) === '\t' ? 'tsv' : 'csv';
+    }
+
+    /**
+     * Read a buffer in a known format (before row cleaning)
+     */
+    static async _readFormat(buffer, format, fileName, logger, options) {
+        let result;
+        if (this.WORKBOOK_FORMATS.includes(format)) {
+            result = this._readExcel(this._loadWorkbook(buffer), fileName, logger, options);
+        } else if (format === 'csv' || format === 'tsv') {
+            result = await this._readCsv(buffer, fileName, logger, format === 'tsv' && !options.delimiter ? { ...options, delimiter: '\t' } : options);
+        } else {
+            result = this._readFeed(buffer, format, fileName, logger, options);
+        }
+
+        return { ...result, format };
+    }
+
+    /**
+     * Read a JSON, NDJSON or XML feed, nested records flattened into columns (see FeedReader)
+     */
+    static _readFeed(buffer, format, fileName, logger, options = {}) {
+        const text = this._decode(buffer, options.encoding).text.replace(/^\uFEFF/, '');
+        const readers = { json: 'readJson', ndjson: 'readNdjson', xml: 'readXml' };
+        const { originalHeaders, rowArrays, lines } = FeedReader[readers[format]](text);
+
+        const result = this._buildResult(originalHeaders, rowArrays, fileName, { lines, logger });
+        logger.info(`✅ Parsed ${format.toUpperCase()}: ${result.headers.length} columns, ${result.rows.length} records (before cleaning)`);
+        logger.debug(`🔄 Headers normalized: ${originalHeaders.slice(0, 3).map((orig, i) => `"${orig}" → "${result.headers[i]}"`).join(', ')}...`);
+
+        return result;
+    }
+
+    /**
+     * Normalize all the headers of a file, keeping them unique
+     * Headers that normalize to the same name ("Price (€)" and "Price") would overwrite each other in
+     * row objects: the first one keeps the name, the next ones get a number ("price2").
+     * Headers with nothing left after normalization ("€") are named after their position ("column3").
+     * @param {Array} originalHeaders - Original column headers
+     * @returns {Object} { headers, collisions: [{ header, columns: [original...], headers: [normalized...] }] }
+     */
+    static _normalizeHeaders(originalHeaders) {
+        const normalized = originalHeaders.map((header, index) => this._normalizeHeader(header) || `column${index + 1}`);
+        const used = new Set();
+        const groups = new Map();
+
+        const headers = normalized.map((header, index) => {
+            let unique = header;
+            let suffix = 2;
+            // Skip names taken by an earlier column, or that another column normalizes to ("Price 2")
+            while (used.has(unique) || (unique !== header && normalized.includes(unique))) {
+                unique = `${header}${suffix++}`;
+            }
+            used.add(unique);
+
+            if (!groups.has(header)) groups.set(header, []);
+            groups.get(header).push({ original: originalHeaders[index], unique });
+            return unique;
+        });
+
+        const collisions = [...groups.entries()]
+            .filter(([, columns]) => columns.length > 1)
+            .map(([header, columns]) => ({
+                header,
+                columns: columns.map(column => column.original),
+                headers: columns.map(column => column.unique)
+            }));
+
+        return { headers, collisions };
+    }
+
+    static _logCollisions(collisions, logger) {
+        collisions.forEach(collision => {
+            logger.warn(`⚠️  Columns ${collision.columns.map(column => `"${column}"`).join(', ')} all normalize to "${collision.header}": read as ${collision.headers.map(header => `"${header}"`).join(', ')}`, {
+                header: collision.header,
+                columns: collision.columns
+            });
+        });
+    }
+
+    /**
+     * Build reader data from rows already in memory
+     * @param {Array} headers - Original column headers
+     * @param {Array} rows - Row objects keyed by original (or normalized) header, or arrays in header order
+     * @param {Object} options - Read options
+     * @param {string} [options.fileName] - Name reported in the result
+     * @param {Logger} [options.logger] - Logger (defaults to the shared console logger)
+     * @returns {Object} Parsed data with headers and rows, same shape as readFile
+     */
+    static async fromRows(headers, rows, options = {}) {
+        const logger = options.logger || defaultLogger;
+
+        if (!Array.isArray(headers) || headers.length === 0) {
+            throw new Error('No valid column headers found');
+        }
+
+        const originalHeaders = headers.map(header => String(header ?? '').trim());
+        const normalizedHeaders = this._normalizeHeaders(originalHeaders).headers;
+
+        const rowArrays = (rows || []).map(row => {
+            if (Array.isArray(row)) return row;
+            return originalHeaders.map((header, index) => {
+                const value = row[header] !== undefined ? row[header] : row[normalizedHeaders[index]];
+                return value;
+            });
+        });
+
+        logger.info(`📖 Reading ${rowArrays.length} in-memory rows`);
+
+        const result = this._buildResult(originalHeaders, rowArrays, options.fileName || 'in-memory', { logger });
+        return this._cleanData(result, logger, options);
+    }
+
+    /**
+     * Typed cells and hyperlinks behind a row read from an Excel sheet
+     * Only the row objects returned by the reader carry them: copies of a row lose them.
+     * @param {Object} row - Row object from readFile, readBuffer or openStream
+     * @returns {Object|null} { cells: { [normalizedHeader]: { type, raw, text, link } }, links: [{ header, url }] },
+     * null for CSV rows. type is 'string', 'number', 'date', 'boolean' or 'error', raw the value stored in the
+     * workbook (dates as Excel serial numbers), text the value as displayed by Excel, link the hyperlink target.
+     */
+    static getCellInfo(row) {
+        const source = sourceByRow.get(row);
+        return source && source.cells ? { cells: source.cells, links: source.links } : null;
+    }
+
+    /**
+     * Line of the source file a row was read from
+     * @param {Object} row - Row object from readFile, readBuffer, openStream or fromRows
+     * @returns {number|null} 1-based CSV/NDJSON line, sheet row for workbooks, record number for JSON/XML
+     * and in-memory rows, null for row objects the reader did not build
+     */
+    static getSourceLine(row) {
+        const source = sourceByRow.get(row);
+        return source ? source.line : null;
+    }
+
+    /**
+     * Build the reader result from original headers and positional rows
+     * @param {Object} [options] - Row sources aligned with rowArrays
+     * @param {Array} [options.lines] - Source line of each row (defaults to its position)
+     * @param {Array} [options.cellRows] - Cell info of each row (Excel only)
+     * @param {Logger} [options.logger] - Warned about header collisions
+     */
+    static _buildResult(originalHeaders, rowArrays, fileName, options = {}) {
+        const { lines = null, cellRows = null } = options;
+        const { headers, collisions } = this._normalizeHeaders(originalHeaders);
+        if (options.logger) this._logCollisions(collisions, options.logger);
+
+        const headerMapping = {};
+        originalHeaders.forEach((original, index) => {
+            headerMapping[headers[index]] = original;
+        });
+
+        const rows = [];
+        rowArrays.forEach((row, index) => {
+            if (!this._hasData(row)) return;
+
+            const rowObj = this._toRowObject(headers, row);
+            const source = { line: lines ? lines[index] : index + 1 };
+            if (cellRows && cellRows[index]) {
+                Object.assign(source, this._cellInfo(headers, cellRows[index]));
+            }
+            sourceByRow.set(rowObj, source);
+            rows.push(rowObj);
+        });
+
+        return {
+            headers,
+            originalHeaders,
+            headerMapping,
+            headerCollisions: collisions,
+            rows,
+            totalRows: rows.length,
+            fileName
+        };
+    }
+
+    static _hasData(row) {
+        return !!row && row.some(cell => cell !== null && cell !== undefined && String(cell).trim() !== '');
+    }
+
+    static _cellInfo(headers, cellRow) {
+        const cells = {};
+        const links = [];
+        headers.forEach((header, index) => {
+            const info = cellRow[index];
+            if (!info) return;
+            cells[header] = info;
+            if (info.link) links.push({ header, url: info.link });
+        });
+        return { cells, links };
+    }
+
+    /**
+     * Positional cells to a row object keyed by normalized header
+     */
+    static _toRowObject(headers, row) {
+        const rowObj = {};
+        headers.forEach((normalizedHeader, index) => {
+            const cellValue = row[index];
+            rowObj[normalizedHeader] = cellValue !== null && cellValue !== undefined
+                ? String(cellValue).trim()
+                : '';
+        });
+        return rowObj;
+    }
+
     /**
      * Clean data by removing empty rows and rows without reference
      * @param {Object} data - Raw data from file
-     * @returns {Object} Cleaned data with stats
+     * @param {Logger} [logger] - Logger
+     * @param {Object} [options] - Cleaning options
+     * @param {string} [options.referenceColumn] - Column every kept row must fill, guessed otherwise
+     * @param {string} [options.rowFilter] - 'strict' (default) or 'lenient' (rows without reference are kept)
+     * @param {number} [options.rowOffset] - Rows already read before this chunk, for the reported row numbers
+     * @param {boolean} [options.logSummary] - Log the kept/removed summary (default: true)
+     * @returns {Object} Cleaned data with stats and the rejected rows
      */
-    static _cleanData(data) {
-        console.log('🧹 Cleaning data...');
-        
+    static _cleanData(data, logger = defaultLogger, options = {}) {
+        const { rowOffset = 0, logSummary = true } = options;
+        const rowFilter = this._rowFilter(options.rowFilter);
+        logger.debug('🧹 Cleaning data...');
+
         const originalRowCount = data.rows.length;
-        const referenceColumn = this._findReferenceColumn(data.headers);
-        
-        console.log(`📍 Reference column detected: "${referenceColumn}"`);
+        const referenceColumn = this._resolveReferenceColumn(data, options.referenceColumn, logSummary ? logger : null);
+
+        // Why each row was dropped, for the run report and the rejected rows file
+        const removed = [];
+        const rejectedRows = [];
+        const remove = (row, index, reason, message) => {
+            const entry = { row: rowOffset + index + 1, line: this.getSourceLine(row), reason };
+            logger.debug(`🗑️  Removing ${message}`, { row: entry.row, line: entry.line, reason });
+            removed.push(entry);
+            rejectedRows.push({ ...entry, values: row });
+            return false;
+        };
 
         const cleanedRows = data.rows.filter((row, index) => {
             // Check if row is completely empty
@@ -70,20 +533,18 @@ class CsvReader {
             );
 
             if (!hasAnyData) {
-                console.log(`🗑️  Removing empty row ${index + 1}`);
-                return false;
+                return remove(row, index, 'empty', `empty row ${rowOffset + index + 1}`);
             }
 
             // Check if reference column has data
-            if (referenceColumn) {
+            if (referenceColumn && rowFilter === 'strict') {
                 const referenceValue = row[referenceColumn];
                 const hasReference = referenceValue !== null && 
                                    referenceValue !== undefined && 
                                    String(referenceValue).trim() !== '';
 
                 if (!hasReference) {
-                    console.log(`🗑️  Removing row ${index + 1} - no reference (${referenceColumn})`);
-                    return false;
+                    return remove(row, index, 'no-reference', `row ${rowOffset + index + 1} - no reference (${referenceColumn})`);
                 }
             }
 
@@ -99,8 +560,7 @@ class CsvReader {
             });
 
             if (meaningfulValues.length === 0) {
-                console.log(`🗑️  Removing row ${index + 1} - no meaningful data`);
-                return false;
+                return remove(row, index, 'no-meaningful-data', `row ${rowOffset + index + 1} - no meaningful data`);
             }
 
             return true;
@@ -108,46 +568,73 @@ class CsvReader {
 
         const removedCount = originalRowCount - cleanedRows.length;
         
-        console.log(`✅ Data cleaning completed:`);
-        console.log(`   - Original rows: ${originalRowCount}`);
-        console.log(`   - Cleaned rows: ${cleanedRows.length}`);
-        console.log(`   - Removed rows: ${removedCount}`);
+        logger[logSummary ? 'info' : 'debug'](`✅ Data cleaning completed: ${cleanedRows.length}/${originalRowCount} rows kept, ${removedCount} removed`, {
+            originalRows: originalRowCount,
+            cleanedRows: cleanedRows.length,
+            removedRows: removedCount
+        });
 
         return {
             ...data,
             rows: cleanedRows,
             totalRows: cleanedRows.length,
+            rejectedRows,
             cleaningStats: {
                 originalRows: originalRowCount,
                 cleanedRows: cleanedRows.length,
                 removedRows: removedCount,
-                referenceColumn: referenceColumn
+                removed, // [{ row, line, reason }] with 1-based data row numbers and source lines
+                referenceColumn: referenceColumn,
+                rowFilter
             }
         };
     }
 
+    static _rowFilter(rowFilter) {
+        const value = String(rowFilter || 'strict').toLowerCase();
+        if (!this.ROW_FILTERS.includes(value)) {
+            throw new Error(`Unknown row filter: ${rowFilter}. Use ${this.ROW_FILTERS.join(' or ')}`);
+        }
+        return value;
+    }
+
+    /**
+     * Reference column of a file: the requested one, or a guess (see _findReferenceColumn)
+     * @param {Object} data - Reader data (headers, originalHeaders)
+     * @param {string} [requested] - Original or normalized header
+     * @param {Logger} [logger] - Told which column is used (nothing is logged without it)
+     * @returns {string|null} Normalized header
+     */
+    static _resolveReferenceColumn(data, requested, logger = null) {
+        if (requested) {
+            const wanted = String(requested).trim();
+            const index = data.headers.findIndex((header, i) =>
+                header === wanted || header === this._normalizeHeader(wanted) ||
+                (data.originalHeaders && data.originalHeaders[i].toLowerCase() === wanted.toLowerCase()));
+            if (index === -1) {
+                throw new Error(`Reference column not found: ${requested}. Available columns: ${(data.originalHeaders || data.headers).join(', ')}`);
+            }
+            if (logger) logger.debug(`📍 Reference column: "${data.headers[index]}"`, { referenceColumn: data.headers[index] });
+            return data.headers[index];
+        }
+
+        const referenceColumn = this._findReferenceColumn(data.headers);
+        if (logger && referenceColumn && !this._isReferenceHeader(referenceColumn)) {
+            logger.warn(`⚠️  No reference column recognized, rows without "${referenceColumn}" (first column) are rejected; set the reference column if that is wrong`, { referenceColumn });
+        } else if (logger) {
+            logger.debug(`📍 Reference column detected: "${referenceColumn}"`, { referenceColumn });
+        }
+        return referenceColumn;
+    }
+
     /**
      * Find the reference column (SKU, ID, REFERENCE, etc.)
      * @param {Array} headers - Column headers
      * @returns {string|null} Reference column name
      */
     static _findReferenceColumn(headers) {
-        const referencePatterns = [
-            /^reference$/i,
-            /^ref$/i,
-            /^sku$/i,
-            /^id$/i,
-            /^product.?id$/i,
-            /^item.?id$/i,
-            /^code$/i,
-            /^product.?code$/i,
-            /^article$/i,
-            /^numero$/i,
-            /^number$/i
-        ];
-
         // First, try exact matches with common reference patterns
-        for (const pattern of referencePatterns) {
+        for (const pattern of this.REFERENCE_PATTERNS) {
             const match = headers.find(header => pattern.test(header.trim()));
             if (match) {
                 return match;
@@ -155,13 +642,8 @@ class CsvReader {
         }
 
         // Fallback: assume first column is reference if it contains ID-like data
-        if (headers.length > 0) {
-            const firstColumn = headers[0];
-            if (firstColumn && firstColumn.toLowerCase().includes('ref') || 
-                firstColumn.toLowerCase().includes('id') ||
-                firstColumn.toLowerCase().includes('sku')) {
-                return firstColumn;
-            }
+        if (headers.length > 0 && this._isReferenceHeader(headers[0])) {
+            return headers[0];
         }
 
         // Last fallback: use first column
@@ -169,129 +651,653 @@ class CsvReader {
     }
 
     /**
-     * Read Excel file
+     * Whether a header names a reference (rather than being the first column by default)
+     */
+    static _isReferenceHeader(header) {
+        const lower = header.toLowerCase();
+        return this.REFERENCE_PATTERNS.some(pattern => pattern.test(header.trim()))
+            || lower.includes('ref') || lower.includes('id') || lower.includes('sku');
+    }
+
+    /**
+     * List the sheets of an Excel workbook
+     * @param {string} filePath - Path to the .xlsx/.xls file
+     * @returns {Array} [{ name, position, columns, rows, hasData }], position is 1-based
+     */
+    static listSheets(filePath) {
+        const workbook = this._loadWorkbook(filePath);
+        return workbook.SheetNames.map((name, index) => ({
+            name,
+            position: index + 1,
+            ...this._sheetShape(workbook.Sheets[name])
+        }));
+    }
+
+    /**
+     * Header columns and data rows of a sheet; cover pages and notes (a single column of text) have no data
+     * The header row is found the way _readExcel finds it, so banners above the table are skipped here too.
      */
-    static _readExcel(filePath) {
-        const workbook = XLSX.readFile(filePath);
-        const sheetName = workbook.SheetNames[0]; // Use first sheet
+    static _sheetShape(worksheet) {
+        const { data } = this._sheetCells(worksheet);
+        const detected = data.some(row => this._hasData(row))
+            ? HeaderDetector.detect(data, { mergedCells: this._fillMerges(data, worksheet) })
+            : null;
+        if (!detected) {
+            return { columns: 0, rows: 0, hasData: false };
+        }
+
+        const columns = detected.headers.length;
+        const rows = data.slice(detected.index + detected.rowCount).filter(row => this._hasData(row)).length;
+        return { columns, rows, hasData: columns >= 2 && rows > 0 };
+    }
+
+    /**
+     * Pick the sheet to read
+     * @param {Object} workbook - XLSX workbook
+     * @param {string|number} [sheet] - Sheet name or 1-based position
+     * @returns {string} Sheet name
+     */
+    static _selectSheet(workbook, sheet) {
+        const names = workbook.SheetNames;
+
+        if (sheet === undefined || sheet === null || sheet === '') {
+            // Skip cover pages: first sheet that looks like a table
+            return names.find(name => this._sheetShape(workbook.Sheets[name]).hasData) || names[0];
+        }
+
+        const exact = names.find(name => name === String(sheet))
+            || names.find(name => name.toLowerCase() === String(sheet).trim().toLowerCase());
+        if (exact) return exact;
+
+        const position = Number(sheet);
+        if (Number.isInteger(position) && position >= 1 && position <= names.length) {
+            return names[position - 1];
+        }
+
+        throw new Error(`Sheet not found: ${sheet}. Available sheets: ${names.map((name, index) => `${index + 1}. ${name}`).join(', ')}`);
+    }
+
+    /**
+     * Read Excel workbook
+     * @param {Object} workbook - XLSX workbook
+     * @param {string} fileName - Name reported in the result
+     * @param {Logger} [logger] - Logger
+     * @param {Object} [options] - { sheet } name or 1-based position
+     */
+    static _readExcel(workbook, fileName, logger = defaultLogger, options = {}) {
+        const sheetName = this._selectSheet(workbook, options.sheet);
         const worksheet = workbook.Sheets[sheetName];
+        if (workbook.SheetNames.length > 1) {
+            logger.info(`📑 Sheet: "${sheetName}" (${workbook.SheetNames.indexOf(sheetName) + 1} of ${workbook.SheetNames.length})`, { sheet: sheetName });
+        }
         
-        // Convert to JSON
-        const data = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+        // Rows as arrays, blank rows kept so merge ranges line up with row indexes
+        const { data, cells } = this._sheetCells(worksheet);
         
         if (data.length === 0) {
             throw new Error('File is empty or could not be parsed');
         }
 
-        // Find the header row (skip empty rows at the top)
-        let headerRowIndex = 0;
-        while (headerRowIndex < data.length && 
-               (!data[headerRowIndex] || data[headerRowIndex].every(cell => !cell))) {
-            headerRowIndex++;
+        const mergedCells = this._fillMerges(data, worksheet, cells);
+        const firstRow = XLSX.utils.decode_range(worksheet['!ref']).s.r;
+        const { originalHeaders, columns, rowArrays, bodyStart, headerRow } = this._splitHeader(data, { mergedCells, firstRow }, logger);
+
+        const cellRows = cells.slice(bodyStart).map(row => columns.map(column => row[column.index] || null));
+        const lines = rowArrays.map((_, index) => firstRow + bodyStart + index + 1);
+
+        const result = this._buildResult(originalHeaders, rowArrays, fileName, { cellRows, lines, logger });
+        const { headers, rows } = result;
+
+        logger.info(`✅ Parsed Excel: ${headers.length} columns, ${rows.length} rows (before cleaning)`);
+        logger.debug(`🔄 Headers normalized: ${originalHeaders.slice(0, 3).map((orig, i) => `"${orig}" → "${headers[i]}"`).join(', ')}...`);
+        
+        return { ...result, sheetName, headerRow };
+    }
+
+    /**
+     * Load a workbook, keeping number formats so date cells can be told from numbers
+     * @param {string|Buffer} source - File path or file content
+     */
+    static _loadWorkbook(source) {
+        return Buffer.isBuffer(source)
+            ? XLSX.read(source, { type: 'buffer', cellNF: true })
+            : XLSX.readFile(source, { cellNF: true });
+    }
+
+    /**
+     * Cell values of a sheet as text, plus the typed cell behind each value
+     * Numbers keep every digit (no "8.43574E+12" for EANs, no float noise in prices) and date cells
+     * become ISO dates instead of serial numbers.
+     * @param {Object} worksheet - XLSX worksheet
+     * @returns {Object} { data: rows of strings, cells: rows of { type, raw, text, link } (null for empty cells) }
+     */
+    static _sheetCells(worksheet) {
+        const data = [];
+        const cells = [];
+        if (!worksheet['!ref']) return { data, cells };
+
+        const range = XLSX.utils.decode_range(worksheet['!ref']);
+        for (let row = range.s.r; row <= range.e.r; row++) {
+            const values = [];
+            const infos = [];
+            for (let column = range.s.c; column <= range.e.c; column++) {
+                const cell = worksheet[XLSX.utils.encode_cell({ r: row, c: column })];
+                const value = cell ? this._cellValue(cell) : '';
+                const link = cell && cell.l && cell.l.Target && !cell.l.Target.startsWith('#') ? cell.l.Target : null;
+
+                values.push(value);
+                infos.push(value !== '' || link ? {
+                    type: this._cellType(cell),
+                    raw: cell.v,
+                    text: cell.w !== undefined ? cell.w : value,
+                    link
+                } : null);
+            }
+            data.push(values);
+            cells.push(infos);
         }
 
-        if (headerRowIndex >= data.length) {
-            throw new Error('No valid headers found in the file');
+        return { data, cells };
+    }
+
+    static _cellType(cell) {
+        if (cell.t === 'n') return this._isDateCell(cell) ? 'date' : 'number';
+        return { b: 'boolean', e: 'error', d: 'date' }[cell.t] || 'string';
+    }
+
+    static _isDateCell(cell) {
+        return !!cell.z && XLSX.SSF.is_date(cell.z);
+    }
+
+    /**
+     * Text value of a cell: numbers in full, dates as YYYY-MM-DD (with the time when there is one),
+     * booleans as TRUE/FALSE, error cells (#N/A, #REF!) empty
+     */
+    static _cellValue(cell) {
+        switch (cell.t) {
+            case 'n':
+                return this._isDateCell(cell) ? this._formatDate(cell.v) : this._formatNumber(cell.v);
+            case 'd':
+                return cell.v instanceof Date ? cell.v.toISOString().replace(/T00:00:00\.000Z$/, '') : String(cell.v);
+            case 'b':
+                return cell.v ? 'TRUE' : 'FALSE';
+            case 'e':
+            case 'z':
+                return '';
+            default:
+                return cell.v === null || cell.v === undefined ? '' : String(cell.v);
         }
+    }
 
-        // Extract, clean and normalize headers
-        const originalHeaders = data[headerRowIndex]
-            .map(header => typeof header === 'string' ? header.trim() : String(header || '').trim())
-            .filter(header => header !== '');
-        
-        if (originalHeaders.length === 0) {
-            throw new Error('No valid column headers found');
+    static _formatNumber(value) {
+        if (Number.isInteger(value)) {
+            return Math.abs(value) < 1e21 ? value.toFixed(0) : String(value);
         }
+        // 15 significant digits is what Excel itself shows: 24.499999999999996 is 24.5
+        return String(Number(value.toPrecision(15)));
+    }
 
-        // Create normalized headers
-        const headers = originalHeaders.map(header => this._normalizeHeader(header));
-        
-        // Create mapping for debugging
-        const headerMapping = {};
-        originalHeaders.forEach((original, index) => {
-            headerMapping[headers[index]] = original;
+    static _formatDate(serial) {
+        const date = XLSX.SSF.parse_date_code(serial);
+        if (!date) return String(serial);
+
+        const pad = number => String(number).padStart(2, '0');
+        const day = `${date.y}-${pad(date.m)}-${pad(date.d)}`;
+        const time = `${pad(date.H)}:${pad(date.M)}:${pad(date.S)}`;
+
+        if (serial < 1) return time; // time-only cell
+        return date.H || date.M || date.S ? `${day} ${time}` : day;
+    }
+
+    /**
+     * Copy the value of every merged range into all of its cells
+     * @param {Array} data - Sheet rows (modified in place)
+     * @param {Object} worksheet - XLSX worksheet
+     * @param {Array} [cells] - Cell info rows, filled the same way
+     * @returns {Set} "row:column" keys of the cells filled from a horizontal merge
+     */
+    static _fillMerges(data, worksheet, cells = null) {
+        const mergedCells = new Set();
+        const range = XLSX.utils.decode_range(worksheet['!ref']);
+
+        (worksheet['!merges'] || []).forEach(merge => {
+            const top = merge.s.r - range.s.r;
+            const left = merge.s.c - range.s.c;
+            const value = data[top] ? data[top][left] : '';
+            const info = cells && cells[top] ? cells[top][left] : null;
+
+            for (let row = top; row <= merge.e.r - range.s.r; row++) {
+                if (!data[row]) data[row] = [];
+                if (cells && !cells[row]) cells[row] = [];
+                for (let column = left; column <= merge.e.c - range.s.c; column++) {
+                    if (row === top && column === left) continue;
+                    data[row][column] = value;
+                    if (cells) cells[row][column] = info;
+                    if (merge.e.c > merge.s.c) mergedCells.add(`${row}:${column}`);
+                }
+            }
         });
 
-        // Extract rows (skip header and empty rows) with normalized keys
-        const rows = data.slice(headerRowIndex + 1)
-            .filter(row => row && row.some(cell => cell !== null && cell !== undefined && cell !== ''))
-            .map(row => {
-                const rowObj = {};
-                headers.forEach((normalizedHeader, index) => {
-                    const cellValue = row[index];
-                    // Clean cell values and use normalized headers as keys
-                    rowObj[normalizedHeader] = cellValue !== null && cellValue !== undefined 
-                        ? String(cellValue).trim() 
-                        : '';
-                });
-                return rowObj;
-            });
+        return mergedCells;
+    }
 
-        console.log(`✅ Parsed Excel: ${headers.length} columns, ${rows.length} rows (before cleaning)`);
-        console.log(`🔄 Headers normalized: ${originalHeaders.slice(0, 3).map((orig, i) => `"${orig}" → "${headers[i]}"`).join(', ')}...`);
-        
-        return {
-            headers,
-            originalHeaders,
-            headerMapping,
-            rows,
-            totalRows: rows.length,
-            fileName: filePath.split('/').pop()
+    /**
+     * Find the header row(s) and cut the records into headers and positional rows
+     * @param {Array} records - Rows as arrays of cells
+     * @param {Object} options - { mergedCells, firstRow } (firstRow: sheet row of records[0], 0-based)
+     * @param {Logger} logger - Logger
+     * @returns {Object} { originalHeaders, columns: [{ header, index }], rowArrays, bodyStart (index of the first
+     * data record), headerRow: { row, rowCount, score, candidates } }
+     */
+    static _splitHeader(records, options, logger) {
+        const detected = HeaderDetector.detect(records, { mergedCells: options.mergedCells });
+        if (!detected) {
+            throw new Error('No valid headers found in the file');
+        }
+        if (detected.headers.length === 0) {
+            throw new Error('No valid column headers found');
+        }
+
+        const headerRow = {
+            row: (options.firstRow || 0) + detected.index + 1,
+            rowCount: detected.rowCount,
+            score: detected.score,
+            candidates: detected.candidates
         };
+
+        // Keep the position of every named column so values stay aligned with their header
+        const originalHeaders = detected.headers.map(column => column.header);
+        const bodyStart = detected.index + detected.rowCount;
+        const rowArrays = records.slice(bodyStart)
+            .map(record => detected.headers.map(column => (record || [])[column.index]));
+
+        const firstFilled = records.findIndex(record => this._hasData(record));
+        const message = `🧭 Header ${detected.rowCount === 2 ? `rows ${headerRow.row}-${headerRow.row + 1}` : `row ${headerRow.row}`} (score ${detected.score})`;
+        if (detected.index !== firstFilled || detected.rowCount > 1) {
+            logger.info(`${message}, rows above it skipped`, { headerRow: headerRow.row, score: detected.score });
+        } else {
+            logger.debug(message, { headerRow: headerRow.row, score: detected.score });
+        }
+
+        return { originalHeaders, columns: detected.headers, rowArrays, bodyStart, headerRow };
     }
 
     /**
-     * Read CSV file
+     * Read CSV content (RFC 4180: quoted fields, escaped quotes, multi-line cells, CRLF)
+     * @param {Buffer|string} content - Raw file content (strings are taken as already decoded)
+     * @param {string} fileName - Name reported in the result
+     * @param {Logger} [logger] - Logger
+     * @param {Object} [options] - { delimiter, encoding } overrides
      */
-    static _readCsv(filePath) {
-        const content = fs.readFileSync(filePath, 'utf8');
-        const lines = content.split('\n').filter(line => line.trim());
-        
-        if (lines.length === 0) {
+    static async _readCsv(content, fileName, logger = defaultLogger, options = {}) {
+        const decoded = typeof content === 'string'
+            ? { text: content, encoding: 'utf-8', detected: false }
+            : this._decode(content, options.encoding);
+        const text = decoded.text.replace(/^\uFEFF/, '');
+
+        const delimiter = options.delimiter || this._detectDelimiter(text);
+        logger.info(`🔤 CSV encoding: ${decoded.encoding}${decoded.detected ? ' (detected)' : ''}, delimiter: ${this._describeDelimiter(delimiter)}${options.delimiter ? '' : ' (detected)'}`, {
+            encoding: decoded.encoding,
+            delimiter
+        });
+
+        const records = await this._parseCsv(text, delimiter);
+
+        if (!records.some(record => this._hasData(record))) {
             throw new Error('CSV file is empty');
         }
+        const { originalHeaders, rowArrays, bodyStart, headerRow } = this._splitHeader(records, {}, logger);
+
+        const lines = this._recordLines(records).lines.slice(bodyStart);
+        const result = this._buildResult(originalHeaders, rowArrays, fileName, { lines, logger });
+        const { headers, rows } = result;
+
+        logger.info(`✅ Parsed CSV: ${headers.length} columns, ${rows.length} rows (before cleaning)`);
+        logger.debug(`🔄 Headers normalized: ${originalHeaders.slice(0, 3).map((orig, i) => `"${orig}" → "${headers[i]}"`).join(', ')}...`);
+
+        return { ...result, encoding: decoded.encoding, delimiter, headerRow };
+    }
 
-        // Find header line (skip empty lines at the top)
-        let headerLineIndex = 0;
-        while (headerLineIndex < lines.length && !lines[headerLineIndex].trim()) {
-            headerLineIndex++;
+    /**
+     * Decode raw CSV bytes: BOM first, then UTF-16 without BOM (NUL bytes), then strict UTF-8,
+     * falling back to Windows-1252 (a superset of Latin-1 used by most European exports)
+     * @param {Buffer} buffer - Raw content
+     * @param {string} [encoding] - Forced encoding
+     * @returns {Object} { text, encoding, detected }
+     */
+    static _decode(buffer, encoding) {
+        if (encoding) {
+            const normalized = this.normalizeEncoding(encoding);
+            return { text: new TextDecoder(normalized).decode(buffer), encoding: normalized, detected: false };
         }
 
-        const originalHeaders = lines[headerLineIndex]
-            .split(',')
-            .map(h => h.trim().replace(/"/g, ''))
-            .filter(h => h !== '');
+        const detectedEncoding = this._detectEncoding(buffer);
 
-        // Create normalized headers
-        const headers = originalHeaders.map(header => this._normalizeHeader(header));
-        
-        // Create mapping for debugging
-        const headerMapping = {};
-        originalHeaders.forEach((original, index) => {
-            headerMapping[headers[index]] = original;
+        // TextDecoder drops the BOM itself
+        return { text: new TextDecoder(detectedEncoding).decode(buffer), encoding: detectedEncoding, detected: true };
+    }
+
+    /**
+     * Guess the encoding of raw CSV bytes (see _decode)
+     * @param {Buffer} buffer - Raw content, or its first bytes
+     * @param {boolean} [partial] - The buffer is only the start of the file (may end inside a character)
+     * @returns {string} Encoding
+     */
+    static _detectEncoding(buffer, partial = false) {
+        let detectedEncoding;
+        if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+            detectedEncoding = 'utf-8';
+        } else if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+            detectedEncoding = 'utf-16le';
+        } else if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+            detectedEncoding = 'utf-16be';
+        } else {
+            // ASCII text in UTF-16 has a NUL byte in every pair
+            const sample = buffer.subarray(0, 4096);
+            let evenNuls = 0;
+            let oddNuls = 0;
+            for (let i = 0; i < sample.length; i++) {
+                if (sample[i] === 0) {
+                    if (i % 2 === 0) evenNuls++;
+                    else oddNuls++;
+                }
+            }
+
+            if (oddNuls > sample.length / 4 && evenNuls === 0) {
+                detectedEncoding = 'utf-16le';
+            } else if (evenNuls > sample.length / 4 && oddNuls === 0) {
+                detectedEncoding = 'utf-16be';
+            } else {
+                try {
+                    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: partial });
+                    detectedEncoding = 'utf-8';
+                } catch {
+                    detectedEncoding = 'windows-1252';
+                }
+            }
+        }
+
+        return detectedEncoding;
+    }
+
+    /**
+     * Map encoding names and aliases (utf8, latin1, cp1252, ...) to a supported TextDecoder label
+     * @param {string} encoding - Encoding name
+     * @returns {string} Supported encoding
+     */
+    static normalizeEncoding(encoding) {
+        const aliases = { utf8: 'utf-8', utf16le: 'utf-16le', utf16be: 'utf-16be', utf16: 'utf-16le', latin1: 'windows-1252', 'iso-8859-1': 'windows-1252', cp1252: 'windows-1252' };
+        const key = String(encoding).toLowerCase();
+        const normalized = aliases[key] || aliases[key.replace(/-/g, '')] || key;
+
+        if (!this.ENCODINGS.includes(normalized)) {
+            throw new Error(`Unsupported encoding: ${encoding}. Use ${this.ENCODINGS.join(', ')} or latin1`);
+        }
+        return normalized;
+    }
+
+    /**
+     * Pick the delimiter that splits the first lines into the same, largest number of fields
+     * @param {string} text - Decoded CSV content
+     * @returns {string} Delimiter (comma when nothing is conclusive)
+     */
+    static _detectDelimiter(text) {
+        const lines = this._sampleLines(text, 20);
+        let best = { delimiter: ',', score: 0 };
+
+        this.DELIMITERS.forEach(delimiter => {
+            const counts = lines.map(line => this._countOutsideQuotes(line, delimiter));
+            const frequencies = {};
+            counts.filter(count => count > 0).forEach(count => {
+                frequencies[count] = (frequencies[count] || 0) + 1;
+            });
+
+            // Most common field count, weighted by how many lines agree on it
+            Object.entries(frequencies).forEach(([count, lineCount]) => {
+                const score = lineCount * 1000 + Number(count);
+                if (score > best.score) {
+                    best = { delimiter, score };
+                }
+            });
+        });
+
+        return best.delimiter;
+    }
+
+    /**
+     * First non-empty lines, skipping line breaks inside quoted cells
+     */
+    static _sampleLines(text, count) {
+        const lines = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length && lines.length < count; i++) {
+            const char = text[i];
+            if (char === '"') inQuotes = !inQuotes;
+
+            if (!inQuotes && (char === '\n' || char === '\r')) {
+                if (current.trim()) lines.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        if (current.trim() && lines.length < count) lines.push(current);
+
+        return lines;
+    }
+
+    static _countOutsideQuotes(line, delimiter) {
+        let count = 0;
+        let inQuotes = false;
+        for (const char of line) {
+            if (char === '"') inQuotes = !inQuotes;
+            else if (char === delimiter && !inQuotes) count++;
+        }
+        return count;
+    }
+
+    static _describeDelimiter(delimiter) {
+        return { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' }[delimiter] || `"${delimiter}"`;
+    }
+
+    /**
+     * Split CSV content into records with csv-parser
+     * @param {string} content - CSV text
+     * @param {string} [separator] - Field delimiter
+     * @returns {Promise<Array>} One array of cell strings per record (empty lines give empty arrays)
+     */
+    static _parseCsv(content, separator = ',') {
+        return new Promise((resolve, reject) => {
+            const records = [];
+            const parser = csvParser({ headers: false, separator });
+
+            // Without headers csv-parser keys cells by column index
+            parser.on('data', record => records.push(Object.keys(record).map(key => record[key].replace(/\r\n/g, '\n'))));
+            parser.on('end', () => resolve(records));
+            parser.on('error', reject);
+            parser.end(content);
+        });
+    }
+
+    /**
+     * Records of a CSV file read from disk as it is parsed
+     * @param {string} filePath - Path to the file
+     * @param {string} encoding - Encoding the bytes are decoded with
+     * @param {string} separator - Field delimiter
+     * @returns {AsyncGenerator} One array of cell strings per record; a read or decoding error
+     * rejects the iteration instead of ending it like the end of the file
+     */
+    static async *_streamRecords(filePath, encoding, separator) {
+        const decoder = new TextDecoder(encoding);
+        const parser = csvParser({ headers: false, separator });
+
+        // Re-encode as UTF-8 for csv-parser; the decoder keeps characters split across reads
+        let failure = null;
+        const finished = new Promise(resolve => {
+            pipeline(
+                fs.createReadStream(filePath),
+                new Transform({
+                    transform(chunk, _encoding, callback) {
+                        callback(null, decoder.decode(chunk, { stream: true }));
+                    },
+                    flush(callback) {
+                        callback(null, decoder.decode());
+                    }
+                }),
+                parser,
+                error => {
+                    failure = error || null;
+                    resolve();
+                }
+            );
+        });
+
+        try {
+            for await (const record of parser) {
+                yield Object.keys(record).map(key => record[key].replace(/\r\n/g, '\n'));
+            }
+            // The parser also ends when an earlier stream fails, only the pipeline knows why
+            await finished;
+            if (failure) throw failure;
+        } catch (error) {
+            await finished;
+            throw failure || error;
+        } finally {
+            parser.destroy();
+        }
+    }
+
+    /**
+     * First line of each CSV record (records span several lines when a quoted cell holds line breaks)
+     * @returns {Object} { lines, next } where next is the line of the record that would follow
+     */
+    static _recordLines(records, firstLine = 1) {
+        const lines = [];
+        let line = firstLine;
+        records.forEach(record => {
+            lines.push(line);
+            line += this._lineSpan(record);
         });
+        return { lines, next: line };
+    }
+
+    static _lineSpan(record) {
+        return 1 + record.reduce((count, cell) => count + (String(cell).match(/\n/g) || []).length, 0);
+    }
+
+    static _readHead(filePath, size) {
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            const buffer = Buffer.alloc(size);
+            const bytesRead = fs.readSync(fd, buffer, 0, size, 0);
+            return buffer.subarray(0, bytesRead);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Read the leading sample of a row source and hand out the rest in cleaned chunks
+     * @param {Array} originalHeaders - Original column headers
+     * @param {AsyncGenerator} rows - Row objects keyed by normalized header
+     * @param {Object} meta - fileName, plus encoding and delimiter for CSV files
+     * @param {Logger} logger - Logger
+     * @param {Object} options - { chunkSize, sampleSize, referenceColumn, rowFilter }
+     * @returns {Promise<Object>} See openStream
+     */
+    static async _openChunks(originalHeaders, rows, meta, logger, options) {
+        const chunkSize = Math.max(1, options.chunkSize || this.STREAM_CHUNK_SIZE);
+        const sampleSize = Math.max(1, options.sampleSize || this.STREAM_SAMPLE_SIZE);
+        const base = this._buildResult(originalHeaders, [], meta.fileName);
+
+        let referenceColumn;
+        let rowFilter;
+        try {
+            rowFilter = this._rowFilter(options.rowFilter);
+            referenceColumn = this._resolveReferenceColumn(base, options.referenceColumn, logger);
+        } catch (error) {
+            await rows.return();
+            throw error;
+        }
+
+        const cleaningStats = {
+            originalRows: 0,
+            cleanedRows: 0,
+            removedRows: 0,
+            removed: [],
+            referenceColumn,
+            rowFilter
+        };
+        // Rows rejected since the last takeRejectedRows() call
+        let rejectedRows = [];
+
+        // Up to `size` rows from the source, cleaned like readFile does; null once the source is exhausted
+        let exhausted = false;
+        const readChunk = async size => {
+            const batch = [];
+            while (!exhausted && batch.length < size) {
+                const next = await rows.next();
+                if (next.done) exhausted = true;
+                else batch.push(next.value);
+            }
+            if (batch.length === 0) return null;
 
-        const rows = lines.slice(headerLineIndex + 1)
-            .filter(line => line.trim())
-            .map(line => {
-                const values = line.split(',').map(v => v.trim().replace(/"/g, ''));
-                const rowObj = {};
-                headers.forEach((normalizedHeader, index) => {
-                    rowObj[normalizedHeader] = values[index] || '';
-                });
-                return rowObj;
+            const cleaned = this._cleanData({ ...base, rows: batch }, logger, {
+                referenceColumn,
+                rowFilter,
+                rowOffset: cleaningStats.originalRows,
+                logSummary: false
             });
+            rejectedRows.push(...cleaned.rejectedRows);
+            cleaningStats.originalRows += cleaned.cleaningStats.originalRows;
+            cleaningStats.cleanedRows += cleaned.cleaningStats.cleanedRows;
+            cleaningStats.removedRows += cleaned.cleaningStats.removedRows;
+            cleaningStats.removed.push(...cleaned.cleaningStats.removed.slice(0, this.STREAM_MAX_REMOVED - cleaningStats.removed.length));
+            return cleaned.rows;
+        };
+
+        const sample = [];
+        while (sample.length < sampleSize) {
+            const chunk = await readChunk(sampleSize - sample.length);
+            if (!chunk) break;
+            sample.push(...chunk);
+        }
+
+        logger.info(`✅ Headers and ${sample.length} sample rows read, the rest is read in chunks of ${chunkSize} rows`, {
+            columns: base.headers.length,
+            sampleRows: sample.length,
+            chunkSize
+        });
+
+        async function* chunks() {
+            try {
+                for (let index = 0; index < sample.length; index += chunkSize) {
+                    yield sample.slice(index, index + chunkSize);
+                }
+                let chunk;
+                while ((chunk = await readChunk(chunkSize)) !== null) {
+                    if (chunk.length > 0) yield chunk;
+                }
+            } finally {
+                // Stopping early (maxRows, errors) closes the file
+                await rows.return();
+            }
+        }
 
-        console.log(`✅ Parsed CSV: ${headers.length} columns, ${rows.length} rows (before cleaning)`);
-        console.log(`🔄 Headers normalized: ${originalHeaders.slice(0, 3).map((orig, i) => `"${orig}" → "${headers[i]}"`).join(', ')}...`);
-        
         return {
-            headers,
-            originalHeaders,
-            headerMapping,
-            rows,
-            totalRows: rows.length,
-            fileName: filePath.split('/').pop()
+            ...base,
+            ...meta,
+            rows: sample,
+            totalRows: sample.length,
+            cleaningStats,
+            takeRejectedRows: () => {
+                const taken = rejectedRows;
+                rejectedRows = [];
+                return taken;
+            },
+            chunks
         };
     }
 
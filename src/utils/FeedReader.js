@@ -0,0 +1,261 @@
+/**
+ * FeedReader - Turns JSON, NDJSON and XML product feeds into headers and positional rows
+ *
+ * Nested records are flattened with dotted paths: { price: { amount: 24.5 } } gives a
+ * "price.amount" column and the items of an array are numbered from 1 ("images.1", "images.2").
+ * In XML, attributes are read like child elements and the text of an element that also has
+ * attributes keeps the element name: <price currency="EUR">24.50</price> gives "price" and "price.currency".
+ */
+
+class FeedReader {
+    // Key holding the text of an XML element that has attributes or children
+    static TEXT_KEY = '#text';
+
+    /**
+     * Records of a JSON feed: a root array, or the first array of objects found under a root object
+     * ({ "products": [...] }, { "data": { "items": [...] } }); a single object is one record
+     * @param {string} text - JSON content
+     * @returns {Object} { originalHeaders, rowArrays }
+     */
+    static readJson(text) {
+        let root;
+        try {
+            root = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+
+        const records = Array.isArray(root) ? root : (this._findRecordArray(root) || [root]);
+        return this.flatten(records);
+    }
+
+    /**
+     * Records of an NDJSON (JSON Lines) feed, one object per line
+     * @param {string} text - NDJSON content
+     * @returns {Object} { originalHeaders, rowArrays, lines } (lines: source line of each record)
+     */
+    static readNdjson(text) {
+        const records = [];
+        const lines = [];
+
+        text.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                records.push(JSON.parse(line));
+                lines.push(index + 1);
+            } catch (error) {
+                throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+            }
+        });
+
+        return { ...this.flatten(records), lines };
+    }
+
+    /**
+     * Records of an XML catalog: the most repeated element (<product> under <catalog>, <item> in an RSS feed)
+     * Namespace prefixes are dropped, so <g:image_link> gives an "image_link" column.
+     * @param {string} text - XML content
+     * @returns {Object} { originalHeaders, rowArrays }
+     */
+    static readXml(text) {
+        const root = this._parseXml(text);
+        const recordNodes = this._findRecordNodes(root);
+        return this.flatten(recordNodes.map(node => this._xmlToValue(node)));
+    }
+
+    /**
+     * Flatten records into columns (in order of first appearance) and positional rows
+     * @param {Array} records - Parsed records
+     * @returns {Object} { originalHeaders, rowArrays }
+     */
+    static flatten(records) {
+        const columns = new Map();
+        const flatRecords = records.map(record => {
+            const flat = {};
+            const isRecord = record !== null && typeof record === 'object' && !Array.isArray(record);
+            this._flattenValue(isRecord ? record : { value: record }, '', flat);
+            Object.keys(flat).forEach(key => {
+                if (!columns.has(key)) columns.set(key, columns.size);
+            });
+            return flat;
+        });
+
+        if (columns.size === 0) {
+            throw new Error('No records found in the feed');
+        }
+
+        const originalHeaders = [...columns.keys()];
+        const rowArrays = flatRecords.map(flat => originalHeaders.map(header => flat[header] ?? ''));
+        return { originalHeaders, rowArrays };
+    }
+
+    static _flattenValue(value, path, out) {
+        if (Array.isArray(value)) {
+            value.forEach((item, index) => this._flattenValue(item, this._join(path, String(index + 1)), out));
+        } else if (value !== null && typeof value === 'object') {
+            Object.entries(value).forEach(([key, child]) => {
+                this._flattenValue(child, key === this.TEXT_KEY ? path : this._join(path, key), out);
+            });
+        } else if (path) {
+            out[path] = value === null || value === undefined ? '' : value;
+        }
+    }
+
+    static _join(path, key) {
+        return path ? `${path}.${key}` : key;
+    }
+
+    /**
+     * Breadth-first search for an array of objects under a wrapper object
+     */
+    static _findRecordArray(root) {
+        let level = [root];
+
+        for (let depth = 0; depth < 3 && level.length > 0; depth++) {
+            const next = [];
+            for (const node of level) {
+                if (!node || typeof node !== 'object' || Array.isArray(node)) continue;
+                for (const value of Object.values(node)) {
+                    if (Array.isArray(value) && value.some(item => item && typeof item === 'object' && !Array.isArray(item))) {
+                        return value;
+                    }
+                    next.push(value);
+                }
+            }
+            level = next;
+        }
+
+        return null;
+    }
+
+    /**
+     * Children of the element holding the most same-named children (shallowest on ties)
+     */
+    static _findRecordNodes(root) {
+        let best = { count: 0, nodes: [root] };
+        const visit = node => {
+            const groups = new Map();
+            node.children.forEach(child => {
+                if (!groups.has(child.name)) groups.set(child.name, []);
+                groups.get(child.name).push(child);
+            });
+            groups.forEach(nodes => {
+                // Records have fields of their own, repeated leaves (<image>) are values
+                if (nodes.length > best.count && nodes.some(child => child.children.length > 0 || Object.keys(child.attributes).length > 0)) {
+                    best = { count: nodes.length, nodes };
+                }
+            });
+            node.children.forEach(visit);
+        };
+        visit(root);
+
+        return best.nodes;
+    }
+
+    /**
+     * XML element to a plain value: text for leaves, an object for elements with attributes or children
+     * (repeated children become arrays)
+     */
+    static _xmlToValue(node) {
+        if (node.children.length === 0 && Object.keys(node.attributes).length === 0) {
+            return node.text.trim();
+        }
+
+        // The text first, so <price currency="EUR"> gives "price" before "price.currency"
+        const value = node.text.trim() ? { [this.TEXT_KEY]: node.text.trim(), ...node.attributes } : { ...node.attributes };
+        node.children.forEach(child => {
+            const childValue = this._xmlToValue(child);
+            if (!(child.name in value)) {
+                value[child.name] = childValue;
+            } else if (Array.isArray(value[child.name])) {
+                value[child.name].push(childValue);
+            } else {
+                value[child.name] = [value[child.name], childValue];
+            }
+        });
+
+        return value;
+    }
+
+    /**
+     * Minimal XML parser: elements, attributes, text, CDATA and entities
+     * (comments, processing instructions and the doctype are skipped)
+     * @param {string} text - XML content
+     * @returns {Object} Root element { name, attributes, children, text }
+     */
+    static _parseXml(text) {
+        const token = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/gy;
+        const document = { name: '#document', attributes: {}, children: [], text: '' };
+        const stack = [document];
+        let position = 0;
+
+        while (position < text.length) {
+            token.lastIndex = position;
+            const match = token.exec(text);
+            if (!match) {
+                throw new Error(`Invalid XML near: ${text.slice(position, position + 30)}`);
+            }
+            position = token.lastIndex;
+
+            const current = stack[stack.length - 1];
+            const [, cdata, closing, opening, attributes, selfClosing, chars] = match;
+
+            if (cdata !== undefined) {
+                current.text += cdata;
+            } else if (closing !== undefined) {
+                const name = this._localName(closing);
+                if (stack.length === 1 || current.name !== name) {
+                    throw new Error(`Invalid XML: unexpected </${closing}>`);
+                }
+                stack.pop();
+            } else if (opening !== undefined) {
+                const element = { name: this._localName(opening), attributes: this._parseAttributes(attributes), children: [], text: '' };
+                current.children.push(element);
+                if (!selfClosing) stack.push(element);
+            } else if (chars !== undefined) {
+                current.text += this._decodeEntities(chars);
+            }
+        }
+
+        if (stack.length > 1) {
+            throw new Error(`Invalid XML: <${stack[stack.length - 1].name}> is not closed`);
+        }
+        if (document.children.length === 0) {
+            throw new Error('Invalid XML: no root element');
+        }
+
+        return document.children[0];
+    }
+
+    static _parseAttributes(source) {
+        const attributes = {};
+        const attribute = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+
+        while ((match = attribute.exec(source || '')) !== null) {
+            const name = match[1];
+            // Namespace declarations are not product data
+            if (name === 'xmlns' || name.startsWith('xmlns:')) continue;
+            attributes[this._localName(name)] = this._decodeEntities(match[2] ?? match[3]);
+        }
+
+        return attributes;
+    }
+
+    static _localName(name) {
+        return name.includes(':') ? name.slice(name.indexOf(':') + 1) : name;
+    }
+
+    static _decodeEntities(text) {
+        const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return String.fromCodePoint(point);
+            }
+            return named[code] ?? entity;
+        });
+    }
+}
+
+export default FeedReader;
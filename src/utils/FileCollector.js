@@ -0,0 +1,120 @@
+/**
+ * FileCollector - Resolves folders and glob patterns to supplier files
+ * Supports *, ? and ** in patterns (e.g. "suppliers/**\/*.xlsx")
+ */
+
+import fs from 'fs';
+import path from 'path';
+import CsvReader from './CsvReader.js';
+
+class FileCollector {
+    static SUPPORTED_EXTENSIONS = CsvReader.supportedExtensions();
+
+    /**
+     * Collect supported files from folders, glob patterns or plain file paths
+     * @param {Array|string} inputs - Folders, glob patterns or file paths
+     * @param {Object} options - Collection options
+     * @param {boolean} [options.recursive] - Walk sub-folders when an input is a folder
+     * @returns {Array} Sorted, de-duplicated file paths
+     */
+    static collect(inputs, options = {}) {
+        const files = new Set();
+
+        [].concat(inputs).forEach(input => {
+            if (this._hasWildcard(input)) {
+                this._collectGlob(input).forEach(file => files.add(file));
+            } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+                this._walk(input, !!options.recursive).forEach(file => files.add(file));
+            } else if (fs.existsSync(input)) {
+                files.add(input);
+            } else {
+                throw new Error(`Input not found: ${input}`);
+            }
+        });
+
+        return [...files]
+            .filter(file => this.isSupported(file))
+            .sort();
+    }
+
+    /**
+     * Check if a file has a supported extension
+     */
+    static isSupported(filePath) {
+        return this.SUPPORTED_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+    }
+
+    static _hasWildcard(pattern) {
+        return /[*?]/.test(pattern);
+    }
+
+    /**
+     * Expand a glob pattern from its static base folder
+     */
+    static _collectGlob(pattern) {
+        const segments = pattern.split(/[\\/]/);
+        const firstWildcard = segments.findIndex(segment => this._hasWildcard(segment));
+        const baseDir = segments.slice(0, firstWildcard).join('/') || '.';
+        const rest = segments.slice(firstWildcard).join('/');
+
+        if (!fs.existsSync(baseDir)) return [];
+
+        const matcher = this._globToRegExp(rest);
+        const recursive = rest.includes('**') || rest.includes('/');
+
+        return this._walk(baseDir, recursive)
+            .filter(file => matcher.test(path.relative(baseDir, file).split(path.sep).join('/')));
+    }
+
+    /**
+     * Convert a glob pattern to a regular expression
+     */
+    static _globToRegExp(glob) {
+        let source = '';
+
+        for (let i = 0; i < glob.length; i++) {
+            const char = glob[i];
+
+            if (char === '*' && glob[i + 1] === '*') {
+                // "**/" matches zero or more folders
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i++;
+                }
+            } else if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else {
+                source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+
+        return new RegExp(`^${source}$`, 'i');
+    }
+
+    /**
+     * List files in a folder, skipping hidden entries and Office lock files (~$name.xlsx)
+     */
+    static _walk(dir, recursive) {
+        const files = [];
+
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            if (entry.name.startsWith('.') || entry.name.startsWith('~$')) return;
+
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (recursive) files.push(...this._walk(fullPath, recursive));
+            } else if (entry.isFile()) {
+                files.push(fullPath);
+            }
+        });
+
+        return files;
+    }
+}
+
+export default FileCollector;
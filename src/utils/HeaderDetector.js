@@ -0,0 +1,184 @@
+/**
+ * HeaderDetector - Finds the header row of a supplier sheet
+ *
+ * Supplier files often start with banners ("OCEAN PRICES 2025", a logo row, validity dates)
+ * and sometimes group columns under a second header row ("SIZE" over "Width / Bridge / Temple").
+ * Every row near the top is scored as a header candidate, alone or combined with the row above it.
+ */
+
+import { MAPPING_PATTERNS } from '../config/index.js';
+import { foldAccents } from './textNormalization.js';
+
+class HeaderDetector {
+    // Rows from the top of the sheet considered as header candidates
+    static SCAN_ROWS = 20;
+
+    // Longest cell still looking like a column title
+    static MAX_HEADER_LENGTH = 40;
+
+    static WEIGHTS = {
+        coverage: 0.25,   // share of the table width that is filled
+        text: 0.25,       // short, non-numeric cells
+        known: 0.35,      // cells matching MAPPING_PATTERNS
+        unique: 0.15      // distinct values
+    };
+
+    /**
+     * Pick the header row(s)
+     * @param {Array} records - Rows as arrays of cell values, merged cells already filled
+     * @param {Object} [options] - Detection options
+     * @param {Set} [options.mergedCells] - "row:column" keys of cells filled from a horizontal merge (left out of single-row scores)
+     * @returns {Object|null} { index, rowCount, headers: [{ header, index }], score, candidates } or null for an empty sheet
+     */
+    static detect(records, options = {}) {
+        const mergedCells = options.mergedCells || new Set();
+        const window = records.slice(0, this.SCAN_ROWS).map(row => (row || []).map(cell => this._text(cell)));
+        const width = Math.max(0, ...window.map(row => this._lastFilled(row) + 1));
+
+        if (width === 0) return null;
+
+        const candidates = [];
+        window.forEach((row, index) => {
+            if (!row.some(Boolean)) return;
+
+            // A horizontal merge counts as one cell: a banner merged across the table stays a single title
+            const unmerged = row.map((cell, column) => mergedCells.has(`${index}:${column}`) ? '' : cell);
+            candidates.push({ index, rowCount: 1, cells: this._pad(row, width), score: this.score(unmerged, width) });
+
+            const parent = window[index - 1];
+            if (parent && this._isGroupRow(parent, row, index - 1, mergedCells)) {
+                const cells = this._combine(this._pad(parent, width), this._pad(row, width));
+                candidates.push({ index: index - 1, rowCount: 2, cells, score: this.score(cells, width) });
+            }
+        });
+
+        if (candidates.length === 0) return null;
+
+        // Highest score, the earliest (single) row on ties
+        const best = candidates.reduce((winner, candidate) => candidate.score > winner.score ? candidate : winner);
+
+        return {
+            index: best.index,
+            rowCount: best.rowCount,
+            headers: best.cells
+                .map((header, index) => ({ header, index }))
+                .filter(column => column.header !== ''),
+            score: best.score,
+            candidates: candidates
+                .map(candidate => ({ row: candidate.index + 1, rowCount: candidate.rowCount, score: candidate.score }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, 5)
+        };
+    }
+
+    /**
+     * How much a row looks like a header (0-100)
+     * @param {Array} cells - Cell texts
+     * @param {number} width - Widest row of the scanned area
+     * @returns {number} Score
+     */
+    static score(cells, width) {
+        const filled = cells.filter(Boolean);
+
+        // One filled cell is a title or a note, not a table header
+        if (filled.length < 2) return 0;
+
+        const coverage = Math.min(1, filled.length / width);
+        const text = filled.filter(cell => this._isHeaderLike(cell)).length / filled.length;
+        const known = filled.filter(cell => this._matchesPattern(cell)).length / filled.length;
+        const unique = new Set(filled.map(cell => this._normalize(cell))).size / filled.length;
+
+        const { WEIGHTS } = this;
+        return Math.round(100 * (
+            WEIGHTS.coverage * coverage +
+            WEIGHTS.text * text +
+            WEIGHTS.known * known +
+            WEIGHTS.unique * unique
+        ));
+    }
+
+    /**
+     * Whether `parent` groups the columns of `child` (two-row header)
+     * Either the parent has merged cells spanning several columns, or it mixes standalone titles
+     * (nothing below) with group titles (sub-titles below, to their right)
+     */
+    static _isGroupRow(parent, child, parentIndex, mergedCells) {
+        const parentFilled = parent.filter(Boolean);
+        const childFilled = child.filter(Boolean);
+
+        if (parentFilled.length < 2 || childFilled.length < 2) return false;
+        // A banner merged across the whole table is a title, not a group row
+        if (new Set(parentFilled).size < 2) return false;
+        if (![...parentFilled, ...childFilled].every(cell => this._isHeaderLike(cell))) return false;
+
+        const width = Math.max(parent.length, child.length);
+        let standalone = 0;
+        let grouped = 0;
+        let merged = false;
+
+        for (let column = 0; column < width; column++) {
+            if (mergedCells.has(`${parentIndex}:${column}`)) merged = true;
+            if (parent[column] && !child[column]) standalone++;
+            if (child[column] && (!parent[column] || mergedCells.has(`${parentIndex}:${column}`))) grouped++;
+        }
+
+        return merged || (standalone > 0 && grouped > 0);
+    }
+
+    /**
+     * Combine a group row and its sub-titles: "SIZE" over "Width" gives "SIZE Width"
+     * Empty group cells take the group title on their left, as long as sub-titles continue
+     */
+    static _combine(parent, child) {
+        let group = '';
+
+        return child.map((subTitle, column) => {
+            if (parent[column]) {
+                group = subTitle ? parent[column] : '';
+            } else if (!subTitle) {
+                group = '';
+            }
+
+            const title = parent[column] || (subTitle ? group : '');
+            if (!title) return subTitle;
+            if (!subTitle || this._normalize(title) === this._normalize(subTitle)) return title;
+            return `${title} ${subTitle}`;
+        });
+    }
+
+    static _isHeaderLike(cell) {
+        return cell.length <= this.MAX_HEADER_LENGTH && !/^[\d\s.,:;%€$£+\-/()]+$/.test(cell);
+    }
+
+    static _matchesPattern(cell) {
+        if (cell.length > this.MAX_HEADER_LENGTH) return false;
+
+        const normalized = this._normalize(cell);
+        return Object.values(MAPPING_PATTERNS).some(patterns => patterns.some(pattern => {
+            const normalizedPattern = this._normalize(pattern);
+            // Short patterns (id, ref) only count when they are the whole cell
+            return normalized === normalizedPattern || (normalizedPattern.length >= 4 && normalized.includes(normalizedPattern));
+        }));
+    }
+
+    static _normalize(value) {
+        return foldAccents(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    static _text(cell) {
+        return cell === null || cell === undefined ? '' : String(cell).trim();
+    }
+
+    static _lastFilled(row) {
+        for (let index = row.length - 1; index >= 0; index--) {
+            if (row[index]) return index;
+        }
+        return -1;
+    }
+
+    static _pad(row, width) {
+        return Array.from({ length: width }, (_, index) => row[index] || '');
+    }
+}
+
+export default HeaderDetector;
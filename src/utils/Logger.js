@@ -0,0 +1,106 @@
+/**
+ * Logger - Leveled logging shared by the pipeline and its services
+ *
+ * Text mode prints the familiar console messages; JSON mode writes one object per line
+ * ({ time, level, msg, stage, file, row, ... }) for log aggregators.
+ * Services receive a logger as a parameter and fall back to defaultLogger.
+ */
+
+class Logger {
+    static LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+    /**
+     * @param {Object} options - Logger options
+     * @param {string} [options.level] - Lowest level written: debug, info, warn, error or silent (default: info)
+     * @param {boolean} [options.quiet] - Only write warnings and errors
+     * @param {string} [options.format] - 'text' or 'json' (JSON lines)
+     * @param {Object} [options.fields] - Fields added to every JSON entry (stage, file, ...)
+     * @param {Object} [options.stream] - Stream for debug/info entries (default: stdout)
+     * @param {Object} [options.errorStream] - Stream for warn/error entries (default: stderr)
+     */
+    constructor(options = {}) {
+        const level = options.quiet ? 'warn' : (options.level || 'info');
+        if (Logger.LEVELS[level] === undefined) {
+            throw new Error(`Unknown log level: ${level}. Use ${Object.keys(Logger.LEVELS).join(', ')}`);
+        }
+        if (options.format && !['text', 'json'].includes(options.format)) {
+            throw new Error(`Unknown log format: ${options.format}. Use text or json`);
+        }
+
+        this.level = level;
+        this.format = options.format || 'text';
+        this.fields = options.fields || {};
+        this.stream = options.stream || process.stdout;
+        this.errorStream = options.errorStream || process.stderr;
+    }
+
+    /**
+     * Logger writing to the same place with extra fields (stage, file, ...)
+     * @param {Object} fields - Fields merged into every entry
+     * @param {Object} [options] - { level } to use another level than this logger
+     * @returns {Logger} Child logger
+     */
+    child(fields, options = {}) {
+        return new Logger({
+            level: options.level || this.level,
+            format: this.format,
+            fields: { ...this.fields, ...fields },
+            stream: this.stream,
+            errorStream: this.errorStream
+        });
+    }
+
+    isLevelEnabled(level) {
+        return Logger.LEVELS[level] >= Logger.LEVELS[this.level];
+    }
+
+    debug(message, fields) {
+        this._write('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this._write('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this._write('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this._write('error', message, fields);
+    }
+
+    /**
+     * Step heading: title underlined in text mode, a plain info entry in JSON mode
+     */
+    section(title) {
+        if (this.format === 'json') {
+            this._write('info', title.trim());
+        } else {
+            this._write('info', `${title}\n${'='.repeat(50)}`);
+        }
+    }
+
+    _write(level, message, fields = {}) {
+        if (!this.isLevelEnabled(level)) return;
+
+        const stream = Logger.LEVELS[level] >= Logger.LEVELS.warn ? this.errorStream : this.stream;
+
+        if (this.format === 'json') {
+            const entry = {
+                time: new Date().toISOString(),
+                level,
+                msg: String(message).trim(),
+                ...this.fields,
+                ...fields
+            };
+            stream.write(JSON.stringify(entry) + '\n');
+        } else {
+            stream.write(`${message}\n`);
+        }
+    }
+}
+
+export const defaultLogger = new Logger();
+
+export default Logger;
@@ -0,0 +1,103 @@
+/**
+ * MultipartParser - Minimal multipart/form-data parser for file uploads
+ * Keeps the whole body in memory, which is fine for supplier price lists
+ */
+
+class MultipartParser {
+    /**
+     * Whether a Content-Type header announces a multipart/form-data body
+     * @param {string} contentType - Content-Type header value
+     * @returns {boolean}
+     */
+    static isMultipart(contentType = '') {
+        return /^multipart\/form-data/i.test(contentType);
+    }
+
+    /**
+     * Extract the boundary from a Content-Type header
+     * @param {string} contentType - Content-Type header value
+     * @returns {string|null} Boundary or null if not multipart
+     */
+    static getBoundary(contentType = '') {
+        if (!this.isMultipart(contentType)) return null;
+
+        const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+        return match ? (match[1] || match[2]).trim() : null;
+    }
+
+    /**
+     * Parse a multipart body into text fields and files
+     * @param {Buffer} body - Raw request body
+     * @param {string} boundary - Multipart boundary
+     * @returns {Object} { fields: { name: value }, files: [{ fieldName, fileName, contentType, data }] }
+     */
+    static parse(body, boundary) {
+        const delimiter = Buffer.from(`--${boundary}`);
+        const headerSeparator = Buffer.from('\r\n\r\n');
+        const fields = {};
+        const files = [];
+
+        let position = body.indexOf(delimiter);
+        if (position === -1) {
+            throw new Error('Malformed multipart body: boundary not found');
+        }
+
+        while (position !== -1) {
+            const partStart = position + delimiter.length;
+
+            // "--" right after the delimiter marks the end of the body
+            if (body.slice(partStart, partStart + 2).toString() === '--') break;
+
+            const nextPosition = body.indexOf(delimiter, partStart);
+            if (nextPosition === -1) {
+                throw new Error('Malformed multipart body: missing closing boundary');
+            }
+
+            // Part content sits between the CRLF after the delimiter and the CRLF before the next one
+            const part = body.slice(partStart + 2, nextPosition - 2);
+            const headerEnd = part.indexOf(headerSeparator);
+
+            if (headerEnd !== -1) {
+                const headers = this._parseHeaders(part.slice(0, headerEnd).toString('utf8'));
+                const data = part.slice(headerEnd + headerSeparator.length);
+                const disposition = headers['content-disposition'] || '';
+                const name = this._getDispositionParam(disposition, 'name');
+                const fileName = this._getDispositionParam(disposition, 'filename');
+
+                if (fileName !== null) {
+                    files.push({
+                        fieldName: name,
+                        fileName,
+                        contentType: headers['content-type'] || 'application/octet-stream',
+                        data
+                    });
+                } else if (name !== null) {
+                    fields[name] = data.toString('utf8');
+                }
+            }
+
+            position = nextPosition;
+        }
+
+        return { fields, files };
+    }
+
+    static _parseHeaders(headerText) {
+        const headers = {};
+        headerText.split('\r\n').forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator > 0) {
+                headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+            }
+        });
+        return headers;
+    }
+
+    static _getDispositionParam(disposition, param) {
+        const match = disposition.match(new RegExp(`(?:^|;)\\s*${param}="([^"]*)"`, 'i')) ||
+                      disposition.match(new RegExp(`(?:^|;)\\s*${param}=([^;]*)`, 'i'));
+        return match ? match[1].trim() : null;
+    }
+}
+
+export default MultipartParser;
@@ -0,0 +1,120 @@
+/**
+ * ProgressBar - Single-line terminal progress bar driven by the converter 'progress' events
+ * Log lines are routed through wrapStream() so they print above the bar instead of over it
+ */
+
+class ProgressBar {
+    /**
+     * @param {Object} options - Bar options
+     * @param {Object} [options.stream] - Stream the bar is drawn on (default: stderr)
+     * @param {number} [options.width] - Bar width in characters
+     */
+    constructor(options = {}) {
+        this.stream = options.stream || process.stderr;
+        this.width = options.width || 30;
+        this.line = '';
+        this.state = { stage: null, stageNumber: 0, stagesDone: 0, totalStages: 0, completed: 0, total: 0, unit: '', tokensUsed: 0, streamedRows: 0 };
+    }
+
+    /**
+     * Whether a bar can be drawn (interactive terminal only)
+     */
+    static isSupported(stream = process.stderr) {
+        return !!stream.isTTY;
+    }
+
+    /**
+     * Follow the progress events of a converter
+     * @param {CsvConverterAI} converter - Converter emitting 'progress'
+     */
+    attach(converter) {
+        converter.on('progress', event => this.update(event));
+        return this;
+    }
+
+    /**
+     * Apply a progress event and redraw
+     * @param {Object} event - Converter progress event
+     */
+    update(event) {
+        const { state } = this;
+
+        if (event.type === 'stage') {
+            state.stage = event.stage;
+            state.stageNumber = event.index + 1;
+            state.stagesDone = event.index + (event.status === 'finished' ? 1 : 0);
+            state.totalStages = event.totalStages;
+            if (event.status === 'started') {
+                state.completed = 0;
+                state.total = 0;
+                state.unit = '';
+            }
+        } else if (event.type === 'rows') {
+            state.completed = event.completed;
+            state.total = event.total;
+            state.unit = 'rows cleaned';
+        } else if (event.type === 'ai') {
+            state.completed = event.completed;
+            state.total = event.total;
+            state.unit = event.status === 'sent' ? `AI batches (sending ${event.fieldType})` : 'AI batches';
+            state.tokensUsed = event.tokensUsed;
+        } else if (event.type === 'chunk') {
+            state.streamedRows = event.rows;
+        }
+
+        this.render();
+    }
+
+    render() {
+        const { state } = this;
+        const ratio = state.total > 0
+            ? state.completed / state.total
+            : (state.totalStages > 0 ? state.stagesDone / state.totalStages : 0);
+        const filled = Math.round(Math.min(1, ratio) * this.width);
+
+        const parts = [
+            `[${'█'.repeat(filled)}${'░'.repeat(this.width - filled)}] ${String(Math.round(ratio * 100)).padStart(3)}%`,
+            `${state.stage || 'starting'} (${state.stageNumber}/${state.totalStages || '?'})`
+        ];
+        if (state.total > 0) parts.push(`${state.completed}/${state.total} ${state.unit}`);
+        if (state.streamedRows > 0) parts.push(`${state.streamedRows} rows streamed`);
+        if (state.tokensUsed > 0) parts.push(`${state.tokensUsed} tokens`);
+
+        this.line = parts.join(' · ');
+        this.stream.write(`\r\x1b[K${this.line}`);
+    }
+
+    /**
+     * Erase the bar (before printing something else)
+     */
+    clear() {
+        if (this.line) {
+            this.stream.write('\r\x1b[K');
+        }
+    }
+
+    /**
+     * Erase the bar for good
+     */
+    done() {
+        this.clear();
+        this.line = '';
+    }
+
+    /**
+     * Stream whose writes clear the bar first and redraw it afterwards
+     * @param {Object} target - Stream the log lines go to
+     * @returns {Object} Stream-like object with write()
+     */
+    wrapStream(target) {
+        return {
+            write: chunk => {
+                this.clear();
+                target.write(chunk);
+                if (this.line) this.stream.write(this.line);
+            }
+        };
+    }
+}
+
+export default ProgressBar;
@@ -0,0 +1,41 @@
+/**
+ * Exit codes shared by the CLI and the batch runner
+ * Checks are applied in pipeline order: detection → mapping → transformation
+ */
+
+import ColumnMapper from '../services/ColumnMapper.js';
+import ProductTypeDetector from '../services/ProductTypeDetector.js';
+
+export const EXIT_CODES = {
+    SUCCESS: 0,
+    PIPELINE_ERROR: 1,
+    USAGE_ERROR: 2,
+    LOW_CONFIDENCE: 3,
+    MAPPING_UNACCEPTABLE: 4,
+    TRANSFORM_FAILURES: 5,
+    BATCH_INCOMPLETE: 6
+};
+
+/**
+ * Compute the exit code for a pipeline result
+ * @param {Object} result - Result returned by CsvConverterAI.processFile
+ * @param {Object} options - Check thresholds
+ * @returns {number} Exit code from EXIT_CODES
+ */
+export function getExitCode(result, { minConfidence = 60, minCoverage = 60, productTypeForced = false } = {}) {
+    if (!result.success) return EXIT_CODES.PIPELINE_ERROR;
+
+    const { detection, mapping, transformation } = result.steps;
+
+    if (!productTypeForced && !ProductTypeDetector.isConfidenceAcceptable(detection, minConfidence)) {
+        return EXIT_CODES.LOW_CONFIDENCE;
+    }
+    if (mapping.mappingStats.totalTargets === 0 || !ColumnMapper.isMappingAcceptable(mapping, minCoverage)) {
+        return EXIT_CODES.MAPPING_UNACCEPTABLE;
+    }
+    if (transformation.stats.failedTransforms > 0) {
+        return EXIT_CODES.TRANSFORM_FAILURES;
+    }
+
+    return EXIT_CODES.SUCCESS;
+}
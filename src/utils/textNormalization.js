@@ -0,0 +1,18 @@
+/**
+ * Text helpers shared by header normalization, header detection and column mapping
+ */
+
+// Letters that Unicode decomposition does not split into a base letter and an accent
+const LIGATURES = { ß: 'ss', æ: 'ae', Æ: 'AE', œ: 'oe', Œ: 'OE', ø: 'o', Ø: 'O', ł: 'l', Ł: 'L', đ: 'd', Đ: 'D', ı: 'i' };
+
+/**
+ * Replace accented letters by their ASCII base: "Référence" gives "Reference", "Größe" gives "Grosse"
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text (characters without an ASCII base are kept)
+ */
+export function foldAccents(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[ßæÆœŒøØłŁđĐı]/g, char => LIGATURES[char]);
+}
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { beforeEach, test } from 'node:test';
+import BatchConverter from '../src/services/BatchConverter.js';
+import { main } from '../src/cli.js';
+import { EXIT_CODES } from '../src/utils/exitCodes.js';
+import { FIXTURES, quietConsole, silentLogger, tempDir } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+/**
+ * Inbox with a good supplier file and an empty one that fails to read
+ */
+function supplierFolder(t) {
+    const dir = tempDir(t);
+    fs.copyFileSync(path.join(FIXTURES, 'frames.csv'), path.join(dir, 'frames.csv'));
+    fs.writeFileSync(path.join(dir, 'empty.csv'), '');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a supplier file');
+    return dir;
+}
+
+test('a failing file does not abort the batch', async t => {
+    const dir = supplierFolder(t);
+    const batch = new BatchConverter({
+        concurrency: 2,
+        convertOptions: { productType: 'FRAME', dryRun: true },
+        thresholds: { minCoverage: 0 },
+        logger: silentLogger
+    });
+
+    const summary = await batch.run(dir);
+
+    assert.deepEqual(summary.files.map(entry => [entry.fileName, entry.status]), [['empty.csv', 'failed'], ['frames.csv', 'success']]);
+    assert.equal(summary.files[0].exitCode, EXIT_CODES.PIPELINE_ERROR);
+    assert.match(summary.files[0].errors.join(), /empty/);
+    assert.deepEqual(summary.totals, { files: 2, succeeded: 1, warnings: 0, failed: 1, rowsIn: 3, rowsOut: 3, tokensUsed: summary.totals.tokensUsed });
+});
+
+test('the summary is written as JSON and CSV', async t => {
+    const dir = supplierFolder(t);
+    const outDir = tempDir(t);
+    const summary = await new BatchConverter({ convertOptions: { productType: 'FRAME', dryRun: true }, logger: silentLogger }).run(dir);
+
+    const { jsonPath, csvPath } = BatchConverter.writeSummary(summary, outDir, silentLogger);
+
+    assert.deepEqual(JSON.parse(fs.readFileSync(jsonPath, 'utf8')).totals, summary.totals);
+    const lines = fs.readFileSync(csvPath, 'utf8').trim().split('\n');
+    assert.equal(lines[0], 'fileName,status,exitCode,productType,brand,confidence,mappingCoverage,mappingConfidence,rowsIn,rowsOut,tokensUsed,outputFile,errors');
+    assert.equal(lines.length, 3);
+    assert.match(lines[1], /^empty\.csv,failed,1,/);
+});
+
+test('the batch command exits with BATCH_INCOMPLETE when a file fails', async t => {
+    const dir = supplierFolder(t);
+    const outDir = tempDir(t);
+
+    assert.equal(await main(['batch', dir, '--type', 'FRAME', '--dry-run', '--out', outDir, '--min-coverage', '0', '--log-level', 'silent']), EXIT_CODES.BATCH_INCOMPLETE);
+    assert.equal(fs.readdirSync(outDir).filter(name => name.startsWith('batch-summary-')).length, 2);
+
+    fs.rmSync(path.join(dir, 'empty.csv'));
+    assert.equal(await main(['batch', dir, '--type', 'FRAME', '--dry-run', '--out', outDir, '--min-coverage', '0', '--log-level', 'silent']), EXIT_CODES.SUCCESS);
+});
+
+test('--concurrency must be a positive integer', async t => {
+    assert.equal(await main(['batch', tempDir(t), '--concurrency', '2x']), EXIT_CODES.USAGE_ERROR);
+});
@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { beforeEach, test } from 'node:test';
+import CsvConverterAI from '../src/index.js';
+import BrandDetector from '../src/services/BrandDetector.js';
+import { quietConsole, silentLogger, tempDir } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+test('aliases, spacing and one-letter typos resolve to the registered name', () => {
+    const registry = BrandDetector.buildRegistry();
+
+    assert.deepEqual(['RAYBAN', 'Ray Ban', 'ray-ban®', 'Oakly', 'Perrsol', 'Acme'].map(value => BrandDetector.resolve(value, registry)),
+        ['Ray-Ban', 'Ray-Ban', 'Ray-Ban', 'Oakley', 'Persol', null]);
+    assert.deepEqual(BrandDetector.findInText('Tommy Hilfiger x Vogue 2025.xlsx', registry), ['Tommy Hilfiger', 'Vogue Eyewear']);
+});
+
+test('config entries add brands or replace the built-in one of the same name', () => {
+    const registry = BrandDetector.buildRegistry(['Acme Optics', { name: 'ray-ban', aliases: ['RB'] }]);
+
+    assert.equal(BrandDetector.resolve('ACME optics', registry), 'Acme Optics');
+    assert.equal(BrandDetector.resolve('RB', registry), 'ray-ban');
+    assert.deepEqual(registry.filter(brand => brand.keys.includes('ray ban')).map(brand => brand.aliases), [['RB']]);
+    assert.throws(() => BrandDetector.buildRegistry([{ aliases: ['Nameless'] }]), /Invalid brand registry entry/);
+});
+
+test('sources agreeing add to the confidence, weak evidence stays uncertain', () => {
+    const rows = [{ marque: 'RAYBAN', description: 'Aviator' }, { marque: 'Ray Ban', description: 'Wayfarer' }];
+    const agreeing = BrandDetector.detect({ fileName: 'rayban-2025.csv', headers: ['marque', 'description'], rows }, {}, silentLogger);
+
+    assert.equal(agreeing.brand, 'Ray-Ban');
+    assert.equal(agreeing.column, 'marque');
+    assert.equal(agreeing.confidence, 95);
+    assert.equal(agreeing.source, 'column+fileName');
+    assert.equal(agreeing.multiBrand, false);
+
+    const repeated = BrandDetector.detect({
+        fileName: 'prices.csv',
+        headers: ['description'],
+        rows: ['Lumen aviator', 'Lumen round', 'Lumen cat eye'].map(description => ({ description }))
+    }, {}, silentLogger);
+    assert.deepEqual([repeated.brand, repeated.confidence], ['Lumen', 45]);
+    assert.deepEqual(BrandDetector.detect({ fileName: 'prices.csv' }, {}, silentLogger).brand, BrandDetector.UNKNOWN);
+});
+
+test('a multi-brand file gets the brand of each row and a multibrand output', async t => {
+    const dir = tempDir(t);
+    const filePath = path.join(dir, 'distributor.csv');
+    fs.writeFileSync(filePath, [
+        'Reference,Brand,Description,Frame Color,Price',
+        'F1,RAYBAN,Aviator metal frame,Black,60.00',
+        'F2,Oakly,Sport frame,Grey,80.00',
+        'F3,Acme Optics,Round acetate frame,Havana,40.00',
+        'F4,,Cat eye frame,Red,58.00'
+    ].join('\n'));
+
+    const results = await new CsvConverterAI({ logger: silentLogger }).processFile(filePath, {
+        productType: 'FRAME',
+        brands: ['Acme Optics'],
+        ai: { simulate: true },
+        outDir: dir
+    });
+
+    assert.equal(results.success, true);
+    assert.equal(results.brand, BrandDetector.MULTI_BRAND);
+    assert.deepEqual(results.brandDetection.rowBrands, { 'Ray-Ban': 1, Oakley: 1, 'Acme Optics': 1 });
+    assert.match(path.basename(results.steps.output.filePath), /multibrand/i);
+
+    const [header, ...lines] = fs.readFileSync(results.steps.output.filePath, 'utf8').trim().split('\n');
+    const brandIndex = header.split(',').indexOf('Brand');
+    // The empty cell takes the brand most rows share
+    assert.deepEqual(lines.map(line => line.split(',')[brandIndex]), ['Ray-Ban', 'Oakley', 'Acme Optics', 'Ray-Ban']);
+});
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+import ColumnMapper from '../src/services/ColumnMapper.js';
+import CsvReader from '../src/utils/CsvReader.js';
+import { quietConsole, silentLogger } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+// Headers as CsvReader hands them over, with the supplier names next to them
+const map = (originalHeaders, productType = 'FRAME') => ColumnMapper.mapColumns(
+    originalHeaders.map(header => CsvReader._normalizeHeader(header)),
+    productType,
+    silentLogger,
+    { originalHeaders }
+);
+
+test('short patterns do not take unrelated headers', () => {
+    const result = map(['Reference', 'Bridge', 'Photo URL']);
+
+    assert.equal(result.mapping.sku, 'reference');
+    assert.equal(result.mapping.bridgeWidth, 'bridge');
+    assert.equal(result.mapping.image1, 'photourl');
+    assert.equal(result.mapping.photochromic, undefined);
+});
+
+test('abbreviations, typos and run-together names are matched', () => {
+    assert.deepEqual(map(['Descr', 'Qty', 'Colour']).mapping, { description: 'descr', quantity: 'qty', color: 'colour' });
+    assert.equal(map(['Descripton']).mapping.description, 'descripton');
+    assert.equal(map(['BC'], 'CONTACT_LENS').mapping.baseCurve, 'bc');
+    assert.equal(map(['LENSWIDTH']).mapping.size, 'lenswidth');
+});
+
+test('columns are assigned as a whole, not to the first match', () => {
+    const result = map(['Retail price EUR', 'Price']);
+
+    assert.equal(result.mapping.price, 'price');
+    assert.equal(result.mapping.recommendedPrice, 'retailpriceeur');
+    assert.equal(result.confidence.price, 95);
+});
+
+test('every column lists its best candidate fields', () => {
+    const { alternatives } = map(['Photo URL', 'Code']);
+
+    assert.deepEqual(alternatives.photourl.map(candidate => candidate.field), ['image1', 'photochromic']);
+    assert.ok(alternatives.photourl.length <= ColumnMapper.MAX_ALTERNATIVES);
+    assert.ok(alternatives.code.every(candidate => candidate.confidence >= ColumnMapper.MIN_SIMILARITY * 100));
+});
+
+test('the assignment maximizes the total score', () => {
+    // Greedy would give field 0 to header 0 (0.9) and leave header 1 without a field
+    assert.deepEqual(ColumnMapper._assign([[0.9, 0.8], [0.85, 0]]), [1, 0]);
+    assert.deepEqual(ColumnMapper._assign([[0, 0], [0.7, 0]]), [-1, 0]);
+    assert.deepEqual(ColumnMapper._assign([]), []);
+});
@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { beforeEach, test } from 'node:test';
+import ConversionServer from '../src/api/ConversionServer.js';
+import CsvConverterAI from '../src/index.js';
+import { FIXTURES, quietConsole, silentLogger, tempDir } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+async function startServer(t, options = {}) {
+    const server = new ConversionServer({ workDir: tempDir(t), ai: { simulate: true }, logger: silentLogger, ...options });
+    const { port } = await server.listen(0);
+    t.after(() => server.close());
+    return { server, url: `http://127.0.0.1:${port}` };
+}
+
+test('a multipart body without its closing boundary is a 400', async t => {
+    const { url } = await startServer(t);
+    const body = '--XYZ\r\nContent-Disposition: form-data; name="file"; filename="a.csv"\r\n\r\nReference,Price\r\nA1,10\r\n';
+
+    const response = await fetch(`${url}/jobs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'multipart/form-data; boundary=XYZ' },
+        body
+    });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /missing closing boundary/);
+});
+
+test('a multipart Content-Type without boundary is a 400', async t => {
+    const { url } = await startServer(t);
+
+    const response = await fetch(`${url}/jobs?fileName=a.csv`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'multipart/form-data' },
+        body: 'Reference,Price\nA1,10\n'
+    });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /no boundary/);
+});
+
+async function runJob(url, csv, query = 'fileName=frames.csv&productType=FRAME') {
+    const created = await (await fetch(`${url}/jobs?${query}`, { method: 'POST', body: csv })).json();
+    for (;;) {
+        const response = await fetch(`${url}/jobs/${created.id}`);
+        const job = response.status === 200 ? await response.json() : null;
+        if (!job || (job.status !== 'queued' && job.status !== 'running')) return created.id;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+test('uploads are read from their content, whatever their name', async t => {
+    const { server, url } = await startServer(t);
+    const csv = fs.readFileSync(path.join(FIXTURES, 'frames.csv'));
+
+    const unnamed = await runJob(url, csv, 'productType=FRAME');
+    const misnamed = await runJob(url, csv, 'fileName=notes.txt&productType=FRAME');
+
+    assert.deepEqual([unnamed, misnamed].map(id => [server.jobs.get(id).fileName, server.jobs.get(id).status]), [
+        ['upload', 'succeeded'],
+        ['notes.txt', 'succeeded']
+    ]);
+});
+
+test('finished jobs beyond maxJobs or older than jobTtl are forgotten with their files', async t => {
+    const { server, url } = await startServer(t, { maxJobs: 1, jobTtl: 60 * 1000 });
+    const csv = fs.readFileSync(path.join(FIXTURES, 'frames.csv'));
+
+    const first = await runJob(url, csv);
+    const firstDir = path.join(server.workDir, first);
+    assert.ok(fs.existsSync(firstDir));
+
+    const output = await fetch(`${url}/jobs/${first}/output.csv`);
+    assert.equal(output.status, 200);
+    assert.match(await output.text(), /F1/);
+
+    const second = await runJob(url, csv);
+    assert.equal((await fetch(`${url}/jobs/${first}`)).status, 404);
+    assert.ok(!fs.existsSync(firstDir));
+    assert.equal((await fetch(`${url}/jobs/${second}`)).status, 200);
+
+    server._pruneJobs(Date.now() + 2 * 60 * 1000);
+    assert.equal(server.jobs.size, 0);
+    assert.ok(!fs.existsSync(path.join(server.workDir, second)));
+});
+
+test('the AI options of the server are merged into the caller ones', async t => {
+    const { url } = await startServer(t, { convertOptions: { ai: { model: 'local-model' }, plugins: [] } });
+    const runs = [];
+    t.mock.method(CsvConverterAI.prototype, 'processFile', async (filePath, options) => {
+        runs.push(options);
+        return { success: false, errors: ['stubbed run'], steps: {}, stats: {} };
+    });
+
+    await runJob(url, fs.readFileSync(path.join(FIXTURES, 'frames.csv')));
+
+    assert.deepEqual(runs.map(options => options.ai), [{ model: 'local-model', simulate: true }]);
+    assert.deepEqual(runs[0].plugins, []);
+});
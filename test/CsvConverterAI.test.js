@@ -0,0 +1,186 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { beforeEach, test } from 'node:test';
+import CsvConverterAI from '../src/index.js';
+import BatchAIEnhancer from '../src/services/BatchAIEnhancer.js';
+import BrandDetector from '../src/services/BrandDetector.js';
+import DataCleaner from '../src/services/DataCleaner.js';
+import ReportWriter from '../src/services/ReportWriter.js';
+import ProductTypeDetector from '../src/services/ProductTypeDetector.js';
+import { FIXTURES, quietConsole, silentLogger, tempDir } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+const convert = (filePath, options) => new CsvConverterAI({ logger: silentLogger }).processFile(filePath, {
+    productType: 'FRAME',
+    ...options
+});
+
+test('a brand with path separators stays inside the output folder', async t => {
+    const outDir = tempDir(t);
+    const results = await convert(path.join(FIXTURES, 'frames.csv'), { outDir, brand: '../../escape/acme' });
+
+    const filePath = results.steps.output.filePath;
+    assert.equal(path.dirname(filePath), outDir);
+    assert.match(path.basename(filePath), /^output-gohub-\.\._\.\._escape_acme-frame-/);
+    assert.ok(fs.existsSync(filePath));
+});
+
+test('a dry run writes no output file', async t => {
+    const outDir = tempDir(t);
+    const results = await convert(path.join(FIXTURES, 'frames.csv'), { outDir, dryRun: true, maxRows: 2 });
+
+    assert.equal(results.success, true);
+    assert.equal(results.steps.output.rowCount, 2);
+    assert.deepEqual(fs.readdirSync(outDir), []);
+});
+
+/**
+ * Run a test with the current directory moved to a fresh temporary folder, where default outputs would land
+ */
+function inTempCwd(t) {
+    const cwd = process.cwd();
+    const dir = tempDir(t);
+    process.chdir(dir);
+    t.after(() => process.chdir(cwd));
+    return dir;
+}
+
+test('convertRows converts in memory and writes no file', async t => {
+    const dir = inTempCwd(t);
+    const headers = ['Reference', 'Description', 'Price'];
+    const rows = [['F1', 'Aviator metal frame', '60.00'], { Reference: 'F2', Description: 'Round acetate frame', Price: '62.00' }];
+
+    const conversion = await new CsvConverterAI({ logger: silentLogger }).convertRows(rows, headers, { productType: 'FRAME', fileName: 'acme.csv' });
+
+    assert.equal(conversion.success, true);
+    assert.equal(conversion.transformedRows.length, 2);
+    assert.equal(conversion.csv.trim().split('\n').length, 3);
+    assert.equal(conversion.results.steps.output.filePath, undefined);
+    assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test('convertBuffer reads a file held in memory and writes no file', async t => {
+    const dir = inTempCwd(t);
+    const buffer = fs.readFileSync(path.join(FIXTURES, 'frames.csv'));
+
+    const conversion = await new CsvConverterAI({ logger: silentLogger }).convertBuffer(buffer, 'csv', { productType: 'FRAME' });
+
+    assert.equal(conversion.success, true);
+    assert.equal(conversion.results.steps.reading.rows, 3);
+    assert.match(conversion.csv, /F3/);
+    assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test('injected services are used, per-call ones over the constructor ones', async () => {
+    const calls = [];
+    const detector = {
+        ...ProductTypeDetector,
+        detect: () => ({ productType: 'FRAME', confidence: 99, matchedKeywords: [], allScores: {} }),
+        isConfidenceAcceptable: () => true
+    };
+    const brandDetector = {
+        ...BrandDetector,
+        detect: () => ({ brand: 'Injected', confidence: 99, source: 'column', column: null, multiBrand: false, rowBrands: null, evidence: [] })
+    };
+    const cleaner = { cleanBatch: (...args) => { calls.push('constructor'); return DataCleaner.cleanBatch(...args); } };
+    const callCleaner = { cleanBatch: (...args) => { calls.push('call'); return DataCleaner.cleanBatch(...args); } };
+    const converter = new CsvConverterAI({ detector, brandDetector, cleaner, logger: silentLogger });
+    const rows = [['F1', 'Aviator metal frame']];
+
+    const first = await converter.convertRows(rows, ['Reference', 'Description']);
+    const second = await converter.convertRows(rows, ['Reference', 'Description'], { cleaner: callCleaner });
+
+    assert.equal(first.results.productType, 'FRAME');
+    assert.equal(first.results.brand, 'Injected');
+    assert.equal(second.results.brand, 'Injected');
+    assert.deepEqual(calls, ['constructor', 'call']);
+});
+
+test('an injected cleaner also fills the image links', async t => {
+    const calls = [];
+    const cleaner = {
+        cleanBatch: (...args) => DataCleaner.cleanBatch(...args),
+        fillImageLinks: (cleanedRows, cellInfos) => {
+            calls.push(cellInfos.length);
+            return 0;
+        }
+    };
+
+    const results = await new CsvConverterAI({ cleaner, logger: silentLogger }).processFile(path.join(FIXTURES, 'frames.csv'), {
+        productType: 'FRAME',
+        ai: { simulate: true },
+        dryRun: true,
+        logger: silentLogger
+    });
+
+    assert.equal(results.success, true);
+    assert.deepEqual(calls, [3]);
+});
+
+test('a cleaner without fillImageLinks falls back to the built-in one', async t => {
+    const cleaner = { cleanBatch: (...args) => DataCleaner.cleanBatch(...args) };
+    const fillImageLinks = t.mock.method(DataCleaner, 'fillImageLinks');
+
+    const results = await new CsvConverterAI({ cleaner, logger: silentLogger }).processFile(path.join(FIXTURES, 'frames.csv'), {
+        productType: 'FRAME',
+        ai: { simulate: true },
+        dryRun: true,
+        logger: silentLogger
+    });
+
+    assert.equal(results.success, true);
+    assert.equal(fillImageLinks.mock.callCount(), 1);
+    assert.equal(results.steps.cleaning.stats.imageLinks, 0);
+});
+
+/**
+ * Enhancer whose product type answer costs 42 tokens
+ */
+function classifyingEnhancer(calls = []) {
+    const enhancer = new BatchAIEnhancer({ simulate: true, logger: silentLogger });
+    enhancer.classifyProductType = async () => {
+        calls.push('classify');
+        return { productType: 'FRAME', rationale: 'stub answer', source: 'ai', tokensUsed: 42 };
+    };
+    return enhancer;
+}
+
+test('the tokens of the AI detection fallback are kept under detection and count in the run total', async () => {
+    const run = options => new CsvConverterAI({ enhancer: classifyingEnhancer(), logger: silentLogger }).processFile(path.join(FIXTURES, 'codes.csv'), {
+        dryRun: true,
+        ...options
+    });
+
+    const forced = await run({ productType: 'FRAME' });
+    const results = await run({ aiFallback: true });
+
+    assert.equal(results.productType, 'FRAME');
+    assert.equal(results.steps.detection.ai.tokensUsed, 42);
+    assert.equal(results.steps.enhancement.stats.tokensUsed, forced.steps.enhancement.stats.tokensUsed);
+    assert.equal(results.stats.tokensUsed, results.steps.enhancement.stats.tokensUsed + 42);
+
+    const report = ReportWriter.buildReport(results);
+    assert.equal(report.detection.ai.tokensUsed, 42);
+    assert.equal(report.ai.tokensUsed, results.steps.enhancement.stats.tokensUsed);
+    assert.match(ReportWriter.renderHtml(report), /<th>Tokens used by the detection fallback<\/th><td>42<\/td>/);
+});
+
+test('mixed catalogs ask the per-call enhancer and count its tokens in the first group', async t => {
+    const calls = [];
+    const dir = tempDir(t);
+    const filePath = path.join(dir, 'codes.csv');
+    fs.copyFileSync(path.join(FIXTURES, 'codes.csv'), filePath);
+
+    const catalog = await new CsvConverterAI({ logger: silentLogger }).processRowTypes(filePath, {
+        aiFallback: true,
+        enhancer: classifyingEnhancer(calls),
+        dryRun: true
+    });
+
+    assert.deepEqual(calls, ['classify']);
+    assert.equal(catalog.detection.ai.tokensUsed, 42);
+    const [first] = catalog.groups;
+    assert.equal(first.results.stats.tokensUsed, first.results.steps.enhancement.stats.tokensUsed + 42);
+});
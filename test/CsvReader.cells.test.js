@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { beforeEach, test } from 'node:test';
+import XLSX from 'xlsx';
+import CsvConverterAI from '../src/index.js';
+import CsvReader from '../src/utils/CsvReader.js';
+import { quietConsole, silentLogger, tempDir } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+/**
+ * Workbook whose cells carry types, number formats and hyperlinks, as supplier exports do
+ */
+function typedWorkbook(t) {
+    const worksheet = XLSX.utils.aoa_to_sheet([
+        ['Reference', 'Description', 'EAN', 'Price', 'Available from', 'Updated', 'In stock', 'Discount', 'Photo'],
+        [
+            'F1',
+            'Aviator metal frame',
+            { t: 'n', v: 8435740012345, z: '0.00E+00' },
+            { t: 'n', v: 24.499999999999996, z: '0.00' },
+            { t: 'n', v: 45730, z: 'yyyy-mm-dd' },
+            { t: 'n', v: 45809.4375, z: 'dd/mm/yyyy hh:mm' },
+            { t: 'b', v: true },
+            { t: 'e', v: 0x2A, w: '#N/A' },
+            { t: 's', v: 'click here', l: { Target: 'https://cdn.example.com/f1.jpg' } }
+        ]
+    ]);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Frames');
+
+    const filePath = path.join(tempDir(t), 'typed.xlsx');
+    XLSX.writeFile(workbook, filePath);
+    return filePath;
+}
+
+test('numbers keep every digit and dates become ISO dates', async t => {
+    const data = await CsvReader.readFile(typedWorkbook(t), { logger: silentLogger });
+
+    assert.deepEqual(data.rows[0], {
+        reference: 'F1',
+        description: 'Aviator metal frame',
+        ean: '8435740012345',
+        price: '24.5',
+        availablefrom: '2025-03-14',
+        updated: '2025-06-01 10:30:00',
+        instock: 'TRUE',
+        discount: '',
+        photo: 'click here'
+    });
+});
+
+test('the typed cells and hyperlinks behind a row are kept', async t => {
+    const data = await CsvReader.readFile(typedWorkbook(t), { logger: silentLogger });
+    const info = CsvReader.getCellInfo(data.rows[0]);
+
+    assert.deepEqual(info.cells.ean, { type: 'number', raw: 8435740012345, text: '8.44E+12', link: null });
+    assert.equal(info.cells.availablefrom.type, 'date');
+    assert.equal(info.cells.availablefrom.raw, 45730);
+    assert.equal(info.cells.instock.type, 'boolean');
+    assert.equal(info.cells.discount, undefined);
+    assert.deepEqual(info.links, [{ header: 'photo', url: 'https://cdn.example.com/f1.jpg' }]);
+    assert.equal(CsvReader.getCellInfo({ ...data.rows[0] }), null);
+});
+
+test('a "click here" hyperlink fills the first image field', async t => {
+    const { results, transformedRows } = await new CsvConverterAI({ logger: silentLogger }).convertBuffer(fs.readFileSync(typedWorkbook(t)), 'xlsx', {
+        productType: 'FRAME',
+        ai: { simulate: true }
+    });
+
+    assert.equal(results.steps.cleaning.stats.imageLinks, 1);
+    assert.equal(transformedRows[0].image1, 'https://cdn.example.com/f1.jpg');
+    assert.equal(transformedRows[0].image2, '');
+});
@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { beforeEach, test } from 'node:test';
+import CsvConverterAI from '../src/index.js';
+import CsvReader from '../src/utils/CsvReader.js';
+import { foldAccents } from '../src/utils/textNormalization.js';
+import { quietConsole, silentLogger, tempDir } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+test('accents and ligatures are folded to ASCII', () => {
+    assert.equal(foldAccents('Référence Größe Œil Ærø'), 'Reference Grosse OEil AEro');
+    assert.equal(CsvReader._normalizeHeader('Référence'), 'reference');
+    assert.equal(CsvReader._normalizeHeader('Größe'), 'grosse');
+});
+
+test('headers that normalize to the same key get numbered instead of overwriting each other', () => {
+    const { headers, collisions } = CsvReader._normalizeHeaders(['Price (€)', 'Price', 'Price 2', '€']);
+
+    assert.deepEqual(headers, ['price', 'price3', 'price2', 'column4']);
+    assert.deepEqual(collisions, [{ header: 'price', columns: ['Price (€)', 'Price'], headers: ['price', 'price3'] }]);
+});
+
+test('colliding columns keep their values, are logged and listed in the run report', async t => {
+    const warnings = [];
+    const logger = silentLogger.child({});
+    t.mock.method(logger, 'warn', message => warnings.push(message));
+    const data = await CsvReader.fromRows(['Référence', 'Prix', 'Prix €'], [['F1', '60.00', '72.00']], { logger });
+
+    assert.deepEqual(data.rows, [{ reference: 'F1', prix: '60.00', prix2: '72.00' }]);
+    assert.deepEqual(data.headerMapping, { reference: 'Référence', prix: 'Prix', prix2: 'Prix €' });
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /"Prix", "Prix €" all normalize to "prix"/);
+
+    const dir = tempDir(t);
+    const filePath = path.join(dir, 'ocean.csv');
+    fs.writeFileSync(filePath, 'Référence,Prix,Prix €\nF1,60.00,72.00\n');
+    const results = await new CsvConverterAI({ logger: silentLogger }).processFile(filePath, {
+        productType: 'FRAME',
+        ai: { simulate: true },
+        outDir: dir
+    });
+
+    assert.deepEqual(results.steps.reading.headerCollisions, [{ header: 'prix', columns: ['Prix', 'Prix €'], headers: ['prix', 'prix2'] }]);
+    const report = JSON.parse(fs.readFileSync(results.report.jsonPath, 'utf8'));
+    assert.deepEqual(report.columns.headers.map(column => column.normalizedHeader), ['reference', 'prix', 'prix2']);
+    assert.match(fs.readFileSync(results.report.htmlPath, 'utf8'), /<h2>Renamed columns \(1\)<\/h2>/);
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { beforeEach, test } from 'node:test';
+import { main } from '../src/cli.js';
+import CsvConverterAI from '../src/index.js';
+import CsvReader from '../src/utils/CsvReader.js';
+import { EXIT_CODES } from '../src/utils/exitCodes.js';
+import { quietConsole, silentLogger, tempDir } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+// Line 3 has no SKU, line 5 is blank (skipped by the parser), line 6 holds only a dash
+const CATALOG = [
+    'Description,SKU Code,Price',
+    'Aviator,F1,60.00',
+    'Round,,62.00',
+    'Square,F3,64.00',
+    '',
+    '-,,',
+    'Cat eye,F6,66.00'
+].join('\n');
+
+function writeCatalog(t, content = CATALOG) {
+    const filePath = path.join(tempDir(t), 'catalog.csv');
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+test('the rejected rows file gives the source line, the reason and the original values', async t => {
+    const outDir = tempDir(t);
+    const results = await new CsvConverterAI({ logger: silentLogger }).processFile(writeCatalog(t), {
+        productType: 'FRAME',
+        referenceColumn: 'SKU Code',
+        ai: { simulate: true },
+        outDir
+    });
+
+    assert.equal(results.success, true);
+    assert.equal(results.steps.output.rowCount, 3);
+    assert.equal(results.rejected.rowCount, 2);
+    assert.equal(path.dirname(results.rejected.filePath), outDir);
+    assert.ok(results.rejected.filePath.endsWith('.rejected.csv'));
+    assert.deepEqual(fs.readFileSync(results.rejected.filePath, 'utf8').trim().split('\n'), [
+        'Line,Reason,Description,SKU Code,Price',
+        '3,no-reference,Round,,62.00',
+        '6,no-reference,-,,'
+    ]);
+});
+
+test('lenient filtering keeps rows without reference, --no-rejected skips the file', async t => {
+    const outDir = tempDir(t);
+    const { rows, rejectedRows } = await CsvReader.readFile(writeCatalog(t), {
+        logger: silentLogger,
+        referenceColumn: 'SKU Code',
+        rowFilter: 'lenient'
+    });
+
+    assert.deepEqual(rows.map(row => row.description), ['Aviator', 'Round', 'Square', 'Cat eye']);
+    assert.deepEqual(rejectedRows.map(rejected => [rejected.line, rejected.reason]), [[6, 'no-meaningful-data']]);
+
+    const exitCode = await main(['convert', writeCatalog(t), '--type', 'FRAME', '--simulate', '--no-rejected', '--min-coverage', '0', '--out', outDir, '--no-progress', '--log-level', 'silent']);
+    assert.equal(exitCode, EXIT_CODES.SUCCESS);
+    const written = fs.readdirSync(outDir);
+    assert.ok(written.some(name => name.endsWith('.report.json')));
+    assert.deepEqual(written.filter(name => name.endsWith('.rejected.csv')), []);
+});
+
+test('an unknown reference column or row filter is refused', async t => {
+    await assert.rejects(CsvReader.readFile(writeCatalog(t), { logger: silentLogger, referenceColumn: 'EAN' }), /EAN/);
+    assert.equal(await main(['convert', 'catalog.csv', '--row-filter', 'loose']), EXIT_CODES.USAGE_ERROR);
+});
+
+test('the source line counts the lines of multi-line cells', async t => {
+    const { rows } = await CsvReader.readFile(writeCatalog(t, [
+        'SKU,Description',
+        'F1,"Aviator',
+        'metal frame"',
+        'F2,Round',
+        '',
+        'F3,"Square',
+        '',
+        'acetate"',
+        'F4,Cat eye'
+    ].join('\n')), { logger: silentLogger });
+
+    assert.deepEqual(rows.map(row => [row.sku, CsvReader.getSourceLine(row)]), [['F1', 2], ['F2', 4], ['F3', 6], ['F4', 9]]);
+    assert.equal(CsvReader.getSourceLine({ sku: 'F5' }), null);
+});
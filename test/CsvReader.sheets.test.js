@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { beforeEach, test } from 'node:test';
+import { main } from '../src/cli.js';
+import CsvConverterAI from '../src/index.js';
+import CsvReader from '../src/utils/CsvReader.js';
+import { EXIT_CODES } from '../src/utils/exitCodes.js';
+import { ARCHIVE_SHEET, BANNER_SHEET, COVER_SHEET, FRAMES_SHEET } from './fixtures/sheets.js';
+import { FIXTURES, quietConsole, silentLogger, tempDir, writeWorkbook } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+function oceanWorkbook(t) {
+    return writeWorkbook(path.join(tempDir(t), 'ocean.xlsx'), [COVER_SHEET, FRAMES_SHEET, ARCHIVE_SHEET]);
+}
+
+function bannerWorkbook(t) {
+    return writeWorkbook(path.join(tempDir(t), 'ocean.xlsx'), [BANNER_SHEET, ARCHIVE_SHEET]);
+}
+
+const convertSheets = (filePath, options) => new CsvConverterAI({ logger: silentLogger }).processSheets(filePath, {
+    productType: 'FRAME',
+    ai: { simulate: true },
+    ...options
+});
+
+test('sheets are listed with their shape, the cover page has no table', t => {
+    assert.deepEqual(CsvReader.listSheets(oceanWorkbook(t)), [
+        { name: 'Cover', position: 1, columns: 1, rows: 1, hasData: false },
+        { name: 'Frames', position: 2, columns: 4, rows: 2, hasData: true },
+        { name: 'Archive', position: 3, columns: 3, rows: 1, hasData: true }
+    ]);
+});
+
+test('the first sheet with a table is read unless a sheet is named or numbered', async t => {
+    const filePath = oceanWorkbook(t);
+    const read = sheet => CsvReader.readFile(filePath, { sheet, logger: silentLogger });
+
+    assert.equal((await read()).sheetName, 'Frames');
+    assert.equal((await read('archive')).sheetName, 'Archive');
+    assert.equal((await read(3)).sheetName, 'Archive');
+    await assert.rejects(read('Lenses'), /Sheet not found: Lenses\. Available sheets: 1\. Cover, 2\. Frames, 3\. Archive/);
+});
+
+test('every sheet with a table gets its own output', async t => {
+    const outDir = tempDir(t);
+    const run = await convertSheets(oceanWorkbook(t), { outDir });
+
+    assert.equal(run.success, true);
+    assert.deepEqual(run.sheets.map(sheet => sheet.sheetName), ['Frames', 'Archive']);
+    assert.deepEqual(run.outputs.map(output => [output.sheets, output.rowCount]), [[['Frames'], 2], [['Archive'], 1]]);
+    assert.match(path.basename(run.outputs[0].filePath), /^output-gohub-ocean-frame-frames-/);
+});
+
+test('--combine writes one output per product type with the rows of every sheet', async t => {
+    const outDir = tempDir(t);
+    const run = await convertSheets(oceanWorkbook(t), { outDir, combine: true });
+
+    assert.equal(run.outputs.length, 1);
+    assert.deepEqual(run.outputs[0].sheets, ['Frames', 'Archive']);
+    assert.equal(run.outputs[0].rowCount, 3);
+    const skus = fs.readFileSync(run.outputs[0].filePath, 'utf8').trim().split('\n').slice(1).map(line => line.split(',')[2]);
+    assert.deepEqual(skus, ['F1', 'F2', 'OLD-1']);
+    assert.equal(fs.readdirSync(outDir).filter(name => name.endsWith('.report.json')).length, 2);
+});
+
+test('a sheet with a banner above its table is listed with its real header', t => {
+    const [prices, archive] = CsvReader.listSheets(bannerWorkbook(t));
+
+    assert.deepEqual(prices, { name: 'Prices', position: 1, columns: 5, rows: 3, hasData: true });
+    assert.deepEqual(archive, { name: 'Archive', position: 2, columns: 3, rows: 1, hasData: true });
+});
+
+test('the banner sheet is the one read by default', async t => {
+    const data = await CsvReader.readFile(bannerWorkbook(t), { logger: silentLogger });
+
+    assert.equal(data.sheetName, 'Prices');
+    assert.equal(data.rows.length, 3);
+});
+
+test('processSheets converts the banner sheet', async t => {
+    const run = await convertSheets(bannerWorkbook(t), { dryRun: true });
+
+    assert.deepEqual(run.sheets.map(sheet => sheet.sheetName), ['Prices', 'Archive']);
+});
+
+test('sheet options are checked before converting', async t => {
+    const workbook = oceanWorkbook(t);
+    const csv = path.join(FIXTURES, 'frames.csv');
+
+    assert.equal(await main(['convert', csv, '--sheet', 'Frames']), EXIT_CODES.USAGE_ERROR);
+    assert.equal(await main(['convert', workbook, '--sheet', 'Frames', '--all-sheets']), EXIT_CODES.USAGE_ERROR);
+    assert.equal(await main(['convert', workbook, '--combine']), EXIT_CODES.USAGE_ERROR);
+    assert.equal(await main(['convert', workbook, '--all-sheets', '--combine', '--stream']), EXIT_CODES.USAGE_ERROR);
+});
+
+test('a workbook is recognized from its content, whatever its extension', t => {
+    const dir = tempDir(t);
+    const misnamed = writeWorkbook(path.join(dir, 'ocean.xlsx'), [BANNER_SHEET]);
+    const renamed = path.join(dir, 'ocean-prices.csv');
+    fs.renameSync(misnamed, renamed);
+    fs.writeFileSync(path.join(dir, 'plain.xlsx'), 'Reference,Price\nA1,10\n');
+
+    assert.equal(CsvReader.isWorkbook(renamed), true);
+    assert.equal(CsvReader.isWorkbook(path.join(dir, 'plain.xlsx')), false);
+    assert.equal(CsvReader.isWorkbook(path.join(dir, 'missing.ods')), true);
+    assert.equal(CsvReader.listSheets(renamed)[0].hasData, true);
+});
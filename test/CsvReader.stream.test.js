@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { beforeEach, test } from 'node:test';
+import { main } from '../src/cli.js';
+import CsvConverterAI from '../src/index.js';
+import CsvReader from '../src/utils/CsvReader.js';
+import { EXIT_CODES } from '../src/utils/exitCodes.js';
+import { quietConsole, silentLogger, tempDir } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+// Catalog of `count` frames, every fourth row without reference
+function writeCatalog(dir, count) {
+    const lines = ['Reference,Description,Frame Color,Price'];
+    for (let index = 1; index <= count; index++) {
+        lines.push(`${index % 4 === 0 ? '' : `F${index}`},Frame ${index},Black,${50 + index}.00`);
+    }
+    const filePath = path.join(dir, 'catalog.csv');
+    fs.writeFileSync(filePath, lines.join('\n') + '\n');
+    return filePath;
+}
+
+const convert = (filePath, options) => new CsvConverterAI({ logger: silentLogger }).processFile(filePath, {
+    productType: 'FRAME',
+    ai: { simulate: true },
+    ...options
+});
+
+test('a streamed run writes the same rows as an in-memory run', async t => {
+    const filePath = writeCatalog(tempDir(t), 40);
+    const streamDir = tempDir(t);
+    const memoryDir = tempDir(t);
+
+    const streamed = await convert(filePath, { stream: true, chunkSize: 7, sampleSize: 5, outDir: streamDir });
+    const inMemory = await convert(filePath, { outDir: memoryDir });
+
+    assert.equal(streamed.success, true);
+    assert.equal(streamed.steps.output.rowCount, 30);
+    assert.equal(streamed.steps.reading.cleaningStats.removedRows, 10);
+    // AI batches differ from chunk to chunk, rows and their order do not
+    const skus = results => fs.readFileSync(results.steps.output.filePath, 'utf8').trim().split('\n').map(line => line.split(',')[2]);
+    assert.deepEqual(skus(streamed), skus(inMemory));
+});
+
+test('removed rows of a stream are all counted but only the first are listed', async t => {
+    const filePath = writeCatalog(tempDir(t), 40);
+    const maxRemoved = CsvReader.STREAM_MAX_REMOVED;
+    CsvReader.STREAM_MAX_REMOVED = 3;
+    t.after(() => { CsvReader.STREAM_MAX_REMOVED = maxRemoved; });
+
+    const results = await convert(filePath, { stream: true, chunkSize: 5, sampleSize: 5, dryRun: true });
+
+    const { cleaningStats } = results.steps.reading;
+    assert.equal(cleaningStats.removedRows, 10);
+    assert.deepEqual(cleaningStats.removed.map(entry => entry.row), [4, 8, 12]);
+});
+
+test('--chunk-size must be a positive integer and needs --stream', async () => {
+    for (const chunkSize of ['500rows', '2.5', '0']) {
+        assert.equal(await main(['convert', 'catalog.csv', '--stream', '--chunk-size', chunkSize]), EXIT_CODES.USAGE_ERROR, chunkSize);
+    }
+    assert.equal(await main(['convert', 'catalog.csv', '--chunk-size', '500']), EXIT_CODES.USAGE_ERROR);
+});
+
+test('a read error in the middle of a streamed file fails the run', async t => {
+    const filePath = writeCatalog(tempDir(t), 40);
+    const content = fs.readFileSync(filePath);
+
+    // The first half of the file, then the disk goes away
+    t.mock.method(fs, 'createReadStream', () => new Readable({
+        read() {
+            this.push(content.subarray(0, content.length / 2));
+            this.destroy(new Error('EIO: i/o error, read'));
+        }
+    }));
+
+    const results = await new CsvConverterAI({ logger: silentLogger }).processFile(filePath, {
+        stream: true,
+        chunkSize: 5,
+        sampleSize: 5,
+        productType: 'FRAME',
+        ai: { simulate: true },
+        dryRun: true,
+        logger: silentLogger
+    });
+
+    assert.equal(results.success, false);
+    assert.match(results.errors.join('\n'), /EIO/);
+});
+
+test('rows rejected while streaming are written to the rejected rows file chunk by chunk', async t => {
+    const outDir = tempDir(t);
+    const filePath = writeCatalog(tempDir(t), 40);
+
+    const results = await convert(filePath, { stream: true, chunkSize: 5, sampleSize: 5, outDir });
+
+    assert.equal(results.success, true);
+    assert.equal(results.rejected.rowCount, 10);
+    const lines = fs.readFileSync(results.rejected.filePath, 'utf8').trim().split('\n');
+    assert.equal(lines.length, 11);
+    assert.match(lines[0], /^Line,Reason,Reference/);
+    assert.deepEqual(lines.slice(1).map(line => Number(line.split(',')[0])), [5, 9, 13, 17, 21, 25, 29, 33, 37, 41]);
+    assert.deepEqual(fs.readdirSync(outDir).filter(name => name.endsWith('.part')), []);
+});
+
+test('streamed records end normally on a healthy file', async t => {
+    const filePath = writeCatalog(tempDir(t), 12);
+    const records = [];
+    for await (const record of CsvReader._streamRecords(filePath, 'utf-8', ',')) {
+        records.push(record);
+    }
+    assert.equal(records.length, 13);
+});
@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { beforeEach, test } from 'node:test';
+import { main } from '../src/cli.js';
+import CsvConverterAI from '../src/index.js';
+import CsvReader from '../src/utils/CsvReader.js';
+import { EXIT_CODES } from '../src/utils/exitCodes.js';
+import { quietConsole, silentLogger, tempDir } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+/**
+ * Write CSV content (text or raw bytes) to a temporary file and read it back
+ */
+async function readCsv(t, content, options = {}) {
+    const filePath = path.join(tempDir(t), 'supplier.csv');
+    fs.writeFileSync(filePath, content);
+    return CsvReader.readFile(filePath, { logger: silentLogger, ...options });
+}
+
+const ECAILLE = 'Reference;Description\nF1;Écaille frame\n';
+
+test('quoted cells keep their commas and escaped quotes', async t => {
+    const data = await readCsv(t, [
+        'Reference,Description,Price',
+        'F1,"Aviator, metal frame","60,00"',
+        'F2,"Round ""vintage"" frame",62.00'
+    ].join('\n'));
+
+    assert.deepEqual(data.headers, ['reference', 'description', 'price']);
+    assert.deepEqual(data.rows, [
+        { reference: 'F1', description: 'Aviator, metal frame', price: '60,00' },
+        { reference: 'F2', description: 'Round "vintage" frame', price: '62.00' }
+    ]);
+});
+
+test('a quoted cell can span several lines', async t => {
+    const data = await readCsv(t, [
+        'Reference,Description,Price',
+        'F1,"Aviator',
+        'metal',
+        'frame",60.00',
+        'F2,Round frame,62.00'
+    ].join('\n'));
+
+    assert.equal(data.totalRows, 2);
+    assert.equal(data.rows[0].description, 'Aviator\nmetal\nframe');
+    assert.equal(data.rows[0].price, '60.00');
+    assert.deepEqual(data.rows[1], { reference: 'F2', description: 'Round frame', price: '62.00' });
+});
+
+test('CRLF line endings are read like LF, inside quoted cells too', async t => {
+    const data = await readCsv(t, 'Reference,Description,Price\r\nF1,"Aviator\r\nmetal frame",60.00\r\nF2,Round frame,62.00\r\n');
+
+    assert.deepEqual(data.headers, ['reference', 'description', 'price']);
+    assert.deepEqual(data.rows, [
+        { reference: 'F1', description: 'Aviator\nmetal frame', price: '60.00' },
+        { reference: 'F2', description: 'Round frame', price: '62.00' }
+    ]);
+});
+
+test('blank lines above the header are skipped and unnamed columns dropped', async t => {
+    const data = await readCsv(t, '\n\nReference,,Price\nF1,ignored,60.00\n');
+
+    assert.deepEqual(data.headers, ['reference', 'price']);
+    assert.deepEqual(data.rows, [{ reference: 'F1', price: '60.00' }]);
+});
+
+test('a UTF-8 BOM stays out of the first header', async t => {
+    const data = await readCsv(t, Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from(ECAILLE)]));
+
+    assert.equal(data.encoding, 'utf-8');
+    assert.deepEqual(data.headers, ['reference', 'description']);
+    assert.equal(data.rows[0].description, 'Écaille frame');
+});
+
+test('UTF-16 is detected with or without a BOM', async t => {
+    const withBom = await readCsv(t, Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(ECAILLE, 'utf16le')]));
+    const withoutBom = await readCsv(t, Buffer.from(ECAILLE, 'utf16le'));
+
+    for (const data of [withBom, withoutBom]) {
+        assert.equal(data.encoding, 'utf-16le');
+        assert.deepEqual(data.headers, ['reference', 'description']);
+        assert.equal(data.rows[0].description, 'Écaille frame');
+    }
+});
+
+test('bytes that are not UTF-8 are read as Windows-1252', async t => {
+    const data = await readCsv(t, Buffer.from(ECAILLE, 'latin1'));
+
+    assert.equal(data.encoding, 'windows-1252');
+    assert.equal(data.rows[0].description, 'Écaille frame');
+});
+
+test('semicolon and tab delimiters are detected, commas inside cells do not count', async t => {
+    const semicolon = await readCsv(t, 'Reference;Description;Price\nF1;Aviator, metal;60,00\nF2;Round, acetate;62,00\n');
+    const tab = await readCsv(t, 'Reference\tDescription\tPrice\nF1\t"Aviator; metal"\t60.00\n');
+
+    assert.equal(semicolon.delimiter, ';');
+    assert.deepEqual(semicolon.rows[0], { reference: 'F1', description: 'Aviator, metal', price: '60,00' });
+    assert.equal(tab.delimiter, '\t');
+    assert.deepEqual(tab.rows[0], { reference: 'F1', description: 'Aviator; metal', price: '60.00' });
+});
+
+test('delimiter and encoding overrides win over detection', async t => {
+    const data = await readCsv(t, Buffer.from('Reference|Description, finish\nF1|Écaille, matte\n', 'latin1'), {
+        delimiter: '|',
+        encoding: 'latin1'
+    });
+
+    assert.equal(data.delimiter, '|');
+    assert.equal(data.encoding, 'windows-1252');
+    assert.deepEqual(data.rows, [{ reference: 'F1', descriptionfinish: 'Écaille, matte' }]);
+});
+
+test('--delimiter and --encoding reach the reader, invalid values are usage errors', async t => {
+    const runs = [];
+    t.mock.method(CsvConverterAI.prototype, 'processFile', async (filePath, options) => {
+        runs.push(options);
+        return { success: false, errors: ['stubbed run'], steps: {}, stats: {} };
+    });
+
+    await main(['convert', 'supplier.csv', '--delimiter', 'semicolon', '--encoding', 'cp1252', '--no-progress', '--log-level', 'silent']);
+    await main(['convert', 'supplier.csv', '--delimiter', '|', '--no-progress', '--log-level', 'silent']);
+
+    assert.deepEqual(runs.map(options => [options.delimiter, options.encoding]), [[';', 'windows-1252'], ['|', undefined]]);
+    assert.equal(await main(['convert', 'supplier.csv', '--delimiter', 'ab']), EXIT_CODES.USAGE_ERROR);
+    assert.equal(await main(['convert', 'supplier.csv', '--encoding', 'ebcdic']), EXIT_CODES.USAGE_ERROR);
+});
@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+import DataProfiler from '../src/services/DataProfiler.js';
+import { quietConsole, silentLogger } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+test('values are classified by their shape', () => {
+    assert.deepEqual(
+        ['4006381333931', 'https://cdn.acme.com/f1.jpg', '2025-03-14', '52-18-140', '60,00 €', '1 250', 'Aviator', ' '].map(value => DataProfiler.classify(value)),
+        ['ean', 'url', 'date', 'dimension', 'price', 'number', 'text', 'empty']
+    );
+});
+
+test('columns take the type most values share and list the values that stand out', () => {
+    const prices = ['60.00', '62.00', '58.00', '61.00', 'N/A', '900.00'];
+    const rows = prices.map((price, index) => ({ ean: index === 1 ? '4006381333932' : '4006381333931', price, link: '' }));
+
+    const profile = DataProfiler.profile(['ean', 'price', 'link'], rows, { originalHeaders: ['EAN', 'Price', 'Link'] }, silentLogger);
+
+    const ean = DataProfiler.getColumn(profile, 'ean');
+    assert.equal(ean.type, 'ean');
+    assert.deepEqual(ean.outliers, [{ line: 2, value: '4006381333932', reason: 'wrong check digit' }]);
+
+    const price = DataProfiler.getColumn(profile, 'price');
+    assert.equal(price.originalHeader, 'Price');
+    assert.equal(price.type, 'price');
+    assert.equal(price.fillRate, 100);
+    assert.deepEqual(price.outliers.map(outlier => [outlier.line, outlier.reason]), [[5, 'text value in a price column'], [6, 'unusually high']]);
+
+    assert.equal(DataProfiler.getColumn(profile, 'link').type, 'empty');
+    assert.equal(DataProfiler.getColumn(profile, 'sku'), null);
+});
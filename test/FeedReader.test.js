@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { beforeEach, test } from 'node:test';
+import XLSX from 'xlsx';
+import CsvReader from '../src/utils/CsvReader.js';
+import FeedReader from '../src/utils/FeedReader.js';
+import { quietConsole, silentLogger, tempDir } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+/**
+ * Write a feed to a temporary file and read it back
+ */
+async function readFeed(t, fileName, content) {
+    const filePath = path.join(tempDir(t), fileName);
+    fs.writeFileSync(filePath, content);
+    return CsvReader.readFile(filePath, { logger: silentLogger });
+}
+
+test('a JSON feed wrapped in an object is flattened into dotted columns', async t => {
+    const data = await readFeed(t, 'feed.json', JSON.stringify({
+        data: {
+            products: [
+                { sku: 'F1', name: 'Aviator', frame: { size: { width: 52 } }, images: ['a.jpg', 'b.jpg'] },
+                { sku: 'F2', name: 'Round', frame: { size: { width: 49 } }, images: ['c.jpg'] }
+            ]
+        }
+    }));
+
+    assert.equal(data.format, 'json');
+    assert.deepEqual(data.originalHeaders, ['sku', 'name', 'frame.size.width', 'images.1', 'images.2']);
+    assert.deepEqual(data.rows.map(row => [row.sku, row.framesizewidth, row.images1, row.images2]), [
+        ['F1', '52', 'a.jpg', 'b.jpg'],
+        ['F2', '49', 'c.jpg', '']
+    ]);
+});
+
+test('NDJSON has one record per line, blank lines skipped', async t => {
+    const data = await readFeed(t, 'feed.jsonl', '{"sku":"F1","price":60}\n\n{"sku":"F2","price":62,"color":"Havana"}\n');
+
+    assert.equal(data.format, 'ndjson');
+    assert.deepEqual(data.originalHeaders, ['sku', 'price', 'color']);
+    assert.deepEqual(data.rows.map(row => [row.sku, row.price, row.color]), [['F1', '60', ''], ['F2', '62', 'Havana']]);
+});
+
+test('XML records are the most repeated element, attributes read like children', async t => {
+    const data = await readFeed(t, 'feed.xml', `<?xml version="1.0"?>
+<rss xmlns:g="http://base.google.com/ns/1.0"><channel><title>Ocean</title>
+  <item><g:id>F1</g:id><title>Aviator</title><g:price currency="EUR">60.00</g:price></item>
+  <item><g:id>F2</g:id><title>Round &amp; bold</title><g:price currency="EUR">62.00</g:price></item>
+</channel></rss>`);
+
+    assert.equal(data.format, 'xml');
+    assert.deepEqual(data.originalHeaders, ['id', 'title', 'price', 'price.currency']);
+    assert.deepEqual(data.rows.map(row => [row.id, row.title, row.price, row.pricecurrency]), [
+        ['F1', 'Aviator', '60.00', 'EUR'],
+        ['F2', 'Round & bold', '62.00', 'EUR']
+    ]);
+});
+
+test('an OpenDocument spreadsheet is read like a workbook', async t => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Reference', 'Price'], ['F1', 60]]), 'Frames');
+    const filePath = path.join(tempDir(t), 'prices.ods');
+    XLSX.writeFile(workbook, filePath, { bookType: 'ods' });
+
+    const data = await CsvReader.readFile(filePath, { logger: silentLogger });
+
+    assert.equal(data.format, 'ods');
+    assert.equal(data.sheetName, 'Frames');
+    assert.deepEqual(data.rows, [{ reference: 'F1', price: '60' }]);
+});
+
+test('the content decides the format, not the extension', async t => {
+    const json = await readFeed(t, 'export.csv', '[{"sku":"F1","price":60}]');
+    const tsv = await readFeed(t, 'export.txt', 'sku\tprice\nF1\t60\n');
+
+    assert.equal(json.format, 'json');
+    assert.deepEqual(json.rows, [{ sku: 'F1', price: '60' }]);
+    assert.equal(tsv.format, 'tsv');
+    assert.deepEqual(tsv.rows, [{ sku: 'F1', price: '60' }]);
+    assert.equal(CsvReader.detectFormat(Buffer.alloc(0), 'empty.ndjson'), 'ndjson');
+    assert.throws(() => CsvReader.detectFormat(Buffer.alloc(0), 'notes'), /Unsupported file format/);
+});
+
+test('invalid JSON is reported as such', () => {
+    assert.throws(() => FeedReader.readJson('[{"sku": "F1",]'), /^Error: Invalid JSON/);
+});
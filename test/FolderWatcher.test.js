@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { beforeEach, test } from 'node:test';
+import FolderWatcher from '../src/services/FolderWatcher.js';
+import { FIXTURES, quietConsole, silentLogger, tempDir } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+const watcher = rootDir => new FolderWatcher(rootDir, {
+    convertOptions: { productType: 'FRAME' },
+    thresholds: { minCoverage: 0 },
+    logger: silentLogger
+});
+
+const drop = (rootDir, source, name = path.basename(source)) => fs.copyFileSync(source, path.join(rootDir, 'inbox', name));
+
+test('a converted file dropped again is a duplicate', async t => {
+    const rootDir = tempDir(t);
+    const first = watcher(rootDir);
+    fs.mkdirSync(path.join(rootDir, 'inbox'), { recursive: true });
+
+    drop(rootDir, path.join(FIXTURES, 'frames.csv'));
+    const [converted] = await first.runOnce();
+    assert.notEqual(converted.status, 'failed');
+
+    drop(rootDir, path.join(FIXTURES, 'frames.csv'), 'frames-again.csv');
+    const [duplicate] = await watcher(rootDir).runOnce();
+    assert.equal(duplicate.status, 'duplicate');
+    assert.equal(duplicate.duplicateOf.fileName, 'frames.csv');
+    assert.equal(fs.readdirSync(path.join(rootDir, 'processed')).length, 2);
+});
+
+test('a failed file dropped again is retried and stays in failed/', async t => {
+    const rootDir = tempDir(t);
+    fs.mkdirSync(path.join(rootDir, 'inbox'), { recursive: true });
+    fs.writeFileSync(path.join(rootDir, 'inbox', 'notes.txt'), 'not a catalog');
+
+    const [first] = await watcher(rootDir).runOnce();
+    assert.equal(first.status, 'failed');
+
+    fs.writeFileSync(path.join(rootDir, 'inbox', 'notes.txt'), 'not a catalog');
+    const [retry] = await watcher(rootDir).runOnce();
+    assert.equal(retry.status, 'failed');
+    assert.equal(fs.readdirSync(path.join(rootDir, 'failed')).length, 2);
+    assert.deepEqual(fs.readdirSync(path.join(rootDir, 'processed')), []);
+});
+
+test('a file is converted once two scans see it unchanged, and forgotten once it leaves the inbox', async t => {
+    const rootDir = tempDir(t);
+    const scanner = watcher(rootDir);
+    scanner._ensureFolders();
+    scanner.state = scanner._loadState();
+
+    drop(rootDir, path.join(FIXTURES, 'frames.csv'));
+    fs.writeFileSync(path.join(rootDir, 'inbox', 'copying.csv'), 'Reference\n');
+    await scanner.scan();
+    assert.equal(scanner.pendingSizes.size, 2);
+    assert.deepEqual(fs.readdirSync(path.join(rootDir, 'processed')), []);
+
+    fs.rmSync(path.join(rootDir, 'inbox', 'copying.csv'));
+    await scanner.scan();
+    assert.equal(fs.readdirSync(path.join(rootDir, 'processed')).length, 1);
+    assert.equal(scanner.pendingSizes.size, 0);
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import path from 'path';
+import { test } from 'node:test';
+import CsvReader from '../src/utils/CsvReader.js';
+import HeaderDetector from '../src/utils/HeaderDetector.js';
+import { BANNER_SHEET } from './fixtures/sheets.js';
+import { silentLogger, tempDir, writeWorkbook } from './helpers.js';
+
+test('a banner merged across the table is not taken for the header', async t => {
+    const filePath = writeWorkbook(path.join(tempDir(t), 'banner.xlsx'), [BANNER_SHEET]);
+
+    const data = await CsvReader.readFile(filePath, { logger: silentLogger });
+
+    assert.deepEqual(data.originalHeaders, ['Art.Nr', 'Modell', 'Farbe', 'Größe', 'Preis']);
+    assert.equal(data.headerRow.row, 2);
+    assert.equal(data.rows.length, 3);
+});
+
+test('a merged banner scores as a single cell', () => {
+    const records = BANNER_SHEET.rows.map(row => row.map(String));
+    records[0] = Array(5).fill('OCEAN PRICES 2025');
+    const mergedCells = new Set(['0:1', '0:2', '0:3', '0:4']);
+
+    const detected = HeaderDetector.detect(records, { mergedCells });
+    assert.equal(detected.index, 1);
+    assert.equal(detected.candidates.find(candidate => candidate.row === 1 && candidate.rowCount === 1).score, 0);
+});
+
+test('a group row over sub-titles is combined into one header per column', async t => {
+    const filePath = writeWorkbook(path.join(tempDir(t), 'sizes.xlsx'), [{
+        name: 'Frames',
+        rows: [
+            ['Reference', 'Model', 'SIZE', '', '', 'Price'],
+            ['', '', 'Width', 'Bridge', 'Temple', ''],
+            ['F1', 'Aviator', 52, 18, 140, 60]
+        ],
+        merges: ['C1:E1']
+    }]);
+
+    const data = await CsvReader.readFile(filePath, { logger: silentLogger });
+
+    assert.deepEqual(data.originalHeaders, ['Reference', 'Model', 'SIZE Width', 'SIZE Bridge', 'SIZE Temple', 'Price']);
+    assert.deepEqual({ row: data.headerRow.row, rowCount: data.headerRow.rowCount }, { row: 1, rowCount: 2 });
+    assert.equal(data.rows.length, 1);
+    assert.equal(String(data.rows[0].sizebridge), '18');
+});
+
+test('a value merged down several rows is copied into each of them', async t => {
+    const filePath = writeWorkbook(path.join(tempDir(t), 'models.xlsx'), [{
+        name: 'Frames',
+        rows: [
+            ['Reference', 'Model', 'Color', 'Price'],
+            ['F1-BK', 'Aviator', 'Black', 60],
+            ['F1-HV', '', 'Havana', 60],
+            ['F2-RD', 'Round', 'Red', 62]
+        ],
+        merges: ['B2:B3']
+    }]);
+
+    const data = await CsvReader.readFile(filePath, { logger: silentLogger });
+
+    assert.deepEqual(data.rows.map(row => [row.reference, row.model]), [['F1-BK', 'Aviator'], ['F1-HV', 'Aviator'], ['F2-RD', 'Round']]);
+});
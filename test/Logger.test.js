@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import Logger from '../src/utils/Logger.js';
+
+/**
+ * Stream collecting what is written to it
+ */
+function memoryStream() {
+    const chunks = [];
+    return { chunks, write: chunk => chunks.push(chunk) };
+}
+
+test('JSON lines carry time, level, message and the child fields', () => {
+    const stream = memoryStream();
+    const logger = new Logger({ format: 'json', stream, fields: { file: 'acme.csv' } });
+
+    logger.child({ stage: 'mapping' }).info('  ✅ Columns mapped ', { row: 3 });
+
+    assert.equal(stream.chunks.length, 1);
+    assert.ok(stream.chunks[0].endsWith('\n'));
+    const { time, ...entry } = JSON.parse(stream.chunks[0]);
+    assert.ok(!Number.isNaN(Date.parse(time)));
+    assert.deepEqual(entry, {
+        level: 'info',
+        msg: '✅ Columns mapped',
+        file: 'acme.csv',
+        stage: 'mapping',
+        row: 3
+    });
+});
+
+test('warnings and errors go to the error stream', () => {
+    const stream = memoryStream();
+    const errorStream = memoryStream();
+    const logger = new Logger({ stream, errorStream });
+
+    logger.info('info');
+    logger.warn('warn');
+    logger.error('error');
+
+    assert.deepEqual(stream.chunks, ['info\n']);
+    assert.deepEqual(errorStream.chunks, ['warn\n', 'error\n']);
+});
+
+test('quiet mode only writes warnings and errors, whatever the level', () => {
+    const stream = memoryStream();
+    const errorStream = memoryStream();
+    const logger = new Logger({ quiet: true, level: 'debug', stream, errorStream });
+
+    logger.debug('debug');
+    logger.info('info');
+    logger.section('📂 STEP 1');
+    logger.warn('warn');
+
+    assert.equal(logger.level, 'warn');
+    assert.deepEqual(stream.chunks, []);
+    assert.deepEqual(errorStream.chunks, ['warn\n']);
+    assert.equal(logger.child({ stage: 'read' }).isLevelEnabled('info'), false);
+});
+
+test('unknown levels and formats are refused', () => {
+    assert.throws(() => new Logger({ level: 'verbose' }), /Unknown log level: verbose/);
+    assert.throws(() => new Logger({ format: 'xml' }), /Unknown log format: xml/);
+});
@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { beforeEach, test } from 'node:test';
+import CsvConverterAI from '../src/index.js';
+import PluginManager from '../src/plugins/PluginManager.js';
+import { applyOceanGlassesRules } from '../src/plugins/oceanGlassesRules.js';
+import { quietConsole, silentLogger, tempDir } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+const HEADERS = ['Reference', 'Description', 'Frame Color', 'Price'];
+const ROWS = [
+    ['F1', 'Aviator metal frame', 'Shiny black', '60.00'],
+    ['F2', 'Round acetate frame', 'Demy brown', ''],
+    ['F3', 'Cat eye frame', 'Matte black', '58.00']
+];
+
+const convert = options => new CsvConverterAI({ logger: silentLogger }).convertRows(ROWS, HEADERS, { productType: 'FRAME', ...options });
+
+/**
+ * Plugin recording "<name>:<when>:<stage>" for every hook of the built-in stages
+ */
+function recorder(name, calls) {
+    const hooks = when => Object.fromEntries(CsvConverterAI.STAGES.map(stage => [stage, () => calls.push(`${name}:${when}:${stage}`)]));
+    return { name, before: hooks('before'), after: hooks('after') };
+}
+
+test('hooks run around every stage, in stage then plugin order', async () => {
+    const calls = [];
+
+    const conversion = await convert({ plugins: [recorder('a', calls), recorder('b', calls)] });
+
+    assert.equal(conversion.success, true);
+    assert.deepEqual(conversion.results.plugins, ['a', 'b']);
+    assert.deepEqual(calls, CsvConverterAI.STAGES.flatMap(stage => [
+        `a:before:${stage}`, `b:before:${stage}`, `a:after:${stage}`, `b:after:${stage}`
+    ]));
+});
+
+test('hook keys accept the short stage names and hooks may change the context', async () => {
+    const conversion = await convert({
+        plugins: [{ name: 'rebrand', after: { detect: context => { context.brand = 'Plugged'; } } }]
+    });
+
+    assert.equal(conversion.results.brand, 'Plugged');
+});
+
+test('custom stages run at their position', async () => {
+    const calls = [];
+    const plugin = {
+        ...recorder('trace', calls),
+        stages: [{ name: 'audit', before: 'output', run: context => calls.push(`audit:${context.transformation.transformedRows.length}`) }]
+    };
+
+    await convert({ plugins: [plugin] });
+
+    const audit = calls.indexOf('audit:3');
+    assert.equal(calls[audit - 1], 'trace:after:transformation');
+    assert.equal(calls[audit + 1], 'trace:before:output');
+});
+
+test('a failing hook fails the run with the plugin name', async () => {
+    const conversion = await convert({
+        plugins: [{ name: 'broken', before: { mapping: () => { throw new Error('boom'); } } }]
+    });
+
+    assert.equal(conversion.success, false);
+    assert.deepEqual(conversion.errors, ['Plugin "broken" failed in before:mapping: boom']);
+});
+
+test('invalid plugins and unknown stage positions are refused', async () => {
+    await assert.rejects(PluginManager.load([{ name: 'bad', after: { cleaning: 'not a function' } }]), /hook for "cleaning" must be a function/);
+    await assert.rejects(PluginManager.load(['no-such-plugin.js']), /Cannot load plugin "no-such-plugin\.js"/);
+
+    const manager = await PluginManager.load([{ name: 'lost', stages: [{ name: 'x', after: 'nowhere', run() {} }] }]);
+    assert.throws(() => manager.buildStages([{ name: 'reading' }]), /unknown stage "nowhere"/);
+});
+
+test('plugin modules are loaded relative to the base folder, with their options', async t => {
+    const dir = tempDir(t);
+    fs.writeFileSync(path.join(dir, 'tagger.js'), 'export default options => ({ name: `tagger-${options.tag}` });\n');
+
+    const manager = await PluginManager.load([{ plugin: './tagger.js', options: { tag: 'x' } }], dir);
+
+    assert.deepEqual(manager.names, ['tagger-x']);
+});
+
+test('the Ocean rules plugin resolves colors and compositions without AI', async () => {
+    assert.deepEqual(applyOceanGlassesRules('frameColor', 'Shiny black'), { value: 'Black', confidence: 95, colorDescription: 'Shiny Black' });
+    assert.deepEqual(applyOceanGlassesRules('composition', '100%Acetate'), { value: 'Acetate', confidence: 95 });
+    assert.equal(applyOceanGlassesRules('description', 'Shiny black'), null);
+
+    const withRules = await convert({ plugins: ['ocean-glasses-rules'] });
+    const withoutRules = await convert({ plugins: [] });
+    assert.ok(withRules.results.steps.cleaning.stats.ruled > withoutRules.results.steps.cleaning.stats.ruled);
+});
+
+test('the required fields validation reports and drops rows without a price', async () => {
+    const conversion = await convert({
+        plugins: [{ plugin: 'required-fields-validation', options: { dropInvalid: true } }]
+    });
+
+    const { validation } = conversion.results.steps;
+    assert.deepEqual(validation.invalidRows, [{ row: 2, sku: 'F2', missing: ['price'] }]);
+    assert.equal(validation.dropped, 1);
+    assert.deepEqual(conversion.transformedRows.map(row => row.sku), ['F1', 'F3']);
+});
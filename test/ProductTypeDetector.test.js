@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { beforeEach, test } from 'node:test';
+import { main } from '../src/cli.js';
+import CsvConverterAI from '../src/index.js';
+import DataProfiler from '../src/services/DataProfiler.js';
+import ProductTypeDetector from '../src/services/ProductTypeDetector.js';
+import { EXIT_CODES } from '../src/utils/exitCodes.js';
+import { quietConsole, silentLogger, tempDir } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+// Frames and lenses in one list, plus an accessory with no keyword of its own
+const MIXED_CATALOG = [
+    'SKU,Description,Category,Price,Image',
+    'F1,Aviator metal frame,Frames,60.00,https://cdn.acme.com/frame-f1.jpg',
+    'L1,Single vision 1.6,Lenses,30.00,https://cdn.acme.com/lens-l1.jpg',
+    'F2,Round acetate frame,Frames,62.00,https://cdn.acme.com/frame-f2.jpg',
+    'L2,Progressive photochromic,Lenses,90.00,https://cdn.acme.com/lens-l2.jpg',
+    'F3,Cat eye frame with spring hinge,Frames,64.00,https://cdn.acme.com/frame-f3.jpg',
+    'X1,Gift box,Accessories,5.00,https://cdn.acme.com/lens-box.jpg'
+].join('\n');
+
+test('rows are classified from their own values, rows without evidence take the file type', () => {
+    const rows = [
+        { description: 'Aviator metal frame', image: 'https://cdn.acme.com/lens.jpg' },
+        { description: 'Progressive photochromic' },
+        { description: 'Gift box' }
+    ];
+    const profile = { columns: [{ header: 'image', type: 'url' }] };
+
+    const rowTypes = ProductTypeDetector.detectRows(rows, { fileDetection: { productType: 'FRAME', confidence: 70 }, profile });
+
+    assert.deepEqual(rowTypes.map(tag => [tag.productType, tag.source]), [['FRAME', 'row'], ['LENS', 'row'], ['FRAME', 'file']]);
+    assert.equal(rowTypes[2].confidence, 70);
+    assert.deepEqual(rowTypes[1].matchedKeywords, ['progressive', 'photochromic']);
+});
+
+test('a mixed frames and lenses catalog gets one output per product type', async t => {
+    const dir = tempDir(t);
+    const filePath = path.join(dir, 'mixed.csv');
+    fs.writeFileSync(filePath, MIXED_CATALOG);
+
+    const catalog = await new CsvConverterAI({ logger: silentLogger }).processRowTypes(filePath, { outDir: dir, ai: { simulate: true } });
+
+    assert.equal(catalog.success, true);
+    assert.equal(catalog.detection.productType, 'FRAME');
+    assert.deepEqual(catalog.rowTypes.map(tag => [tag.line, tag.productType, tag.source]), [
+        [2, 'FRAME', 'row'], [3, 'LENS', 'row'], [4, 'FRAME', 'row'], [5, 'LENS', 'row'], [6, 'FRAME', 'row'], [7, 'FRAME', 'file']
+    ]);
+    assert.deepEqual(catalog.groups.map(group => [group.productType, group.rowCount]), [['FRAME', 4], ['LENS', 2]]);
+
+    const [frames, lenses] = catalog.groups.map(group => group.results);
+    assert.deepEqual(frames.steps.detection.allScores, { FRAME: 4, LENS: 2 });
+    assert.equal(lenses.productType, 'LENS');
+    assert.deepEqual(catalog.outputs.map(output => [output.productType, output.rowCount]), [['FRAME', 4], ['LENS', 2]]);
+    assert.ok(catalog.outputs.every(output => fs.existsSync(output.filePath)));
+});
+
+test('--row-types refuses --type, --stream and --all-sheets', async () => {
+    for (const args of [['--stream'], ['--all-sheets'], ['--type', 'FRAME']]) {
+        assert.equal(await main(['convert', 'mixed.csv', '--row-types', ...args]), EXIT_CODES.USAGE_ERROR, args[0]);
+    }
+});
+
+const HEADERS = ['Reference', 'Description', 'Price'];
+const ROWS = [
+    { Reference: 'F1', Description: 'Acetate frame, black', Price: '8.90' },
+    { Reference: 'F2', Description: 'Metal frame, gold', Price: '9.00' },
+    { Reference: 'F3', Description: 'Titanium frame', Price: '8.50' }
+];
+
+test('a price column does not pass for base curves', () => {
+    const profile = DataProfiler.profile(HEADERS, ROWS, {}, silentLogger);
+    assert.equal(profile.columns.find(column => column.header === 'Price').type, 'price');
+
+    const detection = ProductTypeDetector.detect(HEADERS, ROWS, silentLogger, { profile });
+
+    assert.equal(detection.productType, ProductTypeDetector.PRODUCT_TYPES.FRAME);
+    assert.equal(detection.allScores[ProductTypeDetector.PRODUCT_TYPES.CONTACT_LENS], 0);
+});
+
+test('number columns are still matched against value patterns', () => {
+    const headers = ['Reference', 'BC'];
+    const rows = [{ Reference: 'C1', BC: '8.4' }, { Reference: 'C2', BC: '8.6' }, { Reference: 'C3', BC: '8.8' }];
+    const profile = DataProfiler.profile(headers, rows, {}, silentLogger);
+
+    const detection = ProductTypeDetector.detect(headers, rows, silentLogger, { profile });
+
+    assert.equal(detection.productType, ProductTypeDetector.PRODUCT_TYPES.CONTACT_LENS);
+});
+
+test('a lens row is recognized from its refractive index, a frame row from its size', () => {
+    const rows = [
+        { reference: 'F1', description: 'Aviator', size: '52-18-140', index: '', stock: '12' },
+        { reference: 'L1', description: 'Clear', size: '', index: '1.67', stock: '40' },
+        { reference: 'L2', description: 'Blue filter', size: '', index: '1.5', stock: '25' },
+        { reference: 'F2', description: 'Round', size: '49-20-145', index: '', stock: '8' },
+        { reference: 'L3', description: 'Thin', size: '', index: '1.6', stock: '16' },
+        // An index shape in a stock column is not evidence
+        { reference: 'X1', description: 'Cleaning cloth', size: '', index: '', stock: '1.5' }
+    ];
+    const profile = DataProfiler.profile(['reference', 'description', 'size', 'index', 'stock'], rows, {}, silentLogger);
+
+    const rowTypes = ProductTypeDetector.detectRows(rows, { fileDetection: { productType: 'FRAME', confidence: 65 }, profile });
+
+    assert.deepEqual(rowTypes.map(tag => [tag.productType, tag.source]), [
+        ['FRAME', 'row'], ['LENS', 'row'], ['LENS', 'row'], ['FRAME', 'row'], ['LENS', 'row'], ['FRAME', 'file']
+    ]);
+    assert.deepEqual(rowTypes[1].matchedKeywords, ['refractive indexes in index (1.67)']);
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import path from 'path';
+import { beforeEach, test } from 'node:test';
+import { main } from '../src/cli.js';
+import CsvConverterAI from '../src/index.js';
+import ProgressBar from '../src/utils/ProgressBar.js';
+import { FIXTURES, quietConsole, silentLogger } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+/**
+ * Converter recording its progress events
+ */
+function recordingConverter() {
+    const converter = new CsvConverterAI({ logger: silentLogger });
+    const events = [];
+    converter.on('progress', event => events.push(event));
+    return { converter, events };
+}
+
+test('stages report started then finished, in pipeline order, with AI calls inside enhancement', async () => {
+    const { converter, events } = recordingConverter();
+    const results = await converter.processFile(path.join(FIXTURES, 'frames.csv'), { productType: 'FRAME', dryRun: true, ai: { simulate: true } });
+
+    const describe = event => event.type === 'stage'
+        ? `${event.stage}:${event.status}`
+        : `${event.type}:${event.status || ''}:${event.completed}/${event.total}`;
+    assert.deepEqual(events.map(describe), [
+        'reading:started', 'reading:finished',
+        'profiling:started', 'profiling:finished',
+        'detection:started', 'detection:finished',
+        'mapping:started', 'mapping:finished',
+        'cleaning:started', 'rows::3/3', 'cleaning:finished',
+        'enhancement:started', 'ai:sent:0/1', 'ai:completed:1/1', 'enhancement:finished',
+        'transformation:started', 'transformation:finished',
+        'output:started', 'output:finished'
+    ]);
+
+    const stages = events.filter(event => event.type === 'stage');
+    assert.ok(stages.every((event, position) => event.index === Math.floor(position / 2) && event.totalStages === 8));
+    assert.equal(events.findLast(event => event.type === 'ai').tokensUsed, results.stats.tokensUsed);
+});
+
+test('row cleaning reports every 100 rows and at the end', async () => {
+    const { converter, events } = recordingConverter();
+    const rows = Array.from({ length: 250 }, (_, index) => [`F${index}`, 'Aviator metal frame']);
+
+    await converter.convertRows(rows, ['Reference', 'Description'], { productType: 'FRAME', ai: { simulate: true } });
+
+    assert.deepEqual(
+        events.filter(event => event.type === 'rows').map(event => [event.completed, event.total]),
+        [[100, 250], [200, 250], [250, 250]]
+    );
+});
+
+test('the bar shows stage, counts and tokens, and log lines print above it', () => {
+    const written = [];
+    const bar = new ProgressBar({ stream: { write: chunk => written.push(chunk) }, width: 10 });
+
+    bar.update({ type: 'stage', stage: 'enhancement', status: 'started', index: 4, totalStages: 7 });
+    bar.update({ type: 'ai', stage: 'enhancement', status: 'completed', completed: 1, total: 4, fieldType: 'color', items: 8, tokensUsed: 120 });
+    assert.equal(bar.line, '[███░░░░░░░]  25% · enhancement (5/7) · 1/4 AI batches · 120 tokens');
+
+    const logged = [];
+    written.length = 0;
+    bar.wrapStream({ write: chunk => logged.push(chunk) }).write('log line\n');
+    assert.deepEqual(logged, ['log line\n']);
+    assert.deepEqual(written, ['\r\x1b[K', bar.line]);
+
+    written.length = 0;
+    bar.done();
+    assert.deepEqual(written, ['\r\x1b[K']);
+    assert.equal(bar.line, '');
+});
+
+test('convert clears the bar when the run throws', async t => {
+    t.mock.method(ProgressBar, 'isSupported', () => true);
+    const done = t.mock.method(ProgressBar.prototype, 'done', () => {});
+    t.mock.method(CsvConverterAI.prototype, 'processFile', async () => {
+        throw new Error('disk full');
+    });
+
+    await main(['convert', path.join(FIXTURES, 'frames.csv'), '--log-level', 'silent']);
+
+    assert.equal(done.mock.callCount(), 1);
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { beforeEach, test } from 'node:test';
+import CsvConverterAI from '../src/index.js';
+import ReportWriter from '../src/services/ReportWriter.js';
+import { FIXTURES, quietConsole, silentLogger, tempDir } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+const convert = (filePath, outDir) => new CsvConverterAI({ logger: silentLogger }).processFile(filePath, {
+    productType: 'FRAME',
+    outDir,
+    ai: { simulate: true }
+});
+
+test('the JSON and HTML reports are written next to the output', async t => {
+    const outDir = tempDir(t);
+    const results = await convert(path.join(FIXTURES, 'frames.csv'), outDir);
+
+    const stem = path.parse(results.steps.output.fileName).name;
+    assert.equal(results.report.jsonPath, path.join(outDir, `${stem}.report.json`));
+    assert.equal(results.report.htmlPath, path.join(outDir, `${stem}.report.html`));
+
+    const report = JSON.parse(fs.readFileSync(results.report.jsonPath, 'utf8'));
+    assert.equal(report.file, 'frames.csv');
+    assert.equal(report.success, true);
+    assert.equal(report.productType, 'FRAME');
+    assert.deepEqual(report.mapping.columns.find(column => column.field === 'color'), {
+        header: 'Frame Color',
+        normalizedHeader: 'framecolor',
+        field: 'color',
+        confidence: 95,
+        fromValues: false
+    });
+    assert.deepEqual(report.mapping.unmappedInputs, []);
+    assert.equal(report.rowCleaning.cleanedRows, 3);
+    assert.equal(report.transformation.successfulTransforms, 3);
+    assert.equal(report.ai.tokensUsed, results.stats.tokensUsed);
+    assert.equal(report.output.rowCount, 3);
+
+    const html = fs.readFileSync(results.report.htmlPath, 'utf8');
+    assert.match(html, /<title>Conversion report - frames\.csv<\/title>/);
+    assert.match(html, /<span class="ok">Succeeded<\/span>/);
+    assert.match(html, /<td>Frame Color<\/td><td>color<\/td><td>95%<\/td>/);
+    assert.match(html, /<h2>Removed rows \(0\)<\/h2>/);
+});
+
+test('a failed run still gets a report named after its source file', async t => {
+    const dir = tempDir(t);
+    const outDir = tempDir(t);
+    fs.writeFileSync(path.join(dir, 'empty stock.csv'), '');
+
+    const results = await convert(path.join(dir, 'empty stock.csv'), outDir);
+
+    assert.equal(results.success, false);
+    assert.match(path.basename(results.report.jsonPath), /^report-empty_stock-[\dT-]+\.report\.json$/);
+    const report = JSON.parse(fs.readFileSync(results.report.jsonPath, 'utf8'));
+    assert.equal(report.success, false);
+    assert.match(report.errors.join(), /empty/);
+    assert.equal(report.output, null);
+    assert.match(fs.readFileSync(results.report.htmlPath, 'utf8'), /<span class="ko">Failed<\/span>/);
+});
+
+test('the HTML report escapes supplier values', () => {
+    const html = ReportWriter.renderHtml({
+        generatedAt: '2026-01-01T00:00:00.000Z',
+        file: '<acme>.csv',
+        success: false,
+        errors: ['Column "<b>" & co'],
+        productType: null,
+        brand: null,
+        plugins: [],
+        stats: {},
+        detection: null,
+        mapping: null,
+        rowCleaning: null,
+        ai: null,
+        transformation: null,
+        output: null
+    });
+
+    assert.match(html, /Conversion report - &lt;acme&gt;\.csv/);
+    assert.match(html, /<li>Column &quot;&lt;b&gt;&quot; &amp; co<\/li>/);
+    assert.ok(!html.includes('<acme>'));
+});
@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { beforeEach, test } from 'node:test';
+import TypeClassifier from '../src/services/TypeClassifier.js';
+import { quietConsole, tempDir } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+const example = (name, productType, headers, values) => ({
+    name,
+    productType,
+    headers,
+    rows: values.map(row => Object.fromEntries(headers.map((header, index) => [header, row[index]])))
+});
+
+const EXAMPLES = [
+    example('frames-a', 'FRAME', ['Reference', 'Frame Color', 'Size'], [['F1', 'Black acetate', '52-18-140'], ['F2', 'Havana', '49-20-145']]),
+    example('frames-b', 'FRAME', ['Model', 'Color', 'Bridge'], [['M1', 'Gold metal', '18'], ['M2', 'Silver', '20']]),
+    example('frames-c', 'FRAME', ['Ref', 'Colour', 'Size'], [['R1', 'Red acetate', '51-17-140'], ['R2', 'Tortoise', '50-19-145']]),
+    example('lenses-a', 'LENS', ['Code', 'Index', 'Sphere range'], [['L1', '1.50', '-8.00/+6.00'], ['L2', '1.67', '-10.00/+8.00']]),
+    example('lenses-b', 'LENS', ['Code', 'Refractive index', 'Coating'], [['L3', '1.60', 'Anti-reflective'], ['L4', '1.74', 'Blue filter']]),
+    example('lenses-c', 'LENS', ['Article', 'Index', 'Sphere'], [['L5', '1.50', '-6.00/+4.00'], ['L6', '1.60', '-8.00/+6.00']])
+];
+
+test('features tokenize headers, text values, value shapes and column types', () => {
+    const tokens = TypeClassifier.features(['Frame Color', 'Size'], [{ 'Frame Color': 'Matte black', Size: '52-18-140' }]);
+
+    assert.ok(tokens.includes('h:frame'));
+    assert.ok(tokens.includes('v:matte'));
+    assert.ok(tokens.includes('f:99-99-999'));
+    assert.ok(tokens.some(token => token.startsWith('t:')));
+});
+
+test('a trained model predicts the type of an unseen dataset', () => {
+    const model = TypeClassifier.train(EXAMPLES);
+
+    assert.equal(model.examples, 6);
+    assert.deepEqual(Object.keys(model.classes).sort(), ['FRAME', 'LENS']);
+
+    const headers = ['Reference', 'Frame Color', 'Bridge'];
+    const prediction = TypeClassifier.predict(model, headers, [{ Reference: 'X1', 'Frame Color': 'Black acetate', Bridge: '18' }]);
+    assert.equal(prediction.productType, 'FRAME');
+    assert.ok(prediction.confidence <= TypeClassifier.MAX_CONFIDENCE);
+    assert.equal(prediction.probabilities.FRAME + prediction.probabilities.LENS, 100);
+});
+
+test('training without examples fails', () => {
+    assert.throws(() => TypeClassifier.train([]), /No labeled examples/);
+});
+
+test('cross-validation predicts each example with a model trained on the others', () => {
+    const evaluation = TypeClassifier.crossValidate(EXAMPLES);
+
+    assert.equal(evaluation.total, 6);
+    assert.equal(evaluation.correct, 6);
+    assert.equal(evaluation.accuracy, 100);
+    assert.deepEqual(evaluation.matrix, { FRAME: { FRAME: 3 }, LENS: { LENS: 3 } });
+    assert.deepEqual(evaluation.errors, []);
+});
+
+test('evaluate lists the wrong predictions', () => {
+    const evaluation = TypeClassifier.evaluate(EXAMPLES.slice(0, 2), () => 'LENS');
+
+    assert.equal(evaluation.accuracy, 0);
+    assert.deepEqual(evaluation.labels, ['FRAME', 'LENS']);
+    assert.deepEqual(evaluation.errors.map(error => error.name), ['frames-a', 'frames-b']);
+});
+
+test('a saved model loads back, other JSON files are refused', t => {
+    const dir = tempDir(t);
+    const filePath = path.join(dir, TypeClassifier.DEFAULT_FILE);
+    const model = TypeClassifier.train(EXAMPLES);
+
+    TypeClassifier.save(model, filePath);
+    assert.deepEqual(TypeClassifier.load(filePath), model);
+
+    fs.writeFileSync(path.join(dir, 'other.json'), JSON.stringify({ mappings: {} }));
+    assert.throws(() => TypeClassifier.load(path.join(dir, 'other.json')), /not a product type model/);
+    fs.writeFileSync(path.join(dir, 'newer.json'), JSON.stringify({ ...model, version: TypeClassifier.VERSION + 1 }));
+    assert.throws(() => TypeClassifier.load(path.join(dir, 'newer.json')), /reads up to/);
+    assert.throws(() => TypeClassifier.load(path.join(dir, 'missing.json')), /Model file not found/);
+});
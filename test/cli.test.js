@@ -0,0 +1,31 @@
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+import { main, parseArgs } from '../src/cli.js';
+import { EXIT_CODES } from '../src/utils/exitCodes.js';
+import { quietConsole } from './helpers.js';
+
+beforeEach(t => quietConsole(t));
+
+test('options take their value from the next argument or after "="', () => {
+    const parsed = parseArgs(['convert', 'file.csv', '--rows', '5', '--out=out', '--dry-run']);
+
+    assert.equal(parsed.command, 'convert');
+    assert.deepEqual(parsed.positionals, ['file.csv']);
+    assert.deepEqual(parsed.options, { maxRows: '5', outDir: 'out', dryRun: true });
+});
+
+test('integer options with trailing text are usage errors', async () => {
+    for (const rows of ['5abc', '2.5', '0', '-3']) {
+        assert.equal(await main(['convert', 'file.csv', '--rows', rows]), EXIT_CODES.USAGE_ERROR, rows);
+    }
+});
+
+test('serve refuses ports and job limits with trailing text', async () => {
+    assert.equal(await main(['serve', '--port', '3000x']), EXIT_CODES.USAGE_ERROR);
+    assert.equal(await main(['serve', '--max-jobs', '5abc']), EXIT_CODES.USAGE_ERROR);
+});
+
+test('unknown options and commands are usage errors', async () => {
+    assert.equal(await main(['convert', 'file.csv', '--nope']), EXIT_CODES.USAGE_ERROR);
+    assert.equal(await main(['nope']), EXIT_CODES.USAGE_ERROR);
+});
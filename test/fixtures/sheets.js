@@ -0,0 +1,42 @@
+/**
+ * Sheets written with writeWorkbook (helpers.js)
+ */
+
+// A single column of notes in front of the tables
+export const COVER_SHEET = {
+    name: 'Cover',
+    rows: [
+        ['Ocean price list 2025'],
+        ['Prices in EUR, valid until December']
+    ]
+};
+
+// "OCEAN PRICES 2025" merged across the whole table, above the real header
+export const BANNER_SHEET = {
+    name: 'Prices',
+    rows: [
+        ['OCEAN PRICES 2025'],
+        ['Art.Nr', 'Modell', 'Farbe', 'Größe', 'Preis'],
+        ['OC-1', 'Aviator', 'Black', '52-18-140', 60],
+        ['OC-2', 'Round', 'Havana', '49-20-145', 62],
+        ['OC-3', 'Cat eye', 'Red', '51-17-140', 58]
+    ],
+    merges: ['A1:E1']
+};
+
+export const FRAMES_SHEET = {
+    name: 'Frames',
+    rows: [
+        ['Reference', 'Description', 'Frame Color', 'Price'],
+        ['F1', 'Aviator metal frame', 'Black', 60],
+        ['F2', 'Round acetate frame', 'Havana', 62]
+    ]
+};
+
+export const ARCHIVE_SHEET = {
+    name: 'Archive',
+    rows: [
+        ['Reference', 'Description', 'Price'],
+        ['OLD-1', 'Square frame', 40]
+    ]
+};
@@ -0,0 +1,47 @@
+/**
+ * Shared test helpers: fixture paths, temporary folders and a logger that prints nothing
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import XLSX from 'xlsx';
+import Logger from '../src/utils/Logger.js';
+
+export const FIXTURES = path.join(path.dirname(new URL(import.meta.url).pathname), 'fixtures');
+
+export const silentLogger = new Logger({ level: 'silent' });
+
+/**
+ * Fresh temporary folder, removed after the test
+ * @param {Object} t - node:test context
+ */
+export function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-converter-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Write an .xlsx workbook
+ * @param {string} filePath - Target file
+ * @param {Array} sheets - [{ name, rows: arrays of cells, merges: ['A1:E1'] }]
+ */
+export function writeWorkbook(filePath, sheets) {
+    const workbook = XLSX.utils.book_new();
+    sheets.forEach(({ name, rows, merges = [] }) => {
+        const worksheet = XLSX.utils.aoa_to_sheet(rows);
+        worksheet['!merges'] = merges.map(range => XLSX.utils.decode_range(range));
+        XLSX.utils.book_append_sheet(workbook, worksheet, name);
+    });
+    XLSX.writeFile(workbook, filePath);
+    return filePath;
+}
+
+/**
+ * Silence the console for one test, the pipeline logs every step
+ * @param {Object} t - node:test context
+ */
+export function quietConsole(t) {
+    ['log', 'info', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+}